@@ -26,6 +26,7 @@ import {TextSourceElement} from '../dom/text-source-element.js';
 import {TextSourceGenerator} from '../dom/text-source-generator.js';
 import {TextSourceRange} from '../dom/text-source-range.js';
 import {TextScanner} from '../language/text-scanner.js';
+import {KnownWordHighlighter} from './known-word-highlighter.js';
 
 /**
  * This is the main class responsible for scanning and handling webpage content.
@@ -109,6 +110,8 @@ export class Frontend {
         this._isPointerOverPopup = false;
         /** @type {?import('settings').OptionsContext} */
         this._optionsContextOverride = null;
+        /** @type {?KnownWordHighlighter} */
+        this._knownWordHighlighter = (pageType === 'web' && KnownWordHighlighter.isSupported ? new KnownWordHighlighter(application) : null);
 
         /* eslint-disable @stylistic/no-multi-spaces */
         /** @type {import('application').ApiMap} */
@@ -125,6 +128,7 @@ export class Frontend {
             ['scanTextAtCaret',  this._onActionScanTextAtCaret.bind(this)],
             ['profilePrevious',   async () => { await setProfile(-1, this._application); }],
             ['profileNext',       async () => { await setProfile(1, this._application); }],
+            ['toggleKnownWordHighlighting', this._onActionToggleKnownWordHighlighting.bind(this)],
         ]);
         /* eslint-enable @stylistic/no-multi-spaces */
     }
@@ -264,6 +268,13 @@ export class Frontend {
         void this._scanSelectedText(false, true);
     }
 
+    /**
+     * @returns {void}
+     */
+    _onActionToggleKnownWordHighlighting() {
+        void this._toggleKnownWordHighlightingForSite();
+    }
+
     /**
      * @returns {void}
      */
@@ -527,10 +538,46 @@ export class Frontend {
         }
 
         this._updateContentScale();
+        this._updateKnownWordHighlighter(optionsContext);
 
         await this._textScanner.searchLast();
     }
 
+    /**
+     * @param {import('settings').OptionsContext} optionsContext
+     */
+    _updateKnownWordHighlighter(optionsContext) {
+        if (this._knownWordHighlighter === null || this._options === null) { return; }
+        const {general: {enable}, knownWordHighlighting: {enable: highlightingEnabled, highlightUnknown, excludedSites}} = this._options;
+        const enabled = enable && highlightingEnabled && !excludedSites.includes(window.location.hostname);
+        void this._knownWordHighlighter.setOptions(enabled ? optionsContext : null, highlightUnknown);
+    }
+
+    /**
+     * Turns known-word highlighting off for the current site if it is on, or on if it was turned off for the site.
+     */
+    async _toggleKnownWordHighlightingForSite() {
+        if (this._options === null) { return; }
+        const {hostname} = window.location;
+        if (hostname.length === 0) { return; }
+
+        const {excludedSites} = this._options.knownWordHighlighting;
+        const newExcludedSites = excludedSites.filter((site) => site !== hostname);
+        if (newExcludedSites.length === excludedSites.length) {
+            newExcludedSites.push(hostname);
+        }
+
+        /** @type {import('settings-modifications').ScopedModificationSet} */
+        const modification = {
+            action: 'set',
+            path: 'knownWordHighlighting.excludedSites',
+            value: newExcludedSites,
+            scope: 'profile',
+            optionsContext: await this._getOptionsContext(),
+        };
+        await this._application.api.modifySettings([modification], 'frontend');
+    }
+
     /**
      * @returns {Promise<void>}
      */
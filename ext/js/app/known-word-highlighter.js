@@ -0,0 +1,355 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {log} from '../core/log.js';
+import {SelectorObserver} from '../dom/selector-observer.js';
+import {loadStyle} from '../dom/style-util.js';
+
+/**
+ * The elements whose text isn't highlighted, since it isn't part of the visible text of the page or it can be edited.
+ */
+const IGNORE_SELECTOR = [
+    'script',
+    'style',
+    'noscript',
+    'template',
+    'textarea',
+    'select',
+    'svg',
+    'iframe',
+    '[contenteditable]:not([contenteditable=false])',
+].map((selector) => `${selector},${selector} *`).join(',');
+
+/**
+ * The names of the highlights of the CSS Custom Highlight API for each status.
+ * @type {Map<import('known-words').Status, string>}
+ */
+const HIGHLIGHT_NAMES = new Map([
+    ['known', 'yomitan-known-word'],
+    ['lookedUp', 'yomitan-looked-up-word'],
+    ['unknown', 'yomitan-unknown-word'],
+]);
+
+/**
+ * This class highlights the words of a web page by whether they are known, looked up before, or unknown.
+ * Text is only processed once its element becomes visible, and new text is processed as the page changes.
+ */
+export class KnownWordHighlighter {
+    /**
+     * @param {import('../application.js').Application} application
+     */
+    constructor(application) {
+        /** @type {import('../application.js').Application} */
+        this._application = application;
+        /** @type {?import('settings').OptionsContext} */
+        this._optionsContext = null;
+        /** @type {boolean} */
+        this._highlightUnknown = true;
+        /** @type {SelectorObserver<import('known-words').ElementData>} */
+        this._selectorObserver = new SelectorObserver({
+            selector: '*',
+            ignoreSelector: IGNORE_SELECTOR,
+            onAdded: this._onElementAdded.bind(this),
+            onRemoved: this._onElementRemoved.bind(this),
+            onChildrenUpdated: this._onElementChildrenUpdated.bind(this),
+        });
+        /** @type {?IntersectionObserver} */
+        this._intersectionObserver = null;
+        /** @type {Map<Element, import('known-words').ElementData>} */
+        this._elementData = new Map();
+        /** @type {Map<Text, Range[]>} */
+        this._textNodeRanges = new Map();
+        /** @type {Set<Text>} */
+        this._pendingTextNodes = new Set();
+        /** @type {Map<import('known-words').Status, Highlight>} */
+        this._highlights = new Map();
+        /** @type {?import('core').Timeout} */
+        this._processTimer = null;
+        /** @type {number} */
+        this._processDelay = 200;
+        /** @type {boolean} */
+        this._processing = false;
+        /** @type {number} */
+        this._maxRequestLength = 2000;
+        /** @type {?import('core').TokenObject} */
+        this._token = null;
+        /** @type {boolean} */
+        this._styleLoaded = false;
+    }
+
+    /**
+     * Whether or not the browser supports the CSS Custom Highlight API, which is used to highlight the words.
+     * @type {boolean}
+     */
+    static get isSupported() {
+        return (
+            typeof CSS !== 'undefined' &&
+            typeof CSS.highlights !== 'undefined' &&
+            typeof Highlight !== 'undefined' &&
+            typeof IntersectionObserver !== 'undefined'
+        );
+    }
+
+    /**
+     * Starts or stops highlighting. The words are highlighted again whenever this is called,
+     * since the options which determine their statuses may have changed.
+     * @param {?import('settings').OptionsContext} optionsContext The options context to use, or `null` to stop highlighting.
+     * @param {boolean} highlightUnknown Whether or not words which are neither known nor looked up are highlighted.
+     */
+    async setOptions(optionsContext, highlightUnknown) {
+        this._stop();
+        if (optionsContext === null || !KnownWordHighlighter.isSupported || document.body === null) { return; }
+
+        this._optionsContext = optionsContext;
+        this._highlightUnknown = highlightUnknown;
+        /** @type {import('core').TokenObject} */
+        const token = {};
+        this._token = token;
+
+        if (!this._styleLoaded) {
+            this._styleLoaded = true;
+            try {
+                await loadStyle(this._application, 'yomitan-known-word-stylesheet', 'file', '/css/known-words.css', true);
+            } catch (e) {
+                log.error(e);
+            }
+        }
+        if (this._token !== token) { return; }
+
+        for (const [status, name] of HIGHLIGHT_NAMES) {
+            const highlight = new Highlight();
+            this._highlights.set(status, highlight);
+            CSS.highlights.set(name, highlight);
+        }
+        this._intersectionObserver = new IntersectionObserver(this._onIntersection.bind(this));
+        this._selectorObserver.observe(document.body);
+    }
+
+    // Private
+
+    /** */
+    _stop() {
+        this._token = null;
+        this._optionsContext = null;
+        if (this._processTimer !== null) {
+            clearTimeout(this._processTimer);
+            this._processTimer = null;
+        }
+        this._selectorObserver.disconnect();
+        if (this._intersectionObserver !== null) {
+            this._intersectionObserver.disconnect();
+            this._intersectionObserver = null;
+        }
+        this._elementData.clear();
+        this._textNodeRanges.clear();
+        this._pendingTextNodes.clear();
+        if (this._highlights.size > 0) {
+            for (const name of HIGHLIGHT_NAMES.values()) {
+                CSS.highlights.delete(name);
+            }
+            this._highlights.clear();
+        }
+    }
+
+    /**
+     * @param {Element} element
+     * @returns {import('known-words').ElementData}
+     */
+    _onElementAdded(element) {
+        /** @type {import('known-words').ElementData} */
+        const data = {textNodes: getTextNodes(element), visible: false};
+        this._elementData.set(element, data);
+        if (data.textNodes.length > 0 && this._intersectionObserver !== null) {
+            this._intersectionObserver.observe(element);
+        }
+        return data;
+    }
+
+    /**
+     * @param {Element} element
+     * @param {import('known-words').ElementData} data
+     */
+    _onElementRemoved(element, data) {
+        this._elementData.delete(element);
+        if (this._intersectionObserver !== null) {
+            this._intersectionObserver.unobserve(element);
+        }
+        for (const textNode of data.textNodes) {
+            this._removeTextNode(textNode);
+        }
+    }
+
+    /**
+     * @param {Element} element
+     * @param {import('known-words').ElementData} data
+     */
+    _onElementChildrenUpdated(element, data) {
+        const textNodes = getTextNodes(element);
+        const textNodeSet = new Set(textNodes);
+        for (const textNode of data.textNodes) {
+            if (!textNodeSet.has(textNode)) {
+                this._removeTextNode(textNode);
+            }
+        }
+        data.textNodes = textNodes;
+
+        if (data.visible) {
+            this._addPendingTextNodes(textNodes);
+        } else if (textNodes.length > 0 && this._intersectionObserver !== null) {
+            this._intersectionObserver.observe(element);
+        }
+    }
+
+    /**
+     * @param {IntersectionObserverEntry[]} entries
+     */
+    _onIntersection(entries) {
+        for (const {target, isIntersecting} of entries) {
+            if (!isIntersecting) { continue; }
+            const data = this._elementData.get(target);
+            if (typeof data === 'undefined') { continue; }
+            data.visible = true;
+            if (this._intersectionObserver !== null) {
+                this._intersectionObserver.unobserve(target);
+            }
+            this._addPendingTextNodes(data.textNodes);
+        }
+    }
+
+    /**
+     * @param {Text[]} textNodes
+     */
+    _addPendingTextNodes(textNodes) {
+        for (const textNode of textNodes) {
+            if (this._textNodeRanges.has(textNode)) { continue; }
+            this._pendingTextNodes.add(textNode);
+        }
+        this._scheduleProcess();
+    }
+
+    /**
+     * @param {Text} textNode
+     */
+    _removeTextNode(textNode) {
+        this._pendingTextNodes.delete(textNode);
+        const ranges = this._textNodeRanges.get(textNode);
+        if (typeof ranges === 'undefined') { return; }
+        this._textNodeRanges.delete(textNode);
+        for (const range of ranges) {
+            for (const highlight of this._highlights.values()) {
+                highlight.delete(range);
+            }
+        }
+    }
+
+    /** */
+    _scheduleProcess() {
+        if (this._processTimer !== null || this._processing || this._pendingTextNodes.size === 0) { return; }
+        this._processTimer = setTimeout(() => {
+            this._processTimer = null;
+            void this._process();
+        }, this._processDelay);
+    }
+
+    /**
+     * Highlights the words of the pending text nodes, using requests which contain a limited amount of text.
+     */
+    async _process() {
+        const token = this._token;
+        const optionsContext = this._optionsContext;
+        if (token === null || optionsContext === null) { return; }
+
+        /** @type {Text[]} */
+        const textNodes = [];
+        /** @type {string[]} */
+        const texts = [];
+        let length = 0;
+        for (const textNode of this._pendingTextNodes) {
+            if (length > 0 && length + textNode.data.length > this._maxRequestLength) { break; }
+            this._pendingTextNodes.delete(textNode);
+            if (!textNode.isConnected) { continue; }
+            // The node is marked as processed while the request is running, so that it isn't requested twice
+            this._textNodeRanges.set(textNode, []);
+            textNodes.push(textNode);
+            texts.push(textNode.data);
+            length += textNode.data.length;
+        }
+        if (textNodes.length === 0) { return; }
+
+        this._processing = true;
+        try {
+            const wordsArray = await this._application.api.getKnownWords(texts, optionsContext);
+            if (this._token === token) {
+                for (let i = 0, ii = textNodes.length; i < ii; ++i) {
+                    this._highlightTextNode(textNodes[i], texts[i], wordsArray[i]);
+                }
+            }
+        } catch (e) {
+            if (this._token === token) {
+                for (const textNode of textNodes) {
+                    this._textNodeRanges.delete(textNode);
+                }
+                log.error(e);
+            }
+        } finally {
+            this._processing = false;
+        }
+        this._scheduleProcess();
+    }
+
+    /**
+     * @param {Text} textNode
+     * @param {string} text The text which the words were found in.
+     * @param {import('known-words').Word[]} words
+     */
+    _highlightTextNode(textNode, text, words) {
+        const ranges = this._textNodeRanges.get(textNode);
+        if (typeof ranges === 'undefined') { return; }
+        if (textNode.data !== text) {
+            // The text was changed while the words were being found
+            this._textNodeRanges.delete(textNode);
+            if (textNode.isConnected) { this._pendingTextNodes.add(textNode); }
+            return;
+        }
+
+        for (const {start, length, status} of words) {
+            if (status === 'unknown' && !this._highlightUnknown) { continue; }
+            const highlight = this._highlights.get(status);
+            if (typeof highlight === 'undefined') { continue; }
+            const range = new Range();
+            range.setStart(textNode, start);
+            range.setEnd(textNode, start + length);
+            highlight.add(range);
+            ranges.push(range);
+        }
+    }
+}
+
+/**
+ * @param {Element} element
+ * @returns {Text[]} The text nodes which are direct children of the element and which contain more than whitespace.
+ */
+function getTextNodes(element) {
+    /** @type {Text[]} */
+    const textNodes = [];
+    for (const node of element.childNodes) {
+        if (node.nodeType === Node.TEXT_NODE && /\S/.test(/** @type {Text} */ (node).data)) {
+            textNodes.push(/** @type {Text} */ (node));
+        }
+    }
+    return textNodes;
+}
@@ -111,11 +111,13 @@ export class Application extends EventDispatcher {
         /* eslint-disable @stylistic/no-multi-spaces */
         /** @type {import('application').ApiMap} */
         this._apiMap = createApiMap([
-            ['applicationIsReady',         this._onMessageIsReady.bind(this)],
-            ['applicationGetUrl',          this._onMessageGetUrl.bind(this)],
-            ['applicationOptionsUpdated',  this._onMessageOptionsUpdated.bind(this)],
-            ['applicationDatabaseUpdated', this._onMessageDatabaseUpdated.bind(this)],
-            ['applicationZoomChanged',     this._onMessageZoomChanged.bind(this)],
+            ['applicationIsReady',                    this._onMessageIsReady.bind(this)],
+            ['applicationGetUrl',                     this._onMessageGetUrl.bind(this)],
+            ['applicationOptionsUpdated',             this._onMessageOptionsUpdated.bind(this)],
+            ['applicationDatabaseUpdated',            this._onMessageDatabaseUpdated.bind(this)],
+            ['applicationAnkiNoteQueueUpdated',       this._onMessageAnkiNoteQueueUpdated.bind(this)],
+            ['applicationLocalAnkiCollectionUpdated', this._onMessageLocalAnkiCollectionUpdated.bind(this)],
+            ['applicationZoomChanged',                this._onMessageZoomChanged.bind(this)],
         ]);
         /* eslint-enable @stylistic/no-multi-spaces */
     }
@@ -245,6 +247,16 @@ export class Application extends EventDispatcher {
         this.trigger('databaseUpdated', {type, cause});
     }
 
+    /** @type {import('application').ApiHandler<'applicationAnkiNoteQueueUpdated'>} */
+    _onMessageAnkiNoteQueueUpdated() {
+        this.trigger('ankiNoteQueueUpdated', {});
+    }
+
+    /** @type {import('application').ApiHandler<'applicationLocalAnkiCollectionUpdated'>} */
+    _onMessageLocalAnkiCollectionUpdated() {
+        this.trigger('localAnkiCollectionUpdated', {});
+    }
+
     /** @type {import('application').ApiHandler<'applicationZoomChanged'>} */
     _onMessageZoomChanged({oldZoomFactor, newZoomFactor}) {
         this.trigger('zoomChanged', {oldZoomFactor, newZoomFactor});
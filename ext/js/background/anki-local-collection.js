@@ -0,0 +1,203 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {EventDispatcher} from '../core/event-dispatcher.js';
+import {isObjectNotArray} from '../core/object-utilities.js';
+
+/**
+ * The key of the notes in `chrome.storage.local`.
+ */
+const STORAGE_KEY = 'ankiLocalCollection';
+
+/**
+ * The prefix of the keys of the media files in `chrome.storage.local`.
+ * Each file is stored separately, so that adding a note doesn't rewrite all of the media.
+ */
+const MEDIA_STORAGE_KEY_PREFIX = 'ankiLocalCollectionMedia:';
+
+/**
+ * The characters which Anki uses for the globally unique IDs of notes.
+ */
+const GUID_CHARACTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!#$%&()*+,-./:;<=>?@[]^_`{|}~';
+
+/**
+ * This class stores Anki notes and their media files inside the extension,
+ * so that they can be exported as an Anki package by users who don't use AnkiConnect.
+ * @augments EventDispatcher<import('anki-local-collection').Events>
+ */
+export class AnkiLocalCollection extends EventDispatcher {
+    constructor() {
+        super();
+        /** @type {import('anki-local-collection').Entry[]} */
+        this._entries = [];
+        /** @type {number} */
+        this._nextId = 1;
+        /** @type {Set<string>} */
+        this._mediaFileNames = new Set();
+    }
+
+    /**
+     * Loads the notes from the storage.
+     */
+    async prepare() {
+        const {[STORAGE_KEY]: data} = await chrome.storage.local.get([STORAGE_KEY]);
+        if (isObjectNotArray(data)) {
+            const {nextId, entries, mediaFileNames} = /** @type {import('anki-local-collection').StorageData} */ (data);
+            if (typeof nextId === 'number') { this._nextId = nextId; }
+            if (Array.isArray(entries)) { this._entries = entries; }
+            if (Array.isArray(mediaFileNames)) { this._mediaFileNames = new Set(mediaFileNames); }
+        }
+    }
+
+    /**
+     * @returns {import('anki-local-collection').Info}
+     */
+    getInfo() {
+        const deckNames = new Set(this._entries.map(({note}) => note.deckName));
+        return {noteCount: this._entries.length, deckNames: [...deckNames]};
+    }
+
+    /**
+     * Stores a media file in the collection.
+     * This has the same signature as `AnkiConnect.storeMediaFile`, so that the media of a note
+     * can be stored in the collection instead of Anki's media folder.
+     * @param {string} fileName The name of the file.
+     * @param {string} content The base64-encoded content of the file.
+     * @returns {Promise<string>} The name of the file.
+     */
+    async storeMediaFile(fileName, content) {
+        this._mediaFileNames.add(fileName);
+        await chrome.storage.local.set({
+            [getMediaStorageKey(fileName)]: content,
+            [STORAGE_KEY]: this._getStorageData(),
+        });
+        return fileName;
+    }
+
+    /**
+     * Checks which notes can be added without creating a duplicate, using the duplicate options of the notes.
+     * Notes are duplicates when their first fields are the same, like in Anki.
+     * @param {import('anki').Note[]} notes
+     * @returns {boolean[]}
+     */
+    canAddNotes(notes) {
+        return notes.map((note) => note.options.allowDuplicate || !this._entries.some((entry) => isDuplicateNote(note, entry.note)));
+    }
+
+    /**
+     * @param {import('anki').Note[]} notes
+     * @param {boolean} suspendNewCards
+     * @returns {Promise<number[]>} The IDs of the added notes.
+     */
+    async addNotes(notes, suspendNewCards) {
+        const ids = [];
+        for (const note of notes) {
+            const fieldValues = Object.values(note.fields);
+            const mediaFileNames = [...this._mediaFileNames].filter((fileName) => fieldValues.some((value) => value.includes(fileName)));
+            const id = this._nextId++;
+            this._entries.push({id, guid: generateGuid(), note, mediaFileNames, suspendNewCards, timestamp: Date.now()});
+            ids.push(id);
+        }
+        await this._save();
+        return ids;
+    }
+
+    /**
+     * Gets the notes of the collection, along with the media files which they use.
+     * @returns {Promise<import('anki-local-collection').Content>}
+     */
+    async getContent() {
+        const fileNames = [...new Set(this._entries.flatMap(({mediaFileNames}) => mediaFileNames))];
+        const keys = fileNames.map(getMediaStorageKey);
+        const items = await chrome.storage.local.get(keys);
+        /** @type {import('anki-local-collection').MediaFile[]} */
+        const media = [];
+        for (let i = 0, ii = fileNames.length; i < ii; ++i) {
+            /** @type {unknown} */
+            const content = items[keys[i]];
+            if (typeof content !== 'string') { continue; }
+            media.push({fileName: fileNames[i], content});
+        }
+        return {entries: this._entries, media};
+    }
+
+    /**
+     * Removes all notes and media files from the collection.
+     */
+    async clear() {
+        const keys = [...this._mediaFileNames].map(getMediaStorageKey);
+        this._entries = [];
+        this._mediaFileNames.clear();
+        await chrome.storage.local.remove(keys);
+        await this._save();
+    }
+
+    // Private
+
+    /**
+     * @returns {import('anki-local-collection').StorageData}
+     */
+    _getStorageData() {
+        return {nextId: this._nextId, entries: this._entries, mediaFileNames: [...this._mediaFileNames]};
+    }
+
+    /** */
+    async _save() {
+        await chrome.storage.local.set({[STORAGE_KEY]: this._getStorageData()});
+        this.trigger('updated', {count: this._entries.length});
+    }
+}
+
+/**
+ * @param {string} fileName
+ * @returns {string}
+ */
+function getMediaStorageKey(fileName) {
+    return `${MEDIA_STORAGE_KEY_PREFIX}${fileName}`;
+}
+
+/**
+ * @returns {string}
+ */
+function generateGuid() {
+    const values = crypto.getRandomValues(new Uint8Array(10));
+    let guid = '';
+    for (const value of values) {
+        guid += GUID_CHARACTERS[value % GUID_CHARACTERS.length];
+    }
+    return guid;
+}
+
+/**
+ * @param {import('anki').Note} note
+ * @param {import('anki').Note} existingNote
+ * @returns {boolean}
+ */
+function isDuplicateNote(note, existingNote) {
+    const {fields, modelName, deckName, options: {duplicateScope, duplicateScopeOptions}} = note;
+    const [firstFieldValue] = Object.values(fields);
+    const [existingFirstFieldValue] = Object.values(existingNote.fields);
+    if (firstFieldValue !== existingFirstFieldValue) { return false; }
+
+    const {deckName: scopeDeckName, checkChildren, checkAllModels} = duplicateScopeOptions;
+    if (!checkAllModels && existingNote.modelName !== modelName) { return false; }
+    if (duplicateScope === 'deck') {
+        const deckName2 = scopeDeckName ?? deckName;
+        return existingNote.deckName === deckName2 || (checkChildren && existingNote.deckName.startsWith(`${deckName2}::`));
+    }
+    return true;
+}
@@ -0,0 +1,314 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {EventDispatcher} from '../core/event-dispatcher.js';
+import {isObjectNotArray} from '../core/object-utilities.js';
+import {toError} from '../core/to-error.js';
+
+/**
+ * The key of the queue in `chrome.storage.local`.
+ */
+const STORAGE_KEY = 'ankiNoteQueue';
+
+/**
+ * The name of the alarm which flushes the queue.
+ */
+const FLUSH_ALARM_NAME = 'ankiNoteQueueFlush';
+
+/**
+ * This class stores the Anki notes which could not be added because AnkiConnect couldn't be reached,
+ * and adds them to Anki in the order they were created once the connection works again.
+ * @augments EventDispatcher<import('anki-note-queue').Events>
+ */
+export class AnkiNoteQueue extends EventDispatcher {
+    /**
+     * @param {import('../comm/anki-connect.js').AnkiConnect} ankiConnect
+     */
+    constructor(ankiConnect) {
+        super();
+        /** @type {import('../comm/anki-connect.js').AnkiConnect} */
+        this._ankiConnect = ankiConnect;
+        /** @type {import('anki-note-queue').Entry[]} */
+        this._entries = [];
+        /** @type {number} */
+        this._nextId = 1;
+        /** @type {Map<string, import('anki-note-queue').PendingMediaFile>} */
+        this._pendingMedia = new Map();
+        /** @type {number} */
+        this._pendingMediaMaxAge = 600000;
+        /** @type {?Promise<void>} */
+        this._flushPromise = null;
+        /** @type {number} */
+        this._flushDelayMinutes = 1;
+    }
+
+    /**
+     * The number of notes in the queue.
+     * @type {number}
+     */
+    get count() {
+        return this._entries.length;
+    }
+
+    /**
+     * Loads the queued notes from the storage and tries to add them to Anki.
+     * The queue is flushed with an alarm rather than a timer, since the service worker can be suspended before a timer fires.
+     * An alarm which restarts the service worker may be dispatched before this listener is added, so the queue is also flushed here.
+     */
+    async prepare() {
+        chrome.alarms.onAlarm.addListener(this._onAlarm.bind(this));
+        const {[STORAGE_KEY]: data} = await chrome.storage.local.get([STORAGE_KEY]);
+        if (isObjectNotArray(data)) {
+            const {nextId, entries, pendingMedia} = /** @type {import('anki-note-queue').StorageData} */ (data);
+            if (typeof nextId === 'number') { this._nextId = nextId; }
+            if (Array.isArray(entries)) { this._entries = entries; }
+            if (Array.isArray(pendingMedia)) {
+                this._pendingMedia = new Map(pendingMedia.map((file) => [file.fileName, file]));
+            }
+        }
+        if (this._entries.length > 0) {
+            void this.flush();
+        }
+    }
+
+    /**
+     * @returns {import('anki-note-queue').EntrySummary[]}
+     */
+    getEntries() {
+        return this._entries.map(({media, ...entry}) => ({...entry, mediaFileNames: media.map(({fileName}) => fileName)}));
+    }
+
+    /**
+     * Keeps a media file until the note which uses it is added to the queue.
+     * This has the same signature as `AnkiConnect.storeMediaFile`, so that the media of a note
+     * can be stored in the queue instead of Anki's media folder.
+     * The files are saved with the queue, since the service worker can be restarted before the note is added.
+     * @param {string} fileName The name of the file.
+     * @param {string} content The base64-encoded content of the file.
+     * @returns {Promise<string>} The name of the file.
+     */
+    async storeMediaFile(fileName, content) {
+        const timestamp = Date.now();
+        for (const [key, {timestamp: timestamp2}] of this._pendingMedia) {
+            if (timestamp - timestamp2 > this._pendingMediaMaxAge) {
+                this._pendingMedia.delete(key);
+            }
+        }
+        this._pendingMedia.set(fileName, {fileName, content, timestamp});
+        await this._saveStorage();
+        return fileName;
+    }
+
+    /**
+     * Adds a note to the end of the queue, along with the stored media files which are used by its fields.
+     * @param {import('anki').Note} note
+     * @param {import('settings').AnkiDuplicateBehavior} duplicateBehavior
+     * @param {boolean} suspendNewCards
+     * @param {?import('anki-note-queue').MiningLogEntry} [miningLogEntry] The mining log entry which is sent with the `noteAdded` event once the note is added.
+     * @returns {Promise<number>} The ID of the queued note.
+     */
+    async addNote(note, duplicateBehavior, suspendNewCards, miningLogEntry = null) {
+        const fieldValues = Object.values(note.fields);
+        /** @type {import('anki-note-queue').MediaFile[]} */
+        const media = [];
+        for (const {fileName, content} of this._pendingMedia.values()) {
+            if (!fieldValues.some((value) => value.includes(fileName))) { continue; }
+            media.push({fileName, content});
+            this._pendingMedia.delete(fileName);
+        }
+
+        const id = this._nextId++;
+        this._entries.push({id, note, media, duplicateBehavior, suspendNewCards, timestamp: Date.now(), error: null, miningLogEntry});
+        await this._save();
+        await this._scheduleFlush();
+        return id;
+    }
+
+    /**
+     * @param {number} id
+     * @param {import('anki').NoteFields} fields
+     * @throws {Error}
+     */
+    async updateNoteFields(id, fields) {
+        const entry = this._getEntry(id);
+        entry.note = {...entry.note, fields: {...fields}};
+        await this._save();
+    }
+
+    /**
+     * @param {number} id
+     * @throws {Error}
+     */
+    async removeNote(id) {
+        const entry = this._getEntry(id);
+        this._entries.splice(this._entries.indexOf(entry), 1);
+        await this._save();
+    }
+
+    /**
+     * Adds the queued notes to Anki in order. Adding stops when AnkiConnect can't be reached,
+     * while notes which fail for other reasons keep their error and stay in the queue.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (this._flushPromise === null) {
+            this._flushPromise = this._flushInternal().finally(() => {
+                this._flushPromise = null;
+            });
+        }
+        return this._flushPromise;
+    }
+
+    // Private
+
+    /**
+     * @param {chrome.alarms.Alarm} alarm
+     */
+    _onAlarm({name}) {
+        if (name !== FLUSH_ALARM_NAME) { return; }
+        void this.flush();
+    }
+
+    /** */
+    async _flushInternal() {
+        await chrome.alarms.clear(FLUSH_ALARM_NAME);
+
+        let changed = false;
+        try {
+            // Entries can be removed while they are being added, so a copy of the list is used
+            const entries = [...this._entries];
+            for (const entry of entries) {
+                if (!this._ankiConnect.enabled || !await this._ankiConnect.isConnected()) { break; }
+                if (!this._entries.includes(entry)) { continue; }
+                /** @type {?string} */
+                let error = null;
+                try {
+                    await this._addEntryToAnki(entry);
+                } catch (e) {
+                    if (!await this._ankiConnect.isConnected()) { break; }
+                    error = toError(e).message;
+                }
+                const index = this._entries.indexOf(entry);
+                if (index < 0) { continue; }
+                if (error === null) {
+                    this._entries.splice(index, 1);
+                } else {
+                    entry.error = error;
+                }
+                changed = true;
+            }
+        } finally {
+            if (changed) {
+                await this._save();
+            }
+            await this._scheduleFlush();
+        }
+    }
+
+    /**
+     * @param {import('anki-note-queue').Entry} entry
+     * @throws {Error}
+     */
+    async _addEntryToAnki(entry) {
+        const ankiConnect = this._ankiConnect;
+        let {note} = entry;
+        for (const {fileName, content} of entry.media) {
+            const storedFileName = await ankiConnect.storeMediaFile(fileName, content);
+            if (storedFileName !== null && storedFileName !== fileName) {
+                note = replaceNoteFileName(note, fileName, storedFileName);
+            }
+        }
+
+        // Duplicates are checked again, since the note may have been added to Anki in the meantime
+        if (entry.duplicateBehavior !== 'new') {
+            const [canAdd] = await ankiConnect.canAddNotes([{...note, options: {...note.options, allowDuplicate: false}}]);
+            if (!canAdd) {
+                const [noteIds] = await ankiConnect.findNoteIds([note]);
+                if (noteIds.length > 0) {
+                    if (entry.duplicateBehavior === 'prevent') {
+                        throw new Error('Note is a duplicate of a note in Anki');
+                    }
+                    const noteWithId = {...note, id: noteIds[0]};
+                    await ankiConnect.updateNoteFields(noteWithId);
+                    return;
+                }
+            }
+        }
+
+        const noteId = await ankiConnect.addNote(note);
+        if (noteId === null) {
+            throw new Error('Note could not be added');
+        }
+        this.trigger('noteAdded', {entry});
+        if (entry.suspendNewCards) {
+            const cardIds = await ankiConnect.findCardsForNote(noteId);
+            if (cardIds.length > 0) {
+                await ankiConnect.suspendCards(cardIds);
+            }
+        }
+    }
+
+    /**
+     * @param {number} id
+     * @returns {import('anki-note-queue').Entry}
+     * @throws {Error}
+     */
+    _getEntry(id) {
+        const entry = this._entries.find((entry2) => entry2.id === id);
+        if (typeof entry === 'undefined') {
+            throw new Error(`Queued note ${id} does not exist`);
+        }
+        return entry;
+    }
+
+    /** */
+    async _save() {
+        await this._saveStorage();
+        this.trigger('updated', {count: this._entries.length});
+    }
+
+    /** */
+    async _saveStorage() {
+        /** @type {import('anki-note-queue').StorageData} */
+        const data = {nextId: this._nextId, entries: this._entries, pendingMedia: [...this._pendingMedia.values()]};
+        await chrome.storage.local.set({[STORAGE_KEY]: data});
+    }
+
+    /** */
+    async _scheduleFlush() {
+        if (this._entries.length === 0) { return; }
+        // The alarm is not replaced, so that adding notes doesn't postpone the flush
+        const alarm = /** @type {chrome.alarms.Alarm|undefined} */ (await chrome.alarms.get(FLUSH_ALARM_NAME));
+        if (typeof alarm !== 'undefined') { return; }
+        await chrome.alarms.create(FLUSH_ALARM_NAME, {delayInMinutes: this._flushDelayMinutes});
+    }
+}
+
+/**
+ * @param {import('anki').Note} note
+ * @param {string} fileName
+ * @param {string} newFileName
+ * @returns {import('anki').Note}
+ */
+function replaceNoteFileName(note, fileName, newFileName) {
+    /** @type {import('anki').NoteFields} */
+    const fields = {};
+    for (const [name, value] of Object.entries(note.fields)) {
+        fields[name] = value.split(fileName).join(newFileName);
+    }
+    return {...note, fields};
+}
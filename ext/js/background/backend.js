@@ -33,13 +33,19 @@ import {arrayBufferToBase64} from '../data/array-buffer-util.js';
 import {OptionsUtil} from '../data/options-util.js';
 import {getAllPermissions, hasPermissions, hasRequiredPermissionsForOptions} from '../data/permissions-util.js';
 import {DictionaryDatabase} from '../dictionary/dictionary-database.js';
+import {USER_DICTIONARY_TITLE, UserDictionary} from '../dictionary/user-dictionary.js';
 import {Environment} from '../extension/environment.js';
+import {CacheMap} from '../general/cache-map.js';
 import {ObjectPropertyAccessor} from '../general/object-property-accessor.js';
 import {distributeFuriganaInflected, isCodePointJapanese, convertKatakanaToHiragana as jpConvertKatakanaToHiragana} from '../language/ja/japanese.js';
-import {getLanguageSummaries, isTextLookupWorthy} from '../language/languages.js';
+import {getLanguageSummaries, isTextLookupWorthy, isWordSegmentationRequired} from '../language/languages.js';
 import {Translator} from '../language/translator.js';
 import {AudioDownloader} from '../media/audio-downloader.js';
 import {getFileExtensionFromAudioMediaType, getFileExtensionFromImageMediaType} from '../media/media-util.js';
+import {AnkiLocalCollection} from './anki-local-collection.js';
+import {AnkiNoteQueue} from './anki-note-queue.js';
+import {KnownWordTracker} from './known-word-tracker.js';
+import {MiningLog} from './mining-log.js';
 import {ClipboardReaderProxy, DictionaryDatabaseProxy, OffscreenProxy, TranslatorProxy} from './offscreen-proxy.js';
 import {createSchema, normalizeContext} from './profile-conditions-util.js';
 import {RequestBuilder} from './request-builder.js';
@@ -60,6 +66,18 @@ export class Backend {
         this._environment = new Environment();
         /** @type {AnkiConnect} */
         this._anki = new AnkiConnect();
+        /** @type {AnkiNoteQueue} */
+        this._ankiNoteQueue = new AnkiNoteQueue(this._anki);
+        /** @type {AnkiLocalCollection} */
+        this._ankiLocalCollection = new AnkiLocalCollection();
+        /** @type {import('settings').AnkiNoteTarget} */
+        this._ankiNoteTarget = 'ankiConnect';
+        /** @type {KnownWordTracker} */
+        this._knownWordTracker = new KnownWordTracker(this._anki);
+        /** @type {WeakMap<import('settings').ProfileOptions, CacheMap<string, import('known-words').TextWord[]>>} */
+        this._knownWordTextCaches = new WeakMap();
+        /** @type {MiningLog} */
+        this._miningLog = new MiningLog();
         /** @type {Mecab} */
         this._mecab = new Mecab();
 
@@ -88,6 +106,8 @@ export class Backend {
             this._clipboardReader = new ClipboardReaderProxy(this._offscreen);
         }
 
+        /** @type {UserDictionary} */
+        this._userDictionary = new UserDictionary(this._dictionaryDatabase);
         /** @type {ClipboardMonitor} */
         this._clipboardMonitor = new ClipboardMonitor(this._clipboardReader);
         /** @type {?import('settings').Options} */
@@ -103,7 +123,7 @@ export class Backend {
         /** @type {RequestBuilder} */
         this._requestBuilder = new RequestBuilder();
         /** @type {AudioDownloader} */
-        this._audioDownloader = new AudioDownloader(this._requestBuilder);
+        this._audioDownloader = new AudioDownloader(this._requestBuilder, this._dictionaryDatabase);
         /** @type {OptionsUtil} */
         this._optionsUtil = new OptionsUtil();
         /** @type {AccessibilityController} */
@@ -158,6 +178,21 @@ export class Backend {
             ['injectAnkiNoteMedia',          this._onApiInjectAnkiNoteMedia.bind(this)],
             ['viewNotes',                    this._onApiViewNotes.bind(this)],
             ['suspendAnkiCardsForNote',      this._onApiSuspendAnkiCardsForNote.bind(this)],
+            ['queueAnkiNote',                this._onApiQueueAnkiNote.bind(this)],
+            ['getAnkiNoteQueue',             this._onApiGetAnkiNoteQueue.bind(this)],
+            ['updateQueuedAnkiNote',         this._onApiUpdateQueuedAnkiNote.bind(this)],
+            ['removeQueuedAnkiNote',         this._onApiRemoveQueuedAnkiNote.bind(this)],
+            ['flushAnkiNoteQueue',           this._onApiFlushAnkiNoteQueue.bind(this)],
+            ['addLocalAnkiNotes',            this._onApiAddLocalAnkiNotes.bind(this)],
+            ['canAddLocalAnkiNotes',         this._onApiCanAddLocalAnkiNotes.bind(this)],
+            ['getLocalAnkiCollectionInfo',   this._onApiGetLocalAnkiCollectionInfo.bind(this)],
+            ['exportLocalAnkiCollection',    this._onApiExportLocalAnkiCollection.bind(this)],
+            ['clearLocalAnkiCollection',     this._onApiClearLocalAnkiCollection.bind(this)],
+            ['getKnownWords',                this._onApiGetKnownWords.bind(this)],
+            ['clearKnownWordLookupHistory',  this._onApiClearKnownWordLookupHistory.bind(this)],
+            ['addMiningLogEntry',            this._onApiAddMiningLogEntry.bind(this)],
+            ['getMiningLog',                 this._onApiGetMiningLog.bind(this)],
+            ['clearMiningLog',               this._onApiClearMiningLog.bind(this)],
             ['commandExec',                  this._onApiCommandExec.bind(this)],
             ['getTermAudioInfoList',         this._onApiGetTermAudioInfoList.bind(this)],
             ['sendMessageToFrame',           this._onApiSendMessageToFrame.bind(this)],
@@ -171,6 +206,10 @@ export class Backend {
             ['getDefaultAnkiFieldTemplates', this._onApiGetDefaultAnkiFieldTemplates.bind(this)],
             ['getDictionaryInfo',            this._onApiGetDictionaryInfo.bind(this)],
             ['purgeDatabase',                this._onApiPurgeDatabase.bind(this)],
+            ['getUserDictionaryEntries',     this._onApiGetUserDictionaryEntries.bind(this)],
+            ['addUserDictionaryEntry',       this._onApiAddUserDictionaryEntry.bind(this)],
+            ['updateUserDictionaryEntry',    this._onApiUpdateUserDictionaryEntry.bind(this)],
+            ['deleteUserDictionaryEntry',    this._onApiDeleteUserDictionaryEntry.bind(this)],
             ['getMedia',                     this._onApiGetMedia.bind(this)],
             ['logGenericErrorBackend',       this._onApiLogGenericErrorBackend.bind(this)],
             ['logIndicatorClear',            this._onApiLogIndicatorClear.bind(this)],
@@ -182,7 +221,9 @@ export class Backend {
             ['triggerDatabaseUpdated',       this._onApiTriggerDatabaseUpdated.bind(this)],
             ['testMecab',                    this._onApiTestMecab.bind(this)],
             ['isTextLookupWorthy',           this._onApiIsTextLookupWorthy.bind(this)],
+            ['getInflectionTable',           this._onApiGetInflectionTable.bind(this)],
             ['getTermFrequencies',           this._onApiGetTermFrequencies.bind(this)],
+            ['getTermSuggestions',           this._onApiGetTermSuggestions.bind(this)],
             ['findAnkiNotes',                this._onApiFindAnkiNotes.bind(this)],
             ['openCrossFramePort',           this._onApiOpenCrossFramePort.bind(this)],
             ['getLanguageSummaries',         this._onApiGetLanguageSummaries.bind(this)],
@@ -295,6 +336,17 @@ export class Backend {
 
             this._clipboardMonitor.on('change', this._onClipboardTextChange.bind(this));
 
+            this._ankiNoteQueue.on('updated', this._onAnkiNoteQueueUpdated.bind(this));
+            this._ankiNoteQueue.on('noteAdded', this._onAnkiNoteQueueNoteAdded.bind(this));
+            await this._ankiNoteQueue.prepare();
+
+            this._ankiLocalCollection.on('updated', this._onAnkiLocalCollectionUpdated.bind(this));
+            await this._ankiLocalCollection.prepare();
+
+            await this._knownWordTracker.prepare();
+
+            await this._miningLog.prepare();
+
             this._sendMessageAllTabsIgnoreResponse({action: 'applicationBackendReady'});
             this._sendMessageIgnoreResponse({action: 'applicationBackendReady'});
         } catch (e) {
@@ -310,6 +362,31 @@ export class Backend {
 
     // Event handlers
 
+    /** */
+    _onAnkiNoteQueueUpdated() {
+        this._knownWordTracker.clearCache();
+        this._updateBadge();
+        this._sendMessageAllTabsIgnoreResponse({action: 'applicationAnkiNoteQueueUpdated'});
+    }
+
+    /**
+     * Queued notes are only recorded in the mining log once they are added to Anki.
+     * @param {import('anki-note-queue').EventArgument<'noteAdded'>} details
+     */
+    async _onAnkiNoteQueueNoteAdded({entry: {miningLogEntry}}) {
+        if (miningLogEntry === null) { return; }
+        try {
+            await this._miningLog.addEntry({...miningLogEntry, timestamp: Date.now()});
+        } catch (e) {
+            log.error(e);
+        }
+    }
+
+    /** */
+    _onAnkiLocalCollectionUpdated() {
+        this._sendMessageAllTabsIgnoreResponse({action: 'applicationLocalAnkiCollectionUpdated'});
+    }
+
     /**
      * @param {import('clipboard-monitor').EventArgument<'change'>} details
      */
@@ -492,12 +569,16 @@ export class Backend {
         const findTermsOptions = this._getTranslatorFindTermsOptions(mode, details, options);
         const {dictionaryEntries, originalTextLength} = await this._translator.findTerms(mode, text, findTermsOptions);
         dictionaryEntries.splice(maxResults);
+        if (options.knownWordHighlighting.enable && dictionaryEntries.length > 0) {
+            this._knownWordTracker.addLookedUpTerm(dictionaryEntries[0].headwords[0].term);
+        }
         return {dictionaryEntries, originalTextLength};
     }
 
     /** @type {import('api').ApiHandler<'parseText'>} */
-    async _onApiParseText({text, optionsContext, scanLength, useInternalParser, useMecabParser}) {
-        const [internalResults, mecabResults] = await Promise.all([
+    async _onApiParseText({text, optionsContext, scanLength, useInternalParser, useMecabParser, useLanguageParser}) {
+        const [languageResults, internalResults, mecabResults] = await Promise.all([
+            (useLanguageParser ? this._textParseLanguage(text, optionsContext) : null),
             (useInternalParser ? this._textParseScanning(text, scanLength, optionsContext) : null),
             (useMecabParser ? this._textParseMecab(text) : null),
         ]);
@@ -505,6 +586,15 @@ export class Backend {
         /** @type {import('api').ParseTextResultItem[]} */
         const results = [];
 
+        if (languageResults !== null) {
+            results.push({
+                id: 'language',
+                source: 'language-parser',
+                dictionary: null,
+                content: languageResults,
+            });
+        }
+
         if (internalResults !== null) {
             results.push({
                 id: 'scan',
@@ -535,11 +625,16 @@ export class Backend {
 
     /** @type {import('api').ApiHandler<'isAnkiConnected'>} */
     async _onApiIsAnkiConnected() {
-        return await this._anki.isConnected();
+        const connected = await this._anki.isConnected();
+        if (connected && this._ankiNoteQueue.count > 0) {
+            void this._ankiNoteQueue.flush();
+        }
+        return connected;
     }
 
     /** @type {import('api').ApiHandler<'addAnkiNote'>} */
     async _onApiAddAnkiNote({note}) {
+        this._knownWordTracker.clearCache();
         return await this._anki.addNote(note);
     }
 
@@ -630,8 +725,17 @@ export class Backend {
 
     /** @type {import('api').ApiHandler<'injectAnkiNoteMedia'>} */
     async _onApiInjectAnkiNoteMedia({timestamp, definitionDetails, audioDetails, screenshotDetails, clipboardDetails, dictionaryMediaDetails}) {
+        // Notes which are saved to the local collection keep their media there, and when Anki can't be reached,
+        // the media is kept for the note which is added to the queue
+        /** @type {AnkiConnect|AnkiNoteQueue|AnkiLocalCollection} */
+        let mediaStore;
+        if (this._ankiNoteTarget === 'localCollection') {
+            mediaStore = this._ankiLocalCollection;
+        } else {
+            mediaStore = await this._anki.isConnected() ? this._anki : this._ankiNoteQueue;
+        }
         return await this._injectAnkNoteMedia(
-            this._anki,
+            mediaStore,
             timestamp,
             definitionDetails,
             audioDetails,
@@ -670,6 +774,96 @@ export class Backend {
         return count;
     }
 
+    /** @type {import('api').ApiHandler<'queueAnkiNote'>} */
+    async _onApiQueueAnkiNote({note, duplicateBehavior, suspendNewCards, miningLogEntry, optionsContext}) {
+        return await this._ankiNoteQueue.addNote(note, duplicateBehavior, suspendNewCards, this._createMiningLogEntry(miningLogEntry, optionsContext));
+    }
+
+    /** @type {import('api').ApiHandler<'getAnkiNoteQueue'>} */
+    _onApiGetAnkiNoteQueue() {
+        return this._ankiNoteQueue.getEntries();
+    }
+
+    /** @type {import('api').ApiHandler<'updateQueuedAnkiNote'>} */
+    async _onApiUpdateQueuedAnkiNote({id, fields}) {
+        await this._ankiNoteQueue.updateNoteFields(id, fields);
+    }
+
+    /** @type {import('api').ApiHandler<'removeQueuedAnkiNote'>} */
+    async _onApiRemoveQueuedAnkiNote({id}) {
+        await this._ankiNoteQueue.removeNote(id);
+    }
+
+    /** @type {import('api').ApiHandler<'flushAnkiNoteQueue'>} */
+    async _onApiFlushAnkiNoteQueue() {
+        await this._ankiNoteQueue.flush();
+        return this._ankiNoteQueue.count;
+    }
+
+    /** @type {import('api').ApiHandler<'addLocalAnkiNotes'>} */
+    async _onApiAddLocalAnkiNotes({notes, suspendNewCards}) {
+        return await this._ankiLocalCollection.addNotes(notes, suspendNewCards);
+    }
+
+    /** @type {import('api').ApiHandler<'canAddLocalAnkiNotes'>} */
+    _onApiCanAddLocalAnkiNotes({notes}) {
+        return this._ankiLocalCollection.canAddNotes(notes);
+    }
+
+    /** @type {import('api').ApiHandler<'getLocalAnkiCollectionInfo'>} */
+    _onApiGetLocalAnkiCollectionInfo() {
+        return this._ankiLocalCollection.getInfo();
+    }
+
+    /** @type {import('api').ApiHandler<'exportLocalAnkiCollection'>} */
+    async _onApiExportLocalAnkiCollection() {
+        return await this._ankiLocalCollection.getContent();
+    }
+
+    /** @type {import('api').ApiHandler<'clearLocalAnkiCollection'>} */
+    async _onApiClearLocalAnkiCollection() {
+        await this._ankiLocalCollection.clear();
+    }
+
+    /** @type {import('api').ApiHandler<'getKnownWords'>} */
+    async _onApiGetKnownWords({texts, optionsContext}) {
+        const options = this._getProfileOptions(optionsContext, false);
+        const {knownWordHighlighting: {ankiDeck, ankiField}, anki: {terms: {fields}}} = options;
+        const [firstFieldName = ''] = Object.keys(fields);
+        const fieldName = ankiField.length > 0 ? ankiField : firstFieldName;
+
+        /** @type {import('known-words').TextWord[][]} */
+        const textWordsArray = [];
+        for (const text of texts) {
+            textWordsArray.push(await this._getKnownWordTextWords(text, options));
+        }
+
+        const terms = textWordsArray.flat().map(({term}) => term);
+        const statuses = await this._knownWordTracker.getStatuses(terms, ankiDeck, fieldName);
+        let i = 0;
+        return textWordsArray.map((textWords) => textWords.map((textWord) => ({...textWord, status: statuses[i++]})));
+    }
+
+    /** @type {import('api').ApiHandler<'clearKnownWordLookupHistory'>} */
+    async _onApiClearKnownWordLookupHistory() {
+        await this._knownWordTracker.clearLookupHistory();
+    }
+
+    /** @type {import('api').ApiHandler<'addMiningLogEntry'>} */
+    async _onApiAddMiningLogEntry({entry, optionsContext}) {
+        await this._miningLog.addEntry({...this._createMiningLogEntry(entry, optionsContext), timestamp: Date.now()});
+    }
+
+    /** @type {import('api').ApiHandler<'getMiningLog'>} */
+    _onApiGetMiningLog() {
+        return this._miningLog.getEntries();
+    }
+
+    /** @type {import('api').ApiHandler<'clearMiningLog'>} */
+    async _onApiClearMiningLog() {
+        await this._miningLog.clear();
+    }
+
     /** @type {import('api').ApiHandler<'commandExec'>} */
     _onApiCommandExec({command, params}) {
         return this._runCommand(command, params);
@@ -790,6 +984,33 @@ export class Backend {
         this._triggerDatabaseUpdated('dictionary', 'purge');
     }
 
+    /** @type {import('api').ApiHandler<'getUserDictionaryEntries'>} */
+    async _onApiGetUserDictionaryEntries() {
+        return await this._userDictionary.getEntries();
+    }
+
+    /** @type {import('api').ApiHandler<'addUserDictionaryEntry'>} */
+    async _onApiAddUserDictionaryEntry({details}) {
+        const {id, created} = await this._userDictionary.addEntry(details);
+        if (created) {
+            await this._addUserDictionaryToProfiles();
+        }
+        this._triggerDatabaseUpdated('dictionary', 'edit');
+        return id;
+    }
+
+    /** @type {import('api').ApiHandler<'updateUserDictionaryEntry'>} */
+    async _onApiUpdateUserDictionaryEntry({id, details}) {
+        await this._userDictionary.updateEntry(id, details);
+        this._triggerDatabaseUpdated('dictionary', 'edit');
+    }
+
+    /** @type {import('api').ApiHandler<'deleteUserDictionaryEntry'>} */
+    async _onApiDeleteUserDictionaryEntry({id}) {
+        await this._userDictionary.deleteEntry(id);
+        this._triggerDatabaseUpdated('dictionary', 'edit');
+    }
+
     /** @type {import('api').ApiHandler<'getMedia'>} */
     async _onApiGetMedia({targets}) {
         return await this._getNormalizedDictionaryDatabaseMedia(targets);
@@ -903,11 +1124,24 @@ export class Backend {
         return isTextLookupWorthy(text, language);
     }
 
+    /** @type {import('api').ApiHandler<'getInflectionTable'>} */
+    async _onApiGetInflectionTable({language, term, wordClasses}) {
+        return await this._translator.getInflectionTable(language, term, wordClasses);
+    }
+
     /** @type {import('api').ApiHandler<'getTermFrequencies'>} */
     async _onApiGetTermFrequencies({termReadingList, dictionaries}) {
         return await this._translator.getTermFrequencies(termReadingList, dictionaries);
     }
 
+    /** @type {import('api').ApiHandler<'getTermSuggestions'>} */
+    async _onApiGetTermSuggestions({text, optionsContext}) {
+        const options = this._getProfileOptions(optionsContext, false);
+        const {general: {language}, dictionaries} = options;
+        const enabledDictionaries = dictionaries.filter(({enabled}) => enabled).map(({name}) => name);
+        return await this._translator.findTermSuggestions(text, language, enabledDictionaries);
+    }
+
     /** @type {import('api').ApiHandler<'findAnkiNotes'>} */
     async _onApiFindAnkiNotes({query}) {
         return await this._anki.findNotes(query);
@@ -1301,6 +1535,9 @@ export class Backend {
         this._anki.server = options.anki.server;
         this._anki.enabled = options.anki.enable && enabled;
         this._anki.apiKey = apiKey;
+        this._ankiNoteTarget = options.anki.noteTarget;
+        this._knownWordTracker.clearCache();
+        this._knownWordTextCaches = new WeakMap();
 
         this._mecab.setEnabled(options.parsing.enableMecabParser && enabled);
 
@@ -1354,6 +1591,16 @@ export class Backend {
         return this._getProfile(optionsContext, useSchema).options;
     }
 
+    /**
+     * @param {import('mining-log').EntryDetails} entry
+     * @param {import('settings').OptionsContext} optionsContext
+     * @returns {import('anki-note-queue').MiningLogEntry}
+     */
+    _createMiningLogEntry(entry, optionsContext) {
+        const {name: profile, options: {general: {language}}} = this._getProfile(optionsContext, false);
+        return {...entry, profile, language};
+    }
+
     /**
      * @param {import('settings').OptionsContext} optionsContext
      * @param {boolean} useSchema
@@ -1465,6 +1712,8 @@ export class Backend {
         const options = this._getProfileOptions(optionsContext, false);
         const details = {matchType: /** @type {import('translation').FindTermsMatchType} */ ('exact'), deinflect: true};
         const findTermsOptions = this._getTranslatorFindTermsOptions(mode, details, options);
+        // Segmented words are chosen by maximal matching, so single-character matches are words rather than stray letters
+        const groupSingleCharacters = isWordSegmentationRequired(options.general.language);
         /** @type {import('api').ParseTextLine[]} */
         const results = [];
         let previousUngroupedSegment = null;
@@ -1481,7 +1730,7 @@ export class Backend {
             if (
                 dictionaryEntries.length > 0 &&
                 originalTextLength > 0 &&
-                (originalTextLength !== character.length || isCodePointJapanese(codePoint))
+                (originalTextLength !== character.length || groupSingleCharacters || isCodePointJapanese(codePoint))
             ) {
                 previousUngroupedSegment = null;
                 const {headwords: [{term, reading}]} = dictionaryEntries[0];
@@ -1505,6 +1754,134 @@ export class Backend {
         return results;
     }
 
+    /**
+     * Splits the text into words and looks up each word on its own, so that each word is shown with its dictionary form.
+     * Japanese is not written with spaces between words, so it is left to the scanning and MeCab parsers.
+     * @param {string} text
+     * @param {import('settings').OptionsContext} optionsContext
+     * @returns {Promise<?import('api').ParseTextLine[]>}
+     */
+    async _textParseLanguage(text, optionsContext) {
+        const options = this._getProfileOptions(optionsContext, false);
+        const {general: {language}, scanning: {length: scanLength}} = options;
+        if (language === 'ja') { return null; }
+
+        /** @type {import('translator').FindTermsMode} */
+        const mode = 'simple';
+        const details = {matchType: /** @type {import('translation').FindTermsMatchType} */ ('exact'), deinflect: true};
+        const findTermsOptions = this._getTranslatorFindTermsOptions(mode, details, options);
+        const segmentWords = isWordSegmentationRequired(language);
+        /** @type {import('api').ParseTextLine[]} */
+        const results = [];
+        let position = 0;
+        for (const {0: word, index} of text.matchAll(/[\p{Letter}\p{Mark}\p{Number}]+(?:['’-][\p{Letter}\p{Mark}\p{Number}]+)*/gu)) {
+            if (index > position) {
+                results.push([{text: text.substring(position, index), reading: ''}]);
+            }
+            position = index + word.length;
+
+            /** @type {?import('api').ParseTextSegment} */
+            let previousUngroupedSegment = null;
+            for (let i = 0, ii = word.length; i < ii;) {
+                // Text without spaces between words can be as long as a paragraph, so only up to the scan length is looked up at each position
+                const lookupText = segmentWords ? word.substring(i, i + scanLength) : word;
+                const {dictionaryEntries, originalTextLength} = await this._translator.findTerms(mode, lookupText, findTermsOptions);
+                // Words of languages with spaces are only looked up as a whole, so that an unknown word isn't split at a shorter match
+                if (dictionaryEntries.length > 0 && originalTextLength > 0 && (segmentWords || originalTextLength === ii)) {
+                    previousUngroupedSegment = null;
+                    const {headwords: [{term, reading}], inflectionRuleChainCandidates} = dictionaryEntries[0];
+                    const inflectionRules = inflectionRuleChainCandidates.length > 0 ? inflectionRuleChainCandidates[0].inflectionRules : [];
+                    results.push([{
+                        text: word.substring(i, i + originalTextLength),
+                        reading: '',
+                        lemma: {term, reading, inflectionRules},
+                    }]);
+                    i += originalTextLength;
+                } else if (segmentWords) {
+                    const character = String.fromCodePoint(/** @type {number} */ (word.codePointAt(i)));
+                    if (previousUngroupedSegment === null) {
+                        previousUngroupedSegment = {text: character, reading: ''};
+                        results.push([previousUngroupedSegment]);
+                    } else {
+                        previousUngroupedSegment.text += character;
+                    }
+                    i += character.length;
+                } else {
+                    results.push([{text: word, reading: ''}]);
+                    break;
+                }
+            }
+        }
+        if (position < text.length) {
+            results.push([{text: text.substring(position), reading: ''}]);
+        }
+        return results;
+    }
+
+    /**
+     * @param {string} text
+     * @param {import('settings').ProfileOptions} options
+     * @returns {Promise<import('known-words').TextWord[]>}
+     */
+    async _getKnownWordTextWords(text, options) {
+        let cache = this._knownWordTextCaches.get(options);
+        if (typeof cache === 'undefined') {
+            cache = new CacheMap(1000);
+            this._knownWordTextCaches.set(options, cache);
+        }
+        let textWords = cache.get(text);
+        if (typeof textWords === 'undefined') {
+            textWords = await this._findKnownWordTextWords(text, options);
+            cache.set(text, textWords);
+        }
+        return textWords;
+    }
+
+    /**
+     * Finds the words of a text which are in the dictionaries, along with their dictionary forms.
+     * Words which aren't in the dictionaries are skipped, since there is nothing to learn about them.
+     * @param {string} text
+     * @param {import('settings').ProfileOptions} options
+     * @returns {Promise<import('known-words').TextWord[]>}
+     */
+    async _findKnownWordTextWords(text, options) {
+        /** @type {import('translator').FindTermsMode} */
+        const mode = 'simple';
+        const details = {matchType: /** @type {import('translation').FindTermsMatchType} */ ('exact'), deinflect: true};
+        const findTermsOptions = this._getTranslatorFindTermsOptions(mode, details, options);
+        const {general: {language}, scanning: {length: scanLength}} = options;
+        /** @type {import('known-words').TextWord[]} */
+        const textWords = [];
+
+        if (language === 'ja' || isWordSegmentationRequired(language)) {
+            // Words aren't separated by spaces, so the longest match at each position is used
+            for (let i = 0, ii = text.length; i < ii;) {
+                const codePoint = /** @type {number} */ (text.codePointAt(i));
+                const characterLength = String.fromCodePoint(codePoint).length;
+                if (language === 'ja' && !isCodePointJapanese(codePoint)) {
+                    i += characterLength;
+                    continue;
+                }
+                const {dictionaryEntries, originalTextLength} = await this._translator.findTerms(mode, text.substring(i, i + scanLength), findTermsOptions);
+                if (dictionaryEntries.length > 0 && originalTextLength > 0) {
+                    textWords.push({start: i, length: originalTextLength, term: dictionaryEntries[0].headwords[0].term});
+                    i += originalTextLength;
+                } else {
+                    i += characterLength;
+                }
+            }
+            return textWords;
+        }
+
+        for (const {0: word, index} of text.matchAll(/[\p{Letter}\p{Mark}\p{Number}]+(?:['’-][\p{Letter}\p{Mark}\p{Number}]+)*/gu)) {
+            const {dictionaryEntries, originalTextLength} = await this._translator.findTerms(mode, word, findTermsOptions);
+            if (dictionaryEntries.length > 0 && originalTextLength === word.length) {
+                textWords.push({start: index, length: word.length, term: dictionaryEntries[0].headwords[0].term});
+            }
+        }
+        return textWords;
+    }
+
     /**
      * @param {string} text
      * @returns {Promise<import('backend').MecabParseResults>}
@@ -1701,6 +2078,11 @@ export class Backend {
                 text = '!';
                 color = '#f0ad4e';
                 status = 'No dictionaries installed';
+            } else if (this._ankiNoteQueue.count > 0) {
+                const count = this._ankiNoteQueue.count;
+                text = `${count}`;
+                color = '#4e7cf0';
+                status = `${count} ${count === 1 ? 'note' : 'notes'} waiting to be added to Anki`;
             }
         }
 
@@ -2088,7 +2470,7 @@ export class Backend {
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * @param {AnkiConnect|AnkiNoteQueue|AnkiLocalCollection} ankiConnect
      * @param {number} timestamp
      * @param {import('api').InjectAnkiNoteMediaDefinitionDetails} definitionDetails
      * @param {?import('api').InjectAnkiNoteMediaAudioDetails} audioDetails
@@ -2160,7 +2542,7 @@ export class Backend {
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * @param {AnkiConnect|AnkiNoteQueue|AnkiLocalCollection} ankiConnect
      * @param {number} timestamp
      * @param {import('api').InjectAnkiNoteMediaDefinitionDetails} definitionDetails
      * @param {import('api').InjectAnkiNoteMediaAudioDetails} details
@@ -2199,7 +2581,7 @@ export class Backend {
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * @param {AnkiConnect|AnkiNoteQueue|AnkiLocalCollection} ankiConnect
      * @param {number} timestamp
      * @param {import('api').InjectAnkiNoteMediaScreenshotDetails} details
      * @returns {Promise<?string>}
@@ -2219,7 +2601,7 @@ export class Backend {
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * @param {AnkiConnect|AnkiNoteQueue|AnkiLocalCollection} ankiConnect
      * @param {number} timestamp
      * @returns {Promise<?string>}
      */
@@ -2250,7 +2632,7 @@ export class Backend {
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * @param {AnkiConnect|AnkiNoteQueue|AnkiLocalCollection} ankiConnect
      * @param {number} timestamp
      * @param {import('api').InjectAnkiNoteMediaDictionaryMediaDetails[]} dictionaryMediaDetails
      * @returns {Promise<{results: import('api').InjectAnkiNoteDictionaryMediaResult[], errors: unknown[]}>}
@@ -2286,7 +2668,7 @@ export class Backend {
             let fileName = null;
             if (media !== null) {
                 const {content, mediaType} = media;
-                const extension = getFileExtensionFromImageMediaType(mediaType);
+                const extension = getFileExtensionFromImageMediaType(mediaType) ?? getFileExtensionFromAudioMediaType(mediaType);
                 fileName = this._generateAnkiNoteMediaFileName(
                     `yomitan_dictionary_media_${i + 1}`,
                     extension !== null ? extension : '',
@@ -2437,6 +2819,29 @@ export class Backend {
         this._sendMessageAllTabsIgnoreResponse({action: 'applicationDatabaseUpdated', params: {type, cause}});
     }
 
+    /**
+     * Enables the user dictionary in the profiles which don't have settings for it.
+     */
+    async _addUserDictionaryToProfiles() {
+        const options = this._getOptionsFull(true);
+        for (const {options: {dictionaries}} of options.profiles) {
+            if (dictionaries.some(({name}) => name === USER_DICTIONARY_TITLE)) { continue; }
+            dictionaries.push({
+                name: USER_DICTIONARY_TITLE,
+                alias: USER_DICTIONARY_TITLE,
+                priority: 0,
+                enabled: true,
+                allowSecondarySearches: false,
+                definitionsCollapsible: 'not-collapsible',
+                partsOfSpeechFilter: true,
+                useDeinflections: true,
+                genderTags: {masculine: 'm', feminine: 'f', neuter: 'n'},
+                styles: '',
+            });
+        }
+        await this._saveOptions('background');
+    }
+
     /**
      * @param {string} source
      */
@@ -2455,9 +2860,11 @@ export class Backend {
      * @returns {import('translation').FindTermsOptions} An options object.
      */
     _getTranslatorFindTermsOptions(mode, details, options) {
-        let {matchType, deinflect} = details;
+        let {matchType, deinflect, searchGlossary} = details;
         if (typeof matchType !== 'string') { matchType = /** @type {import('translation').FindTermsMatchType} */ ('exact'); }
         if (typeof deinflect !== 'boolean') { deinflect = true; }
+        if (typeof searchGlossary !== 'boolean') { searchGlossary = false; }
+        const sentence = (typeof details.sentence === 'object' && details.sentence !== null ? details.sentence : null);
         const enabledDictionaryMap = this._getTranslatorEnabledDictionaryMap(options);
         const {
             general: {mainDictionary, sortFrequencyDictionary, sortFrequencyDictionaryOrder, language},
@@ -2465,6 +2872,7 @@ export class Backend {
             translation: {
                 textReplacements: textReplacementsOptions,
                 searchResolution,
+                compoundSplitting,
             },
         } = options;
         const textReplacements = this._getTranslatorTextReplacements(textReplacementsOptions);
@@ -2477,6 +2885,7 @@ export class Backend {
                 allowSecondarySearches: false,
                 partsOfSpeechFilter: true,
                 useDeinflections: true,
+                genderTags: new Map(),
             });
             excludeDictionaryDefinitions = new Set();
             excludeDictionaryDefinitions.add(mainDictionary);
@@ -2489,6 +2898,9 @@ export class Backend {
             sortFrequencyDictionaryOrder,
             removeNonJapaneseCharacters: !alphanumeric,
             searchResolution,
+            compoundSplitting,
+            searchGlossary,
+            sentence,
             textReplacements,
             enabledDictionaryMap,
             excludeDictionaryDefinitions,
@@ -2517,7 +2929,7 @@ export class Backend {
         const enabledDictionaryMap = new Map();
         for (const dictionary of options.dictionaries) {
             if (!dictionary.enabled) { continue; }
-            const {name, alias, priority, allowSecondarySearches, partsOfSpeechFilter, useDeinflections} = dictionary;
+            const {name, alias, priority, allowSecondarySearches, partsOfSpeechFilter, useDeinflections, genderTags} = dictionary;
             enabledDictionaryMap.set(name, {
                 index: enabledDictionaryMap.size,
                 alias,
@@ -2525,11 +2937,28 @@ export class Backend {
                 allowSecondarySearches,
                 partsOfSpeechFilter,
                 useDeinflections,
+                genderTags: this._getTranslatorGenderTags(genderTags),
             });
         }
         return enabledDictionaryMap;
     }
 
+    /**
+     * @param {import('settings').DictionaryGenderTags} genderTags
+     * @returns {Map<string, import('language').GrammaticalGender>}
+     */
+    _getTranslatorGenderTags(genderTags) {
+        /** @type {Map<string, import('language').GrammaticalGender>} */
+        const results = new Map();
+        for (const gender of /** @type {import('language').GrammaticalGender[]} */ (['masculine', 'feminine', 'neuter'])) {
+            for (const tagName of genderTags[gender].split(/\s+/)) {
+                if (tagName.length === 0 || results.has(tagName)) { continue; }
+                results.set(tagName, gender);
+            }
+        }
+        return results;
+    }
+
     /**
      * @param {import('settings').TranslationTextReplacementOptions} textReplacementsOptions
      * @returns {(?(import('translation').FindTermsTextReplacement[]))[]}
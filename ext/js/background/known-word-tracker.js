@@ -0,0 +1,238 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The key of the lookup history in `chrome.storage.local`.
+ */
+const LOOKUP_HISTORY_STORAGE_KEY = 'knownWordLookupHistory';
+
+/**
+ * This class determines whether words are known, using the notes in Anki and the terms which were looked up before.
+ * The results of the Anki searches are cached for a while, since pages request the statuses of many words at once.
+ */
+export class KnownWordTracker {
+    /**
+     * @param {import('../comm/anki-connect.js').AnkiConnect} ankiConnect
+     */
+    constructor(ankiConnect) {
+        /** @type {import('../comm/anki-connect.js').AnkiConnect} */
+        this._ankiConnect = ankiConnect;
+        /** @type {Set<string>} */
+        this._lookupHistory = new Set();
+        /** @type {number} */
+        this._lookupHistoryMaxSize = 20000;
+        /** @type {?import('core').Timeout} */
+        this._saveTimer = null;
+        /** @type {number} */
+        this._saveDelay = 5000;
+        /** @type {Map<string, import('known-words').AnkiCacheEntry>} */
+        this._ankiCache = new Map();
+        /** @type {number} */
+        this._ankiCacheMaxAge = 300000;
+        /** @type {number} */
+        this._ankiCacheMaxSize = 50000;
+        /** @type {number} */
+        this._ankiQueryMaxTermCount = 100;
+        /** @type {number} */
+        this._ankiErrorTimestamp = 0;
+        /** @type {number} */
+        this._ankiErrorRetryDelay = 30000;
+    }
+
+    /**
+     * Loads the lookup history from the storage.
+     */
+    async prepare() {
+        const {[LOOKUP_HISTORY_STORAGE_KEY]: data} = await chrome.storage.local.get([LOOKUP_HISTORY_STORAGE_KEY]);
+        if (!Array.isArray(data)) { return; }
+        for (const term of data) {
+            if (typeof term === 'string') { this._lookupHistory.add(term); }
+        }
+    }
+
+    /**
+     * Adds a term to the lookup history. When the history is full, the term which was looked up least recently is removed.
+     * @param {string} term
+     */
+    addLookedUpTerm(term) {
+        const key = normalizeTerm(term);
+        this._lookupHistory.delete(key);
+        this._lookupHistory.add(key);
+        if (this._lookupHistory.size > this._lookupHistoryMaxSize) {
+            const [oldestKey] = this._lookupHistory;
+            this._lookupHistory.delete(oldestKey);
+        }
+        this._scheduleSave();
+    }
+
+    /** */
+    async clearLookupHistory() {
+        this._lookupHistory.clear();
+        if (this._saveTimer !== null) {
+            clearTimeout(this._saveTimer);
+            this._saveTimer = null;
+        }
+        await chrome.storage.local.remove([LOOKUP_HISTORY_STORAGE_KEY]);
+    }
+
+    /**
+     * Removes the cached results of the Anki searches, so that notes which were just added are found.
+     */
+    clearCache() {
+        this._ankiCache.clear();
+        this._ankiErrorTimestamp = 0;
+    }
+
+    /**
+     * @param {string[]} terms
+     * @param {string} deckName The deck to search, or an empty string to search all decks.
+     * @param {string} fieldName The field to search, or an empty string to not search Anki.
+     * @returns {Promise<import('known-words').Status[]>}
+     */
+    async getStatuses(terms, deckName, fieldName) {
+        const keys = terms.map(normalizeTerm);
+        const knownKeys = await this._getKnownAnkiKeys(keys, deckName, fieldName);
+        return keys.map((key) => {
+            if (knownKeys.has(key)) { return 'known'; }
+            if (this._lookupHistory.has(key)) { return 'lookedUp'; }
+            return 'unknown';
+        });
+    }
+
+    // Private
+
+    /**
+     * @param {string[]} keys
+     * @param {string} deckName
+     * @param {string} fieldName
+     * @returns {Promise<Set<string>>}
+     */
+    async _getKnownAnkiKeys(keys, deckName, fieldName) {
+        /** @type {Set<string>} */
+        const knownKeys = new Set();
+        const timestamp = Date.now();
+        if (
+            fieldName.length === 0 ||
+            !this._ankiConnect.enabled ||
+            timestamp - this._ankiErrorTimestamp < this._ankiErrorRetryDelay
+        ) {
+            return knownKeys;
+        }
+
+        if (this._ankiCache.size > this._ankiCacheMaxSize) {
+            this._removeExpiredCacheEntries(timestamp);
+        }
+
+        const cacheKeyPrefix = `${deckName}\n${fieldName}\n`;
+        /** @type {string[]} */
+        const uncachedKeys = [];
+        for (const key of new Set(keys)) {
+            const cacheEntry = this._ankiCache.get(cacheKeyPrefix + key);
+            if (typeof cacheEntry !== 'undefined' && timestamp - cacheEntry.timestamp <= this._ankiCacheMaxAge) {
+                if (cacheEntry.known) { knownKeys.add(key); }
+            } else {
+                uncachedKeys.push(key);
+            }
+        }
+
+        for (let i = 0, ii = uncachedKeys.length; i < ii; i += this._ankiQueryMaxTermCount) {
+            const batchKeys = uncachedKeys.slice(i, i + this._ankiQueryMaxTermCount);
+            let batchKnownKeys;
+            try {
+                batchKnownKeys = await this._findAnkiKeys(batchKeys, deckName, fieldName);
+            } catch (e) {
+                // The remaining words are treated as unknown without being cached, so that they are checked once Anki can be reached
+                this._ankiErrorTimestamp = timestamp;
+                break;
+            }
+            for (const key of batchKeys) {
+                const known = batchKnownKeys.has(key);
+                this._ankiCache.set(cacheKeyPrefix + key, {known, timestamp});
+                if (known) { knownKeys.add(key); }
+            }
+        }
+
+        return knownKeys;
+    }
+
+    /**
+     * @param {string[]} keys
+     * @param {string} deckName
+     * @param {string} fieldName
+     * @returns {Promise<Set<string>>}
+     */
+    async _findAnkiKeys(keys, deckName, fieldName) {
+        const escapedFieldName = escapeSearchText(fieldName).replace(/:/g, '\\:');
+        let query = `(${keys.map((key) => `"${escapedFieldName}:${escapeSearchText(key)}"`).join(' OR ')})`;
+        if (deckName.length > 0) {
+            query = `"deck:${escapeSearchText(deckName)}" ${query}`;
+        }
+
+        /** @type {Set<string>} */
+        const foundKeys = new Set();
+        const noteIds = await this._ankiConnect.findNotes(query);
+        if (noteIds.length === 0) { return foundKeys; }
+
+        const lowerCaseFieldName = fieldName.toLowerCase();
+        for (const noteInfo of await this._ankiConnect.notesInfo(noteIds)) {
+            if (noteInfo === null) { continue; }
+            for (const [name, {value}] of Object.entries(noteInfo.fields)) {
+                if (name.toLowerCase() !== lowerCaseFieldName) { continue; }
+                foundKeys.add(normalizeTerm(value.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ')));
+            }
+        }
+        return foundKeys;
+    }
+
+    /**
+     * @param {number} timestamp
+     */
+    _removeExpiredCacheEntries(timestamp) {
+        for (const [key, {timestamp: timestamp2}] of this._ankiCache) {
+            if (timestamp - timestamp2 > this._ankiCacheMaxAge) {
+                this._ankiCache.delete(key);
+            }
+        }
+    }
+
+    /** */
+    _scheduleSave() {
+        if (this._saveTimer !== null) { return; }
+        this._saveTimer = setTimeout(() => {
+            this._saveTimer = null;
+            void chrome.storage.local.set({[LOOKUP_HISTORY_STORAGE_KEY]: [...this._lookupHistory]});
+        }, this._saveDelay);
+    }
+}
+
+/**
+ * @param {string} term
+ * @returns {string}
+ */
+function normalizeTerm(term) {
+    return term.trim().toLowerCase();
+}
+
+/**
+ * Escapes the characters which have a special meaning inside of a quoted Anki search term.
+ * Colons only have to be escaped in field names, since the first unescaped colon ends the name.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeSearchText(text) {
+    return text.replace(/[\\"*_]/g, '\\$&');
+}
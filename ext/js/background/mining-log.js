@@ -0,0 +1,74 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {isObjectNotArray} from '../core/object-utilities.js';
+
+/**
+ * The key of the log in `chrome.storage.local`.
+ */
+const STORAGE_KEY = 'miningLog';
+
+/**
+ * This class keeps a log of the notes which were added to Anki, which is used for the mining statistics.
+ */
+export class MiningLog {
+    constructor() {
+        /** @type {import('mining-log').Entry[]} */
+        this._entries = [];
+    }
+
+    /**
+     * Loads the log from the storage.
+     */
+    async prepare() {
+        const {[STORAGE_KEY]: data} = await chrome.storage.local.get([STORAGE_KEY]);
+        if (isObjectNotArray(data)) {
+            const {entries} = /** @type {import('mining-log').StorageData} */ (data);
+            if (Array.isArray(entries)) { this._entries = entries; }
+        }
+    }
+
+    /**
+     * @returns {import('mining-log').Entry[]}
+     */
+    getEntries() {
+        return this._entries;
+    }
+
+    /**
+     * @param {import('mining-log').Entry} entry
+     */
+    async addEntry(entry) {
+        this._entries.push(entry);
+        await this._save();
+    }
+
+    /** */
+    async clear() {
+        this._entries = [];
+        await this._save();
+    }
+
+    // Private
+
+    /** */
+    async _save() {
+        /** @type {import('mining-log').StorageData} */
+        const data = {entries: this._entries};
+        await chrome.storage.local.set({[STORAGE_KEY]: data});
+    }
+}
@@ -173,6 +173,49 @@ export class DictionaryDatabaseProxy {
         const serializedMedia = /** @type {import('dictionary-database').Media<string>[]} */ (await this._offscreen.sendMessagePromise({action: 'databaseGetMediaOffscreen', params: {targets}}));
         return serializedMedia.map((m) => ({...m, content: base64ToArrayBuffer(m.content)}));
     }
+
+    /**
+     * @param {string} dictionaryName
+     * @returns {Promise<import('dictionary-database').DatabaseTermEntryWithId[]>}
+     */
+    async getDictionaryTerms(dictionaryName) {
+        return this._offscreen.sendMessagePromise({action: 'databaseGetDictionaryTermsOffscreen', params: {dictionaryName}});
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<?import('dictionary-database').DatabaseTermEntryWithId>}
+     */
+    async getDictionaryTerm(id) {
+        return this._offscreen.sendMessagePromise({action: 'databaseGetDictionaryTermOffscreen', params: {id}});
+    }
+
+    /**
+     * @param {import('dictionary-importer').Summary} summary
+     * @param {import('dictionary-database').DatabaseTermEntry|import('dictionary-database').DatabaseTermEntryWithId} term
+     * @returns {Promise<number>}
+     */
+    async putDictionaryTerm(summary, term) {
+        return this._offscreen.sendMessagePromise({action: 'databasePutDictionaryTermOffscreen', params: {summary, term}});
+    }
+
+    /**
+     * @param {import('dictionary-importer').Summary} summary
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async deleteDictionaryTerm(summary, id) {
+        await this._offscreen.sendMessagePromise({action: 'databaseDeleteDictionaryTermOffscreen', params: {summary, id}});
+    }
+
+    /**
+     * @param {string[]} termList
+     * @param {Set<string>} dictionaries
+     * @returns {Promise<import('dictionary-database').TermMeta[]>}
+     */
+    async findTermMetaBulk(termList, dictionaries) {
+        return this._offscreen.sendMessagePromise({action: 'databaseFindTermMetaBulkOffscreen', params: {termList, dictionaries: [...dictionaries]}});
+    }
 }
 
 export class TranslatorProxy {
@@ -236,6 +279,26 @@ export class TranslatorProxy {
         return this._offscreen.sendMessagePromise({action: 'getTermFrequenciesOffscreen', params: {termReadingList, dictionaries}});
     }
 
+    /**
+     * @param {string} text
+     * @param {string} language
+     * @param {string[]} dictionaries
+     * @returns {Promise<string[]>}
+     */
+    async findTermSuggestions(text, language, dictionaries) {
+        return this._offscreen.sendMessagePromise({action: 'findTermSuggestionsOffscreen', params: {text, language, dictionaries}});
+    }
+
+    /**
+     * @param {string} language
+     * @param {string} term
+     * @param {string[]} wordClasses
+     * @returns {Promise<import('language-transformer').InflectionTable>}
+     */
+    async getInflectionTable(language, term, wordClasses) {
+        return this._offscreen.sendMessagePromise({action: 'getInflectionTableOffscreen', params: {language, term, wordClasses}});
+    }
+
     /** */
     async clearDatabaseCaches() {
         await this._offscreen.sendMessagePromise({action: 'clearDatabaseCachesOffscreen'});
@@ -46,18 +46,25 @@ export class Offscreen {
         /* eslint-disable @stylistic/no-multi-spaces */
         /** @type {import('offscreen').ApiMap} */
         this._apiMap = createApiMap([
-            ['clipboardGetTextOffscreen',    this._getTextHandler.bind(this)],
-            ['clipboardGetImageOffscreen',   this._getImageHandler.bind(this)],
-            ['clipboardSetBrowserOffscreen', this._setClipboardBrowser.bind(this)],
-            ['databasePrepareOffscreen',     this._prepareDatabaseHandler.bind(this)],
-            ['getDictionaryInfoOffscreen',   this._getDictionaryInfoHandler.bind(this)],
-            ['databasePurgeOffscreen',       this._purgeDatabaseHandler.bind(this)],
-            ['databaseGetMediaOffscreen',    this._getMediaHandler.bind(this)],
-            ['translatorPrepareOffscreen',   this._prepareTranslatorHandler.bind(this)],
-            ['findKanjiOffscreen',           this._findKanjiHandler.bind(this)],
-            ['findTermsOffscreen',           this._findTermsHandler.bind(this)],
-            ['getTermFrequenciesOffscreen',  this._getTermFrequenciesHandler.bind(this)],
-            ['clearDatabaseCachesOffscreen', this._clearDatabaseCachesHandler.bind(this)],
+            ['clipboardGetTextOffscreen',             this._getTextHandler.bind(this)],
+            ['clipboardGetImageOffscreen',            this._getImageHandler.bind(this)],
+            ['clipboardSetBrowserOffscreen',          this._setClipboardBrowser.bind(this)],
+            ['databasePrepareOffscreen',              this._prepareDatabaseHandler.bind(this)],
+            ['getDictionaryInfoOffscreen',            this._getDictionaryInfoHandler.bind(this)],
+            ['databasePurgeOffscreen',                this._purgeDatabaseHandler.bind(this)],
+            ['databaseGetMediaOffscreen',             this._getMediaHandler.bind(this)],
+            ['databaseGetDictionaryTermsOffscreen',   this._getDictionaryTermsHandler.bind(this)],
+            ['databaseGetDictionaryTermOffscreen',    this._getDictionaryTermHandler.bind(this)],
+            ['databasePutDictionaryTermOffscreen',    this._putDictionaryTermHandler.bind(this)],
+            ['databaseDeleteDictionaryTermOffscreen', this._deleteDictionaryTermHandler.bind(this)],
+            ['databaseFindTermMetaBulkOffscreen',     this._findTermMetaBulkHandler.bind(this)],
+            ['translatorPrepareOffscreen',            this._prepareTranslatorHandler.bind(this)],
+            ['findKanjiOffscreen',                    this._findKanjiHandler.bind(this)],
+            ['findTermsOffscreen',                    this._findTermsHandler.bind(this)],
+            ['getTermFrequenciesOffscreen',           this._getTermFrequenciesHandler.bind(this)],
+            ['findTermSuggestionsOffscreen',          this._findTermSuggestionsHandler.bind(this)],
+            ['getInflectionTableOffscreen',           this._getInflectionTableHandler.bind(this)],
+            ['clearDatabaseCachesOffscreen',          this._clearDatabaseCachesHandler.bind(this)],
         ]);
         /* eslint-enable @stylistic/no-multi-spaces */
 
@@ -110,6 +117,31 @@ export class Offscreen {
         return media.map((m) => ({...m, content: arrayBufferToBase64(m.content)}));
     }
 
+    /** @type {import('offscreen').ApiHandler<'databaseGetDictionaryTermsOffscreen'>} */
+    async _getDictionaryTermsHandler({dictionaryName}) {
+        return await this._dictionaryDatabase.getDictionaryTerms(dictionaryName);
+    }
+
+    /** @type {import('offscreen').ApiHandler<'databaseGetDictionaryTermOffscreen'>} */
+    async _getDictionaryTermHandler({id}) {
+        return await this._dictionaryDatabase.getDictionaryTerm(id);
+    }
+
+    /** @type {import('offscreen').ApiHandler<'databasePutDictionaryTermOffscreen'>} */
+    async _putDictionaryTermHandler({summary, term}) {
+        return await this._dictionaryDatabase.putDictionaryTerm(summary, term);
+    }
+
+    /** @type {import('offscreen').ApiHandler<'databaseDeleteDictionaryTermOffscreen'>} */
+    async _deleteDictionaryTermHandler({summary, id}) {
+        await this._dictionaryDatabase.deleteDictionaryTerm(summary, id);
+    }
+
+    /** @type {import('offscreen').ApiHandler<'databaseFindTermMetaBulkOffscreen'>} */
+    async _findTermMetaBulkHandler({termList, dictionaries}) {
+        return await this._dictionaryDatabase.findTermMetaBulk(termList, new Set(dictionaries));
+    }
+
     /** @type {import('offscreen').ApiHandler<'translatorPrepareOffscreen'>} */
     _prepareTranslatorHandler() {
         this._translator.prepare();
@@ -157,6 +189,16 @@ export class Offscreen {
         return this._translator.getTermFrequencies(termReadingList, dictionaries);
     }
 
+    /** @type {import('offscreen').ApiHandler<'findTermSuggestionsOffscreen'>} */
+    _findTermSuggestionsHandler({text, language, dictionaries}) {
+        return this._translator.findTermSuggestions(text, language, dictionaries);
+    }
+
+    /** @type {import('offscreen').ApiHandler<'getInflectionTableOffscreen'>} */
+    _getInflectionTableHandler({language, term, wordClasses}) {
+        return this._translator.getInflectionTable(language, term, wordClasses);
+    }
+
     /** @type {import('offscreen').ApiHandler<'clearDatabaseCachesOffscreen'>} */
     _clearDatabaseCachesHandler() {
         this._translator.clearDatabaseCaches();
@@ -58,10 +58,11 @@ export class API {
      * @param {import('api').ApiParam<'parseText', 'scanLength'>} scanLength
      * @param {import('api').ApiParam<'parseText', 'useInternalParser'>} useInternalParser
      * @param {import('api').ApiParam<'parseText', 'useMecabParser'>} useMecabParser
+     * @param {import('api').ApiParam<'parseText', 'useLanguageParser'>} useLanguageParser
      * @returns {Promise<import('api').ApiReturn<'parseText'>>}
      */
-    parseText(text, optionsContext, scanLength, useInternalParser, useMecabParser) {
-        return this._invoke('parseText', {text, optionsContext, scanLength, useInternalParser, useMecabParser});
+    parseText(text, optionsContext, scanLength, useInternalParser, useMecabParser, useLanguageParser) {
+        return this._invoke('parseText', {text, optionsContext, scanLength, useInternalParser, useMecabParser, useLanguageParser});
     }
 
     /**
@@ -143,6 +144,126 @@ export class API {
         return this._invoke('suspendAnkiCardsForNote', {noteId});
     }
 
+    /**
+     * @param {import('api').ApiParam<'queueAnkiNote', 'note'>} note
+     * @param {import('api').ApiParam<'queueAnkiNote', 'duplicateBehavior'>} duplicateBehavior
+     * @param {import('api').ApiParam<'queueAnkiNote', 'suspendNewCards'>} suspendNewCards
+     * @param {import('api').ApiParam<'queueAnkiNote', 'miningLogEntry'>} miningLogEntry
+     * @param {import('api').ApiParam<'queueAnkiNote', 'optionsContext'>} optionsContext
+     * @returns {Promise<import('api').ApiReturn<'queueAnkiNote'>>}
+     */
+    queueAnkiNote(note, duplicateBehavior, suspendNewCards, miningLogEntry, optionsContext) {
+        return this._invoke('queueAnkiNote', {note, duplicateBehavior, suspendNewCards, miningLogEntry, optionsContext});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getAnkiNoteQueue'>>}
+     */
+    getAnkiNoteQueue() {
+        return this._invoke('getAnkiNoteQueue', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'updateQueuedAnkiNote', 'id'>} id
+     * @param {import('api').ApiParam<'updateQueuedAnkiNote', 'fields'>} fields
+     * @returns {Promise<import('api').ApiReturn<'updateQueuedAnkiNote'>>}
+     */
+    updateQueuedAnkiNote(id, fields) {
+        return this._invoke('updateQueuedAnkiNote', {id, fields});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'removeQueuedAnkiNote', 'id'>} id
+     * @returns {Promise<import('api').ApiReturn<'removeQueuedAnkiNote'>>}
+     */
+    removeQueuedAnkiNote(id) {
+        return this._invoke('removeQueuedAnkiNote', {id});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'flushAnkiNoteQueue'>>}
+     */
+    flushAnkiNoteQueue() {
+        return this._invoke('flushAnkiNoteQueue', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'addLocalAnkiNotes', 'notes'>} notes
+     * @param {import('api').ApiParam<'addLocalAnkiNotes', 'suspendNewCards'>} suspendNewCards
+     * @returns {Promise<import('api').ApiReturn<'addLocalAnkiNotes'>>}
+     */
+    addLocalAnkiNotes(notes, suspendNewCards) {
+        return this._invoke('addLocalAnkiNotes', {notes, suspendNewCards});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'canAddLocalAnkiNotes', 'notes'>} notes
+     * @returns {Promise<import('api').ApiReturn<'canAddLocalAnkiNotes'>>}
+     */
+    canAddLocalAnkiNotes(notes) {
+        return this._invoke('canAddLocalAnkiNotes', {notes});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getLocalAnkiCollectionInfo'>>}
+     */
+    getLocalAnkiCollectionInfo() {
+        return this._invoke('getLocalAnkiCollectionInfo', void 0);
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'exportLocalAnkiCollection'>>}
+     */
+    exportLocalAnkiCollection() {
+        return this._invoke('exportLocalAnkiCollection', void 0);
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'clearLocalAnkiCollection'>>}
+     */
+    clearLocalAnkiCollection() {
+        return this._invoke('clearLocalAnkiCollection', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'getKnownWords', 'texts'>} texts
+     * @param {import('api').ApiParam<'getKnownWords', 'optionsContext'>} optionsContext
+     * @returns {Promise<import('api').ApiReturn<'getKnownWords'>>}
+     */
+    getKnownWords(texts, optionsContext) {
+        return this._invoke('getKnownWords', {texts, optionsContext});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'clearKnownWordLookupHistory'>>}
+     */
+    clearKnownWordLookupHistory() {
+        return this._invoke('clearKnownWordLookupHistory', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'addMiningLogEntry', 'entry'>} entry
+     * @param {import('api').ApiParam<'addMiningLogEntry', 'optionsContext'>} optionsContext
+     * @returns {Promise<import('api').ApiReturn<'addMiningLogEntry'>>}
+     */
+    addMiningLogEntry(entry, optionsContext) {
+        return this._invoke('addMiningLogEntry', {entry, optionsContext});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getMiningLog'>>}
+     */
+    getMiningLog() {
+        return this._invoke('getMiningLog', void 0);
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'clearMiningLog'>>}
+     */
+    clearMiningLog() {
+        return this._invoke('clearMiningLog', void 0);
+    }
+
     /**
      * @param {import('api').ApiParam<'getTermAudioInfoList', 'source'>} source
      * @param {import('api').ApiParam<'getTermAudioInfoList', 'term'>} term
@@ -246,6 +367,38 @@ export class API {
         return this._invoke('purgeDatabase', void 0);
     }
 
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getUserDictionaryEntries'>>}
+     */
+    getUserDictionaryEntries() {
+        return this._invoke('getUserDictionaryEntries', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'addUserDictionaryEntry', 'details'>} details
+     * @returns {Promise<import('api').ApiReturn<'addUserDictionaryEntry'>>}
+     */
+    addUserDictionaryEntry(details) {
+        return this._invoke('addUserDictionaryEntry', {details});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'updateUserDictionaryEntry', 'id'>} id
+     * @param {import('api').ApiParam<'updateUserDictionaryEntry', 'details'>} details
+     * @returns {Promise<import('api').ApiReturn<'updateUserDictionaryEntry'>>}
+     */
+    updateUserDictionaryEntry(id, details) {
+        return this._invoke('updateUserDictionaryEntry', {id, details});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'deleteUserDictionaryEntry', 'id'>} id
+     * @returns {Promise<import('api').ApiReturn<'deleteUserDictionaryEntry'>>}
+     */
+    deleteUserDictionaryEntry(id) {
+        return this._invoke('deleteUserDictionaryEntry', {id});
+    }
+
     /**
      * @param {import('api').ApiParam<'getMedia', 'targets'>} targets
      * @returns {Promise<import('api').ApiReturn<'getMedia'>>}
@@ -338,6 +491,16 @@ export class API {
         return this._invoke('isTextLookupWorthy', {text, language});
     }
 
+    /**
+     * @param {import('api').ApiParam<'getInflectionTable', 'language'>} language
+     * @param {import('api').ApiParam<'getInflectionTable', 'term'>} term
+     * @param {import('api').ApiParam<'getInflectionTable', 'wordClasses'>} wordClasses
+     * @returns {Promise<import('api').ApiReturn<'getInflectionTable'>>}
+     */
+    getInflectionTable(language, term, wordClasses) {
+        return this._invoke('getInflectionTable', {language, term, wordClasses});
+    }
+
     /**
      * @param {import('api').ApiParam<'getTermFrequencies', 'termReadingList'>} termReadingList
      * @param {import('api').ApiParam<'getTermFrequencies', 'dictionaries'>} dictionaries
@@ -347,6 +510,15 @@ export class API {
         return this._invoke('getTermFrequencies', {termReadingList, dictionaries});
     }
 
+    /**
+     * @param {import('api').ApiParam<'getTermSuggestions', 'text'>} text
+     * @param {import('api').ApiParam<'getTermSuggestions', 'optionsContext'>} optionsContext
+     * @returns {Promise<import('api').ApiReturn<'getTermSuggestions'>>}
+     */
+    getTermSuggestions(text, optionsContext) {
+        return this._invoke('getTermSuggestions', {text, optionsContext});
+    }
+
     /**
      * @param {import('api').ApiParam<'findAnkiNotes', 'query'>} query
      * @returns {Promise<import('api').ApiReturn<'findAnkiNotes'>>}
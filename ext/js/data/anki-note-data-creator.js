@@ -18,6 +18,7 @@
 
 import {getDisambiguations, getGroupedPronunciations, getPronunciationsOfType, getTermFrequency, groupTermTags} from '../dictionary/dictionary-data-util.js';
 import {distributeFurigana, distributeFuriganaInflected} from '../language/ja/japanese.js';
+import {getClauseWords} from '../language/text-utilities.js';
 
 /**
  * Creates a compatibility representation of the specified data.
@@ -732,7 +733,7 @@ function getTermExpressions(dictionaryEntry) {
     const results = [];
     const {headwords} = dictionaryEntry;
     for (let i = 0, ii = headwords.length; i < ii; ++i) {
-        const {term, reading, tags, sources: [{deinflectedText}], wordClasses} = headwords[i];
+        const {term, reading, tags, sources: [{deinflectedText}], wordClasses, gender, article, plural} = headwords[i];
         const termTags = createCachedValue(convertTags.bind(null, tags));
         const frequencies = createCachedValue(getTermExpressionFrequencies.bind(null, dictionaryEntry, i));
         const pitches = createCachedValue(getTermExpressionPitches.bind(null, dictionaryEntry, i));
@@ -748,6 +749,9 @@ function getTermExpressions(dictionaryEntry) {
             get furiganaSegments() { return getCachedValue(furiganaSegments); },
             get termFrequency() { return getCachedValue(termFrequency); },
             wordClasses,
+            gender,
+            article,
+            plural,
         };
         results.push(item);
     }
@@ -939,15 +943,18 @@ function convertPitchTag({name, category, content, order, score, dictionaries, r
  */
 function getCloze(dictionaryEntry, context) {
     let originalText = '';
+    let deinflectedText = '';
     let term = '';
     let reading = '';
+    let hasSeparatedPrefix = false;
     switch (dictionaryEntry.type) {
         case 'term':
             {
                 term = dictionaryEntry.headwords[0].term;
                 reading = dictionaryEntry.headwords[0].reading;
                 const primarySource = getPrimarySource(dictionaryEntry);
-                if (primarySource !== null) { originalText = primarySource.originalText; }
+                if (primarySource !== null) { ({originalText, deinflectedText} = primarySource); }
+                hasSeparatedPrefix = dictionaryEntry.inflectionRuleChainCandidates.some(({inflectionRules}) => inflectionRules.some(({name}) => name === 'separated prefix'));
             }
             break;
         case 'kanji':
@@ -969,15 +976,111 @@ function getCloze(dictionaryEntry, context) {
         textSegments.push(reading2.length > 0 ? reading2 : text2);
     }
 
+    const body = text.substring(offset, offset + originalText.length);
+    const spans = getClozeSpans(body, deinflectedText, offset);
+    if (hasSeparatedPrefix) {
+        const particleSpan = getSeparatedParticleSpan(text, offset, body, deinflectedText);
+        if (particleSpan !== null) { spans.push(particleSpan); }
+    }
+
     return {
         sentence: text,
         prefix: text.substring(0, offset),
-        body: text.substring(offset, offset + originalText.length),
+        body,
         bodyKana: textSegments.join(''),
         suffix: text.substring(offset + originalText.length),
+        spans,
+        sentenceAnki: getAnkiClozeSentence(text, spans),
     };
 }
 
+/**
+ * Gets the parts of the sentence which belong to the term. The scanned text can contain words which aren't part of the term,
+ * such as the object between a German separable verb and its prefix, in which case the words before and after them are separate spans.
+ * The words at the end of the scanned text are matched with the words at the end of the deinflected text,
+ * since deinflection only changes the words before them.
+ * @param {string} body The scanned text.
+ * @param {string} deinflectedText
+ * @param {number} offset The offset of the scanned text in the sentence.
+ * @returns {import('anki-templates').ClozeSpan[]}
+ */
+function getClozeSpans(body, deinflectedText, offset) {
+    if (body.length === 0) { return []; }
+
+    /** @type {{start: number, end: number, text: string}[]} */
+    const words = [];
+    for (const match of body.matchAll(/\S+/g)) {
+        const start = /** @type {number} */ (match.index);
+        words.push({start, end: start + match[0].length, text: match[0]});
+    }
+    const termWords = deinflectedText.split(/\s+/).filter((word) => word.length > 0);
+
+    const wordCount = words.length;
+    const termWordCount = termWords.length;
+    let suffixWordCount = 0;
+    if (wordCount > termWordCount) {
+        while (
+            suffixWordCount < termWordCount - 1 &&
+            words[wordCount - 1 - suffixWordCount].text.toLowerCase() === termWords[termWordCount - 1 - suffixWordCount].toLowerCase()
+        ) {
+            ++suffixWordCount;
+        }
+    }
+    if (suffixWordCount === 0) {
+        return [createClozeSpan(body, 0, body.length, offset)];
+    }
+
+    return [
+        createClozeSpan(body, 0, words[termWordCount - suffixWordCount - 1].end, offset),
+        createClozeSpan(body, words[wordCount - suffixWordCount].start, body.length, offset),
+    ];
+}
+
+/**
+ * Gets the particle at the end of the clause which a separable verb was reconstructed with,
+ * such as "auf" when "räumte" is looked up as "aufräumen" in "Ich räumte den Tisch auf".
+ * This is only used for entries with the "separated prefix" inflection rule, since other terms can also start with the last word of the clause.
+ * @param {string} sentence
+ * @param {number} offset The offset of the scanned text in the sentence.
+ * @param {string} body The scanned text.
+ * @param {string} deinflectedText
+ * @returns {?import('anki-templates').ClozeSpan}
+ */
+function getSeparatedParticleSpan(sentence, offset, body, deinflectedText) {
+    const clauseWords = getClauseWords(sentence, offset);
+    if (clauseWords.length < 2 || clauseWords[0].text !== body) { return null; }
+    const particle = clauseWords[clauseWords.length - 1];
+    const particleText = particle.text.toLowerCase();
+    if (!deinflectedText.toLowerCase().startsWith(particleText) || body.toLowerCase().startsWith(particleText)) { return null; }
+    return {offset: particle.offset, length: particle.text.length, text: particle.text};
+}
+
+/**
+ * @param {string} body
+ * @param {number} start
+ * @param {number} end
+ * @param {number} offset
+ * @returns {import('anki-templates').ClozeSpan}
+ */
+function createClozeSpan(body, start, end, offset) {
+    return {offset: offset + start, length: end - start, text: body.substring(start, end)};
+}
+
+/**
+ * @param {string} sentence
+ * @param {import('anki-templates').ClozeSpan[]} spans
+ * @returns {string} The sentence with each span marked as the first cloze deletion of Anki's cloze syntax.
+ */
+function getAnkiClozeSentence(sentence, spans) {
+    let result = '';
+    let position = 0;
+    for (const {offset, length, text} of spans) {
+        result += `${sentence.substring(position, offset)}{{c1::${text}}}`;
+        position = offset + length;
+    }
+    return result + sentence.substring(position);
+}
+
 /**
  * @param {import('dictionary').TermDictionaryEntry} dictionaryEntry
  * @param {import('anki-templates').TermDictionaryEntryType} type
@@ -0,0 +1,341 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {
+    BlobWriter as BlobWriter0,
+    TextReader as TextReader0,
+    Uint8ArrayReader as Uint8ArrayReader0,
+    ZipWriter as ZipWriter0,
+} from '../../lib/zip.js';
+import {createSqliteDatabase} from './sqlite-writer.js';
+
+const BlobWriter = /** @type {typeof import('@zip.js/zip.js').BlobWriter} */ (/** @type {unknown} */ (BlobWriter0));
+const TextReader = /** @type {typeof import('@zip.js/zip.js').TextReader} */ (/** @type {unknown} */ (TextReader0));
+const Uint8ArrayReader = /** @type {typeof import('@zip.js/zip.js').Uint8ArrayReader} */ (/** @type {unknown} */ (Uint8ArrayReader0));
+const ZipWriter = /** @type {typeof import('@zip.js/zip.js').ZipWriter} */ (/** @type {unknown} */ (ZipWriter0));
+
+/**
+ * The version of the collection schema. Packages which contain a collection with this version
+ * can be imported by all versions of Anki, AnkiDroid and AnkiMobile.
+ */
+const COLLECTION_SCHEMA_VERSION = 11;
+const FIELD_SEPARATOR = '\u001f';
+
+/* eslint-disable @stylistic/no-multi-spaces */
+/** @type {import('sqlite-writer').Table[]} */
+const collectionTables = [
+    {
+        name: 'col',
+        sql: 'CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)',
+        rowIdColumn: 0,
+        rows: [],
+        indices: [],
+    },
+    {
+        name: 'notes',
+        sql: 'CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)',
+        rowIdColumn: 0,
+        rows: [],
+        indices: [
+            {name: 'ix_notes_usn',  sql: 'CREATE INDEX ix_notes_usn on notes (usn)',  columns: [4]},
+            {name: 'ix_notes_csum', sql: 'CREATE INDEX ix_notes_csum on notes (csum)', columns: [8]},
+        ],
+    },
+    {
+        name: 'cards',
+        sql: 'CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)',
+        rowIdColumn: 0,
+        rows: [],
+        indices: [
+            {name: 'ix_cards_usn',   sql: 'CREATE INDEX ix_cards_usn on cards (usn)',                 columns: [5]},
+            {name: 'ix_cards_nid',   sql: 'CREATE INDEX ix_cards_nid on cards (nid)',                 columns: [1]},
+            {name: 'ix_cards_sched', sql: 'CREATE INDEX ix_cards_sched on cards (did, queue, due)', columns: [2, 7, 8]},
+        ],
+    },
+    {
+        name: 'revlog',
+        sql: 'CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)',
+        rowIdColumn: 0,
+        rows: [],
+        indices: [
+            {name: 'ix_revlog_usn', sql: 'CREATE INDEX ix_revlog_usn on revlog (usn)', columns: [2]},
+            {name: 'ix_revlog_cid', sql: 'CREATE INDEX ix_revlog_cid on revlog (cid)', columns: [1]},
+        ],
+    },
+    {
+        name: 'graves',
+        sql: 'CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)',
+        rowIdColumn: null,
+        rows: [],
+        indices: [],
+    },
+];
+/* eslint-enable @stylistic/no-multi-spaces */
+
+const defaultDeckConfig = {
+    id: 1,
+    name: 'Default',
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: {bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true},
+    lapse: {delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0},
+    rev: {bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 100},
+};
+
+const noteTypeCss = '.card {\n    font-family: arial;\n    font-size: 20px;\n    text-align: center;\n    color: black;\n    background-color: white;\n}\n';
+const latexPre = '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n';
+const latexPost = '\\end{document}';
+
+/**
+ * Creates an Anki package (.apkg) which contains the given notes and media files.
+ * A note type is created for each combination of note type name and field names, with one card
+ * which shows the first field on the front and the other fields on the back.
+ * The IDs of the note types and decks are derived from their names, so that exporting again
+ * adds the notes to the same note types and decks.
+ * @param {import('anki-package').Note[]} notes
+ * @param {import('anki-package').MediaFile[]} mediaFiles
+ * @param {number} timestamp The time at which the package is created.
+ * @returns {Promise<Blob>}
+ */
+export async function createAnkiPackage(notes, mediaFiles, timestamp) {
+    const modified = Math.floor(timestamp / 1000);
+    /** @type {Map<string, import('anki-package').NoteType>} */
+    const noteTypes = new Map();
+    /** @type {Map<string, import('anki-package').Deck>} */
+    const decks = new Map();
+    /** @type {import('sqlite-writer').Value[][]} */
+    const noteRows = [];
+    /** @type {import('sqlite-writer').Value[][]} */
+    const cardRows = [];
+
+    let id = 0;
+    for (let i = 0, ii = notes.length; i < ii; ++i) {
+        const {guid, note: {fields, tags, deckName, modelName}, suspended} = notes[i];
+        const fieldNames = Object.keys(fields);
+        const noteTypeKey = [modelName, ...fieldNames].join(FIELD_SEPARATOR);
+        let noteType = noteTypes.get(noteTypeKey);
+        if (typeof noteType === 'undefined') {
+            noteType = {id: await getStableId(`notetype${FIELD_SEPARATOR}${noteTypeKey}`), name: modelName, fieldNames};
+            noteTypes.set(noteTypeKey, noteType);
+        }
+        let deck = decks.get(deckName);
+        if (typeof deck === 'undefined') {
+            deck = {id: await getStableId(`deck${FIELD_SEPARATOR}${deckName}`), name: deckName};
+            decks.set(deckName, deck);
+        }
+
+        // Note IDs are creation times in milliseconds, which have to be unique
+        id = Math.max(notes[i].id, id + 1);
+        const sortField = fieldNames.length > 0 ? stripHtml(fields[fieldNames[0]]) : '';
+        noteRows.push([
+            id,
+            guid,
+            noteType.id,
+            modified,
+            -1,
+            tags.length > 0 ? ` ${tags.join(' ')} ` : '',
+            Object.values(fields).join(FIELD_SEPARATOR),
+            sortField,
+            await getFieldChecksum(sortField),
+            0,
+            '',
+        ]);
+        // New cards are shown in the order the notes were saved
+        cardRows.push([id, id, deck.id, 0, modified, -1, 0, suspended ? -1 : 0, i + 1, 0, 0, 0, 0, 0, 0, 0, 0, '']);
+    }
+
+    const collectionRow = [
+        1,
+        Math.floor(timestamp / 86400000) * 86400,
+        timestamp,
+        timestamp,
+        COLLECTION_SCHEMA_VERSION,
+        0,
+        0,
+        0,
+        JSON.stringify(getCollectionConfig(noteTypes, notes.length)),
+        JSON.stringify(getNoteTypesData(noteTypes, decks, modified)),
+        JSON.stringify(getDecksData(decks, modified)),
+        JSON.stringify({1: defaultDeckConfig}),
+        '{}',
+    ];
+    /** @type {Map<string, import('sqlite-writer').Value[][]>} */
+    const tableRows = new Map([
+        ['col', [collectionRow]],
+        ['notes', noteRows],
+        ['cards', cardRows],
+    ]);
+    const database = createSqliteDatabase(collectionTables.map((table) => ({...table, rows: tableRows.get(table.name) ?? []})));
+
+    const zipWriter = new ZipWriter(new BlobWriter('application/zip'));
+    await zipWriter.add('collection.anki2', new Uint8ArrayReader(database), {useWebWorkers: false});
+    /** @type {{[index: string]: string}} */
+    const mediaMap = {};
+    for (let i = 0, ii = mediaFiles.length; i < ii; ++i) {
+        const {fileName, content} = mediaFiles[i];
+        mediaMap[`${i}`] = fileName;
+        await zipWriter.add(`${i}`, new Uint8ArrayReader(content), {level: 0, useWebWorkers: false});
+    }
+    await zipWriter.add('media', new TextReader(JSON.stringify(mediaMap)), {useWebWorkers: false});
+    return await zipWriter.close();
+}
+
+// Private
+
+/**
+ * @param {Map<string, import('anki-package').NoteType>} noteTypes
+ * @param {number} noteCount
+ * @returns {import('core').SerializableObject}
+ */
+function getCollectionConfig(noteTypes, noteCount) {
+    const [firstNoteType] = noteTypes.values();
+    return {
+        activeDecks: [1],
+        addToCur: true,
+        collapseTime: 1200,
+        curDeck: 1,
+        curModel: typeof firstNoteType !== 'undefined' ? `${firstNoteType.id}` : null,
+        dueCounts: true,
+        estTimes: true,
+        newBury: true,
+        newSpread: 0,
+        nextPos: noteCount + 1,
+        sortBackwards: false,
+        sortType: 'noteFld',
+        timeLim: 0,
+    };
+}
+
+/**
+ * @param {Map<string, import('anki-package').NoteType>} noteTypes
+ * @param {Map<string, import('anki-package').Deck>} decks
+ * @param {number} modified
+ * @returns {import('core').SerializableObject}
+ */
+function getNoteTypesData(noteTypes, decks, modified) {
+    const [firstDeck] = decks.values();
+    /** @type {import('core').SerializableObject} */
+    const result = {};
+    for (const {id, name, fieldNames} of noteTypes.values()) {
+        const [frontFieldName, ...backFieldNames] = fieldNames;
+        const front = typeof frontFieldName === 'string' ? `{{${frontFieldName}}}` : '';
+        const back = ['{{FrontSide}}', '<hr id=answer>', ...backFieldNames.map((fieldName) => `{{#${fieldName}}}<div>{{${fieldName}}}</div>{{/${fieldName}}}`)].join('\n\n');
+        result[`${id}`] = {
+            id,
+            name,
+            type: 0,
+            mod: modified,
+            usn: -1,
+            sortf: 0,
+            did: typeof firstDeck !== 'undefined' ? firstDeck.id : 1,
+            tmpls: [{name: 'Card 1', ord: 0, qfmt: front, afmt: back, bqfmt: '', bafmt: '', did: null, bfont: '', bsize: 0}],
+            flds: fieldNames.map((fieldName, ord) => ({name: fieldName, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: []})),
+            css: noteTypeCss,
+            latexPre,
+            latexPost,
+            latexsvg: false,
+            tags: [],
+            vers: [],
+            req: [[0, 'any', [0]]],
+        };
+    }
+    return result;
+}
+
+/**
+ * @param {Map<string, import('anki-package').Deck>} decks
+ * @param {number} modified
+ * @returns {import('core').SerializableObject}
+ */
+function getDecksData(decks, modified) {
+    /** @type {import('core').SerializableObject} */
+    const result = {};
+    for (const {id, name} of [{id: 1, name: 'Default'}, ...decks.values()]) {
+        result[`${id}`] = {
+            id,
+            name,
+            mod: modified,
+            usn: -1,
+            desc: '',
+            dyn: 0,
+            conf: 1,
+            collapsed: false,
+            browserCollapsed: false,
+            extendNew: 0,
+            extendRev: 0,
+            newToday: [0, 0],
+            revToday: [0, 0],
+            lrnToday: [0, 0],
+            timeToday: [0, 0],
+        };
+    }
+    return result;
+}
+
+const htmlEntities = new Map([
+    ['&nbsp;', ' '],
+    ['&amp;', '&'],
+    ['&lt;', '<'],
+    ['&gt;', '>'],
+    ['&quot;', '"'],
+    ['&#39;', '\''],
+]);
+
+/**
+ * Removes the HTML tags of a field the same way as Anki does for the sort field,
+ * which keeps the file names of images.
+ * @param {string} html
+ * @returns {string}
+ */
+function stripHtml(html) {
+    return html
+        .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<img[^>]+src=["']?([^"'>]+)["']?[^>]*>/gi, ' $1 ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(nbsp|amp|lt|gt|quot|#39);/g, (entity) => htmlEntities.get(entity) ?? entity);
+}
+
+/**
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function getSha1(text) {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map((value) => value.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Anki uses the first 8 digits of the SHA-1 hash of the sort field to find duplicates.
+ * @param {string} sortField
+ * @returns {Promise<number>}
+ */
+async function getFieldChecksum(sortField) {
+    return Number.parseInt((await getSha1(sortField)).substring(0, 8), 16);
+}
+
+/**
+ * @param {string} text
+ * @returns {Promise<number>}
+ */
+async function getStableId(text) {
+    return Number.parseInt((await getSha1(text)).substring(0, 11), 16);
+}
@@ -25,6 +25,7 @@ export function getStandardFieldMarkers(type) {
     switch (type) {
         case 'term':
             return [
+                'article',
                 'audio',
                 'clipboard-image',
                 'clipboard-text',
@@ -44,6 +45,7 @@ export function getStandardFieldMarkers(type) {
                 'frequency-average-occurrence',
                 'furigana',
                 'furigana-plain',
+                'gender',
                 'glossary',
                 'glossary-brief',
                 'glossary-no-dictionary',
@@ -57,11 +59,13 @@ export function getStandardFieldMarkers(type) {
                 'pitch-accent-positions',
                 'pitch-accent-categories',
                 'phonetic-transcriptions',
+                'plural',
                 'reading',
                 'screenshot',
                 'search-query',
                 'popup-selection-text',
                 'sentence',
+                'sentence-cloze-anki',
                 'sentence-furigana',
                 'tags',
                 'url',
@@ -90,6 +94,7 @@ export function getStandardFieldMarkers(type) {
                 'search-query',
                 'popup-selection-text',
                 'sentence',
+                'sentence-cloze-anki',
                 'sentence-furigana',
                 'stroke-count',
                 'tags',
@@ -84,3 +84,19 @@ export function isNoteDataValid(note) {
 }
 
 export const INVALID_NOTE_ID = -1;
+
+/**
+ * The note types which can be chosen when notes are saved to the local collection,
+ * since the note types of Anki can't be loaded without AnkiConnect.
+ * The field names match the standard field markers, so that their values are filled in automatically.
+ * @type {Map<string, string[]>}
+ */
+export const localCollectionNoteTypes = new Map([
+    ['Yomitan Term', ['Expression', 'Reading', 'Furigana', 'Glossary', 'Sentence', 'Audio', 'Pitch Accents', 'Frequencies', 'Dictionary', 'URL']],
+    ['Yomitan Kanji', ['Character', 'Onyomi', 'Kunyomi', 'Glossary', 'Stroke Count', 'Sentence', 'Frequencies', 'Dictionary', 'URL']],
+]);
+
+/**
+ * The deck which can be chosen when notes are saved to the local collection.
+ */
+export const LOCAL_COLLECTION_DEFAULT_DECK_NAME = 'Yomitan';
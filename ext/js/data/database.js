@@ -356,7 +356,7 @@ export class Database {
 
             /** @type {[objectStoreName: string, value: import('database').StoreDefinition][]} */
             const entries = Object.entries(stores);
-            for (const [objectStoreName, {primaryKey, indices}] of entries) {
+            for (const [objectStoreName, {primaryKey, indices, multiEntryIndices}] of entries) {
                 const existingObjectStoreNames = transaction.objectStoreNames || db.objectStoreNames;
                 const objectStore = (
                     this._listContains(existingObjectStoreNames, objectStoreName) ?
@@ -370,6 +370,13 @@ export class Database {
 
                     objectStore.createIndex(indexName, indexName, {});
                 }
+
+                if (typeof multiEntryIndices === 'undefined') { continue; }
+                for (const indexName of multiEntryIndices) {
+                    if (this._listContains(existingIndexNames, indexName)) { continue; }
+
+                    objectStore.createIndex(indexName, indexName, {multiEntry: true});
+                }
             }
         }
     }
@@ -0,0 +1,158 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Computes the statistics of the notes in a mining log. Days are local dates.
+ * @param {import('mining-log').Entry[]} entries
+ * @param {number} timestamp The current time.
+ * @param {number} recentDayCount The number of recent days to count the notes of.
+ * @returns {import('mining-log').Statistics}
+ */
+export function getMiningStatistics(entries, timestamp, recentDayCount) {
+    /** @type {Map<string, number>} */
+    const dayCounts = new Map();
+    /** @type {Map<string, number>} */
+    const siteCounts = new Map();
+    /** @type {Map<string, number>} */
+    const dictionaryCounts = new Map();
+    for (const {timestamp: entryTimestamp, url, dictionary} of entries) {
+        incrementCount(dayCounts, getDateKey(new Date(entryTimestamp)));
+        incrementCount(siteCounts, getSiteName(url));
+        incrementCount(dictionaryCounts, dictionary);
+    }
+
+    const today = new Date(timestamp);
+    const todayKey = getDateKey(today);
+
+    /** @type {import('mining-log').DayCount[]} */
+    const recentDays = [];
+    for (let i = recentDayCount - 1; i >= 0; --i) {
+        const date = getDateKey(addDays(today, -i));
+        recentDays.push({date, count: dayCounts.get(date) ?? 0});
+    }
+
+    let currentStreak = 0;
+    let date = dayCounts.has(todayKey) ? today : addDays(today, -1);
+    while (dayCounts.has(getDateKey(date))) {
+        ++currentStreak;
+        date = addDays(date, -1);
+    }
+
+    let longestStreak = 0;
+    let streak = 0;
+    let previousDateKey = null;
+    for (const dateKey of [...dayCounts.keys()].sort()) {
+        streak = (previousDateKey !== null && getDateKey(addDays(parseDateKey(previousDateKey), 1)) === dateKey) ? streak + 1 : 1;
+        longestStreak = Math.max(longestStreak, streak);
+        previousDateKey = dateKey;
+    }
+
+    return {
+        totalCount: entries.length,
+        todayCount: dayCounts.get(todayKey) ?? 0,
+        currentStreak,
+        longestStreak,
+        recentDays,
+        sites: getSortedCounts(siteCounts),
+        dictionaries: getSortedCounts(dictionaryCounts),
+    };
+}
+
+/**
+ * Creates a CSV file of the entries of a mining log, with one row per note.
+ * @param {import('mining-log').Entry[]} entries
+ * @returns {string}
+ */
+export function createMiningLogCsv(entries) {
+    const rows = [['date', 'type', 'term', 'reading', 'dictionary', 'url', 'profile', 'language']];
+    for (const {timestamp, type, term, reading, dictionary, url, profile, language} of entries) {
+        rows.push([new Date(timestamp).toISOString(), type, term, reading, dictionary, url, profile, language]);
+    }
+    return rows.map((row) => `${row.map(escapeCsvValue).join(',')}\r\n`).join('');
+}
+
+/**
+ * Gets the name which is used to group the notes of a page, which is the host name for web pages.
+ * @param {string} url
+ * @returns {string}
+ */
+export function getSiteName(url) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (e) {
+        return url;
+    }
+    const {protocol, hostname} = parsedUrl;
+    return (protocol === 'http:' || protocol === 'https:') ? hostname : protocol.replace(/:$/, '');
+}
+
+/**
+ * @param {Date} date
+ * @returns {string}
+ */
+export function getDateKey(date) {
+    const year = `${date.getFullYear()}`.padStart(4, '0');
+    const month = `${date.getMonth() + 1}`.padStart(2, '0');
+    const day = `${date.getDate()}`.padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * @param {string} dateKey
+ * @returns {Date}
+ */
+function parseDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map((value) => Number.parseInt(value, 10));
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Adds days using the local calendar, so that days which are longer or shorter due to daylight saving time aren't skipped.
+ * @param {Date} date
+ * @param {number} days
+ * @returns {Date}
+ */
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * @param {Map<string, number>} counts
+ * @param {string} key
+ */
+function incrementCount(counts, key) {
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+}
+
+/**
+ * @param {Map<string, number>} counts
+ * @returns {import('mining-log').Count[]}
+ */
+function getSortedCounts(counts) {
+    return [...counts].map(([name, count]) => ({name, count})).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Values which start like a formula are prefixed with an apostrophe, so that spreadsheet programs don't evaluate them.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+    if (/^[=+\-@\t\r]/.test(value)) { value = `'${value}`; }
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
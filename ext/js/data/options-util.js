@@ -562,6 +562,13 @@ export class OptionsUtil {
             this._updateVersion48,
             this._updateVersion49,
             this._updateVersion50,
+            this._updateVersion51,
+            this._updateVersion52,
+            this._updateVersion53,
+            this._updateVersion54,
+            this._updateVersion55,
+            this._updateVersion56,
+            this._updateVersion57,
         ];
         /* eslint-enable @typescript-eslint/unbound-method */
         if (typeof targetVersion === 'number' && targetVersion < result.length) {
@@ -1476,6 +1483,86 @@ export class OptionsUtil {
         }
     }
 
+    /**
+     * - Added translation.compoundSplitting
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion51(options) {
+        for (const profile of options.profiles) {
+            profile.options.translation.compoundSplitting = false;
+        }
+    }
+
+    /**
+     * - Added general.genderColorCoding
+     * - Added dictionaries[].genderTags
+     * - Added article, gender and plural handlebars
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion52(options) {
+        await this._applyAnkiFieldTemplatesPatch(options, '/data/templates/anki-field-templates-upgrade-v52.handlebars');
+        for (const {options: profileOptions} of options.profiles) {
+            profileOptions.general.genderColorCoding = 'article';
+            if (Array.isArray(profileOptions.dictionaries)) {
+                for (const dictionary of profileOptions.dictionaries) {
+                    dictionary.genderTags = {masculine: 'm', feminine: 'f', neuter: 'n'};
+                }
+            }
+        }
+    }
+
+    /**
+     * - Added parsing.enableLanguageParser
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion53(options) {
+        for (const profile of options.profiles) {
+            profile.options.parsing.enableLanguageParser = true;
+        }
+    }
+
+    /**
+     * - Added global.database.glossaryIndexSupported
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion54(options) {
+        options.global.database.glossaryIndexSupported = false;
+    }
+
+    /**
+     * - Added anki.noteTarget
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion55(options) {
+        for (const profile of options.profiles) {
+            profile.options.anki.noteTarget = 'ankiConnect';
+        }
+    }
+
+    /**
+     * - Added knownWordHighlighting
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion56(options) {
+        for (const profile of options.profiles) {
+            profile.options.knownWordHighlighting = {
+                enable: false,
+                ankiDeck: '',
+                ankiField: '',
+                highlightUnknown: true,
+                excludedSites: [],
+            };
+        }
+    }
+
+    /**
+     * - Added sentence-cloze-anki handlebars
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion57(options) {
+        await this._applyAnkiFieldTemplatesPatch(options, '/data/templates/anki-field-templates-upgrade-v57.handlebars');
+    }
+
     /**
      * @param {string} url
      * @returns {Promise<chrome.tabs.Tab>}
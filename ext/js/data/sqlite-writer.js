@@ -0,0 +1,589 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Writes new databases in the SQLite 3 file format, see https://www.sqlite.org/fileformat.html.
+ * Only what is needed to write a database in one go is supported: every table and index
+ * is written as a fully packed b-tree, and the file has no free pages.
+ */
+
+const PAGE_SIZE = 4096;
+const FILE_HEADER_SIZE = 100;
+const SQLITE_VERSION_NUMBER = 3045000;
+
+const PAGE_TYPE_INDEX_INTERIOR = 0x02;
+const PAGE_TYPE_TABLE_INTERIOR = 0x05;
+const PAGE_TYPE_INDEX_LEAF = 0x0a;
+const PAGE_TYPE_TABLE_LEAF = 0x0d;
+
+/** The minimum number of payload bytes which are stored on a b-tree page when the payload overflows. */
+const MIN_LOCAL_PAYLOAD = Math.floor((PAGE_SIZE - 12) * 32 / 255) - 23;
+/** The maximum number of payload bytes which are stored on a table leaf page. */
+const MAX_TABLE_LOCAL_PAYLOAD = PAGE_SIZE - 35;
+/** The maximum number of payload bytes which are stored on an index page. */
+const MAX_INDEX_LOCAL_PAYLOAD = Math.floor((PAGE_SIZE - 12) * 64 / 255) - 23;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Creates the content of a database file which contains the given tables and indices.
+ * @param {import('sqlite-writer').Table[]} tables
+ * @returns {Uint8Array}
+ * @throws {Error}
+ */
+export function createSqliteDatabase(tables) {
+    // The first page contains the schema table, and is written last
+    /** @type {Uint8Array[]} */
+    const pages = [new Uint8Array(PAGE_SIZE)];
+    /** @type {import('sqlite-writer').Value[][]} */
+    const schemaRows = [];
+
+    for (const {name, sql, rowIdColumn, rows, indices} of tables) {
+        /** @type {import('sqlite-writer').TableRow[]} */
+        const tableRows = rows.map((values, i) => ({rowId: getRowId(values, rowIdColumn, i), values}));
+        tableRows.sort((a, b) => a.rowId - b.rowId);
+
+        const leafCells = tableRows.map(({rowId, values}) => {
+            // The value of an INTEGER PRIMARY KEY column is only stored as the row ID
+            const recordValues = rowIdColumn !== null ? values.map((value, i) => (i === rowIdColumn ? null : value)) : values;
+            return {cell: createTableLeafCell(pages, rowId, encodeRecord(recordValues)), rowId};
+        });
+        schemaRows.push(['table', name, name, writeTableBTree(pages, leafCells), sql]);
+
+        for (const {name: indexName, sql: indexSql, columns} of indices) {
+            const keys = tableRows.map(({rowId, values}) => [...columns.map((i) => values[i]), rowId]);
+            keys.sort(compareRecords);
+            schemaRows.push(['index', indexName, name, writeIndexBTree(pages, keys.map(encodeRecord)), indexSql]);
+        }
+    }
+
+    const schemaCells = schemaRows.map((values, i) => createTableLeafCell(pages, i + 1, encodeRecord(values)));
+    if (getCellsSize(schemaCells) > PAGE_SIZE - FILE_HEADER_SIZE - 8) {
+        throw new Error('Database schema is too large');
+    }
+    pages[0] = createPage(PAGE_TYPE_TABLE_LEAF, schemaCells, null, FILE_HEADER_SIZE);
+    writeFileHeader(pages[0], pages.length);
+
+    const content = new Uint8Array(pages.length * PAGE_SIZE);
+    for (let i = 0, ii = pages.length; i < ii; ++i) {
+        content.set(pages[i], i * PAGE_SIZE);
+    }
+    return content;
+}
+
+// Private
+
+/**
+ * @param {import('sqlite-writer').Value[]} values
+ * @param {?number} rowIdColumn
+ * @param {number} index
+ * @returns {number}
+ * @throws {Error}
+ */
+function getRowId(values, rowIdColumn, index) {
+    if (rowIdColumn === null) { return index + 1; }
+    const rowId = values[rowIdColumn];
+    if (typeof rowId !== 'number' || !Number.isSafeInteger(rowId)) {
+        throw new Error(`Invalid row ID: ${rowId}`);
+    }
+    return rowId;
+}
+
+/**
+ * @param {Uint8Array} page
+ * @param {number} pageCount
+ */
+function writeFileHeader(page, pageCount) {
+    const view = new DataView(page.buffer, page.byteOffset, page.byteLength);
+    page.set(textEncoder.encode('SQLite format 3\0'), 0);
+    view.setUint16(16, PAGE_SIZE);
+    view.setUint8(18, 1); // File format write version
+    view.setUint8(19, 1); // File format read version
+    view.setUint8(20, 0); // Reserved space at the end of each page
+    view.setUint8(21, 64); // Maximum embedded payload fraction
+    view.setUint8(22, 32); // Minimum embedded payload fraction
+    view.setUint8(23, 32); // Leaf payload fraction
+    view.setUint32(24, 1); // File change counter
+    view.setUint32(28, pageCount);
+    view.setUint32(40, 1); // Schema cookie
+    view.setUint32(44, 4); // Schema format number
+    view.setUint32(56, 1); // Text encoding, UTF-8
+    view.setUint32(92, 1); // Version-valid-for number, which matches the file change counter
+    view.setUint32(96, SQLITE_VERSION_NUMBER);
+}
+
+/**
+ * @param {Uint8Array[]} pages
+ * @param {Uint8Array} page
+ * @returns {number} The page number.
+ */
+function addPage(pages, page) {
+    pages.push(page);
+    return pages.length;
+}
+
+/**
+ * @param {number} type
+ * @param {Uint8Array[]} cells
+ * @param {?number} rightChildPageNumber
+ * @param {number} headerOffset
+ * @returns {Uint8Array}
+ */
+function createPage(type, cells, rightChildPageNumber, headerOffset) {
+    const page = new Uint8Array(PAGE_SIZE);
+    const view = new DataView(page.buffer);
+    let contentOffset = PAGE_SIZE;
+    let pointerOffset = headerOffset + (rightChildPageNumber !== null ? 12 : 8);
+    for (const cell of cells) {
+        contentOffset -= cell.length;
+        page.set(cell, contentOffset);
+        view.setUint16(pointerOffset, contentOffset);
+        pointerOffset += 2;
+    }
+    view.setUint8(headerOffset, type);
+    view.setUint16(headerOffset + 3, cells.length);
+    view.setUint16(headerOffset + 5, contentOffset);
+    if (rightChildPageNumber !== null) {
+        view.setUint32(headerOffset + 8, rightChildPageNumber);
+    }
+    return page;
+}
+
+/**
+ * @param {Uint8Array[]} cells
+ * @returns {number} The space used by the cells and their pointers.
+ */
+function getCellsSize(cells) {
+    let size = 0;
+    for (const cell of cells) { size += cell.length + 2; }
+    return size;
+}
+
+/**
+ * @param {Uint8Array[]} pages
+ * @param {import('sqlite-writer').TableLeafCell[]} leafCells The leaf cells, ordered by row ID.
+ * @returns {number} The page number of the root page.
+ */
+function writeTableBTree(pages, leafCells) {
+    const capacity = PAGE_SIZE - 8;
+    /** @type {import('sqlite-writer').TableChild[]} */
+    let children = [];
+    /** @type {Uint8Array[]} */
+    let pageCells = [];
+    let size = 0;
+    let rowId = 0;
+    for (const {cell, rowId: cellRowId} of leafCells) {
+        if (pageCells.length > 0 && size + cell.length + 2 > capacity) {
+            children.push({pageNumber: addPage(pages, createPage(PAGE_TYPE_TABLE_LEAF, pageCells, null, 0)), rowId});
+            pageCells = [];
+            size = 0;
+        }
+        pageCells.push(cell);
+        size += cell.length + 2;
+        rowId = cellRowId;
+    }
+    children.push({pageNumber: addPage(pages, createPage(PAGE_TYPE_TABLE_LEAF, pageCells, null, 0)), rowId});
+
+    while (children.length > 1) {
+        children = writeTableInteriorLevel(pages, children);
+    }
+    return children[0].pageNumber;
+}
+
+/**
+ * @param {Uint8Array[]} pages
+ * @param {import('sqlite-writer').TableChild[]} children
+ * @returns {import('sqlite-writer').TableChild[]}
+ */
+function writeTableInteriorLevel(pages, children) {
+    const capacity = PAGE_SIZE - 12;
+    /** @type {import('sqlite-writer').TableChild[][]} */
+    const groups = [];
+    /** @type {import('sqlite-writer').TableChild[]} */
+    let group = [];
+    let size = 0;
+    for (const child of children) {
+        const cellSize = 4 + getVarintLength(child.rowId) + 2;
+        if (group.length > 1 && size + cellSize > capacity) {
+            groups.push(group);
+            group = [];
+            size = 0;
+        }
+        group.push(child);
+        size += cellSize;
+    }
+    // Interior pages must have at least one cell besides the right child
+    if (group.length === 1 && groups.length > 0) {
+        group.unshift(/** @type {import('sqlite-writer').TableChild} */ (groups[groups.length - 1].pop()));
+    }
+    groups.push(group);
+
+    return groups.map((group2) => {
+        const {pageNumber: rightChildPageNumber, rowId} = group2[group2.length - 1];
+        const cells = group2.slice(0, -1).map((child) => concatBytes([encodeUint32(child.pageNumber), encodeVarint(child.rowId)]));
+        return {pageNumber: addPage(pages, createPage(PAGE_TYPE_TABLE_INTERIOR, cells, rightChildPageNumber, 0)), rowId};
+    });
+}
+
+/**
+ * @param {Uint8Array[]} pages
+ * @param {Uint8Array[]} keys The encoded keys, in order.
+ * @returns {number} The page number of the root page.
+ */
+function writeIndexBTree(pages, keys) {
+    const capacity = PAGE_SIZE - 8;
+    /** @type {import('sqlite-writer').IndexLevel} */
+    let level = {pageNumbers: [], dividers: []};
+    /** @type {Uint8Array[]} */
+    let pageKeys = [];
+    let size = 0;
+    for (let i = 0, ii = keys.length; i < ii; ++i) {
+        const cellSize = getIndexCellSize(keys[i], false) + 2;
+        if (pageKeys.length > 0 && size + cellSize > capacity) {
+            // Each page is followed by a key which is stored in the parent page, except for the last page.
+            // If the last key would be that key, the key before it is used instead.
+            if (i === ii - 1) {
+                pageKeys.pop();
+                i -= 1;
+            }
+            level.pageNumbers.push(writeIndexLeafPage(pages, pageKeys));
+            level.dividers.push(keys[i]);
+            pageKeys = [];
+            size = 0;
+            continue;
+        }
+        pageKeys.push(keys[i]);
+        size += cellSize;
+    }
+    level.pageNumbers.push(writeIndexLeafPage(pages, pageKeys));
+
+    while (level.pageNumbers.length > 1) {
+        level = writeIndexInteriorLevel(pages, level);
+    }
+    return level.pageNumbers[0];
+}
+
+/**
+ * @param {Uint8Array[]} pages
+ * @param {Uint8Array[]} keys
+ * @returns {number}
+ */
+function writeIndexLeafPage(pages, keys) {
+    const cells = keys.map((key) => createIndexCell(pages, key, null));
+    return addPage(pages, createPage(PAGE_TYPE_INDEX_LEAF, cells, null, 0));
+}
+
+/**
+ * @param {Uint8Array[]} pages
+ * @param {import('sqlite-writer').IndexLevel} level
+ * @returns {import('sqlite-writer').IndexLevel}
+ */
+function writeIndexInteriorLevel(pages, {pageNumbers, dividers}) {
+    const capacity = PAGE_SIZE - 12;
+    /** @type {import('sqlite-writer').IndexLevel} */
+    const parentLevel = {pageNumbers: [], dividers: []};
+    /** @type {number[]} */
+    let cellIndices = [];
+    let size = 0;
+    const last = pageNumbers.length - 1;
+    for (let i = 0; i < last; ++i) {
+        const cellSize = getIndexCellSize(dividers[i], true) + 2;
+        if (cellIndices.length > 0 && size + cellSize > capacity) {
+            // Page i becomes the right child, and the key after it is stored in the parent page.
+            // If only the last page would remain, the last cell is moved to the next page instead.
+            let rightChildIndex = i;
+            if (i === last - 1) {
+                rightChildIndex = /** @type {number} */ (cellIndices.pop());
+                i = rightChildIndex;
+            }
+            parentLevel.pageNumbers.push(writeIndexInteriorPage(pages, pageNumbers, dividers, cellIndices, rightChildIndex));
+            parentLevel.dividers.push(dividers[rightChildIndex]);
+            cellIndices = [];
+            size = 0;
+            continue;
+        }
+        cellIndices.push(i);
+        size += cellSize;
+    }
+    parentLevel.pageNumbers.push(writeIndexInteriorPage(pages, pageNumbers, dividers, cellIndices, last));
+    return parentLevel;
+}
+
+/**
+ * @param {Uint8Array[]} pages
+ * @param {number[]} pageNumbers
+ * @param {Uint8Array[]} dividers
+ * @param {number[]} cellIndices
+ * @param {number} rightChildIndex
+ * @returns {number}
+ */
+function writeIndexInteriorPage(pages, pageNumbers, dividers, cellIndices, rightChildIndex) {
+    const cells = cellIndices.map((i) => createIndexCell(pages, dividers[i], pageNumbers[i]));
+    return addPage(pages, createPage(PAGE_TYPE_INDEX_INTERIOR, cells, pageNumbers[rightChildIndex], 0));
+}
+
+/**
+ * @param {Uint8Array[]} pages
+ * @param {number} rowId
+ * @param {Uint8Array} payload
+ * @returns {Uint8Array}
+ */
+function createTableLeafCell(pages, rowId, payload) {
+    return concatBytes([encodeVarint(payload.length), encodeVarint(rowId), ...writePayload(pages, payload, MAX_TABLE_LOCAL_PAYLOAD)]);
+}
+
+/**
+ * @param {Uint8Array[]} pages
+ * @param {Uint8Array} payload
+ * @param {?number} leftChildPageNumber The child page number of interior cells.
+ * @returns {Uint8Array}
+ */
+function createIndexCell(pages, payload, leftChildPageNumber) {
+    /** @type {Uint8Array[]} */
+    const parts = [encodeVarint(payload.length), ...writePayload(pages, payload, MAX_INDEX_LOCAL_PAYLOAD)];
+    if (leftChildPageNumber !== null) { parts.unshift(encodeUint32(leftChildPageNumber)); }
+    return concatBytes(parts);
+}
+
+/**
+ * @param {Uint8Array} payload
+ * @param {boolean} interior
+ * @returns {number}
+ */
+function getIndexCellSize(payload, interior) {
+    const localSize = getLocalPayloadSize(payload.length, MAX_INDEX_LOCAL_PAYLOAD);
+    return (interior ? 4 : 0) + getVarintLength(payload.length) + localSize + (localSize < payload.length ? 4 : 0);
+}
+
+/**
+ * @param {number} payloadSize
+ * @param {number} maxLocalSize
+ * @returns {number}
+ */
+function getLocalPayloadSize(payloadSize, maxLocalSize) {
+    if (payloadSize <= maxLocalSize) { return payloadSize; }
+    const size = MIN_LOCAL_PAYLOAD + ((payloadSize - MIN_LOCAL_PAYLOAD) % (PAGE_SIZE - 4));
+    return size <= maxLocalSize ? size : MIN_LOCAL_PAYLOAD;
+}
+
+/**
+ * Splits a payload into the part which is stored in its cell and the overflow pages.
+ * @param {Uint8Array[]} pages
+ * @param {Uint8Array} payload
+ * @param {number} maxLocalSize
+ * @returns {Uint8Array[]} The content of the cell, which is followed by the first overflow page number if the payload overflows.
+ */
+function writePayload(pages, payload, maxLocalSize) {
+    const localSize = getLocalPayloadSize(payload.length, maxLocalSize);
+    if (localSize === payload.length) { return [payload]; }
+
+    const overflowSize = PAGE_SIZE - 4;
+    /** @type {Uint8Array[]} */
+    const overflowPages = [];
+    for (let offset = localSize; offset < payload.length; offset += overflowSize) {
+        const page = new Uint8Array(PAGE_SIZE);
+        page.set(payload.subarray(offset, offset + overflowSize), 4);
+        overflowPages.push(page);
+    }
+    const firstPageNumber = pages.length + 1;
+    for (let i = 0, ii = overflowPages.length; i < ii; ++i) {
+        const page = overflowPages[i];
+        if (i < ii - 1) {
+            new DataView(page.buffer).setUint32(0, firstPageNumber + i + 1);
+        }
+        addPage(pages, page);
+    }
+    return [payload.subarray(0, localSize), encodeUint32(firstPageNumber)];
+}
+
+/**
+ * @param {import('sqlite-writer').Value[]} values
+ * @returns {Uint8Array}
+ */
+function encodeRecord(values) {
+    /** @type {number[]} */
+    const serialTypes = [];
+    /** @type {Uint8Array[]} */
+    const body = [];
+    for (const value of values) {
+        if (value === null) {
+            serialTypes.push(0);
+        } else if (typeof value === 'number') {
+            if (!Number.isInteger(value)) {
+                const bytes = new Uint8Array(8);
+                new DataView(bytes.buffer).setFloat64(0, value);
+                serialTypes.push(7);
+                body.push(bytes);
+            } else if (value === 0 || value === 1) {
+                serialTypes.push(8 + value);
+            } else {
+                const [serialType, size] = getIntegerSerialType(value);
+                serialTypes.push(serialType);
+                body.push(encodeInteger(value, size));
+            }
+        } else if (typeof value === 'string') {
+            const bytes = textEncoder.encode(value);
+            serialTypes.push(13 + bytes.length * 2);
+            body.push(bytes);
+        } else {
+            serialTypes.push(12 + value.length * 2);
+            body.push(value);
+        }
+    }
+
+    const serialTypesBytes = serialTypes.map(encodeVarint);
+    let serialTypesSize = 0;
+    for (const bytes of serialTypesBytes) { serialTypesSize += bytes.length; }
+    // The header size includes the varint which stores it
+    let headerSizeLength = 1;
+    while (getVarintLength(serialTypesSize + headerSizeLength) > headerSizeLength) { ++headerSizeLength; }
+    const headerSize = serialTypesSize + headerSizeLength;
+    return concatBytes([encodeVarint(headerSize), ...serialTypesBytes, ...body]);
+}
+
+/**
+ * @param {number} value
+ * @returns {[serialType: number, size: number]}
+ * @throws {Error}
+ */
+function getIntegerSerialType(value) {
+    if (!Number.isSafeInteger(value)) { throw new Error(`Integer is out of range: ${value}`); }
+    if (value >= -0x80 && value < 0x80) { return [1, 1]; }
+    if (value >= -0x8000 && value < 0x8000) { return [2, 2]; }
+    if (value >= -0x800000 && value < 0x800000) { return [3, 3]; }
+    if (value >= -0x80000000 && value < 0x80000000) { return [4, 4]; }
+    if (value >= -0x800000000000 && value < 0x800000000000) { return [5, 6]; }
+    return [6, 8];
+}
+
+/**
+ * @param {number} value
+ * @param {number} size
+ * @returns {Uint8Array} The big-endian two's complement representation of the value.
+ */
+function encodeInteger(value, size) {
+    const bytes = new Uint8Array(size);
+    let remaining = BigInt.asUintN(size * 8, BigInt(value));
+    for (let i = size - 1; i >= 0; --i) {
+        bytes[i] = Number(remaining & 0xffn);
+        remaining >>= 8n;
+    }
+    return bytes;
+}
+
+/**
+ * @param {number} value
+ * @returns {Uint8Array}
+ */
+function encodeUint32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value);
+    return bytes;
+}
+
+/**
+ * Encodes a non-negative integer as a variable-length integer.
+ * Safe integers need at most 8 bytes, so the 9 byte form is never used.
+ * @param {number} value
+ * @returns {Uint8Array}
+ * @throws {Error}
+ */
+function encodeVarint(value) {
+    if (!Number.isSafeInteger(value) || value < 0) { throw new Error(`Varint is out of range: ${value}`); }
+    /** @type {number[]} */
+    const bytes = [];
+    do {
+        bytes.unshift((value % 128) | (bytes.length > 0 ? 0x80 : 0));
+        value = Math.floor(value / 128);
+    } while (value > 0);
+    return new Uint8Array(bytes);
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function getVarintLength(value) {
+    let length = 1;
+    while (value >= 128) {
+        value = Math.floor(value / 128);
+        ++length;
+    }
+    return length;
+}
+
+/**
+ * @param {Uint8Array[]} parts
+ * @returns {Uint8Array}
+ */
+function concatBytes(parts) {
+    let length = 0;
+    for (const part of parts) { length += part.length; }
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+/**
+ * Compares records the same way as SQLite with the BINARY collation.
+ * @param {import('sqlite-writer').Value[]} record1
+ * @param {import('sqlite-writer').Value[]} record2
+ * @returns {number}
+ */
+function compareRecords(record1, record2) {
+    for (let i = 0, ii = Math.min(record1.length, record2.length); i < ii; ++i) {
+        const result = compareValues(record1[i], record2[i]);
+        if (result !== 0) { return result; }
+    }
+    return record1.length - record2.length;
+}
+
+/**
+ * @param {import('sqlite-writer').Value} value1
+ * @param {import('sqlite-writer').Value} value2
+ * @returns {number}
+ */
+function compareValues(value1, value2) {
+    const typeOrder1 = getValueTypeOrder(value1);
+    const typeOrder2 = getValueTypeOrder(value2);
+    if (typeOrder1 !== typeOrder2) { return typeOrder1 - typeOrder2; }
+    if (typeof value1 === 'number' && typeof value2 === 'number') { return value1 - value2; }
+    if (value1 === null || value2 === null || typeof value1 === 'number' || typeof value2 === 'number') { return 0; }
+    const bytes1 = typeof value1 === 'string' ? textEncoder.encode(value1) : value1;
+    const bytes2 = typeof value2 === 'string' ? textEncoder.encode(value2) : value2;
+    for (let i = 0, ii = Math.min(bytes1.length, bytes2.length); i < ii; ++i) {
+        if (bytes1[i] !== bytes2[i]) { return bytes1[i] - bytes2[i]; }
+    }
+    return bytes1.length - bytes2.length;
+}
+
+/**
+ * @param {import('sqlite-writer').Value} value
+ * @returns {number}
+ */
+function getValueTypeOrder(value) {
+    if (value === null) { return 0; }
+    switch (typeof value) {
+        case 'number': return 1;
+        case 'string': return 2;
+        default: return 3;
+    }
+}
@@ -0,0 +1,170 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {
+    BlobWriter as BlobWriter0,
+    TextReader as TextReader0,
+    Uint8ArrayReader as Uint8ArrayReader0,
+    Uint8ArrayWriter as Uint8ArrayWriter0,
+    ZipWriter as ZipWriter0,
+} from '../../lib/zip.js';
+
+const BlobWriter = /** @type {typeof import('@zip.js/zip.js').BlobWriter} */ (/** @type {unknown} */ (BlobWriter0));
+const TextReader = /** @type {typeof import('@zip.js/zip.js').TextReader} */ (/** @type {unknown} */ (TextReader0));
+const Uint8ArrayReader = /** @type {typeof import('@zip.js/zip.js').Uint8ArrayReader} */ (/** @type {unknown} */ (Uint8ArrayReader0));
+const Uint8ArrayWriter = /** @type {typeof import('@zip.js/zip.js').Uint8ArrayWriter} */ (/** @type {unknown} */ (Uint8ArrayWriter0));
+const ZipWriter = /** @type {typeof import('@zip.js/zip.js').ZipWriter} */ (/** @type {unknown} */ (ZipWriter0));
+
+/** The maximum number of items in each bank file of a converted dictionary. */
+const BANK_SIZE = 10000;
+
+/**
+ * Reads the first file of an archive which exists under one of the given names.
+ * @param {import('dictionary-importer').ArchiveFileMap} fileMap
+ * @param {string[]} fileNames The names the file can have, where names ending with `.dz` or `.gz` are decompressed.
+ * @returns {Promise<?Uint8Array>}
+ */
+export async function readArchiveFile(fileMap, fileNames) {
+    for (const fileName of fileNames) {
+        const entry = fileMap.get(fileName);
+        if (typeof entry === 'undefined' || typeof entry.getData === 'undefined') { continue; }
+        const data = await entry.getData(new Uint8ArrayWriter());
+        return /\.(?:dz|gz)$/i.test(fileName) ? await decompressGzip(data) : data;
+    }
+    return null;
+}
+
+/**
+ * Decompresses gzip data, which also covers the dictzip format since it is gzip with an extra header field.
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+export async function decompressGzip(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Joins adjacent strings of converted structured content, and unwraps content which has a single item.
+ * @param {import('structured-content').Content[]} content
+ * @returns {?import('structured-content').Content} The content, or `null` if it is empty or only whitespace.
+ */
+export function simplifyContent(content) {
+    /** @type {import('structured-content').Content[]} */
+    const results = [];
+    for (const item of content) {
+        const last = results.length > 0 ? results[results.length - 1] : null;
+        if (typeof item === 'string' && typeof last === 'string') {
+            results[results.length - 1] = last + item;
+        } else {
+            results.push(item);
+        }
+    }
+    if (results.length === 0 || (results.length === 1 && typeof results[0] === 'string' && results[0].trim().length === 0)) {
+        return null;
+    }
+    return results.length === 1 ? results[0] : results;
+}
+
+/**
+ * Creates the archive of a dictionary converted from another format.
+ * @param {unknown} index The content of `index.json`.
+ * @param {[prefix: string, items: unknown[]][]} banks The bank files to create, split into files of at most `BANK_SIZE` items.
+ * @param {Map<string, Uint8Array>} resources The resource files, which are stored in the `res/` directory.
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function createDictionaryArchive(index, banks, resources) {
+    const archiveWriter = new DictionaryArchiveWriter();
+    for (const [prefix, items] of banks) {
+        await archiveWriter.addBankItems(prefix, items);
+    }
+    for (const [fileName, data] of resources) {
+        await archiveWriter.addResource(fileName, data);
+    }
+    return await archiveWriter.close(index);
+}
+
+/**
+ * Writes the archive of a converted dictionary incrementally, so that converters which read their source
+ * in parts don't have to hold every bank in memory.
+ */
+export class DictionaryArchiveWriter {
+    constructor() {
+        /** @type {import('@zip.js/zip.js').ZipWriter<Blob>} */
+        this._zipWriter = new ZipWriter(new BlobWriter('application/zip'));
+        /** @type {Map<string, unknown[]>} */
+        this._pendingItems = new Map();
+        /** @type {Map<string, number>} */
+        this._bankCounts = new Map();
+    }
+
+    /**
+     * Adds items to the banks with the given prefix, writing each bank once it contains `BANK_SIZE` items.
+     * @param {string} prefix
+     * @param {unknown[]} items
+     */
+    async addBankItems(prefix, items) {
+        let pendingItems = this._pendingItems.get(prefix);
+        if (typeof pendingItems === 'undefined') {
+            pendingItems = [];
+            this._pendingItems.set(prefix, pendingItems);
+        }
+        for (const item of items) {
+            pendingItems.push(item);
+            if (pendingItems.length >= BANK_SIZE) {
+                await this._writeBank(prefix, pendingItems.splice(0, pendingItems.length));
+            }
+        }
+    }
+
+    /**
+     * @param {string} fileName
+     * @param {Uint8Array} data
+     */
+    async addResource(fileName, data) {
+        await this._zipWriter.add(`res/${fileName}`, new Uint8ArrayReader(data), {level: 0, useWebWorkers: false});
+    }
+
+    /**
+     * Writes the remaining banks and the index, which can depend on the whole content of the dictionary.
+     * @param {unknown} index The content of `index.json`.
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async close(index) {
+        for (const [prefix, pendingItems] of this._pendingItems) {
+            if (pendingItems.length > 0) {
+                await this._writeBank(prefix, pendingItems);
+            }
+        }
+        this._pendingItems.clear();
+        await this._zipWriter.add('index.json', new TextReader(JSON.stringify(index)), {useWebWorkers: false});
+        const blob = await this._zipWriter.close();
+        return await blob.arrayBuffer();
+    }
+
+    // Private
+
+    /**
+     * @param {string} prefix
+     * @param {unknown[]} items
+     */
+    async _writeBank(prefix, items) {
+        const bankCount = (this._bankCounts.get(prefix) ?? 0) + 1;
+        this._bankCounts.set(prefix, bankCount);
+        await this._zipWriter.add(`${prefix}_${bankCount}.json`, new TextReader(JSON.stringify(items)), {useWebWorkers: false});
+    }
+}
@@ -45,6 +45,8 @@ export class DictionaryDatabase {
         this._createTermBind1 = this._createTermExact.bind(this);
         /** @type {import('dictionary-database').CreateResult<import('dictionary-database').DictionaryAndQueryRequest, import('dictionary-database').DatabaseTermEntryWithId, import('dictionary-database').TermEntry>} */
         this._createTermBind2 = this._createTermSequenceExact.bind(this);
+        /** @type {import('dictionary-database').CreateResult<string, import('dictionary-database').DatabaseTermEntryWithId, import('dictionary-database').TermEntry>} */
+        this._createTermBind3 = this._createTermGlossary.bind(this);
         /** @type {import('dictionary-database').CreateResult<string, import('dictionary-database').DatabaseTermMeta, import('dictionary-database').TermMeta>} */
         this._createTermMetaBind = this._createTermMeta.bind(this);
         /** @type {import('dictionary-database').CreateResult<string, import('dictionary-database').DatabaseKanjiEntry, import('dictionary-database').KanjiEntry>} */
@@ -59,7 +61,7 @@ export class DictionaryDatabase {
     async prepare() {
         await this._db.open(
             this._dbName,
-            60,
+            70,
             /** @type {import('database').StructureDefinition<import('dictionary-database').ObjectStoreName>[]} */
             ([
                 /** @type {import('database').StructureDefinition<import('dictionary-database').ObjectStoreName>} */
@@ -128,6 +130,16 @@ export class DictionaryDatabase {
                         },
                     },
                 },
+                {
+                    version: 70,
+                    stores: {
+                        terms: {
+                            primaryKey: {keyPath: 'id', autoIncrement: true},
+                            indices: ['dictionary', 'expression', 'reading', 'sequence', 'expressionReverse', 'readingReverse'],
+                            multiEntryIndices: ['glossaryWords'],
+                        },
+                    },
+                },
             ]),
         );
     }
@@ -228,6 +240,60 @@ export class DictionaryDatabase {
         }
     }
 
+    /**
+     * Replaces a dictionary with data which was imported under a different title, using a single transaction.
+     * The rows of the previous dictionary are deleted, and the imported rows are renamed to the title of the summary.
+     * @param {string} previousTitle
+     * @param {string} importTitle
+     * @param {import('dictionary-importer').Summary} summary
+     * @param {number} progressRate
+     * @param {import('dictionary-database').ReplaceDictionaryProgressCallback} onProgress
+     * @returns {Promise<void>}
+     */
+    replaceDictionary(previousTitle, importTitle, summary, progressRate, onProgress) {
+        /** @type {import('dictionary-database').ObjectStoreName[]} */
+        const objectStoreNames = ['kanji', 'kanjiMeta', 'terms', 'termMeta', 'tagMeta', 'media'];
+        const {title} = summary;
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction([...objectStoreNames, 'dictionaries'], 'readwrite');
+            transaction.onerror = (e) => reject(/** @type {IDBTransaction} */ (e.target).error);
+            transaction.onabort = () => reject(new Error('Transaction aborted'));
+            transaction.oncomplete = () => resolve();
+
+            let processed = 0;
+            const onRowProcessed = () => {
+                ++processed;
+                if ((processed % progressRate) === 0) {
+                    onProgress(processed);
+                }
+            };
+
+            const dictionaries = transaction.objectStore('dictionaries');
+            this._forEachCursor(dictionaries.index('title'), IDBKeyRange.only(previousTitle), (cursor) => {
+                cursor.delete();
+            }, () => {
+                dictionaries.add(summary);
+            });
+
+            for (const objectStoreName of objectStoreNames) {
+                const index = transaction.objectStore(objectStoreName).index('dictionary');
+                // The previous rows must all be deleted before renaming, since the titles can be the same
+                this._forEachCursor(index, IDBKeyRange.only(previousTitle), (cursor) => {
+                    cursor.delete();
+                    onRowProcessed();
+                }, () => {
+                    this._forEachCursor(index, IDBKeyRange.only(importTitle), (cursor) => {
+                        /** @type {unknown} */
+                        const value = cursor.value;
+                        const row = /** @type {import('core').SerializableObject} */ (value);
+                        cursor.update({...row, dictionary: title});
+                        onRowProcessed();
+                    }, null);
+                });
+            }
+        });
+    }
+
     /**
      * @param {string[]} termList
      * @param {import('dictionary-database').DictionarySet} dictionaries
@@ -262,6 +328,42 @@ export class DictionaryDatabase {
         return this._findMultiBulk('terms', indexNames, termList, createQuery, predicate, createResult);
     }
 
+    /**
+     * Finds the distinct terms of all dictionaries which start with any of the given prefixes.
+     * Only the keys of the term index are read, which is much faster than reading the term entries.
+     * @param {string[]} prefixList
+     * @param {number} maxCount The maximum number of terms to find for each prefix.
+     * @returns {Promise<string[]>}
+     */
+    findTermTextsWithPrefixBulk(prefixList, maxCount) {
+        return new Promise((resolve, reject) => {
+            /** @type {Set<string>} */
+            const results = new Set();
+            let remaining = prefixList.length;
+            if (remaining === 0) {
+                resolve([]);
+                return;
+            }
+            const transaction = this._db.transaction(['terms'], 'readonly');
+            const index = transaction.objectStore('terms').index('expression');
+            for (const prefix of prefixList) {
+                let count = 0;
+                const request = index.openKeyCursor(this._createBoundQuery1(prefix), 'nextunique');
+                request.onerror = (e) => reject(/** @type {IDBRequest<?IDBCursor>} */ (e.target).error);
+                request.onsuccess = (e) => {
+                    const cursor = /** @type {IDBRequest<?IDBCursor>} */ (e.target).result;
+                    if (cursor !== null && count < maxCount) {
+                        results.add(/** @type {string} */ (cursor.key));
+                        ++count;
+                        cursor.continue();
+                    } else if (--remaining === 0) {
+                        resolve([...results]);
+                    }
+                };
+            }
+        });
+    }
+
     /**
      * @param {import('dictionary-database').TermExactRequest[]} termList
      * @param {import('dictionary-database').DictionarySet} dictionaries
@@ -273,6 +375,19 @@ export class DictionaryDatabase {
         return this._findMultiBulk('terms', ['expression'], termList, this._createOnlyQuery3, predicate, this._createTermBind1);
     }
 
+    /**
+     * Finds terms whose glossaries contain the given words.
+     * Only dictionaries which were imported with glossary index support can be searched.
+     * @param {string[]} wordList Lowercase words, each of which is searched separately.
+     * @param {import('dictionary-database').DictionarySet} dictionaries
+     * @returns {Promise<import('dictionary-database').TermEntry[]>}
+     */
+    findTermsByGlossary(wordList, dictionaries) {
+        /** @type {import('dictionary-database').FindPredicate<string, import('dictionary-database').DatabaseTermEntryWithId>} */
+        const predicate = (row) => dictionaries.has(row.dictionary);
+        return this._findMultiBulk('terms', ['glossaryWords'], wordList, this._createOnlyQuery1, predicate, this._createTermBind3);
+    }
+
     /**
      * @param {import('dictionary-database').DictionaryAndQueryRequest[]} items
      * @returns {Promise<import('dictionary-database').TermEntry[]>}
@@ -440,6 +555,118 @@ export class DictionaryDatabase {
         return this._db.bulkAdd(objectStoreName, items, start, count);
     }
 
+    /**
+     * @param {string} dictionaryName
+     * @returns {Promise<import('dictionary-database').DatabaseTermEntryWithId[]>}
+     */
+    getDictionaryTerms(dictionaryName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['terms'], 'readonly');
+            const index = transaction.objectStore('terms').index('dictionary');
+            this._db.getAll(index, IDBKeyRange.only(dictionaryName), resolve, reject, null);
+        });
+    }
+
+    /**
+     * Gets the rows of an object store which belong to a dictionary in batches, each one read in its own transaction,
+     * so that the whole store doesn't have to be held in memory.
+     * @template {import('dictionary-database').DictionaryDataObjectStoreName} T
+     * @param {T} objectStoreName
+     * @param {string} dictionaryName
+     * @param {number} batchSize
+     * @yields {import('dictionary-database').ObjectStoreData<T>[]}
+     * @returns {AsyncGenerator<import('dictionary-database').ObjectStoreData<T>[], void, void>}
+     */
+    async *getDictionaryDataBatches(objectStoreName, dictionaryName, batchSize) {
+        /** @type {?IDBValidKey} */
+        let afterPrimaryKey = null;
+        while (true) {
+            /** @type {import('dictionary-database').ObjectStoreData<T>[]} */
+            const rows = [];
+            afterPrimaryKey = await new Promise((resolve, reject) => {
+                const transaction = this._db.transaction([objectStoreName], 'readonly');
+                const index = transaction.objectStore(objectStoreName).index('dictionary');
+                /** @type {?IDBValidKey} */
+                let lastPrimaryKey = null;
+                transaction.onerror = (e) => reject(/** @type {IDBTransaction} */ (e.target).error);
+                this._forEachCursor(index, IDBKeyRange.only(dictionaryName), (cursor) => {
+                    /** @type {unknown} */
+                    const value = cursor.value;
+                    rows.push(/** @type {import('dictionary-database').ObjectStoreData<T>} */ (value));
+                    lastPrimaryKey = cursor.primaryKey;
+                    return rows.length < batchSize;
+                }, () => {
+                    resolve(lastPrimaryKey);
+                }, afterPrimaryKey);
+            });
+            if (rows.length > 0) {
+                yield rows;
+            }
+            if (rows.length < batchSize) { break; }
+        }
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<?import('dictionary-database').DatabaseTermEntryWithId>} The term, or `null` if there is no term with the id.
+     */
+    getDictionaryTerm(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['terms'], 'readonly');
+            /** @type {IDBRequest<import('dictionary-database').DatabaseTermEntryWithId|undefined>} */
+            const request = transaction.objectStore('terms').get(id);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const term = request.result;
+                resolve(typeof term !== 'undefined' ? term : null);
+            };
+        });
+    }
+
+    /**
+     * Adds a term to a dictionary, or updates it if it has an `id`.
+     * The summary of the dictionary is stored in the same transaction, with its term count updated.
+     * @param {import('dictionary-importer').Summary} summary
+     * @param {import('dictionary-database').DatabaseTermEntry|import('dictionary-database').DatabaseTermEntryWithId} term
+     * @returns {Promise<number>} The id of the term.
+     */
+    putDictionaryTerm(summary, term) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['dictionaries', 'terms'], 'readwrite');
+            let id = -1;
+            transaction.onerror = (e) => reject(/** @type {IDBTransaction} */ (e.target).error);
+            transaction.onabort = () => reject(new Error('Transaction aborted'));
+            transaction.oncomplete = () => resolve(id);
+
+            const request = transaction.objectStore('terms').put(term);
+            request.onsuccess = () => {
+                id = /** @type {number} */ (request.result);
+                this._putSummaryWithTermCount(transaction, summary);
+            };
+        });
+    }
+
+    /**
+     * Deletes a term from a dictionary.
+     * The summary of the dictionary is stored in the same transaction, with its term count updated.
+     * @param {import('dictionary-importer').Summary} summary
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    deleteDictionaryTerm(summary, id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['dictionaries', 'terms'], 'readwrite');
+            transaction.onerror = (e) => reject(/** @type {IDBTransaction} */ (e.target).error);
+            transaction.onabort = () => reject(new Error('Transaction aborted'));
+            transaction.oncomplete = () => resolve();
+
+            const request = transaction.objectStore('terms').delete(id);
+            request.onsuccess = () => {
+                this._putSummaryWithTermCount(transaction, summary);
+            };
+        });
+    }
+
     // Private
 
     /**
@@ -541,6 +768,58 @@ export class DictionaryDatabase {
         });
     }
 
+    /**
+     * @param {IDBIndex} index
+     * @param {IDBKeyRange} query A range which only contains a single key, when `afterPrimaryKey` is used.
+     * @param {(cursor: IDBCursorWithValue) => (boolean|void)} onRow Iteration stops early if this returns `false`.
+     * @param {?() => void} onComplete
+     * @param {?IDBValidKey} [afterPrimaryKey] Rows up to and including this primary key are skipped.
+     */
+    _forEachCursor(index, query, onRow, onComplete, afterPrimaryKey = null) {
+        const request = index.openCursor(query);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor === null) {
+                if (onComplete !== null) { onComplete(); }
+                return;
+            }
+            if (afterPrimaryKey !== null) {
+                const comparison = indexedDB.cmp(cursor.primaryKey, afterPrimaryKey);
+                if (comparison < 0) {
+                    cursor.continuePrimaryKey(cursor.key, afterPrimaryKey);
+                    return;
+                }
+                if (comparison === 0) {
+                    cursor.continue();
+                    return;
+                }
+            }
+            if (onRow(cursor) === false) {
+                if (onComplete !== null) { onComplete(); }
+                return;
+            }
+            cursor.continue();
+        };
+    }
+
+    /**
+     * @param {IDBTransaction} transaction
+     * @param {import('dictionary-importer').Summary} summary
+     */
+    _putSummaryWithTermCount(transaction, summary) {
+        const {title} = summary;
+        const countRequest = transaction.objectStore('terms').index('dictionary').count(IDBKeyRange.only(title));
+        countRequest.onsuccess = () => {
+            const counts = {...summary.counts, terms: {total: countRequest.result}};
+            const dictionaries = transaction.objectStore('dictionaries');
+            this._forEachCursor(dictionaries.index('title'), IDBKeyRange.only(title), (cursor) => {
+                cursor.delete();
+            }, () => {
+                dictionaries.add({...summary, counts});
+            });
+        };
+    }
+
     /**
      * @param {import('dictionary-database').MatchType} matchType
      * @param {import('dictionary-database').DatabaseTermEntryWithId} row
@@ -574,6 +853,15 @@ export class DictionaryDatabase {
         return this._createTerm('sequence', 'exact', row, data.itemIndex);
     }
 
+    /**
+     * @param {import('dictionary-database').DatabaseTermEntryWithId} row
+     * @param {import('dictionary-database').FindMultiBulkData<string>} data
+     * @returns {import('dictionary-database').TermEntry}
+     */
+    _createTermGlossary(row, data) {
+        return this._createTerm('glossary', 'exact', row, data.itemIndex);
+    }
+
     /**
      * @param {import('dictionary-database').MatchSource} matchSource
      * @param {import('dictionary-database').MatchType} matchType
@@ -633,6 +921,10 @@ export class DictionaryDatabase {
                 return {index, term, mode, data, dictionary};
             case 'ipa':
                 return {index, term, mode, data, dictionary};
+            case 'form':
+                return {index, term, mode, data, dictionary};
+            case 'audio':
+                return {index, term, mode, data, dictionary};
             default:
                 throw new Error(`Unknown mode: ${mode}`);
         }
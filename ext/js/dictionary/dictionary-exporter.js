@@ -0,0 +1,253 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {
+    BlobWriter as BlobWriter0,
+    TextReader as TextReader0,
+    Uint8ArrayReader as Uint8ArrayReader0,
+    ZipWriter as ZipWriter0,
+} from '../../lib/zip.js';
+
+const BlobWriter = /** @type {typeof import('@zip.js/zip.js').BlobWriter} */ (/** @type {unknown} */ (BlobWriter0));
+const TextReader = /** @type {typeof import('@zip.js/zip.js').TextReader} */ (/** @type {unknown} */ (TextReader0));
+const Uint8ArrayReader = /** @type {typeof import('@zip.js/zip.js').Uint8ArrayReader} */ (/** @type {unknown} */ (Uint8ArrayReader0));
+const ZipWriter = /** @type {typeof import('@zip.js/zip.js').ZipWriter} */ (/** @type {unknown} */ (ZipWriter0));
+
+/**
+ * Rebuilds the archive of an installed dictionary from the data stored in the database,
+ * in the format used by `DictionaryImporter`.
+ */
+export class DictionaryExporter {
+    /**
+     * @param {import('dictionary-exporter').OnProgressCallback} [onProgress]
+     */
+    constructor(onProgress) {
+        /** @type {import('dictionary-exporter').OnProgressCallback} */
+        this._onProgress = typeof onProgress === 'function' ? onProgress : () => {};
+        /** @type {number} */
+        this._bankSize = 10000;
+        /** @type {number} */
+        this._mediaBatchSize = 100;
+    }
+
+    /**
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     * @param {string} dictionaryTitle
+     * @returns {Promise<Blob>}
+     * @throws {Error}
+     */
+    async exportDictionary(dictionaryDatabase, dictionaryTitle) {
+        if (!dictionaryDatabase.isPrepared()) {
+            throw new Error('Database is not ready');
+        }
+
+        const summary = (await dictionaryDatabase.getDictionaryInfo()).find(({title}) => title === dictionaryTitle);
+        if (typeof summary === 'undefined') {
+            throw new Error(`Dictionary ${dictionaryTitle} is not imported, so it cannot be exported.`);
+        }
+        const {version} = summary;
+
+        const {counts: [counts]} = await dictionaryDatabase.getDictionaryCounts([dictionaryTitle], false);
+
+        /** @type {import('dictionary-exporter').ProgressData} */
+        const progressData = {
+            index: 0,
+            count: Object.values(counts).reduce((total, count) => total + count, 0),
+        };
+        this._onProgress({...progressData});
+
+        const zipWriter = new ZipWriter(new BlobWriter('application/zip'));
+
+        /**
+         * @template {import('dictionary-database').DictionaryDataObjectStoreName} T
+         * @param {string} prefix
+         * @param {T} objectStoreName
+         * @param {(row: import('dictionary-database').ObjectStoreData<T>) => unknown} createItem
+         */
+        const addBanks = async (prefix, objectStoreName, createItem) => {
+            let bankIndex = 0;
+            for await (const rows of dictionaryDatabase.getDictionaryDataBatches(objectStoreName, dictionaryTitle, this._bankSize)) {
+                await this._addJsonFile(zipWriter, `${prefix}_${++bankIndex}.json`, rows.map(createItem));
+                progressData.index += rows.length;
+                this._onProgress({...progressData});
+            }
+        };
+
+        await this._addJsonFile(zipWriter, 'index.json', this._createIndex(summary));
+        await addBanks('term_bank', 'terms', (row) => (version === 1 ? this._createTermV1(row) : this._createTermV3(row)));
+        await addBanks('term_meta_bank', 'termMeta', ({expression, mode, data}) => [expression, mode, data]);
+        await addBanks('kanji_bank', 'kanji', (row) => (version === 1 ? this._createKanjiV1(row) : this._createKanjiV3(row)));
+        await addBanks('kanji_meta_bank', 'kanjiMeta', ({character, mode, data}) => [character, mode, data]);
+        await addBanks('tag_bank', 'tagMeta', ({name, category, order, notes, score}) => [name, category, order, notes, score]);
+
+        for await (const media of dictionaryDatabase.getDictionaryDataBatches('media', dictionaryTitle, this._mediaBatchSize)) {
+            for (const {path, content} of media) {
+                await zipWriter.add(path, new Uint8ArrayReader(new Uint8Array(content)), {level: 0, useWebWorkers: false});
+                ++progressData.index;
+                this._onProgress({...progressData});
+            }
+        }
+
+        if (summary.styles.length > 0) {
+            await zipWriter.add('styles.css', new TextReader(summary.styles), {useWebWorkers: false});
+        }
+
+        return await zipWriter.close();
+    }
+
+    // Private
+
+    /**
+     * @param {import('@zip.js/zip.js').ZipWriter<Blob>} zipWriter
+     * @param {string} fileName
+     * @param {unknown} data
+     */
+    async _addJsonFile(zipWriter, fileName, data) {
+        await zipWriter.add(fileName, new TextReader(JSON.stringify(data)), {useWebWorkers: false});
+    }
+
+    /**
+     * @param {import('dictionary-importer').Summary} summary
+     * @returns {import('dictionary-data').Index}
+     */
+    _createIndex(summary) {
+        const {title, revision, sequenced, version, isUpdatable, indexUrl, downloadUrl} = summary;
+        /** @type {import('dictionary-data').Index} */
+        const index = {
+            title,
+            format: /** @type {import('dictionary-data').IndexVersion} */ (version),
+            revision,
+            sequenced,
+        };
+        if (isUpdatable === true) {
+            index.isUpdatable = true;
+            index.indexUrl = indexUrl;
+            index.downloadUrl = downloadUrl;
+        }
+        const {author, url, description, attribution, sourceLanguage, targetLanguage, frequencyMode} = summary;
+        if (typeof author === 'string') { index.author = author; }
+        if (typeof url === 'string') { index.url = url; }
+        if (typeof description === 'string') { index.description = description; }
+        if (typeof attribution === 'string') { index.attribution = attribution; }
+        if (typeof sourceLanguage === 'string') { index.sourceLanguage = sourceLanguage; }
+        if (typeof targetLanguage === 'string') { index.targetLanguage = targetLanguage; }
+        if (typeof frequencyMode === 'string') { index.frequencyMode = frequencyMode; }
+        return index;
+    }
+
+    /**
+     * @param {import('dictionary-database').DatabaseTermEntry} row
+     * @returns {import('dictionary-data').TermV1}
+     */
+    _createTermV1({expression, reading, definitionTags, tags, rules, score, glossary}) {
+        // Version 1 dictionaries only contain string glossaries
+        const glossaryStrings = /** @type {string[]} */ (glossary);
+        return [
+            expression,
+            reading,
+            definitionTags ?? tags ?? null,
+            rules,
+            score,
+            ...glossaryStrings,
+        ];
+    }
+
+    /**
+     * @param {import('dictionary-database').DatabaseTermEntry} row
+     * @returns {import('dictionary-data').TermV3}
+     */
+    _createTermV3({expression, reading, definitionTags, tags, rules, score, glossary, sequence, termTags}) {
+        return [
+            expression,
+            reading,
+            definitionTags ?? tags ?? null,
+            rules,
+            score,
+            glossary.map((item) => this._createGlossary(item)),
+            typeof sequence === 'number' ? sequence : -1,
+            typeof termTags === 'string' ? termTags : '',
+        ];
+    }
+
+    /**
+     * @param {import('dictionary-database').DatabaseKanjiEntry} row
+     * @returns {import('dictionary-data').KanjiV1}
+     */
+    _createKanjiV1({character, onyomi, kunyomi, tags, meanings}) {
+        return [character, onyomi, kunyomi, tags, ...meanings];
+    }
+
+    /**
+     * @param {import('dictionary-database').DatabaseKanjiEntry} row
+     * @returns {import('dictionary-data').KanjiV3}
+     */
+    _createKanjiV3({character, onyomi, kunyomi, tags, meanings, stats}) {
+        return [character, onyomi, kunyomi, tags, meanings, typeof stats === 'object' && stats !== null ? stats : {}];
+    }
+
+    /**
+     * The importer stores the size of images in the `width` and `height` properties and moves the sizes
+     * from the archive to the `preferredWidth` and `preferredHeight` properties, so this is reversed here.
+     * @param {import('dictionary-data').TermGlossary} glossary
+     * @returns {import('dictionary-data').TermGlossary}
+     */
+    _createGlossary(glossary) {
+        if (typeof glossary !== 'object' || glossary === null || Array.isArray(glossary)) { return glossary; }
+        switch (glossary.type) {
+            case 'image':
+                return this._createImage(glossary);
+            case 'structured-content':
+                return {type: 'structured-content', content: this._createStructuredContent(glossary.content)};
+            default:
+                return glossary;
+        }
+    }
+
+    /**
+     * @param {import('structured-content').Content} content
+     * @returns {import('structured-content').Content}
+     */
+    _createStructuredContent(content) {
+        if (typeof content !== 'object' || content === null) { return content; }
+        if (Array.isArray(content)) {
+            return content.map((item) => this._createStructuredContent(item));
+        }
+        if (content.tag === 'img') {
+            return this._createImage(content);
+        }
+        const childContent = content.content;
+        if (typeof childContent === 'undefined') { return content; }
+        return {...content, content: this._createStructuredContent(childContent)};
+    }
+
+    /**
+     * @template {import('structured-content').ImageElementBase} T
+     * @param {T} image
+     * @returns {T}
+     */
+    _createImage(image) {
+        const {preferredWidth, preferredHeight} = image;
+        const result = {...image};
+        delete result.width;
+        delete result.height;
+        delete result.preferredWidth;
+        delete result.preferredHeight;
+        if (typeof preferredWidth === 'number') { result.width = preferredWidth; }
+        if (typeof preferredHeight === 'number') { result.height = preferredHeight; }
+        return result;
+    }
+}
@@ -0,0 +1,96 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const WORD_PATTERN = /[\p{Letter}\p{Mark}\p{Number}]+/gu;
+
+/** @type {Set<string>} */
+const BLOCK_TAGS = new Set(['br', 'div', 'ol', 'ul', 'li', 'details', 'summary', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th']);
+
+/**
+ * Gets the plain text of a glossary item, including the text of structured content.
+ * Deinflection glossary items have no text.
+ * @param {import('dictionary-data').TermGlossary} glossary
+ * @returns {string}
+ */
+export function getGlossaryText(glossary) {
+    if (typeof glossary === 'string') { return glossary; }
+    if (Array.isArray(glossary)) { return ''; }
+    switch (glossary.type) {
+        case 'text':
+            return glossary.text;
+        case 'image':
+            return glossary.description ?? '';
+        case 'structured-content':
+            return getStructuredContentText(glossary.content);
+        default:
+            return '';
+    }
+}
+
+/**
+ * Gets the unique words of a text, converted to lowercase, in the order they first appear.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function getTextWords(text) {
+    /** @type {Set<string>} */
+    const words = new Set();
+    for (const [word] of text.toLowerCase().matchAll(WORD_PATTERN)) {
+        words.add(word);
+    }
+    return [...words];
+}
+
+/**
+ * Gets how prominently a set of words appears in a list of glossary items.
+ * A glossary item which consists of only the words scores 1, and the score decreases
+ * as the item contains more other words and as the item appears later in the list.
+ * @param {import('dictionary-data').TermGlossary[]} glossaryList
+ * @param {string[]} words The words to match, as returned by `getTextWords`.
+ * @returns {number} A value between 0 and 1, where 0 means that no glossary item contains all of the words.
+ */
+export function getGlossaryMatchProminence(glossaryList, words) {
+    if (words.length === 0) { return 0; }
+    let prominence = 0;
+    for (let i = 0, ii = glossaryList.length; i < ii; ++i) {
+        const glossaryWords = new Set(getTextWords(getGlossaryText(glossaryList[i])));
+        if (!words.every((word) => glossaryWords.has(word))) { continue; }
+        prominence = Math.max(prominence, words.length / glossaryWords.size / (i + 1));
+    }
+    return prominence;
+}
+
+/**
+ * @param {import('structured-content').Content} content
+ * @returns {string}
+ */
+function getStructuredContentText(content) {
+    if (typeof content === 'string') { return content; }
+    if (Array.isArray(content)) {
+        let text = '';
+        for (const item of content) {
+            text += getStructuredContentText(item);
+        }
+        return text;
+    }
+    const {tag} = content;
+    if (tag === 'img' || tag === 'rt' || tag === 'rp' || typeof content.content === 'undefined') {
+        return BLOCK_TAGS.has(tag) ? '\n' : '';
+    }
+    const text = getStructuredContentText(content.content);
+    return BLOCK_TAGS.has(tag) ? `\n${text}\n` : text;
+}
@@ -28,7 +28,11 @@ import {ExtensionError} from '../core/extension-error.js';
 import {parseJson} from '../core/json.js';
 import {toError} from '../core/to-error.js';
 import {stringReverse} from '../core/utilities.js';
-import {getFileExtensionFromImageMediaType, getImageMediaTypeFromFileName} from '../media/media-util.js';
+import {getAudioMediaTypeFromFileName, getFileExtensionFromAudioMediaType, getFileExtensionFromImageMediaType, getImageMediaTypeFromFileName} from '../media/media-util.js';
+import {getGlossaryText, getTextWords} from './dictionary-glossary-util.js';
+import {DslConverter, isDslArchive} from './dsl-converter.js';
+import {StarDictConverter, isStarDictArchive} from './stardict-converter.js';
+import {WiktextractConverter, isWiktextractArchive} from './wiktextract-converter.js';
 
 const ajvSchemas = /** @type {import('dictionary-importer').CompiledSchemaValidators} */ (/** @type {unknown} */ (ajvSchemas0));
 const BlobWriter = /** @type {typeof import('@zip.js/zip.js').BlobWriter} */ (/** @type {unknown} */ (BlobWriter0));
@@ -57,6 +61,33 @@ export class DictionaryImporter {
      * @returns {Promise<import('dictionary-importer').ImportResult>}
      */
     async importDictionary(dictionaryDatabase, archiveContent, details) {
+        return await this._importDictionary(dictionaryDatabase, archiveContent, details, null);
+    }
+
+    /**
+     * Imports a new revision of an existing dictionary.
+     * The new data is imported alongside the previous revision under a temporary title, and then swapped in with a single transaction.
+     * If the import fails, the partially imported data is removed and the previous revision is left unchanged.
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     * @param {ArrayBuffer} archiveContent
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @param {string} previousTitle The title of the dictionary being updated.
+     * @returns {Promise<import('dictionary-importer').ImportResult>}
+     */
+    async updateDictionary(dictionaryDatabase, archiveContent, details, previousTitle) {
+        return await this._importDictionary(dictionaryDatabase, archiveContent, details, previousTitle);
+    }
+
+    // Private
+
+    /**
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     * @param {ArrayBuffer} archiveContent
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @param {?string} previousTitle
+     * @returns {Promise<import('dictionary-importer').ImportResult>}
+     */
+    async _importDictionary(dictionaryDatabase, archiveContent, details, previousTitle) {
         if (!dictionaryDatabase) {
             throw new Error('Invalid database');
         }
@@ -74,19 +105,52 @@ export class DictionaryImporter {
         });
 
         // Read archive
-        const fileMap = await this._getFilesFromArchive(archiveContent);
+        let fileMap = await this._getFilesFromArchive(archiveContent);
+        let replaceOtherRevision = false;
+        if (isStarDictArchive(fileMap.keys())) {
+            const starDictConverter = new StarDictConverter();
+            fileMap = await this._getFilesFromArchive(await starDictConverter.convertArchive(fileMap));
+        } else if (isDslArchive(fileMap.keys())) {
+            const dslConverter = new DslConverter();
+            fileMap = await this._getFilesFromArchive(await dslConverter.convertArchive(fileMap));
+        } else if (isWiktextractArchive(fileMap.keys())) {
+            const wiktextractConverter = new WiktextractConverter();
+            fileMap = await this._getFilesFromArchive(await wiktextractConverter.convertArchive(fileMap));
+            // The title of a Wiktextract dictionary only depends on its language, so a dump with a different revision replaces the installed one
+            replaceOtherRevision = true;
+        }
         const index = await this._readAndValidateIndex(fileMap);
 
         const dictionaryTitle = index.title;
         const version = /** @type {import('dictionary-data').IndexVersion} */ (index.version);
 
+        if (previousTitle === null && replaceOtherRevision) {
+            const installedSummary = (await dictionaryDatabase.getDictionaryInfo()).find(({title}) => title === dictionaryTitle);
+            if (typeof installedSummary !== 'undefined' && installedSummary.revision !== index.revision) {
+                previousTitle = dictionaryTitle;
+            }
+        }
+
         // Verify database is not already imported
-        if (await dictionaryDatabase.dictionaryExists(dictionaryTitle)) {
+        if (dictionaryTitle !== previousTitle && await dictionaryDatabase.dictionaryExists(dictionaryTitle)) {
             return {
                 errors: [new Error(`Dictionary ${dictionaryTitle} is already imported, skipped it.`)],
                 result: null,
             };
         }
+        if (previousTitle !== null && !(await dictionaryDatabase.dictionaryExists(previousTitle))) {
+            return {
+                errors: [new Error(`Dictionary ${previousTitle} is not imported, so it cannot be updated.`)],
+                result: null,
+            };
+        }
+
+        // Data for an update is imported under a temporary title so that it is not used until it is swapped in
+        const importTitle = previousTitle !== null ? this._getUpdateImportTitle(previousTitle) : dictionaryTitle;
+        if (previousTitle !== null) {
+            // Remove leftovers of an update which was interrupted
+            await dictionaryDatabase.deleteDictionary(importTitle, 1000, () => {});
+        }
 
         // Load schemas
         this._progressNextStep(0);
@@ -107,18 +171,18 @@ export class DictionaryImporter {
         this._progressNextStep(termFiles.length + termMetaFiles.length + kanjiFiles.length + kanjiMetaFiles.length + tagFiles.length);
         const termList = await (
             version === 1 ?
-            this._readFileSequence(termFiles, this._convertTermBankEntryV1.bind(this), dataBankSchemas[0], dictionaryTitle) :
-            this._readFileSequence(termFiles, this._convertTermBankEntryV3.bind(this), dataBankSchemas[0], dictionaryTitle)
+            this._readFileSequence(termFiles, this._convertTermBankEntryV1.bind(this), dataBankSchemas[0], importTitle) :
+            this._readFileSequence(termFiles, this._convertTermBankEntryV3.bind(this), dataBankSchemas[0], importTitle)
         );
-        const termMetaList = await this._readFileSequence(termMetaFiles, this._convertTermMetaBankEntry.bind(this), dataBankSchemas[1], dictionaryTitle);
+        const termMetaList = await this._readFileSequence(termMetaFiles, this._convertTermMetaBankEntry.bind(this), dataBankSchemas[1], importTitle);
         const kanjiList = await (
             version === 1 ?
-            this._readFileSequence(kanjiFiles, this._convertKanjiBankEntryV1.bind(this), dataBankSchemas[2], dictionaryTitle) :
-            this._readFileSequence(kanjiFiles, this._convertKanjiBankEntryV3.bind(this), dataBankSchemas[2], dictionaryTitle)
+            this._readFileSequence(kanjiFiles, this._convertKanjiBankEntryV1.bind(this), dataBankSchemas[2], importTitle) :
+            this._readFileSequence(kanjiFiles, this._convertKanjiBankEntryV3.bind(this), dataBankSchemas[2], importTitle)
         );
-        const kanjiMetaList = await this._readFileSequence(kanjiMetaFiles, this._convertKanjiMetaBankEntry.bind(this), dataBankSchemas[3], dictionaryTitle);
-        const tagList = await this._readFileSequence(tagFiles, this._convertTagBankEntry.bind(this), dataBankSchemas[4], dictionaryTitle);
-        this._addOldIndexTags(index, tagList, dictionaryTitle);
+        const kanjiMetaList = await this._readFileSequence(kanjiMetaFiles, this._convertKanjiMetaBankEntry.bind(this), dataBankSchemas[3], importTitle);
+        const tagList = await this._readFileSequence(tagFiles, this._convertTagBankEntry.bind(this), dataBankSchemas[4], importTitle);
+        this._addOldIndexTags(index, tagList, importTitle);
 
         // Prefix wildcard support
         const prefixWildcardsSupported = !!details.prefixWildcardsSupported;
@@ -129,6 +193,14 @@ export class DictionaryImporter {
             }
         }
 
+        // Glossary search support
+        const glossaryIndexSupported = !!details.glossaryIndexSupported;
+        if (glossaryIndexSupported) {
+            for (const entry of termList) {
+                entry.glossaryWords = getTextWords(entry.glossary.map(getGlossaryText).join('\n'));
+            }
+        }
+
         // Extended data support
         this._progressNextStep(termList.length);
         const formatProgressInterval = 1000;
@@ -147,6 +219,12 @@ export class DictionaryImporter {
                 this._progress();
             }
         }
+        for (const entry of termMetaList) {
+            if (entry.mode !== 'audio') { continue; }
+            for (const {path} of entry.data.files) {
+                requirements.push({type: 'audio', path, entry});
+            }
+        }
         this._progress();
 
         // Async requirements
@@ -181,10 +259,12 @@ export class DictionaryImporter {
         }
 
         /** @type {import('dictionary-importer').SummaryDetails} */
-        const summaryDetails = {prefixWildcardsSupported, counts, styles};
+        const summaryDetails = {prefixWildcardsSupported, glossaryIndexSupported, counts, styles};
 
         const summary = this._createSummary(dictionaryTitle, version, index, summaryDetails);
-        await dictionaryDatabase.bulkAdd('dictionaries', [summary], 0, 1);
+        if (previousTitle === null) {
+            await dictionaryDatabase.bulkAdd('dictionaries', [summary], 0, 1);
+        }
 
         // Add data
         /** @type {Error[]} */
@@ -221,9 +301,53 @@ export class DictionaryImporter {
 
         this._progress();
 
+        if (previousTitle !== null) {
+            return await this._replaceDictionary(dictionaryDatabase, previousTitle, importTitle, summary, errors);
+        }
+
         return {result: summary, errors};
     }
 
+    /**
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     * @param {string} previousTitle
+     * @param {string} importTitle
+     * @param {import('dictionary-importer').Summary} summary
+     * @param {Error[]} errors
+     * @returns {Promise<import('dictionary-importer').ImportResult>}
+     */
+    async _replaceDictionary(dictionaryDatabase, previousTitle, importTitle, summary, errors) {
+        if (errors.length === 0) {
+            try {
+                const {counts: [previousCounts]} = await dictionaryDatabase.getDictionaryCounts([previousTitle], false);
+                let count = 0;
+                for (const value of Object.values(previousCounts)) { count += value; }
+                for (const {total} of Object.values(summary.counts)) { count += total; }
+
+                this._progressNextStep(count);
+                await dictionaryDatabase.replaceDictionary(previousTitle, importTitle, summary, 1000, (processed) => {
+                    this._progressData.index = processed;
+                    this._progress();
+                });
+                return {result: summary, errors};
+            } catch (e) {
+                errors.push(toError(e));
+            }
+        }
+
+        // Roll back the partially imported data, leaving the previous revision in place
+        await dictionaryDatabase.deleteDictionary(importTitle, 1000, () => {});
+        return {result: null, errors};
+    }
+
+    /**
+     * @param {string} dictionaryTitle
+     * @returns {string}
+     */
+    _getUpdateImportTitle(dictionaryTitle) {
+        return `${dictionaryTitle}\u0000update`;
+    }
+
     /**
      * @param {ArrayBuffer} archiveContent
      * @returns {Promise<import('dictionary-importer').ArchiveFileMap>}
@@ -315,7 +439,7 @@ export class DictionaryImporter {
      */
     _createSummary(dictionaryTitle, version, index, details) {
         const indexSequenced = index.sequenced;
-        const {prefixWildcardsSupported, counts, styles} = details;
+        const {prefixWildcardsSupported, glossaryIndexSupported, counts, styles} = details;
         /** @type {import('dictionary-importer').Summary} */
         const summary = {
             title: dictionaryTitle,
@@ -324,6 +448,7 @@ export class DictionaryImporter {
             version,
             importDate: Date.now(),
             prefixWildcardsSupported,
+            glossaryIndexSupported,
             counts,
             styles,
         };
@@ -479,6 +604,9 @@ export class DictionaryImporter {
         switch (tag) {
             case 'img':
                 return this._prepareStructuredContentImage(content, entry, requirements);
+            case 'audio':
+                requirements.push({type: 'audio', path: content.path, entry});
+                return content;
         }
         const childContent = content.content;
         if (typeof childContent !== 'undefined') {
@@ -545,6 +673,9 @@ export class DictionaryImporter {
                     requirement.entry,
                 );
                 break;
+            case 'audio':
+                await this._getAudioMedia(context, requirement.path, requirement.entry);
+                break;
             default:
                 return;
         }
@@ -686,6 +817,64 @@ export class DictionaryImporter {
         return mediaData;
     }
 
+    /**
+     * @param {import('dictionary-importer').ImportRequirementContext} context
+     * @param {string} path
+     * @param {import('dictionary-database').DatabaseTermMetaAudio|import('dictionary-database').DatabaseTermEntry} entry The term meta or the structured content of the term which references the file.
+     * @returns {Promise<import('dictionary-database').MediaDataArrayBufferContent>}
+     */
+    async _getAudioMedia(context, path, entry) {
+        const {media} = context;
+        const {dictionary} = entry;
+
+        /**
+         * @param {string} message
+         * @returns {Error}
+         */
+        const createError = (message) => {
+            const {expression} = entry;
+            const reading = 'mode' in entry ? entry.data.reading : entry.reading;
+            const readingSource = reading.length > 0 ? ` (${reading})` : '';
+            return new Error(`${message} at path ${JSON.stringify(path)} for ${expression}${readingSource} in ${dictionary}`);
+        };
+
+        // Check if already added
+        let mediaData = media.get(path);
+        if (typeof mediaData !== 'undefined') {
+            if (getFileExtensionFromAudioMediaType(mediaData.mediaType) === null) {
+                throw createError('Media file is not a valid audio file');
+            }
+            return mediaData;
+        }
+
+        // Find file in archive
+        const file = context.fileMap.get(path);
+        if (typeof file === 'undefined') {
+            throw createError('Could not find audio');
+        }
+
+        const mediaType = getAudioMediaTypeFromFileName(path);
+        if (mediaType === null) {
+            throw createError('Could not determine media type for audio');
+        }
+
+        // Load file content
+        const content = await (await this._getData(file, new BlobWriter())).arrayBuffer();
+
+        // Create audio data
+        mediaData = {
+            dictionary,
+            path,
+            mediaType,
+            width: 0,
+            height: 0,
+            content,
+        };
+        media.set(path, mediaData);
+
+        return mediaData;
+    }
+
     /**
      * @param {import('dictionary-data').TermV1} entry
      * @param {string} dictionary
@@ -18,6 +18,7 @@
 
 import {ExtensionError} from '../core/extension-error.js';
 import {DictionaryDatabase} from './dictionary-database.js';
+import {DictionaryExporter} from './dictionary-exporter.js';
 import {DictionaryImporter} from './dictionary-importer.js';
 import {DictionaryWorkerMediaLoader} from './dictionary-worker-media-loader.js';
 
@@ -43,9 +44,15 @@ export class DictionaryWorkerHandler {
             case 'importDictionary':
                 void this._onMessageWithProgress(params, this._importDictionary.bind(this));
                 break;
+            case 'updateDictionary':
+                void this._onMessageWithProgress(params, this._updateDictionary.bind(this));
+                break;
             case 'deleteDictionary':
                 void this._onMessageWithProgress(params, this._deleteDictionary.bind(this));
                 break;
+            case 'exportDictionary':
+                void this._onMessageWithProgress(params, this._exportDictionary.bind(this));
+                break;
             case 'getDictionaryCounts':
                 void this._onMessageWithProgress(params, this._getDictionaryCounts.bind(this));
                 break;
@@ -99,6 +106,25 @@ export class DictionaryWorkerHandler {
         }
     }
 
+    /**
+     * @param {import('dictionary-worker-handler').UpdateDictionaryMessageParams} details
+     * @param {import('dictionary-worker-handler').OnProgressCallback} onProgress
+     * @returns {Promise<import('dictionary-worker').MessageCompleteResultSerialized>}
+     */
+    async _updateDictionary({dictionaryTitle, details, archiveContent}, onProgress) {
+        const dictionaryDatabase = await this._getPreparedDictionaryDatabase();
+        try {
+            const dictionaryImporter = new DictionaryImporter(this._mediaLoader, onProgress);
+            const {result, errors} = await dictionaryImporter.updateDictionary(dictionaryDatabase, archiveContent, details, dictionaryTitle);
+            return {
+                result,
+                errors: errors.map((error) => ExtensionError.serialize(error)),
+            };
+        } finally {
+            void dictionaryDatabase.close();
+        }
+    }
+
     /**
      * @param {import('dictionary-worker-handler').DeleteDictionaryMessageParams} details
      * @param {import('dictionary-database').DeleteDictionaryProgressCallback} onProgress
@@ -113,6 +139,21 @@ export class DictionaryWorkerHandler {
         }
     }
 
+    /**
+     * @param {import('dictionary-worker-handler').ExportDictionaryMessageParams} details
+     * @param {import('dictionary-exporter').OnProgressCallback} onProgress
+     * @returns {Promise<Blob>}
+     */
+    async _exportDictionary({dictionaryTitle}, onProgress) {
+        const dictionaryDatabase = await this._getPreparedDictionaryDatabase();
+        try {
+            const dictionaryExporter = new DictionaryExporter(onProgress);
+            return await dictionaryExporter.exportDictionary(dictionaryDatabase, dictionaryTitle);
+        } finally {
+            void dictionaryDatabase.close();
+        }
+    }
+
     /**
      * @param {import('dictionary-worker-handler').GetDictionaryCountsMessageParams} details
      * @returns {Promise<import('dictionary-database').DictionaryCounts>}
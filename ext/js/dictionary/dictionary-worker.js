@@ -41,6 +41,23 @@ export class DictionaryWorker {
         );
     }
 
+    /**
+     * @param {string} dictionaryTitle
+     * @param {ArrayBuffer} archiveContent
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @param {?import('dictionary-worker').ImportProgressCallback} onProgress
+     * @returns {Promise<import('dictionary-importer').ImportResult>}
+     */
+    updateDictionary(dictionaryTitle, archiveContent, details, onProgress) {
+        return this._invoke(
+            'updateDictionary',
+            {dictionaryTitle, details, archiveContent},
+            [archiveContent],
+            onProgress,
+            this._formatImportDictionaryResult.bind(this),
+        );
+    }
+
     /**
      * @param {string} dictionaryTitle
      * @param {?import('dictionary-worker').DeleteProgressCallback} onProgress
@@ -50,6 +67,15 @@ export class DictionaryWorker {
         return this._invoke('deleteDictionary', {dictionaryTitle}, [], onProgress, null);
     }
 
+    /**
+     * @param {string} dictionaryTitle
+     * @param {?import('dictionary-worker').ExportProgressCallback} onProgress
+     * @returns {Promise<Blob>}
+     */
+    exportDictionary(dictionaryTitle, onProgress) {
+        return this._invoke('exportDictionary', {dictionaryTitle}, [], onProgress, null);
+    }
+
     /**
      * @param {string[]} dictionaryNames
      * @param {boolean} getTotal
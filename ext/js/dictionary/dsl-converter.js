@@ -0,0 +1,643 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {getImageMediaTypeFromFileName} from '../media/media-util.js';
+import {createDictionaryArchive, readArchiveFile, simplifyContent} from './dictionary-archive-util.js';
+
+/** The files of a DSL dictionary, where `.dz` files are compressed with gzip. */
+const FILE_EXTENSION_PATTERN = /(?:_abrv)?\.dsl(?:\.dz)?$|\.ann$/i;
+
+/** The articles of a DSL dictionary, which are not abbreviation files. */
+const ARTICLE_FILE_PATTERN = /\.dsl(?:\.dz)?$/i;
+
+/** The abbreviations of a DSL dictionary. */
+const ABBREVIATION_FILE_PATTERN = /_abrv\.dsl(?:\.dz)?$/i;
+
+/** The maximum number of headwords which the optional parts of a headword are expanded to. */
+const MAX_HEADWORD_VARIANTS = 16;
+
+/**
+ * The language names used by the `#INDEX_LANGUAGE` and `#CONTENTS_LANGUAGE` headers.
+ * Names which are not listed are matched by their longest listed prefix, such as `GermanNewSpelling`.
+ * @type {Map<string, string>}
+ */
+const LANGUAGE_CODES = new Map([
+    ['Albanian', 'sq'],
+    ['Arabic', 'ar'],
+    ['Armenian', 'hy'],
+    ['Belarusian', 'be'],
+    ['Bulgarian', 'bg'],
+    ['Chinese', 'zh'],
+    ['Croatian', 'hr'],
+    ['Czech', 'cs'],
+    ['Danish', 'da'],
+    ['Dutch', 'nl'],
+    ['English', 'en'],
+    ['Esperanto', 'eo'],
+    ['Estonian', 'et'],
+    ['Farsi', 'fa'],
+    ['Finnish', 'fi'],
+    ['French', 'fr'],
+    ['Georgian', 'ka'],
+    ['German', 'de'],
+    ['Greek', 'el'],
+    ['Hebrew', 'he'],
+    ['Hungarian', 'hu'],
+    ['Icelandic', 'is'],
+    ['Indonesian', 'id'],
+    ['Irish', 'ga'],
+    ['Italian', 'it'],
+    ['Japanese', 'ja'],
+    ['Kazakh', 'kk'],
+    ['Korean', 'ko'],
+    ['Latin', 'la'],
+    ['Latvian', 'lv'],
+    ['Lithuanian', 'lt'],
+    ['Norwegian', 'no'],
+    ['NorwegianBokmal', 'nb'],
+    ['NorwegianNynorsk', 'nn'],
+    ['Polish', 'pl'],
+    ['Portuguese', 'pt'],
+    ['Romanian', 'ro'],
+    ['Russian', 'ru'],
+    ['Serbian', 'sr'],
+    ['Slovak', 'sk'],
+    ['Slovenian', 'sl'],
+    ['Spanish', 'es'],
+    ['Swedish', 'sv'],
+    ['Tatar', 'tt'],
+    ['Thai', 'th'],
+    ['Turkish', 'tr'],
+    ['Ukrainian', 'uk'],
+    ['Vietnamese', 'vi'],
+    ['Welsh', 'cy'],
+]);
+
+/**
+ * Gets the name shared by the files of a DSL dictionary.
+ * @param {string} fileName
+ * @returns {?string} The name without the DSL file extension, or `null` if the file is not part of a DSL dictionary.
+ */
+export function getDslFileBaseName(fileName) {
+    const match = FILE_EXTENSION_PATTERN.exec(fileName);
+    return match !== null ? fileName.substring(0, match.index) : null;
+}
+
+/**
+ * @param {Iterable<string>} fileNames
+ * @returns {boolean} `true` if the files contain a DSL dictionary rather than a Yomitan dictionary.
+ */
+export function isDslArchive(fileNames) {
+    let dslFound = false;
+    for (const fileName of fileNames) {
+        if (fileName === 'index.json') { return false; }
+        if (isArticleFileName(fileName)) { dslFound = true; }
+    }
+    return dslFound;
+}
+
+/**
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isArticleFileName(fileName) {
+    return ARTICLE_FILE_PATTERN.test(fileName) && !ABBREVIATION_FILE_PATTERN.test(fileName);
+}
+
+/**
+ * Converts an ABBYY Lingvo DSL dictionary into the archive format used by `DictionaryImporter`.
+ * The articles become structured content, and the abbreviations of the `_abrv.dsl` file become tags.
+ */
+export class DslConverter {
+    /**
+     * @param {import('dictionary-importer').ArchiveFileMap} fileMap
+     * @returns {Promise<ArrayBuffer>}
+     * @throws {Error}
+     */
+    async convertArchive(fileMap) {
+        const dslFileNames = [...fileMap.keys()].filter((fileName) => isArticleFileName(fileName));
+        if (dslFileNames.length !== 1) {
+            throw new Error(dslFileNames.length === 0 ? 'No DSL file found in archive' : 'Archive contains more than one DSL dictionary');
+        }
+        const dslFileName = dslFileNames[0];
+        const baseName = /** @type {string} */ (getDslFileBaseName(dslFileName));
+
+        const dslData = /** @type {Uint8Array} */ (await readArchiveFile(fileMap, [dslFileName]));
+        const abbreviationData = await readArchiveFile(fileMap, [`${baseName}_abrv.dsl`, `${baseName}_abrv.dsl.dz`]);
+        const annotationData = await readArchiveFile(fileMap, [`${baseName}.ann`]);
+
+        /** @type {Map<string, string>} */
+        const resourceFiles = new Map();
+        for (const fileName of fileMap.keys()) {
+            if (getImageMediaTypeFromFileName(fileName) === null) { continue; }
+            const name = fileName.substring(fileName.lastIndexOf('/') + 1);
+            if (!resourceFiles.has(name)) { resourceFiles.set(name, fileName); }
+        }
+
+        const {index, termBank, tagBank, usedResourceFileNames} = this.convert(
+            this._decode(dslData),
+            abbreviationData !== null ? this._decode(abbreviationData) : null,
+            annotationData !== null ? this._decode(annotationData) : null,
+            new Set(resourceFiles.keys()),
+        );
+
+        /** @type {Map<string, Uint8Array>} */
+        const resources = new Map();
+        for (const name of usedResourceFileNames) {
+            const fileName = /** @type {string} */ (resourceFiles.get(name));
+            resources.set(name, /** @type {Uint8Array} */ (await readArchiveFile(fileMap, [fileName])));
+        }
+        return await createDictionaryArchive(index, [['term_bank', termBank], ['tag_bank', tagBank]], resources);
+    }
+
+    /**
+     * @param {string} dslText The content of the `.dsl` file.
+     * @param {?string} abbreviationText The content of the `_abrv.dsl` file.
+     * @param {?string} annotationText The content of the `.ann` file, which describes the dictionary.
+     * @param {Set<string>} resourceFileNames The names of the image files which can be referenced by the articles.
+     * @returns {import('dsl-converter').ConvertResult}
+     * @throws {Error}
+     */
+    convert(dslText, abbreviationText, annotationText, resourceFileNames) {
+        const {headers, articles} = this._parse(dslText);
+        const title = headers.get('NAME');
+        if (typeof title !== 'string' || title.length === 0) {
+            throw new Error('DSL file has no #NAME header');
+        }
+
+        /** @type {import('dsl-converter').ConvertContext} */
+        const context = {
+            abbreviations: this._getAbbreviations(abbreviationText ?? ''),
+            resourceFiles: new Map(),
+            usedResourceFileNames: new Set(),
+        };
+        for (const name of resourceFileNames) {
+            context.resourceFiles.set(name.toLowerCase(), name);
+        }
+
+        /** @type {import('dictionary-data').TermV3Array} */
+        const termBank = [];
+        for (let i = 0, ii = articles.length; i < ii; ++i) {
+            const {headwords, lines} = articles[i];
+            const terms = headwords.map((headword) => this._getHeadwordTerms(headword));
+            const allTerms = new Set(terms.flat());
+            if (allTerms.size === 0) { continue; }
+
+            /** @type {Set<string>} */
+            const labels = new Set();
+            const displayHeadword = terms[0].length > 0 ? terms[0][terms[0].length - 1] : [...allTerms][0];
+            /** @type {import('structured-content').Content[]} */
+            const content = [];
+            for (const line of lines) {
+                const lineContent = this._convertLine(line, displayHeadword, context, labels);
+                if (lineContent !== null) { content.push(lineContent); }
+            }
+            if (content.length === 0) { continue; }
+
+            const definitionTags = [...labels].filter((label) => label.length > 0 && !/\s/.test(label)).join(' ');
+            /** @type {import('dictionary-data').TermGlossary[]} */
+            const glossary = [{type: 'structured-content', content: content.length === 1 ? content[0] : content}];
+            for (const term of allTerms) {
+                termBank.push([term, '', definitionTags, '', 0, glossary, i, '']);
+            }
+        }
+
+        /** @type {import('dictionary-data').TagArray} */
+        const tagBank = [];
+        for (const [name, notes] of context.abbreviations) {
+            if (/\s/.test(name)) { continue; }
+            tagBank.push([name, '', 0, notes, 0]);
+        }
+
+        return {
+            index: this._createIndex(title, headers, annotationText),
+            termBank,
+            tagBank,
+            usedResourceFileNames: context.usedResourceFileNames,
+        };
+    }
+
+    // Private
+
+    /**
+     * DSL files are usually encoded as UTF-16 with a byte order mark, but UTF-8 files are also common.
+     * @param {Uint8Array} data
+     * @returns {string}
+     */
+    _decode(data) {
+        let encoding = 'utf-8';
+        if (data.length >= 2) {
+            if (data[0] === 0xff && data[1] === 0xfe) {
+                encoding = 'utf-16le';
+            } else if (data[0] === 0xfe && data[1] === 0xff) {
+                encoding = 'utf-16be';
+            } else if (data[0] !== 0 && data[1] === 0) {
+                encoding = 'utf-16le';
+            } else if (data[0] === 0 && data[1] !== 0) {
+                encoding = 'utf-16be';
+            }
+        }
+        return new TextDecoder(encoding).decode(data);
+    }
+
+    /**
+     * Articles start with one or more headword lines, followed by body lines which are indented.
+     * @param {string} text
+     * @returns {import('dsl-converter').ParseResult}
+     */
+    _parse(text) {
+        /** @type {import('dsl-converter').Headers} */
+        const headers = new Map();
+        /** @type {import('dsl-converter').Article[]} */
+        const articles = [];
+        /** @type {?import('dsl-converter').Article} */
+        let article = null;
+
+        // Comments can span multiple lines
+        text = text.replace(/\{\{[\s\S]*?\}\}/g, '');
+
+        for (const line of text.split(/\r?\n/)) {
+            if (line.trim().length === 0) { continue; }
+            if (/^[ \t]/.test(line)) {
+                if (article !== null) { article.lines.push(line.trim()); }
+                continue;
+            }
+            if (articles.length === 0 && line.startsWith('#')) {
+                const match = /^#(\w+)\s+"?(.*?)"?\s*$/.exec(line);
+                if (match !== null) { headers.set(match[1].toUpperCase(), match[2]); }
+                continue;
+            }
+            if (article === null || article.lines.length > 0) {
+                article = {headwords: [], lines: []};
+                articles.push(article);
+            }
+            article.headwords.push(line.trim());
+        }
+
+        return {headers, articles};
+    }
+
+    /**
+     * @param {string} text
+     * @returns {Map<string, string>}
+     */
+    _getAbbreviations(text) {
+        /** @type {Map<string, string>} */
+        const abbreviations = new Map();
+        for (const {headwords, lines} of this._parse(text).articles) {
+            const expansion = lines
+                .map((line) => this._getPlainText(this._parseMarkup(line.replace(/^\[m\d?\]/, ''), '')).trim())
+                .filter((line) => line.length > 0)
+                .join('; ');
+            if (expansion.length === 0) { continue; }
+            for (const headword of headwords) {
+                for (const name of this._getHeadwordTerms(headword)) {
+                    abbreviations.set(name, expansion);
+                }
+            }
+        }
+        return abbreviations;
+    }
+
+    /**
+     * Gets the terms of a headword, which can contain unsorted parts in braces that are not part of the term
+     * and optional parts in parentheses, such as `cat(s)` for `cat` and `cats`.
+     * @param {string} headword
+     * @returns {string[]} The terms of the headword, where the last term contains all of the optional parts.
+     */
+    _getHeadwordTerms(headword) {
+        /** @type {string[]} */
+        let variants = [''];
+        /** @type {?string} */
+        let optional = null;
+        let unsortedDepth = 0;
+        for (let i = 0, ii = headword.length; i < ii; ++i) {
+            let c = headword[i];
+            switch (c) {
+                case '\\':
+                    if (i + 1 >= ii) { continue; }
+                    c = headword[++i];
+                    break;
+                case '{':
+                    ++unsortedDepth;
+                    continue;
+                case '}':
+                    unsortedDepth = Math.max(0, unsortedDepth - 1);
+                    continue;
+                case '(':
+                    if (unsortedDepth === 0 && optional === null) {
+                        optional = '';
+                        continue;
+                    }
+                    break;
+                case ')':
+                    if (unsortedDepth === 0 && optional !== null) {
+                        const part = optional;
+                        variants = variants.length * 2 <= MAX_HEADWORD_VARIANTS ?
+                            [...variants, ...variants.map((variant) => variant + part)] :
+                            variants.map((variant) => variant + part);
+                        optional = null;
+                        continue;
+                    }
+                    break;
+            }
+            if (unsortedDepth > 0) { continue; }
+            if (optional !== null) {
+                optional += c;
+            } else {
+                variants = variants.map((variant) => variant + c);
+            }
+        }
+        /** @type {Set<string>} */
+        const terms = new Set();
+        for (const variant of variants) {
+            const term = variant.replace(/\s+/g, ' ').trim();
+            if (term.length > 0) { terms.add(term); }
+        }
+        return [...terms];
+    }
+
+    /**
+     * @param {string} title
+     * @param {import('dsl-converter').Headers} headers
+     * @param {?string} annotationText
+     * @returns {import('dictionary-data').Index}
+     */
+    _createIndex(title, headers, annotationText) {
+        /** @type {import('dictionary-data').Index} */
+        const index = {
+            title,
+            format: 3,
+            revision: 'dsl',
+            sequenced: true,
+        };
+        const sourceLanguage = this._getLanguageCode(headers.get('INDEX_LANGUAGE'));
+        const targetLanguage = this._getLanguageCode(headers.get('CONTENTS_LANGUAGE'));
+        if (sourceLanguage !== null) { index.sourceLanguage = sourceLanguage; }
+        if (targetLanguage !== null) { index.targetLanguage = targetLanguage; }
+        if (annotationText !== null) {
+            const description = annotationText.trim();
+            if (description.length > 0) { index.description = description; }
+        }
+        return index;
+    }
+
+    /**
+     * @param {string|undefined} languageName
+     * @returns {?string}
+     */
+    _getLanguageCode(languageName) {
+        if (typeof languageName !== 'string') { return null; }
+        const code = LANGUAGE_CODES.get(languageName);
+        if (typeof code === 'string') { return code; }
+        let result = null;
+        let resultLength = 0;
+        for (const [name, nameCode] of LANGUAGE_CODES) {
+            if (name.length > resultLength && languageName.startsWith(name)) {
+                result = nameCode;
+                resultLength = name.length;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @param {string} line
+     * @param {string} headword The headword which replaces `~` characters.
+     * @param {import('dsl-converter').ConvertContext} context
+     * @param {Set<string>} labels The labels of the article, which are added to by this function.
+     * @returns {?import('structured-content').Content}
+     */
+    _convertLine(line, headword, context, labels) {
+        // Subentries start with a line containing `@` and their headword
+        if (line.startsWith('@')) {
+            const content = simplifyContent(this._convertNodes(this._parseMarkup(line.substring(1).trim(), headword), context, labels));
+            return content !== null ? {tag: 'div', style: {fontWeight: 'bold'}, content} : null;
+        }
+
+        let indent = 0;
+        const match = /^\[m(\d?)\]/.exec(line);
+        if (match !== null) {
+            indent = match[1].length > 0 ? Number.parseInt(match[1], 10) : 1;
+            line = line.substring(match[0].length);
+        }
+        const content = simplifyContent(this._convertNodes(this._parseMarkup(line, headword), context, labels));
+        if (content === null) { return null; }
+        return indent > 0 ? {tag: 'div', style: {marginLeft: indent}, content} : {tag: 'div', content};
+    }
+
+    /**
+     * @param {string} markup
+     * @param {string} headword The headword which replaces `~` characters.
+     * @returns {import('dsl-converter').MarkupNode[]}
+     */
+    _parseMarkup(markup, headword) {
+        /** @type {import('dsl-converter').MarkupElement} */
+        const root = {name: '', attribute: '', children: []};
+        /** @type {import('dsl-converter').MarkupElement[]} */
+        const stack = [root];
+        let text = '';
+        const addText = () => {
+            if (text.length === 0) { return; }
+            stack[stack.length - 1].children.push(text);
+            text = '';
+        };
+
+        for (let i = 0, ii = markup.length; i < ii; ++i) {
+            const c = markup[i];
+            switch (c) {
+                case '\\':
+                    if (i + 1 < ii) { text += markup[++i]; }
+                    break;
+                case '~':
+                    text += headword;
+                    break;
+                case '[':
+                {
+                    const end = this._findUnescaped(markup, ']', i + 1);
+                    if (end < 0) {
+                        text += c;
+                        break;
+                    }
+                    const tag = markup.substring(i + 1, end).trim();
+                    i = end;
+                    addText();
+                    if (tag.startsWith('/')) {
+                        const name = tag.substring(1).trim();
+                        // Closing tags without an opening tag are ignored
+                        let index = stack.length - 1;
+                        while (index > 0 && stack[index].name !== name) { --index; }
+                        if (index > 0) { stack.length = index; }
+                    } else {
+                        const separatorIndex = tag.search(/\s/);
+                        const name = separatorIndex >= 0 ? tag.substring(0, separatorIndex) : tag;
+                        // Indentation is handled per line, so it is ignored inside of lines
+                        if (name.length === 0 || /^m\d?$/.test(name)) { break; }
+                        /** @type {import('dsl-converter').MarkupElement} */
+                        const element = {name, attribute: separatorIndex >= 0 ? tag.substring(separatorIndex).trim() : '', children: []};
+                        stack[stack.length - 1].children.push(element);
+                        stack.push(element);
+                    }
+                    break;
+                }
+                case '<':
+                {
+                    const end = markup[i + 1] === '<' ? markup.indexOf('>>', i + 2) : -1;
+                    if (end < 0) {
+                        text += c;
+                        break;
+                    }
+                    addText();
+                    stack[stack.length - 1].children.push({name: 'ref', attribute: '', children: [markup.substring(i + 2, end).replace(/\\(.)/g, '$1')]});
+                    i = end + 1;
+                    break;
+                }
+                default:
+                    text += c;
+                    break;
+            }
+        }
+        addText();
+
+        return root.children;
+    }
+
+    /**
+     * @param {string} text
+     * @param {string} character
+     * @param {number} start
+     * @returns {number}
+     */
+    _findUnescaped(text, character, start) {
+        for (let i = start, ii = text.length; i < ii; ++i) {
+            const c = text[i];
+            if (c === '\\') {
+                ++i;
+            } else if (c === character) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * @param {import('dsl-converter').MarkupNode[]} nodes
+     * @param {import('dsl-converter').ConvertContext} context
+     * @param {Set<string>} labels
+     * @returns {import('structured-content').Content[]}
+     */
+    _convertNodes(nodes, context, labels) {
+        /** @type {import('structured-content').Content[]} */
+        const results = [];
+        for (const node of nodes) {
+            if (typeof node === 'string') {
+                results.push(node);
+                continue;
+            }
+            const content = this._convertElement(node, context, labels);
+            if (Array.isArray(content)) {
+                results.push(...content);
+            } else if (content !== null) {
+                results.push(content);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * @param {import('dsl-converter').MarkupElement} element
+     * @param {import('dsl-converter').ConvertContext} context
+     * @param {Set<string>} labels
+     * @returns {?import('structured-content').Content}
+     */
+    _convertElement(element, context, labels) {
+        const {name, attribute, children} = element;
+        if (name === 's') {
+            return this._createImage(this._getPlainText(children), context);
+        }
+
+        const content = simplifyContent(this._convertNodes(children, context, labels));
+        if (content === null) { return null; }
+
+        switch (name) {
+            case 'b':
+                return {tag: 'span', style: {fontWeight: 'bold'}, content};
+            case 'i':
+                return {tag: 'span', style: {fontStyle: 'italic'}, content};
+            case 'u':
+                return {tag: 'span', style: {textDecorationLine: 'underline'}, content};
+            case 'sub':
+                return {tag: 'span', style: {verticalAlign: 'sub', fontSize: 'smaller'}, content};
+            case 'sup':
+                return {tag: 'span', style: {verticalAlign: 'super', fontSize: 'smaller'}, content};
+            case 'c':
+                return {tag: 'span', style: {color: attribute.length > 0 ? attribute : 'green'}, content};
+            case 'p':
+            {
+                const label = this._getPlainText(children).trim();
+                labels.add(label);
+                /** @type {import('structured-content').StyledElement} */
+                const result = {tag: 'span', data: {dsl: 'p'}, style: {fontStyle: 'italic', color: 'green'}, content};
+                const expansion = context.abbreviations.get(label);
+                if (typeof expansion === 'string') { result.title = expansion; }
+                return result;
+            }
+            case 'ex':
+                return {tag: 'span', data: {dsl: 'ex'}, style: {color: 'gray'}, content};
+            case 'com':
+            case 'trn':
+            case 't':
+                return {tag: 'span', data: {dsl: name}, content};
+            case '\'':
+                // Stress marks are shown with a combining acute accent
+                return [content, '\u0301'];
+            case 'ref':
+            {
+                const query = this._getPlainText(children).trim();
+                return query.length > 0 ? {tag: 'a', href: `?query=${encodeURIComponent(query)}&wildcards=off`, content} : content;
+            }
+            case 'url':
+            {
+                const url = this._getPlainText(children).trim();
+                return /^https?:/i.test(url) ? {tag: 'a', href: url, content} : content;
+            }
+            default:
+                // Other tags such as `trn1`, `lang` and `*` only keep their content
+                return content;
+        }
+    }
+
+    /**
+     * @param {string} fileName
+     * @param {import('dsl-converter').ConvertContext} context
+     * @returns {?import('structured-content').ImageElement}
+     */
+    _createImage(fileName, context) {
+        const name = context.resourceFiles.get(fileName.trim().toLowerCase());
+        if (typeof name === 'undefined') { return null; }
+        context.usedResourceFileNames.add(name);
+        return {tag: 'img', path: `res/${name}`};
+    }
+
+    /**
+     * @param {import('dsl-converter').MarkupNode[]} nodes
+     * @returns {string}
+     */
+    _getPlainText(nodes) {
+        return nodes.map((node) => (typeof node === 'string' ? node : this._getPlainText(node.children))).join('');
+    }
+}
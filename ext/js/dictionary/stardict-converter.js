@@ -0,0 +1,625 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as parse50 from '../../lib/parse5.js';
+import {getImageMediaTypeFromFileName} from '../media/media-util.js';
+import {createDictionaryArchive, readArchiveFile, simplifyContent} from './dictionary-archive-util.js';
+
+/** @type {import('parse5')} */
+// @ts-expect-error - parse5 global is not defined in typescript declaration
+const parse5 = /** @type {import('parse5')} */ (parse50);
+
+const IFO_MAGIC = 'StarDict\'s dict ifo file';
+
+/** The extensions of the files of a StarDict dictionary, where `.dz` and `.gz` files are compressed with gzip. */
+const FILE_EXTENSION_PATTERN = /\.(?:ifo|idx|idx\.gz|dict|dict\.dz|syn|syn\.dz)$/i;
+
+/** @type {Map<string, import('structured-content').StructuredContentStyle>} */
+const STYLE_TAGS = new Map([
+    ['b', {fontWeight: 'bold'}],
+    ['strong', {fontWeight: 'bold'}],
+    ['i', {fontStyle: 'italic'}],
+    ['em', {fontStyle: 'italic'}],
+    ['u', {textDecorationLine: 'underline'}],
+    ['s', {textDecorationLine: 'line-through'}],
+    ['strike', {textDecorationLine: 'line-through'}],
+    ['del', {textDecorationLine: 'line-through'}],
+    ['sub', {verticalAlign: 'sub', fontSize: 'smaller'}],
+    ['sup', {verticalAlign: 'super', fontSize: 'smaller'}],
+    ['small', {fontSize: 'smaller'}],
+    ['big', {fontSize: 'larger'}],
+]);
+
+/** @type {Set<string>} */
+const BLOCK_TAGS = new Set(['div', 'p', 'center', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+/** @type {Set<string>} */
+const STRUCTURE_TAGS = new Set(['ol', 'ul', 'li', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'ruby', 'rt', 'rp', 'details', 'summary']);
+
+/** @type {Set<string>} */
+const IGNORED_TAGS = new Set(['script', 'style', 'head', 'title', 'hr']);
+
+/**
+ * Gets the name shared by the files of a StarDict dictionary.
+ * @param {string} fileName
+ * @returns {?string} The name without the StarDict file extension, or `null` if the file is not part of a StarDict dictionary.
+ */
+export function getStarDictFileBaseName(fileName) {
+    const match = FILE_EXTENSION_PATTERN.exec(fileName);
+    return match !== null ? fileName.substring(0, match.index) : null;
+}
+
+/**
+ * @param {Iterable<string>} fileNames
+ * @returns {boolean} `true` if the files contain a StarDict dictionary rather than a Yomitan dictionary.
+ */
+export function isStarDictArchive(fileNames) {
+    let ifoFound = false;
+    for (const fileName of fileNames) {
+        if (fileName === 'index.json') { return false; }
+        if (/\.ifo$/i.test(fileName)) { ifoFound = true; }
+    }
+    return ifoFound;
+}
+
+/**
+ * Converts a StarDict dictionary into the archive format used by `DictionaryImporter`.
+ * The `.syn` synonyms become extra headwords sharing the sequence of their entry,
+ * and HTML, Pango markup and XDXF data are converted to structured content.
+ */
+export class StarDictConverter {
+    constructor() {
+        /** @type {TextDecoder} */
+        this._textDecoder = new TextDecoder('utf-8');
+        /** @type {import('parse5').TreeAdapter<import('parse5').DefaultTreeAdapterMap>} */
+        this._treeAdapter = parse5.defaultTreeAdapter;
+    }
+
+    /**
+     * @param {import('dictionary-importer').ArchiveFileMap} fileMap
+     * @returns {Promise<ArrayBuffer>}
+     * @throws {Error}
+     */
+    async convertArchive(fileMap) {
+        const ifoFileNames = [...fileMap.keys()].filter((fileName) => /\.ifo$/i.test(fileName));
+        if (ifoFileNames.length !== 1) {
+            throw new Error(ifoFileNames.length === 0 ? 'No StarDict .ifo file found in archive' : 'Archive contains more than one StarDict dictionary');
+        }
+        const ifoFileName = ifoFileNames[0];
+        const baseName = ifoFileName.substring(0, ifoFileName.length - 4);
+        const resourceDirectory = `${baseName.substring(0, baseName.lastIndexOf('/') + 1)}res/`;
+
+        const ifoData = await readArchiveFile(fileMap, [ifoFileName]);
+        const idxData = await readArchiveFile(fileMap, [`${baseName}.idx`, `${baseName}.idx.gz`]);
+        const dictData = await readArchiveFile(fileMap, [`${baseName}.dict`, `${baseName}.dict.dz`]);
+        if (ifoData === null || idxData === null || dictData === null) {
+            throw new Error('StarDict dictionary requires .ifo, .idx and .dict files');
+        }
+        const synData = await readArchiveFile(fileMap, [`${baseName}.syn`, `${baseName}.syn.dz`]);
+
+        /** @type {import('stardict-converter').ConvertContext} */
+        const context = {
+            resourceFileNames: new Set(),
+            usedResourceFileNames: new Set(),
+        };
+        for (const fileName of fileMap.keys()) {
+            if (fileName.startsWith(resourceDirectory) && getImageMediaTypeFromFileName(fileName) !== null) {
+                context.resourceFileNames.add(fileName.substring(resourceDirectory.length));
+            }
+        }
+
+        const {index, termBank} = this.convert(ifoData, idxData, dictData, synData, context);
+
+        /** @type {Map<string, Uint8Array>} */
+        const resources = new Map();
+        for (const fileName of context.usedResourceFileNames) {
+            resources.set(fileName, /** @type {Uint8Array} */ (await readArchiveFile(fileMap, [`${resourceDirectory}${fileName}`])));
+        }
+        return await createDictionaryArchive(index, [['term_bank', termBank]], resources);
+    }
+
+    /**
+     * @param {Uint8Array} ifoData
+     * @param {Uint8Array} idxData
+     * @param {Uint8Array} dictData
+     * @param {?Uint8Array} synData
+     * @param {import('stardict-converter').ConvertContext} context
+     * @returns {import('stardict-converter').ConvertResult}
+     * @throws {Error}
+     */
+    convert(ifoData, idxData, dictData, synData, context) {
+        const info = this._parseIfo(this._textDecoder.decode(ifoData));
+        const indexEntries = this._parseIdx(idxData, info.get('idxoffsetbits') === '64' ? 64 : 32);
+        const synonymEntries = synData !== null ? this._parseSyn(synData) : [];
+        const sameTypeSequence = info.get('sametypesequence') ?? null;
+
+        /** @type {import('dictionary-data').TermV3Array} */
+        const termBank = [];
+        /** @type {(?{reading: string, glossary: import('dictionary-data').TermGlossary[]})[]} */
+        const definitions = [];
+        for (let i = 0, ii = indexEntries.length; i < ii; ++i) {
+            const {word, offset, size} = indexEntries[i];
+            if (offset + size > dictData.length) {
+                throw new Error(`StarDict entry ${JSON.stringify(word)} is outside of the .dict file`);
+            }
+            const fields = this._getFields(dictData.subarray(offset, offset + size), sameTypeSequence);
+            const definition = this._createDefinition(fields, context);
+            if (word.length === 0 || definition.glossary.length === 0) {
+                definitions.push(null);
+                continue;
+            }
+            definitions.push(definition);
+            termBank.push([word, definition.reading, '', '', 0, definition.glossary, i, '']);
+        }
+
+        for (const {word, index} of synonymEntries) {
+            const definition = index < definitions.length ? definitions[index] : null;
+            if (word.length === 0 || definition === null) { continue; }
+            termBank.push([word, definition.reading, '', '', 0, definition.glossary, index, '']);
+        }
+
+        return {index: this._createIndex(info), termBank};
+    }
+
+    // Private
+
+    /**
+     * @param {string} content
+     * @returns {import('stardict-converter').Info}
+     * @throws {Error}
+     */
+    _parseIfo(content) {
+        const lines = content.split(/\r?\n/);
+        if (lines[0].replace(/^\uFEFF/, '').trim() !== IFO_MAGIC) {
+            throw new Error('Unsupported StarDict .ifo file');
+        }
+        /** @type {import('stardict-converter').Info} */
+        const info = new Map();
+        for (let i = 1, ii = lines.length; i < ii; ++i) {
+            const line = lines[i];
+            const separatorIndex = line.indexOf('=');
+            if (separatorIndex <= 0) { continue; }
+            info.set(line.substring(0, separatorIndex).trim(), line.substring(separatorIndex + 1).trim());
+        }
+        if (!info.has('bookname')) {
+            throw new Error('StarDict .ifo file has no bookname');
+        }
+        return info;
+    }
+
+    /**
+     * @param {Uint8Array} data
+     * @param {32|64} offsetBits
+     * @returns {import('stardict-converter').IndexEntry[]}
+     * @throws {Error}
+     */
+    _parseIdx(data, offsetBits) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const offsetSize = offsetBits / 8;
+        /** @type {import('stardict-converter').IndexEntry[]} */
+        const entries = [];
+        let position = 0;
+        while (position < data.length) {
+            const wordEnd = data.indexOf(0, position);
+            if (wordEnd < 0 || wordEnd + 1 + offsetSize + 4 > data.length) {
+                throw new Error('Invalid StarDict .idx file');
+            }
+            const word = this._textDecoder.decode(data.subarray(position, wordEnd));
+            position = wordEnd + 1;
+            const offset = offsetBits === 64 ? Number(view.getBigUint64(position)) : view.getUint32(position);
+            position += offsetSize;
+            const size = view.getUint32(position);
+            position += 4;
+            entries.push({word, offset, size});
+        }
+        return entries;
+    }
+
+    /**
+     * @param {Uint8Array} data
+     * @returns {import('stardict-converter').SynonymEntry[]}
+     * @throws {Error}
+     */
+    _parseSyn(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        /** @type {import('stardict-converter').SynonymEntry[]} */
+        const entries = [];
+        let position = 0;
+        while (position < data.length) {
+            const wordEnd = data.indexOf(0, position);
+            if (wordEnd < 0 || wordEnd + 5 > data.length) {
+                throw new Error('Invalid StarDict .syn file');
+            }
+            const word = this._textDecoder.decode(data.subarray(position, wordEnd));
+            const index = view.getUint32(wordEnd + 1);
+            position = wordEnd + 5;
+            entries.push({word, index});
+        }
+        return entries;
+    }
+
+    /**
+     * Splits the data of a word into its fields.
+     * With a `sametypesequence`, the types are not stored in the data and the last field has no terminator or size.
+     * @param {Uint8Array} data
+     * @param {?string} sameTypeSequence
+     * @returns {import('stardict-converter').Field[]}
+     */
+    _getFields(data, sameTypeSequence) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        /** @type {import('stardict-converter').Field[]} */
+        const fields = [];
+        let position = 0;
+        for (let i = 0; position < data.length; ++i) {
+            let type;
+            let last = false;
+            if (sameTypeSequence !== null) {
+                if (i >= sameTypeSequence.length) { break; }
+                type = sameTypeSequence[i];
+                last = (i === sameTypeSequence.length - 1);
+            } else {
+                type = String.fromCharCode(data[position]);
+                ++position;
+            }
+
+            if (last) {
+                fields.push({type, data: data.subarray(position)});
+                break;
+            }
+            if (type >= 'A' && type <= 'Z') {
+                // Binary data is preceded by its size
+                const size = position + 4 <= data.length ? view.getUint32(position) : 0;
+                const start = position + 4;
+                position = Math.min(start + size, data.length);
+                fields.push({type, data: data.subarray(start, position)});
+            } else {
+                // Text data is terminated by a null character
+                let end = data.indexOf(0, position);
+                if (end < 0) { end = data.length; }
+                fields.push({type, data: data.subarray(position, end)});
+                position = end + 1;
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * @param {import('stardict-converter').Field[]} fields
+     * @param {import('stardict-converter').ConvertContext} context
+     * @returns {{reading: string, glossary: import('dictionary-data').TermGlossary[]}}
+     */
+    _createDefinition(fields, context) {
+        let reading = '';
+        /** @type {import('dictionary-data').TermGlossary[]} */
+        const glossary = [];
+        for (const {type, data} of fields) {
+            switch (type) {
+                case 'y': // Japanese kana or Chinese pinyin
+                    reading = this._textDecoder.decode(data).trim();
+                    break;
+                case 't': // Phonetic transcription
+                    {
+                        const text = this._textDecoder.decode(data).trim();
+                        if (text.length > 0) { glossary.push(`[${text}]`); }
+                    }
+                    break;
+                case 'm':
+                case 'l':
+                case 'k':
+                case 'w':
+                case 'n':
+                    for (const line of this._textDecoder.decode(data).split(/\r?\n/)) {
+                        const text = line.trim();
+                        if (text.length > 0) { glossary.push(text); }
+                    }
+                    break;
+                case 'h':
+                case 'g':
+                case 'x':
+                    {
+                        const format = type === 'h' ? 'html' : (type === 'g' ? 'pango' : 'xdxf');
+                        const content = this._convertMarkup(this._textDecoder.decode(data), format, context);
+                        if (content !== null) { glossary.push({type: 'structured-content', content}); }
+                    }
+                    break;
+                case 'r':
+                    for (const line of this._textDecoder.decode(data).split(/\r?\n/)) {
+                        const match = /^img:(.+)$/.exec(line.trim());
+                        const image = match !== null ? this._createImage(match[1], context) : null;
+                        if (image !== null) { glossary.push({type: 'structured-content', content: image}); }
+                    }
+                    break;
+            }
+        }
+        return {reading, glossary};
+    }
+
+    /**
+     * @param {import('stardict-converter').Info} info
+     * @returns {import('dictionary-data').Index}
+     */
+    _createIndex(info) {
+        const title = /** @type {string} */ (info.get('bookname'));
+        /** @type {import('dictionary-data').Index} */
+        const index = {
+            title,
+            format: 3,
+            revision: info.get('date') || info.get('version') || 'stardict',
+            sequenced: true,
+        };
+        const author = info.get('author');
+        const url = info.get('website');
+        const description = info.get('description');
+        if (typeof author === 'string' && author.length > 0) { index.author = author; }
+        if (typeof url === 'string' && url.length > 0) { index.url = url; }
+        if (typeof description === 'string' && description.length > 0) {
+            index.description = description.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '');
+        }
+        return index;
+    }
+
+    /**
+     * @param {string} text
+     * @param {import('stardict-converter').MarkupFormat} format
+     * @param {import('stardict-converter').ConvertContext} context
+     * @returns {?import('structured-content').Content}
+     */
+    _convertMarkup(text, format, context) {
+        if (format === 'xdxf') {
+            // The HTML parser would drop the XDXF transcription tag, since it is also the name of a table row
+            text = text.replace(/<(\/?)tr(?=[\s/>])/g, '<$1transcription');
+        }
+        const fragment = parse5.parseFragment(text, {treeAdapter: this._treeAdapter});
+        const content = this._convertNodes(this._treeAdapter.getChildNodes(fragment), format, context);
+        return simplifyContent(content);
+    }
+
+    /**
+     * @param {import('stardict-converter').Parse5ChildNode[]} nodes
+     * @param {import('stardict-converter').MarkupFormat} format
+     * @param {import('stardict-converter').ConvertContext} context
+     * @returns {import('structured-content').Content[]}
+     */
+    _convertNodes(nodes, format, context) {
+        /** @type {import('structured-content').Content[]} */
+        const results = [];
+        for (const node of nodes) {
+            if (this._treeAdapter.isTextNode(node)) {
+                results.push(...this._convertText(this._treeAdapter.getTextNodeContent(node), format));
+            } else if (this._treeAdapter.isElementNode(node)) {
+                const content = this._convertElement(node, format, context);
+                if (Array.isArray(content)) {
+                    results.push(...content);
+                } else if (content !== null) {
+                    results.push(content);
+                }
+            }
+        }
+        return results;
+    }
+
+    /**
+     * @param {string} text
+     * @param {import('stardict-converter').MarkupFormat} format
+     * @returns {import('structured-content').Content[]}
+     */
+    _convertText(text, format) {
+        if (format === 'html') {
+            return [text.replace(/\s+/g, ' ')];
+        }
+        // Line breaks are significant in Pango markup and XDXF
+        /** @type {import('structured-content').Content[]} */
+        const results = [];
+        const lines = text.split(/\r?\n/);
+        for (let i = 0, ii = lines.length; i < ii; ++i) {
+            if (i > 0) { results.push({tag: 'br'}); }
+            if (lines[i].length > 0) { results.push(lines[i]); }
+        }
+        return results;
+    }
+
+    /**
+     * @param {import('parse5/dist/tree-adapters/default').Element} element
+     * @param {import('stardict-converter').MarkupFormat} format
+     * @param {import('stardict-converter').ConvertContext} context
+     * @returns {?import('structured-content').Content}
+     */
+    _convertElement(element, format, context) {
+        const tagName = this._treeAdapter.getTagName(element).toLowerCase();
+        if (IGNORED_TAGS.has(tagName)) { return null; }
+
+        /** @type {Map<string, string>} */
+        const attributes = new Map();
+        for (const {name, value} of this._treeAdapter.getAttrList(element)) {
+            attributes.set(name.toLowerCase(), value);
+        }
+
+        switch (tagName) {
+            case 'br':
+                return {tag: 'br'};
+            case 'img':
+            {
+                const src = attributes.get('src');
+                return typeof src === 'string' ? this._createImage(src, context) : null;
+            }
+        }
+
+        const content = simplifyContent(this._convertNodes(this._treeAdapter.getChildNodes(element), format, context));
+        if (content === null) { return null; }
+
+        const style = STYLE_TAGS.get(tagName);
+        if (typeof style !== 'undefined') {
+            return {tag: 'span', style: {...style}, content};
+        }
+        if (BLOCK_TAGS.has(tagName)) {
+            return tagName.startsWith('h') && tagName.length === 2 ?
+                {tag: 'div', style: {fontWeight: 'bold'}, content} :
+                {tag: 'div', content};
+        }
+        if (STRUCTURE_TAGS.has(tagName)) {
+            return this._createStructureElement(tagName, attributes, content);
+        }
+
+        switch (tagName) {
+            case 'blockquote':
+                return {tag: 'div', style: {marginLeft: '1em'}, content};
+            case 'a':
+            {
+                const href = this._getLinkHref(attributes.get('href'), content);
+                return href !== null ? {tag: 'a', href, content} : content;
+            }
+            case 'font':
+            case 'span':
+            {
+                const spanStyle = this._getAttributeStyle(attributes);
+                return spanStyle !== null ? {tag: 'span', style: spanStyle, content} : content;
+            }
+        }
+
+        if (format === 'xdxf') {
+            switch (tagName) {
+                case 'k':
+                    return {tag: 'div', style: {fontWeight: 'bold'}, content};
+                case 'transcription':
+                    return {tag: 'span', content: ['[', content, ']']};
+                case 'abr':
+                case 'abbr':
+                case 'gr':
+                case 'pos':
+                case 'ex':
+                    return {tag: 'span', style: {fontStyle: 'italic'}, content};
+                case 'c':
+                    return {tag: 'span', style: {color: attributes.get('c') || 'green'}, content};
+                case 'kref':
+                {
+                    const href = this._getLinkHref(`bword://${this._getContentText(content)}`, content);
+                    return href !== null ? {tag: 'a', href, content} : content;
+                }
+                case 'iref':
+                {
+                    const href = this._getLinkHref(attributes.get('href'), content);
+                    return href !== null ? {tag: 'a', href, content} : content;
+                }
+                case 'def':
+                    return {tag: 'div', content};
+            }
+        }
+
+        // Unknown elements only keep their content
+        return content;
+    }
+
+    /**
+     * @param {string} tagName
+     * @param {Map<string, string>} attributes
+     * @param {import('structured-content').Content} content
+     * @returns {import('structured-content').Content}
+     */
+    _createStructureElement(tagName, attributes, content) {
+        switch (tagName) {
+            case 'td':
+            case 'th':
+            {
+                /** @type {import('structured-content').TableElement} */
+                const cell = {tag: tagName, content};
+                const colSpan = Number.parseInt(attributes.get('colspan') ?? '', 10);
+                const rowSpan = Number.parseInt(attributes.get('rowspan') ?? '', 10);
+                if (colSpan > 1) { cell.colSpan = colSpan; }
+                if (rowSpan > 1) { cell.rowSpan = rowSpan; }
+                return cell;
+            }
+            case 'ol':
+            case 'ul':
+            case 'li':
+            case 'details':
+            case 'summary':
+                return {tag: tagName, content};
+            default:
+                return {tag: /** @type {import('structured-content').UnstyledElement['tag']} */ (tagName), content};
+        }
+    }
+
+    /**
+     * Gets the style of Pango `span` and HTML `font` elements.
+     * @param {Map<string, string>} attributes
+     * @returns {?import('structured-content').StructuredContentStyle}
+     */
+    _getAttributeStyle(attributes) {
+        /** @type {import('structured-content').StructuredContentStyle} */
+        const style = {};
+        const color = attributes.get('foreground') ?? attributes.get('fgcolor') ?? attributes.get('color');
+        const backgroundColor = attributes.get('background') ?? attributes.get('bgcolor');
+        const weight = attributes.get('weight') ?? attributes.get('font_weight');
+        const fontStyle = attributes.get('style') ?? attributes.get('font_style');
+        const underline = attributes.get('underline');
+        const strikethrough = attributes.get('strikethrough');
+        if (typeof color === 'string') { style.color = color; }
+        if (typeof backgroundColor === 'string') { style.backgroundColor = backgroundColor; }
+        if (typeof weight === 'string' && /^(?:bold|ultrabold|heavy|[6-9]00)$/.test(weight)) { style.fontWeight = 'bold'; }
+        if (fontStyle === 'italic' || fontStyle === 'oblique') { style.fontStyle = 'italic'; }
+        if (typeof underline === 'string' && underline !== 'none') {
+            style.textDecorationLine = 'underline';
+        } else if (strikethrough === 'true') {
+            style.textDecorationLine = 'line-through';
+        }
+        return Object.keys(style).length > 0 ? style : null;
+    }
+
+    /**
+     * Links to other words of the dictionary use the `bword://` scheme, and are converted to internal links.
+     * @param {string|undefined} href
+     * @param {import('structured-content').Content} content
+     * @returns {?string}
+     */
+    _getLinkHref(href, content) {
+        if (typeof href !== 'string') { return null; }
+        if (/^https?:/i.test(href)) { return href; }
+        if (href.startsWith('bword://')) {
+            let query = href.substring(8);
+            try {
+                query = decodeURIComponent(query);
+            } catch (e) {
+                // NOP
+            }
+            if (query.length === 0) { query = this._getContentText(content); }
+            return query.length > 0 ? `?query=${encodeURIComponent(query)}&wildcards=off` : null;
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} source
+     * @param {import('stardict-converter').ConvertContext} context
+     * @returns {?import('structured-content').ImageElement}
+     */
+    _createImage(source, context) {
+        const fileName = source.trim().replace(/^(?:file:\/\/)?(?:\.?\/)*/, '');
+        if (!context.resourceFileNames.has(fileName)) { return null; }
+        context.usedResourceFileNames.add(fileName);
+        return {tag: 'img', path: `res/${fileName}`};
+    }
+
+    /**
+     * @param {import('structured-content').Content} content
+     * @returns {string}
+     */
+    _getContentText(content) {
+        if (typeof content === 'string') { return content; }
+        if (Array.isArray(content)) { return content.map((item) => this._getContentText(item)).join(''); }
+        return typeof content.content !== 'undefined' ? this._getContentText(content.content) : '';
+    }
+}
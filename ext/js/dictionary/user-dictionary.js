@@ -0,0 +1,258 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {stringReverse} from '../core/utilities.js';
+import {getTextWords} from './dictionary-glossary-util.js';
+
+/**
+ * The title of the dictionary which stores the entries added by the user.
+ */
+export const USER_DICTIONARY_TITLE = 'User Dictionary';
+
+/**
+ * The `data-sc-content` value of the structured content used to store the example sentence of an entry.
+ */
+const SENTENCE_DATA_CONTENT = 'example-sentence';
+
+/**
+ * This class manages the entries of the user dictionary, which is stored in the dictionary database
+ * like any imported dictionary, so that it is used by normal lookups.
+ */
+export class UserDictionary {
+    /**
+     * @param {import('./dictionary-database.js').DictionaryDatabase|import('../background/offscreen-proxy.js').DictionaryDatabaseProxy} dictionaryDatabase
+     */
+    constructor(dictionaryDatabase) {
+        /** @type {import('./dictionary-database.js').DictionaryDatabase|import('../background/offscreen-proxy.js').DictionaryDatabaseProxy} */
+        this._dictionaryDatabase = dictionaryDatabase;
+    }
+
+    /**
+     * @returns {Promise<import('user-dictionary').Entry[]>}
+     */
+    async getEntries() {
+        const rows = await this._dictionaryDatabase.getDictionaryTerms(USER_DICTIONARY_TITLE);
+        return rows.map(getUserDictionaryEntry).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Adds an entry, creating the user dictionary if it doesn't exist yet.
+     * @param {import('user-dictionary').EntryDetails} details
+     * @returns {Promise<import('user-dictionary').AddEntryResult>}
+     */
+    async addEntry(details) {
+        const row = createUserDictionaryTermRow(normalizeUserDictionaryEntryDetails(details));
+        let summary = await this._getSummary();
+        const created = (summary === null);
+        if (summary === null) {
+            summary = this._createSummary();
+        }
+        const id = await this._dictionaryDatabase.putDictionaryTerm(summary, row);
+        return {id, created};
+    }
+
+    /**
+     * @param {number} id
+     * @param {import('user-dictionary').EntryDetails} details
+     * @throws {Error}
+     */
+    async updateEntry(id, details) {
+        const row = createUserDictionaryTermRow(normalizeUserDictionaryEntryDetails(details));
+        const summary = await this._getSummaryForEntry(id);
+        await this._dictionaryDatabase.putDictionaryTerm(summary, {...row, id});
+    }
+
+    /**
+     * @param {number} id
+     * @throws {Error}
+     */
+    async deleteEntry(id) {
+        const summary = await this._getSummaryForEntry(id);
+        await this._dictionaryDatabase.deleteDictionaryTerm(summary, id);
+    }
+
+    // Private
+
+    /**
+     * @returns {Promise<?import('dictionary-importer').Summary>}
+     */
+    async _getSummary() {
+        const dictionaries = await this._dictionaryDatabase.getDictionaryInfo();
+        const summary = dictionaries.find(({title}) => title === USER_DICTIONARY_TITLE);
+        return typeof summary !== 'undefined' ? summary : null;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<import('dictionary-importer').Summary>}
+     * @throws {Error}
+     */
+    async _getSummaryForEntry(id) {
+        const summary = await this._getSummary();
+        if (summary !== null) {
+            const row = await this._dictionaryDatabase.getDictionaryTerm(id);
+            if (row !== null && row.dictionary === USER_DICTIONARY_TITLE) { return summary; }
+        }
+        throw new Error(`User dictionary entry ${id} does not exist`);
+    }
+
+    /**
+     * @returns {import('dictionary-importer').Summary}
+     */
+    _createSummary() {
+        const importDate = Date.now();
+        return {
+            title: USER_DICTIONARY_TITLE,
+            revision: new Date(importDate).toISOString(),
+            sequenced: false,
+            version: 3,
+            importDate,
+            prefixWildcardsSupported: true,
+            glossaryIndexSupported: true,
+            counts: {
+                terms: {total: 0},
+                termMeta: {total: 0},
+                kanji: {total: 0},
+                kanjiMeta: {total: 0},
+                tagMeta: {total: 0},
+                media: {total: 0},
+            },
+            styles: '',
+            description: 'Entries added by the user.',
+        };
+    }
+}
+
+/**
+ * Creates the files of a dictionary archive containing the entries of the user dictionary.
+ * @param {import('user-dictionary').Entry[]} entries
+ * @param {string} revision
+ * @returns {import('user-dictionary').ArchiveFiles}
+ */
+export function createUserDictionaryArchiveFiles(entries, revision) {
+    /** @type {import('dictionary-data').TermV3Array} */
+    const termBank = [];
+    for (const entry of entries) {
+        const {expression, reading, definitionTags, rules, score, glossary, sequence, termTags} = createUserDictionaryTermRow(entry);
+        termBank.push([
+            expression,
+            reading !== expression ? reading : '',
+            definitionTags,
+            rules,
+            score,
+            glossary,
+            typeof sequence === 'number' ? sequence : -1,
+            typeof termTags === 'string' ? termTags : '',
+        ]);
+    }
+    return {
+        index: {
+            title: USER_DICTIONARY_TITLE,
+            format: 3,
+            revision,
+            sequenced: false,
+            description: 'Entries added by the user.',
+        },
+        termBank,
+    };
+}
+
+/**
+ * @param {import('user-dictionary').EntryDetails} details
+ * @returns {import('user-dictionary').EntryDetails}
+ * @throws {Error}
+ */
+function normalizeUserDictionaryEntryDetails({term, reading, glossary, tags, sentence}) {
+    term = term.trim();
+    reading = reading.trim();
+    glossary = glossary.map((item) => item.trim()).filter((item) => item.length > 0);
+    tags = [...new Set(tags.flatMap((tag) => tag.split(/\s+/)).filter((tag) => tag.length > 0))];
+    sentence = sentence.trim();
+    if (term.length === 0) { throw new Error('The term of an entry cannot be empty'); }
+    if (glossary.length === 0) { throw new Error('The glossary of an entry cannot be empty'); }
+    return {term, reading, glossary, tags, sentence};
+}
+
+/**
+ * @param {import('user-dictionary').EntryDetails} details
+ * @returns {import('dictionary-database').DatabaseTermEntry}
+ */
+function createUserDictionaryTermRow({term, reading, glossary, tags, sentence}) {
+    if (reading.length === 0) { reading = term; }
+    /** @type {import('dictionary-data').TermGlossary[]} */
+    const glossaryList = [...glossary];
+    if (sentence.length > 0) {
+        glossaryList.push({
+            type: 'structured-content',
+            content: {tag: 'div', data: {content: SENTENCE_DATA_CONTENT}, content: sentence},
+        });
+    }
+    return {
+        expression: term,
+        reading,
+        expressionReverse: stringReverse(term),
+        readingReverse: stringReverse(reading),
+        // The example sentence is not included, since it would make reverse lookups less precise
+        glossaryWords: getTextWords(glossary.join('\n')),
+        definitionTags: tags.join(' '),
+        rules: '',
+        score: 0,
+        glossary: glossaryList,
+        sequence: -1,
+        termTags: '',
+        dictionary: USER_DICTIONARY_TITLE,
+    };
+}
+
+/**
+ * @param {import('dictionary-database').DatabaseTermEntryWithId} row
+ * @returns {import('user-dictionary').Entry}
+ */
+function getUserDictionaryEntry({id, expression, reading, definitionTags, tags, glossary: glossaryList}) {
+    /** @type {string[]} */
+    const glossary = [];
+    let sentence = '';
+    for (const item of glossaryList) {
+        if (typeof item === 'string') {
+            glossary.push(item);
+        } else if (!Array.isArray(item) && item.type === 'text') {
+            glossary.push(item.text);
+        } else if (!Array.isArray(item) && item.type === 'structured-content') {
+            const sentenceText = getSentenceText(item.content);
+            if (sentenceText !== null) { sentence = sentenceText; }
+        }
+    }
+    const tagsString = typeof definitionTags === 'string' ? definitionTags : (typeof tags === 'string' ? tags : '');
+    return {
+        id,
+        term: expression,
+        reading: reading !== expression ? reading : '',
+        glossary,
+        tags: tagsString.split(' ').filter((tag) => tag.length > 0),
+        sentence,
+    };
+}
+
+/**
+ * @param {import('structured-content').Content} content
+ * @returns {?string}
+ */
+function getSentenceText(content) {
+    if (typeof content !== 'object' || content === null || Array.isArray(content) || content.tag !== 'div') { return null; }
+    const {data, content: text} = content;
+    return (typeof data === 'object' && data !== null && data.content === SENTENCE_DATA_CONTENT && typeof text === 'string') ? text : null;
+}
@@ -0,0 +1,385 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {parseJson} from '../core/json.js';
+import {DictionaryArchiveWriter} from './dictionary-archive-util.js';
+
+/** Wiktextract files contain one JSON entry per line, and can be compressed with gzip. */
+const FILE_EXTENSION_PATTERN = /\.jsonl(?:\.gz)?$/i;
+
+/**
+ * The deinflection rules of the parts of speech which are inflected.
+ * @type {Map<string, string>}
+ */
+const PART_OF_SPEECH_RULES = new Map([
+    ['noun', 'n'],
+    ['verb', 'v'],
+    ['adj', 'adj'],
+]);
+
+/**
+ * The names of the gender tags, which match the default gender tags of the dictionary settings.
+ * @type {Map<string, string>}
+ */
+const GENDER_TAGS = new Map([
+    ['masculine', 'm'],
+    ['feminine', 'f'],
+    ['neuter', 'n'],
+]);
+
+/**
+ * Forms with these tags are not inflections of the word, such as the headers of inflection tables and auxiliary verbs.
+ * @type {Set<string>}
+ */
+const IGNORED_FORM_TAGS = new Set(['table-tags', 'inflection-template', 'class', 'romanization', 'auxiliary', 'canonical']);
+
+/** @type {Set<string>} */
+const IGNORED_FORM_OF_TAGS = new Set(['form-of', 'alt-of']);
+
+/**
+ * Gets the name of a Wiktextract file.
+ * @param {string} fileName
+ * @returns {?string} The name without the file extension, or `null` if the file is not a Wiktextract file.
+ */
+export function getWiktextractFileBaseName(fileName) {
+    const match = FILE_EXTENSION_PATTERN.exec(fileName);
+    return match !== null ? fileName.substring(0, match.index) : null;
+}
+
+/**
+ * @param {Iterable<string>} fileNames
+ * @returns {boolean} `true` if the files contain a Wiktextract file rather than a Yomitan dictionary.
+ */
+export function isWiktextractArchive(fileNames) {
+    let jsonlFound = false;
+    for (const fileName of fileNames) {
+        if (fileName === 'index.json') { return false; }
+        if (FILE_EXTENSION_PATTERN.test(fileName)) { jsonlFound = true; }
+    }
+    return jsonlFound;
+}
+
+/**
+ * Converts a Wiktextract `.jsonl` file, such as the dumps of kaikki.org, into the archive format used by `DictionaryImporter`.
+ * The inflected forms of the entries become `form` term meta entries which link them to their lemma,
+ * so that `Translator` can find the lemma of forms which the deinflection rules of the language do not cover.
+ * The dumps can be several gigabytes large, so the file is read line by line and the terms are written to the archive as they are converted.
+ */
+export class WiktextractConverter {
+    /**
+     * @param {import('dictionary-importer').ArchiveFileMap} fileMap
+     * @returns {Promise<ArrayBuffer>}
+     * @throws {Error}
+     */
+    async convertArchive(fileMap) {
+        const fileNames = [...fileMap.keys()].filter((fileName) => FILE_EXTENSION_PATTERN.test(fileName));
+        if (fileNames.length !== 1) {
+            throw new Error(fileNames.length === 0 ? 'No Wiktextract .jsonl file found in archive' : 'Archive contains more than one Wiktextract .jsonl file');
+        }
+        const fileName = fileNames[0];
+        const entry = fileMap.get(fileName);
+        if (typeof entry === 'undefined' || typeof entry.getData === 'undefined') {
+            throw new Error(`Could not read ${fileName}`);
+        }
+
+        /** @type {TransformStream<Uint8Array, Uint8Array>} */
+        const {readable, writable} = new TransformStream();
+        const readPromise = entry.getData(writable);
+        // Errors of the read also error the stream, so they are reported by the conversion first
+        readPromise.catch(() => {});
+        const stream = /\.gz$/i.test(fileName) ? readable.pipeThrough(/** @type {TransformStream<Uint8Array, Uint8Array>} */ (new DecompressionStream('gzip'))) : readable;
+
+        const archiveWriter = new DictionaryArchiveWriter();
+        const language = await this._convertLines(this._readLines(stream), archiveWriter);
+        await readPromise;
+        return await archiveWriter.close(this._createIndex(language, this._getRevision(entry.lastModDate)));
+    }
+
+    // Private
+
+    /**
+     * @param {AsyncGenerator<string, void, void>} lines The lines of the `.jsonl` file.
+     * @param {DictionaryArchiveWriter} archiveWriter
+     * @returns {Promise<?string>} The language of the entries.
+     * @throws {Error}
+     */
+    async _convertLines(lines, archiveWriter) {
+        /** @type {import('wiktextract-converter').ConvertState} */
+        const state = {
+            language: null,
+            termCount: 0,
+            forms: new Map(),
+            transcriptions: new Map(),
+            tags: new Map(),
+        };
+
+        let lineNumber = 0;
+        for await (const rawLine of lines) {
+            ++lineNumber;
+            const line = rawLine.trim();
+            if (line.length === 0) { continue; }
+
+            /** @type {unknown} */
+            let entry;
+            try {
+                entry = parseJson(line);
+            } catch (e) {
+                throw new Error(`Wiktextract file has invalid JSON on line ${lineNumber}`);
+            }
+            if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) { continue; }
+            const term = this._addEntry(/** @type {import('wiktextract-converter').Entry} */ (entry), lineNumber, state);
+            if (term !== null) {
+                await archiveWriter.addBankItems('term_bank', [term]);
+                ++state.termCount;
+            }
+        }
+
+        const {language, termCount, forms, transcriptions, tags} = state;
+        if (termCount === 0) {
+            throw new Error('Wiktextract file contains no entries');
+        }
+
+        // Forms and transcriptions can be listed by several entries, so they are only written once the whole file is read
+        /** @type {import('dictionary-data').TermMetaArray} */
+        const termMetaBank = [];
+        for (const [term, termTranscriptions] of transcriptions) {
+            termMetaBank.push([term, 'ipa', {
+                reading: term,
+                transcriptions: [...termTranscriptions].map(([ipa, ipaTags]) => (ipaTags.length > 0 ? {ipa, tags: ipaTags} : {ipa})),
+            }]);
+        }
+        for (const [form, lemmas] of forms) {
+            for (const [lemma, descriptions] of lemmas) {
+                for (const description of descriptions) {
+                    termMetaBank.push([form, 'form', {lemma, inflectionRules: description.length > 0 ? [description] : []}]);
+                }
+            }
+        }
+        await archiveWriter.addBankItems('term_meta_bank', termMetaBank);
+
+        /** @type {import('dictionary-data').TagArray} */
+        const tagBank = [...tags].map(([name, {category, notes}]) => [name, category, 0, notes, 0]);
+        await archiveWriter.addBankItems('tag_bank', tagBank);
+
+        return language;
+    }
+
+    /**
+     * @param {ReadableStream<Uint8Array>} stream
+     * @yields {string}
+     * @returns {AsyncGenerator<string, void, void>}
+     */
+    async *_readLines(stream) {
+        const reader = stream.pipeThrough(new TextDecoderStream('utf-8')).getReader();
+        try {
+            let rest = '';
+            while (true) {
+                const {done, value} = await reader.read();
+                if (done) { break; }
+                const lines = (rest + value).split('\n');
+                rest = /** @type {string} */ (lines.pop());
+                for (const line of lines) {
+                    yield line;
+                }
+            }
+            yield rest;
+        } finally {
+            // Stops the read of the archive when the conversion fails
+            await reader.cancel();
+        }
+    }
+
+    /**
+     * @param {import('wiktextract-converter').Entry} entry
+     * @param {number} sequence
+     * @param {import('wiktextract-converter').ConvertState} state
+     * @returns {?import('dictionary-data').TermV3} The term of the entry, or `null` if it has no definitions.
+     */
+    _addEntry(entry, sequence, state) {
+        const word = typeof entry.word === 'string' ? entry.word.trim() : '';
+        if (word.length === 0) { return null; }
+        if (state.language === null && typeof entry.lang === 'string') {
+            state.language = entry.lang;
+        }
+
+        /** @type {Set<string>} */
+        const genders = new Set(this._getStrings(entry.tags).filter((tag) => GENDER_TAGS.has(tag)));
+        /** @type {import('dictionary-data').TermGlossary[]} */
+        const glossary = [];
+        for (const sense of this._getObjects(entry.senses)) {
+            const senseTags = this._getStrings(sense.tags);
+            const lemmas = this._getObjects(sense.form_of)
+                .map(({word: lemma}) => (typeof lemma === 'string' ? lemma.trim() : ''))
+                .filter((lemma) => lemma.length > 0 && lemma !== word);
+            if (lemmas.length > 0) {
+                const description = senseTags.filter((tag) => !IGNORED_FORM_OF_TAGS.has(tag)).join(' ');
+                for (const lemma of lemmas) {
+                    this._addForm(state, word, lemma, description);
+                }
+                continue;
+            }
+
+            for (const tag of senseTags) {
+                if (GENDER_TAGS.has(tag)) { genders.add(tag); }
+            }
+            const item = this._createSenseGlossary(sense, senseTags.filter((tag) => !GENDER_TAGS.has(tag)));
+            if (item !== null) { glossary.push(item); }
+        }
+
+        for (const {form, tags} of this._getObjects(entry.forms)) {
+            if (typeof form !== 'string') { continue; }
+            const formTags = this._getStrings(tags);
+            if (formTags.some((tag) => IGNORED_FORM_TAGS.has(tag))) { continue; }
+            const term = form.trim();
+            // Forms with several words, such as compound tenses, are not looked up as one term
+            if (term.length === 0 || term === word || term === '-' || /\s/.test(term)) { continue; }
+            this._addForm(state, term, word, formTags.join(' '));
+        }
+
+        for (const {ipa, tags} of this._getObjects(entry.sounds)) {
+            if (typeof ipa !== 'string' || ipa.length === 0) { continue; }
+            let termTranscriptions = state.transcriptions.get(word);
+            if (typeof termTranscriptions === 'undefined') {
+                termTranscriptions = new Map();
+                state.transcriptions.set(word, termTranscriptions);
+            }
+            if (!termTranscriptions.has(ipa)) {
+                termTranscriptions.set(ipa, this._getStrings(tags));
+            }
+        }
+
+        if (glossary.length === 0) { return null; }
+
+        /** @type {string[]} */
+        const definitionTags = [];
+        const partOfSpeech = typeof entry.pos === 'string' && !/\s/.test(entry.pos) ? entry.pos : '';
+        if (partOfSpeech.length > 0) {
+            definitionTags.push(partOfSpeech);
+            state.tags.set(partOfSpeech, {category: 'partOfSpeech', notes: ''});
+        }
+        for (const gender of genders) {
+            const tagName = /** @type {string} */ (GENDER_TAGS.get(gender));
+            definitionTags.push(tagName);
+            state.tags.set(tagName, {category: '', notes: gender});
+        }
+        const rules = PART_OF_SPEECH_RULES.get(partOfSpeech) ?? '';
+        return [word, '', definitionTags.join(' '), rules, 0, glossary, sequence, ''];
+    }
+
+    /**
+     * @param {import('wiktextract-converter').ConvertState} state
+     * @param {string} form
+     * @param {string} lemma
+     * @param {string} description
+     */
+    _addForm(state, form, lemma, description) {
+        let lemmas = state.forms.get(form);
+        if (typeof lemmas === 'undefined') {
+            lemmas = new Map();
+            state.forms.set(form, lemmas);
+        }
+        let descriptions = lemmas.get(lemma);
+        if (typeof descriptions === 'undefined') {
+            descriptions = new Set();
+            lemmas.set(lemma, descriptions);
+        }
+        descriptions.add(description);
+    }
+
+    /**
+     * @param {import('wiktextract-converter').Sense} sense
+     * @param {string[]} tags
+     * @returns {?import('dictionary-data').TermGlossary}
+     */
+    _createSenseGlossary(sense, tags) {
+        const glosses = this._getStrings(sense.glosses).map((gloss) => gloss.trim()).filter((gloss) => gloss.length > 0);
+        if (glosses.length === 0) { return null; }
+        // The glosses of subsenses start with the glosses of their parent sense
+        const text = glosses.join(': ');
+
+        /** @type {import('structured-content').Content[]} */
+        const examples = [];
+        for (const {text: exampleText, english, translation} of this._getObjects(sense.examples)) {
+            if (typeof exampleText !== 'string' || exampleText.trim().length === 0) { continue; }
+            const exampleTranslation = typeof english === 'string' ? english : translation;
+            examples.push({
+                tag: 'li',
+                content: (
+                    typeof exampleTranslation === 'string' && exampleTranslation.length > 0 ?
+                    [exampleText.trim(), ' ― ', {tag: 'span', style: {fontStyle: 'italic'}, content: exampleTranslation}] :
+                    exampleText.trim()
+                ),
+            });
+        }
+
+        if (tags.length === 0 && examples.length === 0) { return text; }
+
+        /** @type {import('structured-content').Content[]} */
+        const content = [];
+        if (tags.length > 0) {
+            content.push({tag: 'span', style: {fontStyle: 'italic'}, content: `(${tags.join(', ')})`}, ' ');
+        }
+        content.push(text);
+        if (examples.length > 0) {
+            content.push({tag: 'ul', content: examples});
+        }
+        return {type: 'structured-content', content};
+    }
+
+    /**
+     * The dumps have no version, so the date of the file is used as the revision,
+     * which lets a newer dump replace the installed one.
+     * @param {Date|undefined} date
+     * @returns {string}
+     */
+    _getRevision(date) {
+        return typeof date !== 'undefined' && !Number.isNaN(date.getTime()) ? date.toISOString().substring(0, 10) : 'wiktextract';
+    }
+
+    /**
+     * @param {?string} language
+     * @param {string} revision
+     * @returns {import('dictionary-data').Index}
+     */
+    _createIndex(language, revision) {
+        return {
+            title: language !== null ? `Wiktextract ${language}` : 'Wiktextract',
+            format: 3,
+            revision,
+            sequenced: true,
+            url: 'https://kaikki.org/',
+            attribution: 'Wiktionary (CC BY-SA 4.0), extracted with Wiktextract',
+        };
+    }
+
+    /**
+     * @param {unknown} value
+     * @returns {string[]}
+     */
+    _getStrings(value) {
+        return Array.isArray(value) ? value.filter((item) => typeof item === 'string') : [];
+    }
+
+    /**
+     * @template {object} T
+     * @param {T[]|undefined} value
+     * @returns {T[]}
+     */
+    _getObjects(value) {
+        return Array.isArray(value) ? value.filter((item) => typeof item === 'object' && item !== null && !Array.isArray(item)) : [];
+    }
+}
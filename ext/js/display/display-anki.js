@@ -49,6 +49,8 @@ export class DisplayAnki {
         this._errorNotificationEventListeners = null;
         /** @type {?import('./display-notification.js').DisplayNotification} */
         this._tagsNotification = null;
+        /** @type {?import('./display-notification.js').DisplayNotification} */
+        this._queueNotification = null;
         /** @type {?Promise<void>} */
         this._updateSaveButtonsPromise = null;
         /** @type {?import('core').TokenObject} */
@@ -85,6 +87,8 @@ export class DisplayAnki {
         this._scanLength = 10;
         /** @type {import('settings').AnkiNoteGuiMode} */
         this._noteGuiMode = 'browse';
+        /** @type {import('settings').AnkiNoteTarget} */
+        this._noteTarget = 'ankiConnect';
         /** @type {?number} */
         this._audioDownloadIdleTimeout = null;
         /** @type {string[]} */
@@ -210,6 +214,7 @@ export class DisplayAnki {
                 kanji,
                 terms,
                 noteGuiMode,
+                noteTarget,
                 screenshot: {format, quality},
                 downloadTimeout,
             },
@@ -229,6 +234,7 @@ export class DisplayAnki {
         this._screenshotQuality = quality;
         this._scanLength = scanLength;
         this._noteGuiMode = noteGuiMode;
+        this._noteTarget = noteTarget;
         this._noteTags = [...tags];
         this._audioDownloadIdleTimeout = (Number.isFinite(downloadTimeout) && downloadTimeout > 0 ? downloadTimeout : null);
         this._modeOptions.clear();
@@ -438,7 +444,7 @@ export class DisplayAnki {
                 if (button !== null) {
                     button.disabled = !canAdd;
                     button.hidden = (ankiError !== null);
-                    if (ankiError && ankiError.message !== 'Anki not connected') {
+                    if (ankiError !== null) {
                         log.error(ankiError);
                     }
 
@@ -552,9 +558,14 @@ export class DisplayAnki {
 
             const error = this._getAddNoteRequirementsError(requirements, outputRequirements);
             if (error !== null) { allErrors.push(error); }
-            await (button.dataset.overwrite ?
-                this._updateAnkiNote(note, allErrors, button, dictionaryEntryIndex) :
-                this._addNewAnkiNote(note, allErrors, button, dictionaryEntryIndex));
+            if (button.dataset.overwrite) {
+                await this._updateAnkiNote(note, allErrors, button, dictionaryEntryIndex);
+            } else {
+                const miningLogEntry = this._getMiningLogEntryDetails(dictionaryEntry);
+                if (await this._addNewAnkiNote(note, allErrors, button, dictionaryEntryIndex, miningLogEntry)) {
+                    await this._addMiningLogEntry(miningLogEntry);
+                }
+            }
         } catch (e) {
             allErrors.push(toError(e));
         } finally {
@@ -573,8 +584,19 @@ export class DisplayAnki {
      * @param {Error[]} allErrors
      * @param {HTMLButtonElement} button
      * @param {number} dictionaryEntryIndex
+     * @param {import('mining-log').EntryDetails} miningLogEntry The mining log entry of a queued note, which is recorded once the note is added.
+     * @returns {Promise<boolean>} Whether or not the note was added. This is `false` for notes which were queued to be added later.
      */
-    async _addNewAnkiNote(note, allErrors, button, dictionaryEntryIndex) {
+    async _addNewAnkiNote(note, allErrors, button, dictionaryEntryIndex, miningLogEntry) {
+        if (this._noteTarget === 'localCollection') {
+            return await this._addLocalAnkiNote(note, allErrors, button);
+        }
+
+        if (!await this._display.application.api.isAnkiConnected()) {
+            await this._queueAnkiNote(note, allErrors, button, miningLogEntry);
+            return false;
+        }
+
         let noteId = null;
         let addNoteOkay = false;
         try {
@@ -599,8 +621,81 @@ export class DisplayAnki {
                 this._updateSaveButtonForDuplicateBehavior(button, [noteId]);
 
                 this._updateViewNoteButton(dictionaryEntryIndex, [noteId], true);
+                return true;
             }
         }
+        return false;
+    }
+
+    /**
+     * @param {import('anki').Note} note
+     * @param {Error[]} allErrors
+     * @param {HTMLButtonElement} button
+     * @returns {Promise<boolean>}
+     */
+    async _addLocalAnkiNote(note, allErrors, button) {
+        try {
+            await this._display.application.api.addLocalAnkiNotes([note], this._suspendNewCards);
+        } catch (e) {
+            allErrors.length = 0;
+            allErrors.push(toError(e));
+            return false;
+        }
+
+        // The notes of the local collection can't be viewed or overwritten, so the added note is treated like an unknown duplicate
+        this._updateSaveButtonForDuplicateBehavior(button, [INVALID_NOTE_ID]);
+        return true;
+    }
+
+    /**
+     * @param {import('anki').Note} note
+     * @param {Error[]} allErrors
+     * @param {HTMLButtonElement} button
+     * @param {import('mining-log').EntryDetails} miningLogEntry
+     */
+    async _queueAnkiNote(note, allErrors, button, miningLogEntry) {
+        try {
+            await this._display.application.api.queueAnkiNote(note, this._duplicateBehavior, this._suspendNewCards, miningLogEntry, this._display.getOptionsContext());
+        } catch (e) {
+            allErrors.length = 0;
+            allErrors.push(toError(e));
+            return;
+        }
+
+        button.disabled = true;
+        button.title = 'Note is waiting to be added to Anki';
+        if (this._queueNotification === null) {
+            this._queueNotification = this._display.createNotification(true);
+        }
+        this._queueNotification.setContent('Anki could not be reached, so the note was queued. It will be added once Anki is running.');
+        this._queueNotification.open();
+    }
+
+    /**
+     * @param {import('dictionary').DictionaryEntry} dictionaryEntry
+     * @returns {import('mining-log').EntryDetails}
+     */
+    _getMiningLogEntryDetails(dictionaryEntry) {
+        const url = this._noteContext !== null ? this._noteContext.url : window.location.href;
+        if (dictionaryEntry.type === 'kanji') {
+            const {character, dictionary} = dictionaryEntry;
+            return {type: 'kanji', term: character, reading: '', dictionary, url};
+        } else {
+            const {headwords: [{term, reading}], definitions: [{dictionary}]} = dictionaryEntry;
+            return {type: 'term', term, reading, dictionary, url};
+        }
+    }
+
+    /**
+     * Records an added note in the mining log, which is used for the mining statistics.
+     * @param {import('mining-log').EntryDetails} entry
+     */
+    async _addMiningLogEntry(entry) {
+        try {
+            await this._display.application.api.addMiningLogEntry(entry, this._display.getOptionsContext());
+        } catch (e) {
+            log.error(e);
+        }
     }
 
     /**
@@ -755,13 +850,16 @@ export class DisplayAnki {
         let infos;
         let ankiError = null;
         try {
-            if (!await this._display.application.api.isAnkiConnected()) {
-                throw new Error('Anki not connected');
+            if (this._noteTarget === 'localCollection') {
+                infos = this._checkForDuplicates ? await this._getLocalAnkiNoteInfo(notes) : this._getAnkiNoteInfoForceValue(notes, true);
+            } else if (!await this._display.application.api.isAnkiConnected()) {
+                // Notes are added to the queue, which is sent to Anki once it can be reached again
+                infos = this._getAnkiNoteInfoForceValue(notes, true);
+            } else if (this._checkForDuplicates) {
+                infos = await this._display.application.api.getAnkiNoteInfo(notes, fetchAdditionalInfo);
+            } else {
+                infos = this._getAnkiNoteInfoForceValue(notes, true);
             }
-
-            infos = this._checkForDuplicates ?
-                await this._display.application.api.getAnkiNoteInfo(notes, fetchAdditionalInfo) :
-                this._getAnkiNoteInfoForceValue(notes, true);
         } catch (e) {
             infos = this._getAnkiNoteInfoForceValue(notes, false);
             ankiError = toError(e);
@@ -784,6 +882,18 @@ export class DisplayAnki {
         return results;
     }
 
+    /**
+     * @param {import('anki').Note[]} notes
+     * @returns {Promise<import('anki').NoteInfoWrapper[]>}
+     */
+    async _getLocalAnkiNoteInfo(notes) {
+        const canAddArray = await this._display.application.api.canAddLocalAnkiNotes(notes.map((note) => ({...note, options: {...note.options, allowDuplicate: false}})));
+        return notes.map((note, i) => {
+            const valid = isNoteDataValid(note);
+            return {canAdd: valid, valid, noteIds: canAddArray[i] ? null : [INVALID_NOTE_ID]};
+        });
+    }
+
     /**
      * @param {import('anki').Note[]} notes
      * @param {boolean} canAdd
@@ -17,6 +17,7 @@
  */
 
 import {EventListenerCollection} from '../core/event-listener-collection.js';
+import {base64ToArrayBuffer} from '../data/array-buffer-util.js';
 import {PopupMenu} from '../dom/popup-menu.js';
 import {querySelectorNotNull} from '../dom/query-selector.js';
 import {AudioSystem} from '../media/audio-system.js';
@@ -44,6 +45,10 @@ export class DisplayAudio {
         this._eventListeners = new EventListenerCollection();
         /** @type {Map<string, import('display-audio').CacheItem>} */
         this._cache = new Map();
+        /** @type {Set<string>} */
+        this._objectUrls = new Set();
+        /** @type {string[]} */
+        this._enabledDictionaryNames = [];
         /** @type {Element} */
         this._menuContainer = querySelectorNotNull(document, '#popup-menus');
         /** @type {import('core').TokenObject} */
@@ -63,6 +68,7 @@ export class DisplayAudio {
             ['text-to-speech-reading', 'Text-to-speech (Kana reading)'],
             ['custom', 'Custom URL'],
             ['custom-json', 'Custom URL (JSON)'],
+            ['dictionary', 'Dictionaries'],
         ]);
         /** @type {(event: MouseEvent) => void} */
         this._onAudioPlayButtonClickBind = this._onAudioPlayButtonClick.bind(this);
@@ -169,6 +175,7 @@ export class DisplayAudio {
         const {
             general: {language},
             audio: {enabled, autoPlay, volume, sources},
+            dictionaries,
         } = options;
         this._autoPlay = enabled && autoPlay;
         this._playbackVolume = Number.isFinite(volume) ? Math.max(0, Math.min(1, volume / 100)) : 1;
@@ -186,10 +193,12 @@ export class DisplayAudio {
             this._addAudioSourceInfo(type, '', '', false, nameMap);
         }
 
+        this._enabledDictionaryNames = dictionaries.filter(({enabled: enabled2}) => enabled2).map(({name}) => name);
+
         const data = document.documentElement.dataset;
         data.audioEnabled = enabled.toString();
 
-        this._cache.clear();
+        this._clearCache();
     }
 
     /**
@@ -213,7 +222,7 @@ export class DisplayAudio {
     /** */
     _onContentClear() {
         this._entriesToken = {};
-        this._cache.clear();
+        this._clearCache();
         this.clearAutoPlayTimer();
         this._eventListeners.removeAllEventListeners();
     }
@@ -683,11 +692,50 @@ export class DisplayAudio {
                 return await this._audioSystem.createAudio(info.url, source.type);
             case 'tts':
                 return this._audioSystem.createTextToSpeechAudio(info.text, info.voice);
+            case 'dictionary':
+                return await this._createDictionaryAudio(info.dictionary, info.path, source);
             default:
                 throw new Error(`Unsupported type: ${/** @type {import('core').SafeAny} */ (info).type}`);
         }
     }
 
+    /**
+     * @param {string} dictionary
+     * @param {string} path
+     * @param {import('display-audio').AudioSource} source
+     * @returns {Promise<HTMLAudioElement>}
+     * @throws {Error}
+     */
+    async _createDictionaryAudio(dictionary, path, source) {
+        const media = await this._display.application.api.getMedia([{path, dictionary}]);
+        if (media.length === 0) {
+            throw new Error('Could not find audio');
+        }
+        const {content, mediaType} = media[0];
+        const blob = new Blob([base64ToArrayBuffer(content)], {type: mediaType});
+        const url = URL.createObjectURL(blob);
+        try {
+            const audio = await this._audioSystem.createAudio(url, source.type);
+            // The URL is revoked once the audio is removed from the cache
+            this._objectUrls.add(url);
+            return audio;
+        } catch (e) {
+            URL.revokeObjectURL(url);
+            throw e;
+        }
+    }
+
+    /**
+     * Clears the cached audio, and revokes the object URLs of the dictionary audio which was cached.
+     */
+    _clearCache() {
+        this._cache.clear();
+        for (const url of this._objectUrls) {
+            URL.revokeObjectURL(url);
+        }
+        this._objectUrls.clear();
+    }
+
     /**
      * @param {import('display-audio').AudioSource} source
      * @param {string} term
@@ -1008,6 +1056,6 @@ export class DisplayAudio {
      */
     _getSourceData(source) {
         const {type, url, voice} = source;
-        return {type, url, voice};
+        return {type, url, voice, dictionaries: this._enabledDictionaryNames};
     }
 }
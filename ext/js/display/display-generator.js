@@ -77,8 +77,9 @@ export class DisplayGenerator {
         const frequencyGroupListContainer = this._querySelector(node, '.frequency-group-list');
         const definitionsContainer = this._querySelector(node, '.definition-list');
         const headwordTagsContainer = this._querySelector(node, '.headword-list-tag-list');
+        const compoundPartListContainer = this._querySelector(node, '.compound-part-list');
 
-        const {headwords, type, inflectionRuleChainCandidates, definitions, frequencies, pronunciations} = dictionaryEntry;
+        const {headwords, type, inflectionRuleChainCandidates, definitions, frequencies, pronunciations, compound} = dictionaryEntry;
         const groupedPronunciations = getGroupedPronunciations(dictionaryEntry);
         const pronunciationCount = groupedPronunciations.reduce((i, v) => i + v.pronunciations.length, 0);
         const groupedFrequencies = groupTermFrequencies(dictionaryEntry);
@@ -122,6 +123,11 @@ export class DisplayGenerator {
         this._appendMultiple(groupedPronunciationsContainer, this._createGroupedPronunciation.bind(this), groupedPronunciations);
         this._appendMultiple(headwordTagsContainer, this._createTermTag.bind(this), termTags, headwords.length);
 
+        if (typeof compound !== 'undefined') {
+            this._appendMultiple(compoundPartListContainer, this._createCompoundPart.bind(this), compound.parts, compound.parts[compound.partIndex]);
+            compoundPartListContainer.title = compound.text;
+        }
+
         for (const term of uniqueTerms) {
             headwordTagsContainer.appendChild(this._createSearchTag(term));
         }
@@ -252,6 +258,51 @@ export class DisplayGenerator {
         return node;
     }
 
+    /**
+     * @param {string} term
+     * @param {import('language-transformer').InflectionTable} inflectionTable
+     * @returns {DocumentFragment}
+     */
+    createInflectionTableFooterNotificationDetails(term, inflectionTable) {
+        const node = this._templates.instantiateFragment('footer-notification-inflection-table');
+
+        const header = this._querySelector(node, '.inflection-table-header');
+        this._setTextContent(header, term, this._language);
+
+        const container = this._querySelector(node, '.inflection-table-body');
+        const count = this._appendMultiple(container, this._createInflectionTableItem.bind(this), inflectionTable);
+        if (count === 0) {
+            container.appendChild(this._instantiate('inflection-table-empty'));
+        }
+
+        return node;
+    }
+
+    /**
+     * @param {string} term
+     * @param {string} reading
+     * @param {string} sentence
+     * @returns {HTMLFormElement}
+     */
+    createUserDictionaryEntryFooterNotificationDetails(term, reading, sentence) {
+        const node = /** @type {HTMLFormElement} */ (this._instantiate('footer-notification-user-dictionary-entry'));
+
+        /** @type {HTMLInputElement} */
+        const termInput = this._querySelector(node, '.user-dictionary-entry-term');
+        termInput.value = term;
+        termInput.lang = this._language;
+        /** @type {HTMLInputElement} */
+        const readingInput = this._querySelector(node, '.user-dictionary-entry-reading');
+        readingInput.value = reading !== term ? reading : '';
+        readingInput.lang = this._language;
+        /** @type {HTMLTextAreaElement} */
+        const sentenceInput = this._querySelector(node, '.user-dictionary-entry-sentence');
+        sentenceInput.value = sentence;
+        sentenceInput.lang = this._language;
+
+        return node;
+    }
+
     /**
      * @param {(DocumentFragment|Node|Error)[]} errors
      * @returns {HTMLElement}
@@ -360,6 +411,17 @@ export class DisplayGenerator {
         const headwordReading = this._querySelector(node, '.headword-reading');
         this._setTextContent(headwordReading, reading);
 
+        const {gender, article, plural} = headword;
+        if (typeof gender === 'string') {
+            node.dataset.gender = gender;
+        }
+        if (typeof article === 'string') {
+            this._setTextContent(this._querySelector(node, '.headword-article'), article, this._language);
+        }
+        if (typeof plural === 'string') {
+            this._setTextContent(this._querySelector(node, '.headword-plural'), plural, this._language);
+        }
+
         this._appendFurigana(termContainer, term, reading, this._appendKanjiLinks.bind(this));
 
         return node;
@@ -382,6 +444,20 @@ export class DisplayGenerator {
         return fragment;
     }
 
+    /**
+     * @param {import('dictionary').TermCompoundPart} part
+     * @param {import('dictionary').TermCompoundPart} currentPart
+     * @returns {HTMLElement}
+     */
+    _createCompoundPart(part, currentPart) {
+        const {text, linkingElement} = part;
+        const node = this._instantiate('compound-part');
+        this._setTextContent(this._querySelector(node, '.compound-part-text'), text, this._language);
+        this._setTextContent(this._querySelector(node, '.compound-linking-element'), linkingElement, this._language);
+        node.dataset.current = `${part === currentPart}`;
+        return node;
+    }
+
     /**
      * @param {import('dictionary').InflectionSource} source
      * @returns {HTMLElement}
@@ -597,6 +673,21 @@ export class DisplayGenerator {
         return this._instantiate('kanji-info-table-empty');
     }
 
+    /**
+     * @param {import('language-transformer').InflectionTableRow} row
+     * @returns {HTMLElement}
+     */
+    _createInflectionTableItem(row) {
+        const {name, description, forms} = row;
+        const node = this._instantiate('inflection-table-item');
+        const nameNode = this._querySelector(node, '.inflection-table-item-header');
+        const formsNode = this._querySelector(node, '.inflection-table-item-forms');
+        this._setTextContent(nameNode, name);
+        if (description) { nameNode.title = description; }
+        this._setTextContent(formsNode, forms.join(', '), this._language);
+        return node;
+    }
+
     /**
      * @param {import('dictionary').Tag} tag
      * @returns {HTMLElement}
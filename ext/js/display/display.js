@@ -168,6 +168,10 @@ export class Display extends EventDispatcher {
         this._tagNotification = null;
         /** @type {?import('./display-notification.js').DisplayNotification} */
         this._inflectionNotification = null;
+        /** @type {?import('./display-notification.js').DisplayNotification} */
+        this._inflectionTableNotification = null;
+        /** @type {?import('./display-notification.js').DisplayNotification} */
+        this._userDictionaryEntryNotification = null;
         /** @type {HTMLElement} */
         this._footerNotificationContainer = querySelectorNotNull(document, '#content-footer');
         /** @type {OptionToggleHotkeyHandler} */
@@ -450,6 +454,7 @@ export class Display extends EventDispatcher {
             readingMode: options.parsing.readingMode,
             useInternalParser: options.parsing.enableScanningParser,
             useMecabParser: options.parsing.enableMecabParser,
+            useLanguageParser: options.parsing.enableLanguageParser,
             language: options.general.language,
             scanning: {
                 inputs: scanningOptions.inputs,
@@ -794,6 +799,8 @@ export class Display extends EventDispatcher {
             this._eventListeners.removeAllEventListeners();
             this._contentManager.unloadAll();
             this._hideTagNotification(false);
+            this._hideInflectionTableNotification(false);
+            this._hideUserDictionaryEntryNotification(false);
             this._triggerContentClear();
             this._dictionaryEntries = [];
             this._dictionaryEntryNodes = [];
@@ -1095,6 +1102,11 @@ export class Display extends EventDispatcher {
             menuBodyNode.appendChild(item);
         };
 
+        const index = this.getElementDictionaryEntryIndex(node);
+        if (index >= 0 && index < this._dictionaryEntries.length && this._dictionaryEntries[index].type === 'term') {
+            addItem('show-inflection-table', 'Show inflection table');
+            addItem('add-to-user-dictionary', 'Add to user dictionary');
+        }
         addItem('log-debug-info', 'Log debug info');
 
         this._menuContainer.appendChild(menuContainerNode);
@@ -1109,6 +1121,12 @@ export class Display extends EventDispatcher {
         const node = /** @type {HTMLElement} */ (e.currentTarget);
         const {action} = e.detail;
         switch (action) {
+            case 'show-inflection-table':
+                void this._showInflectionTableNotification(this.getElementDictionaryEntryIndex(node));
+                break;
+            case 'add-to-user-dictionary':
+                this._showUserDictionaryEntryNotification(this.getElementDictionaryEntryIndex(node));
+                break;
             case 'log-debug-info':
                 void this._logDictionaryEntryData(this.getElementDictionaryEntryIndex(node));
                 break;
@@ -1149,6 +1167,125 @@ export class Display extends EventDispatcher {
         this._inflectionNotification.open();
     }
 
+    /**
+     * @param {number} index
+     */
+    async _showInflectionTableNotification(index) {
+        if (this._options === null || index < 0 || index >= this._dictionaryEntries.length) { return; }
+        const dictionaryEntry = this._dictionaryEntries[index];
+        if (dictionaryEntry.type !== 'term') { return; }
+
+        const {term, wordClasses} = dictionaryEntry.headwords[0];
+        const {language} = this._options.general;
+        const token = this._setContentToken;
+        const inflectionTable = await this._application.api.getInflectionTable(language, term, wordClasses);
+        if (this._setContentToken !== token) { return; }
+
+        if (this._inflectionTableNotification === null) {
+            this._inflectionTableNotification = this.createNotification(true);
+        }
+
+        const content = this._displayGenerator.createInflectionTableFooterNotificationDetails(term, inflectionTable);
+        this._inflectionTableNotification.setContent(content);
+        this._inflectionTableNotification.open();
+    }
+
+    /**
+     * @param {boolean} animate
+     */
+    _hideInflectionTableNotification(animate) {
+        if (this._inflectionTableNotification === null) { return; }
+        this._inflectionTableNotification.close(animate);
+    }
+
+    /**
+     * @param {number} index
+     */
+    _showUserDictionaryEntryNotification(index) {
+        if (index < 0 || index >= this._dictionaryEntries.length) { return; }
+        const dictionaryEntry = this._dictionaryEntries[index];
+        if (dictionaryEntry.type !== 'term') { return; }
+
+        const {term, reading} = dictionaryEntry.headwords[0];
+        if (this._userDictionaryEntryNotification === null) {
+            this._userDictionaryEntryNotification = this.createNotification(false);
+        }
+
+        const form = this._displayGenerator.createUserDictionaryEntryFooterNotificationDetails(term, reading, this._getSentenceText());
+        form.addEventListener('submit', this._onUserDictionaryEntryFormSubmit.bind(this), false);
+        this._userDictionaryEntryNotification.setContent(form);
+        this._userDictionaryEntryNotification.open();
+    }
+
+    /**
+     * @param {boolean} animate
+     */
+    _hideUserDictionaryEntryNotification(animate) {
+        if (this._userDictionaryEntryNotification === null) { return; }
+        this._userDictionaryEntryNotification.close(animate);
+    }
+
+    /**
+     * @param {SubmitEvent} e
+     */
+    _onUserDictionaryEntryFormSubmit(e) {
+        e.preventDefault();
+        const form = /** @type {HTMLFormElement} */ (e.currentTarget);
+        void this._addUserDictionaryEntry(form);
+    }
+
+    /**
+     * @param {HTMLFormElement} form
+     */
+    async _addUserDictionaryEntry(form) {
+        /**
+         * @param {string} selector
+         * @returns {string}
+         */
+        const getValue = (selector) => {
+            /** @type {HTMLInputElement|HTMLTextAreaElement} */
+            const element = querySelectorNotNull(form, selector);
+            return element.value;
+        };
+        /** @type {import('user-dictionary').EntryDetails} */
+        const details = {
+            term: getValue('.user-dictionary-entry-term'),
+            reading: getValue('.user-dictionary-entry-reading'),
+            glossary: getValue('.user-dictionary-entry-glossary').split('\n'),
+            tags: getValue('.user-dictionary-entry-tags').split(/\s+/),
+            sentence: getValue('.user-dictionary-entry-sentence'),
+        };
+
+        /** @type {HTMLButtonElement} */
+        const button = querySelectorNotNull(form, '.user-dictionary-entry-add-button');
+        /** @type {HTMLElement} */
+        const status = querySelectorNotNull(form, '.user-dictionary-entry-status');
+        button.disabled = true;
+        status.textContent = '';
+        try {
+            await this._application.api.addUserDictionaryEntry(details);
+            this._hideUserDictionaryEntryNotification(true);
+        } catch (e) {
+            status.textContent = toError(e).message;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * @returns {string}
+     */
+    _getSentenceText() {
+        const {state} = this._history;
+        if (typeof state === 'object' && state !== null) {
+            const {sentence} = state;
+            if (typeof sentence === 'object' && sentence !== null && typeof sentence.text === 'string') {
+                return sentence.text;
+            }
+        }
+        return this._fullQuery;
+    }
+
     /**
      * @param {boolean} animate
      */
@@ -1168,6 +1305,7 @@ export class Display extends EventDispatcher {
         data.compactTags = `${options.general.compactTags}`;
         data.frequencyDisplayMode = `${options.general.frequencyDisplayMode}`;
         data.termDisplayMode = `${options.general.termDisplayMode}`;
+        data.genderColorCoding = `${options.general.genderColorCoding}`;
         data.enableSearchTags = `${options.scanning.enableSearchTags}`;
         data.showPronunciationText = `${options.general.showPitchAccentDownstepNotation}`;
         data.showPronunciationDownstepPosition = `${options.general.showPitchAccentPositionNotation}`;
@@ -1244,12 +1382,16 @@ export class Display extends EventDispatcher {
      * @param {boolean} isKanji
      * @param {string} source
      * @param {boolean} wildcardsEnabled
+     * @param {boolean} searchGlossary
      * @param {import('settings').OptionsContext} optionsContext
      * @returns {Promise<import('dictionary').DictionaryEntry[]>}
      */
-    async _findDictionaryEntries(isKanji, source, wildcardsEnabled, optionsContext) {
+    async _findDictionaryEntries(isKanji, source, wildcardsEnabled, searchGlossary, optionsContext) {
         /** @type {import('dictionary').DictionaryEntry[]} */
         let dictionaryEntries = [];
+        if (searchGlossary) {
+            return (await this._application.api.termsFind(source, {searchGlossary}, optionsContext)).dictionaryEntries;
+        }
         const {findDetails, source: source2} = this._getFindDetails(source, wildcardsEnabled);
         if (isKanji) {
             dictionaryEntries = await this._application.api.kanjiFind(source, optionsContext);
@@ -1297,6 +1439,7 @@ export class Display extends EventDispatcher {
     async _setContentTermsOrKanji(type, urlSearchParams, token) {
         const lookup = (urlSearchParams.get('lookup') !== 'false');
         const wildcardsEnabled = (urlSearchParams.get('wildcards') !== 'off');
+        const searchGlossary = (urlSearchParams.get('reverse') === 'true');
         const hasEnabledDictionaries = this._options ? this._options.dictionaries.some(({enabled}) => enabled) : false;
 
         // Set query
@@ -1333,7 +1476,7 @@ export class Display extends EventDispatcher {
 
         let {dictionaryEntries} = content;
         if (!Array.isArray(dictionaryEntries)) {
-            dictionaryEntries = hasEnabledDictionaries && lookup && query.length > 0 ? await this._findDictionaryEntries(type === 'kanji', query, wildcardsEnabled, optionsContext) : [];
+            dictionaryEntries = hasEnabledDictionaries && lookup && query.length > 0 ? await this._findDictionaryEntries(type === 'kanji', query, wildcardsEnabled, searchGlossary, optionsContext) : [];
             if (this._setContentToken !== token) { return; }
             content.dictionaryEntries = dictionaryEntries;
             changeHistory = true;
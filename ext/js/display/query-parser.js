@@ -51,6 +51,8 @@ export class QueryParser extends EventDispatcher {
         this._useInternalParser = true;
         /** @type {boolean} */
         this._useMecabParser = false;
+        /** @type {boolean} */
+        this._useLanguageParser = true;
         /** @type {import('api').ParseTextResultItem[]} */
         this._parseResults = [];
         /** @type {HTMLElement} */
@@ -92,7 +94,7 @@ export class QueryParser extends EventDispatcher {
     /**
      * @param {import('display').QueryParserOptions} display
      */
-    setOptions({selectedParser, termSpacing, readingMode, useInternalParser, useMecabParser, language, scanning}) {
+    setOptions({selectedParser, termSpacing, readingMode, useInternalParser, useMecabParser, useLanguageParser, language, scanning}) {
         let selectedParserChanged = false;
         if (selectedParser === null || typeof selectedParser === 'string') {
             selectedParserChanged = (this._selectedParser !== selectedParser);
@@ -110,6 +112,9 @@ export class QueryParser extends EventDispatcher {
         if (typeof useMecabParser === 'boolean') {
             this._useMecabParser = useMecabParser;
         }
+        if (typeof useLanguageParser === 'boolean') {
+            this._useLanguageParser = useLanguageParser;
+        }
         if (scanning !== null && typeof scanning === 'object') {
             const {scanLength} = scanning;
             if (typeof scanLength === 'number') {
@@ -136,7 +141,7 @@ export class QueryParser extends EventDispatcher {
         /** @type {?import('core').TokenObject} */
         const token = {};
         this._setTextToken = token;
-        this._parseResults = await this._api.parseText(text, this._getOptionsContext(), this._scanLength, this._useInternalParser, this._useMecabParser);
+        this._parseResults = await this._api.parseText(text, this._getOptionsContext(), this._scanLength, this._useInternalParser, this._useMecabParser, this._useLanguageParser);
         if (this._setTextToken !== token) { return; }
 
         this._refreshSelectedParser();
@@ -269,6 +274,9 @@ export class QueryParser extends EventDispatcher {
                 case 'scanning-parser':
                     option.textContent = 'Scanning parser';
                     break;
+                case 'language-parser':
+                    option.textContent = 'Language parser';
+                    break;
                 case 'mecab':
                     option.textContent = `MeCab: ${parseResult.dictionary}`;
                     break;
@@ -300,8 +308,11 @@ export class QueryParser extends EventDispatcher {
             const termNode = document.createElement('span');
             termNode.className = 'query-parser-term';
             termNode.dataset.offset = `${offset}`;
-            for (const {text, reading} of term) {
-                if (reading.length === 0) {
+            for (const {text, reading, lemma} of term) {
+                if (typeof lemma !== 'undefined') {
+                    termNode.appendChild(this._createSegment(text, this._getLemmaReading(text, lemma), offset));
+                    termNode.title = this._getLemmaDescription(lemma);
+                } else if (reading.length === 0) {
                     termNode.appendChild(document.createTextNode(text));
                 } else {
                     const reading2 = this._convertReading(text, reading);
@@ -340,6 +351,27 @@ export class QueryParser extends EventDispatcher {
         return segmentNode;
     }
 
+    /**
+     * Gets the dictionary form to show above a word, which is omitted if the word is already in its dictionary form.
+     * @param {string} text
+     * @param {import('api').ParseTextLemma} lemma
+     * @returns {string}
+     */
+    _getLemmaReading(text, lemma) {
+        const {term} = lemma;
+        if (this._readingMode === 'none' || term.toLowerCase() === text.toLowerCase()) { return ''; }
+        return term;
+    }
+
+    /**
+     * @param {import('api').ParseTextLemma} lemma
+     * @returns {string}
+     */
+    _getLemmaDescription({term, inflectionRules}) {
+        if (inflectionRules.length === 0) { return term; }
+        return `${term}\n${inflectionRules.map(({name}) => name).join(' « ')}`;
+    }
+
     /**
      * Convert _reading_ to hiragana, katakana, or romaji, or _term_ if it is entirely kana and _reading_ is an empty string,  based on _readingMode.
      * @param {string} term
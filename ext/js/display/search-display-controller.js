@@ -20,6 +20,7 @@ import * as wanakana from '../../lib/wanakana.js';
 import {ClipboardMonitor} from '../comm/clipboard-monitor.js';
 import {createApiMap, invokeApiMapHandler} from '../core/api-map.js';
 import {EventListenerCollection} from '../core/event-listener-collection.js';
+import {log} from '../core/log.js';
 import {querySelectorNotNull} from '../dom/query-selector.js';
 
 export class SearchDisplayController {
@@ -43,9 +44,17 @@ export class SearchDisplayController {
         this._queryInput = querySelectorNotNull(document, '#search-textbox');
         /** @type {HTMLElement} */
         this._introElement = querySelectorNotNull(document, '#intro');
+        /** @type {HTMLElement} */
+        this._noResultsSuggestions = querySelectorNotNull(document, '#no-results-suggestions');
+        /** @type {HTMLElement} */
+        this._noResultsSuggestionList = querySelectorNotNull(document, '#no-results-suggestion-list');
+        /** @type {?import('core').TokenObject} */
+        this._termSuggestionsToken = null;
         /** @type {HTMLInputElement} */
         this._clipboardMonitorEnableCheckbox = querySelectorNotNull(document, '#clipboard-monitor-enable');
         /** @type {HTMLInputElement} */
+        this._searchDefinitionsEnableCheckbox = querySelectorNotNull(document, '#search-definitions-enable');
+        /** @type {HTMLInputElement} */
         this._wanakanaEnableCheckbox = querySelectorNotNull(document, '#wanakana-enable');
         /** @type {HTMLInputElement} */
         this._stickyHeaderEnableCheckbox = querySelectorNotNull(document, '#sticky-header-enable');
@@ -109,6 +118,7 @@ export class SearchDisplayController {
         window.addEventListener('copy', this._onCopy.bind(this));
         this._clipboardMonitor.on('change', this._onClipboardMonitorChange.bind(this));
         this._clipboardMonitorEnableCheckbox.addEventListener('change', this._onClipboardMonitorEnableChange.bind(this));
+        this._searchDefinitionsEnableCheckbox.addEventListener('change', this._onSearchDefinitionsEnableChange.bind(this));
         this._stickyHeaderEnableCheckbox.addEventListener('change', this._onStickyHeaderEnableChange.bind(this));
         this._display.hotkeyHandler.on('keydownNonHotkey', this._onKeyDown.bind(this));
 
@@ -236,6 +246,18 @@ export class SearchDisplayController {
             this._updateSearchHeight(true);
         }
         this._setIntroVisible(!valid, animate);
+        void this._updateTermSuggestions(type === 'terms' && valid && this._display.dictionaryEntries.length === 0 ? query : null);
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onTermSuggestionClick(e) {
+        e.preventDefault();
+        const element = /** @type {HTMLElement} */ (e.currentTarget);
+        this._queryInput.value = element.textContent ?? '';
+        this._updateSearchHeight(true);
+        this._search(true, 'new', true, null);
     }
 
     /** */
@@ -335,6 +357,12 @@ export class SearchDisplayController {
         void this._setClipboardMonitorEnabled(enabled);
     }
 
+    /** */
+    _onSearchDefinitionsEnableChange() {
+        if (this._queryInput.value.length === 0) { return; }
+        this._search(true, 'new', true, null);
+    }
+
     /**
      * @param {Event} e
      */
@@ -419,6 +447,43 @@ export class SearchDisplayController {
         this._queryInputEventsSetup = true;
     }
 
+    /**
+     * Shows headwords which are spelled similarly to a query which has no results.
+     * @param {?string} query The query to find suggestions for, or `null` to hide the suggestions.
+     */
+    async _updateTermSuggestions(query) {
+        /** @type {import('core').TokenObject} */
+        const token = {};
+        this._termSuggestionsToken = token;
+        this._noResultsSuggestions.hidden = true;
+        this._noResultsSuggestionList.textContent = '';
+        if (query === null) { return; }
+
+        /** @type {string[]} */
+        let suggestions;
+        try {
+            suggestions = await this._display.application.api.getTermSuggestions(query, this._display.getOptionsContext());
+        } catch (e) {
+            log.error(e);
+            return;
+        }
+        if (this._termSuggestionsToken !== token || suggestions.length === 0) { return; }
+
+        const fragment = document.createDocumentFragment();
+        for (let i = 0, ii = suggestions.length; i < ii; ++i) {
+            if (i > 0) { fragment.appendChild(document.createTextNode(', ')); }
+            const link = document.createElement('a');
+            link.className = 'no-results-suggestion';
+            link.tabIndex = 0;
+            link.lang = this._queryInput.lang;
+            link.textContent = suggestions[i];
+            link.addEventListener('click', this._onTermSuggestionClick.bind(this), false);
+            fragment.appendChild(link);
+        }
+        this._noResultsSuggestionList.appendChild(fragment);
+        this._noResultsSuggestions.hidden = false;
+    }
+
     /**
      * @param {boolean} visible
      * @param {boolean} animate
@@ -588,6 +653,7 @@ export class SearchDisplayController {
             },
         };
         if (!lookup) { details.params.lookup = 'false'; }
+        if (this._searchDefinitionsEnableCheckbox.checked) { details.params.reverse = 'true'; }
         this._display.setContent(details);
     }
 
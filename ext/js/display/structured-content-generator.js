@@ -280,12 +280,41 @@ export class StructuredContentGenerator {
                 return this._createStructuredContentElement(tag, content, dictionary, language, 'simple', true, true);
             case 'img':
                 return this.createDefinitionImage(content, dictionary);
+            case 'audio':
+                return this._createAudioElement(content, dictionary);
             case 'a':
                 return this._createLinkElement(content, dictionary, language);
         }
         return null;
     }
 
+    /**
+     * @param {import('structured-content').AudioElement} content
+     * @param {string} dictionary
+     * @returns {HTMLAudioElement}
+     */
+    _createAudioElement(content, dictionary) {
+        const {path, title, data} = content;
+        const node = /** @type {HTMLAudioElement} */ (this._createElement('audio', 'gloss-sc-audio'));
+        node.controls = true;
+        node.preload = 'none';
+        if (typeof data === 'object' && data !== null) { this._setElementDataset(node, data); }
+        if (typeof title === 'string') { node.title = title; }
+        node.dataset.path = path;
+        node.dataset.dictionary = dictionary;
+
+        if (this._contentManager !== null) {
+            this._contentManager.loadMedia(
+                path,
+                dictionary,
+                (url) => { node.src = url; },
+                () => { node.removeAttribute('src'); },
+            );
+        }
+
+        return node;
+    }
+
     /**
      * @param {string} tag
      * @param {import('structured-content').UnstyledElement} content
@@ -32,3 +32,26 @@ export const eszettPreprocessor = {
         }
     },
 };
+
+/** @type {Map<string, string>} */
+const umlautDigraphs = new Map([['ä', 'ae'], ['ö', 'oe'], ['ü', 'ue'], ['Ä', 'Ae'], ['Ö', 'Oe'], ['Ü', 'Ue']]);
+
+/** @type {Map<string, string>} */
+const digraphUmlauts = new Map([...umlautDigraphs].map(([umlaut, digraph]) => [digraph, umlaut]));
+
+/** @type {import('language').BidirectionalConversionPreprocessor} */
+export const umlautPreprocessor = {
+    name: 'Convert umlauts to "e" digraphs',
+    description: 'ä → ae, ö → oe, ü → ue and vice versa',
+    options: ['off', 'direct', 'inverse'],
+    process: (str, setting) => {
+        switch (setting) {
+            case 'off':
+                return str;
+            case 'direct':
+                return str.replace(/[äöüÄÖÜ]/g, (umlaut) => /** @type {string} */ (umlautDigraphs.get(umlaut)));
+            case 'inverse':
+                return str.replace(/[aouAOU]e/g, (digraph) => /** @type {string} */ (digraphUmlauts.get(digraph)));
+        }
+    },
+};
@@ -15,13 +15,234 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
-import {prefixInflection, suffixInflection} from '../language-transforms.js';
+import {prefixInflection, suffixInflection, wholeWordInflection} from '../language-transforms.js';
 
 /** @typedef {keyof typeof conditions} Condition */
 
 // https://www.dartmouth.edu/~deutsch/Grammatik/Wortbildung/Separables.html
-const separablePrefixes = ['ab', 'an', 'auf', 'aus', 'auseinander', 'bei', 'da', 'dabei', 'dar', 'daran', 'dazwischen', 'durch', 'ein', 'empor', 'entgegen', 'entlang', 'entzwei', 'fehl', 'fern', 'fest', 'fort', 'frei', 'gegenüber', 'gleich', 'heim', 'her', 'herab', 'heran', 'herauf', 'heraus', 'herbei', 'herein', 'herüber', 'herum', 'herunter', 'hervor', 'hin', 'hinab', 'hinauf', 'hinaus', 'hinein', 'hinterher', 'hinunter', 'hinweg', 'hinzu', 'hoch', 'los', 'mit', 'nach', 'nebenher', 'nieder', 'statt', 'um', 'vor', 'voran', 'voraus', 'vorbei', 'vorüber', 'vorweg', 'weg', 'weiter', 'wieder', 'zu', 'zurecht', 'zurück', 'zusammen'];
+export const separablePrefixes = ['ab', 'an', 'auf', 'aus', 'auseinander', 'bei', 'da', 'dabei', 'dar', 'daran', 'dazwischen', 'durch', 'ein', 'empor', 'entgegen', 'entlang', 'entzwei', 'fehl', 'fern', 'fest', 'fort', 'frei', 'gegenüber', 'gleich', 'heim', 'her', 'herab', 'heran', 'herauf', 'heraus', 'herbei', 'herein', 'herüber', 'herum', 'herunter', 'hervor', 'hin', 'hinab', 'hinauf', 'hinaus', 'hinein', 'hinterher', 'hinunter', 'hinweg', 'hinzu', 'hoch', 'los', 'mit', 'nach', 'nebenher', 'nieder', 'statt', 'um', 'vor', 'voran', 'voraus', 'vorbei', 'vorüber', 'vorweg', 'weg', 'weiter', 'wieder', 'zu', 'zurecht', 'zurück', 'zusammen'];
+
+const inseparablePrefixes = ['be', 'emp', 'ent', 'er', 'ge', 'miss', 'ver', 'zer'];
 const germanLetters = 'a-zA-ZäöüßÄÖÜẞ';
+const germanConsonants = 'bcdfghjklmnpqrstvwxzßBCDFGHJKLMNPQRSTVWXZẞ';
+
+// Stem vowel alternations of strong verbs, as [preterite, subjunctive II, past participle, infinitive].
+// https://en.wikipedia.org/wiki/Germanic_strong_verb#German
+const ablautSeries = [
+    ['ie', 'ie', 'ie', 'ei'], // schreiben, schrieb, schriebe, geschrieben
+    ['i', 'i', 'i', 'ei'], // streichen, strich, striche, gestrichen
+    ['o', 'ö', 'o', 'ie'], // fliegen, flog, flöge, geflogen
+    ['o', 'ö', 'o', 'ü'], // lügen, log, löge, gelogen
+    ['o', 'ö', 'o', 'e'], // heben, hob, höbe, gehoben
+    ['o', 'ö', 'o', 'ä'], // gären, gor, göre, gegoren
+    ['a', 'ä', 'u', 'i'], // trinken, trank, tränke, getrunken
+    ['a', 'ä', 'o', 'e'], // sprechen, sprach, spräche, gesprochen
+    ['a', 'ä', 'e', 'e'], // geben, gab, gäbe, gegeben
+    ['u', 'ü', 'a', 'a'], // fahren, fuhr, führe, gefahren
+    ['ie', 'ie', 'a', 'a'], // schlafen, schlief, schliefe, geschlafen
+    ['ie', 'ie', 'au', 'au'], // laufen, lief, liefe, gelaufen
+    ['ie', 'ie', 'u', 'u'], // rufen, rief, riefe, gerufen
+    ['ie', 'ie', 'o', 'o'], // stoßen, stieß, stieße, gestoßen
+];
+
+// Stem vowel alternations in the 2nd and 3rd person singular present of strong verbs, as [present, infinitive].
+const presentStemVowelChanges = [
+    ['i', 'e'], // sprechen, sprichst, spricht
+    ['ie', 'e'], // sehen, siehst, sieht
+    ['ä', 'a'], // fahren, fährst, fährt
+    ['äu', 'au'], // laufen, läufst, läuft
+    ['ö', 'o'], // stoßen, stößt, stößt
+];
+
+// Umlauted vowels in noun plurals and in comparatives and superlatives of adjectives, as [umlaut, base vowel].
+const umlautVowels = [
+    ['äu', 'au'], // Häuser, Haus
+    ['ä', 'a'], // Gärten, Garten; älter, alt
+    ['ö', 'o'], // Töchter, Tochter; größer, groß
+    ['ü', 'u'], // Bücher, Buch; jünger, jung
+];
+const capitalizedUmlautVowels = [
+    ['Äu', 'Au'],
+    ['Ä', 'A'], // Äpfel, Apfel
+    ['Ö', 'O'], // Öfen, Ofen
+    ['Ü', 'U'],
+];
+
+// Adjectives with irregular comparison, as [positive, comparative, superlative].
+const irregularAdjectives = [
+    ['gut', 'besser', 'best'],
+    ['viel', 'mehr', 'meist'],
+    ['gern', 'lieber', 'liebst'],
+    ['hoch', 'höher', 'höchst'],
+    ['nah', 'näher', 'nächst'],
+    ['groß', 'größer', 'größt'],
+];
+
+// Principal parts of common verbs whose stems change in ways the ablaut series don't cover,
+// as [infinitive, preterite, past participle, subjunctive II].
+const irregularVerbs = [
+    ['sein', 'war', 'gewesen', 'wäre'],
+    ['haben', 'hatte', 'gehabt', 'hätte'],
+    ['werden', 'wurde', 'geworden', 'würde'],
+    ['wissen', 'wusste', 'gewusst', 'wüsste'],
+    ['tun', 'tat', 'getan', 'täte'],
+    ['gehen', 'ging', 'gegangen', 'ginge'],
+    ['stehen', 'stand', 'gestanden', 'stünde'],
+    ['kommen', 'kam', 'gekommen', 'käme'],
+    ['nehmen', 'nahm', 'genommen', 'nähme'],
+    ['ziehen', 'zog', 'gezogen', 'zöge'],
+    ['sitzen', 'saß', 'gesessen', 'säße'],
+    ['liegen', 'lag', 'gelegen', 'läge'],
+    ['bitten', 'bat', 'gebeten', 'bäte'],
+    ['treten', 'trat', 'getreten', 'träte'],
+    ['essen', 'aß', 'gegessen', 'äße'],
+    ['fallen', 'fiel', 'gefallen', 'fiele'],
+    ['fangen', 'fing', 'gefangen', 'finge'],
+    ['hängen', 'hing', 'gehangen', 'hinge'],
+    ['lassen', 'ließ', 'gelassen', 'ließe'],
+    ['greifen', 'griff', 'gegriffen', 'griffe'],
+    ['leiden', 'litt', 'gelitten', 'litte'],
+    ['reiten', 'ritt', 'geritten', 'ritte'],
+    ['schneiden', 'schnitt', 'geschnitten', 'schnitte'],
+    ['streiten', 'stritt', 'gestritten', 'stritte'],
+    ['pfeifen', 'pfiff', 'gepfiffen', 'pfiffe'],
+    ['reißen', 'riss', 'gerissen', 'risse'],
+    ['beißen', 'biss', 'gebissen', 'bisse'],
+    ['schießen', 'schoss', 'geschossen', 'schösse'],
+    ['schließen', 'schloss', 'geschlossen', 'schlösse'],
+    ['fließen', 'floss', 'geflossen', 'flösse'],
+    ['genießen', 'genoss', 'genossen', 'genösse'],
+    ['gießen', 'goss', 'gegossen', 'gösse'],
+    ['bringen', 'brachte', 'gebracht', 'brächte'],
+    ['denken', 'dachte', 'gedacht', 'dächte'],
+    ['kennen', 'kannte', 'gekannt', 'kennte'],
+    ['nennen', 'nannte', 'genannt', 'nennte'],
+    ['rennen', 'rannte', 'gerannt', 'rennte'],
+    ['brennen', 'brannte', 'gebrannt', 'brennte'],
+    ['senden', 'sandte', 'gesandt', 'sendete'],
+    ['wenden', 'wandte', 'gewandt', 'wendete'],
+    ['können', 'konnte', 'gekonnt', 'könnte'],
+    ['müssen', 'musste', 'gemusst', 'müsste'],
+    ['dürfen', 'durfte', 'gedurft', 'dürfte'],
+    ['mögen', 'mochte', 'gemocht', 'möchte'],
+];
+
+/**
+ * Gets the conditions of the forms of an irregular verb, which are the same for all of its forms.
+ * Verbs whose past participle ends in -en are strong, while the others are treated as general verbs.
+ * @param {string} infinitive
+ * @returns {Condition[]}
+ */
+function getIrregularVerbConditions(infinitive) {
+    const verb = irregularVerbs.find(([infinitive2]) => infinitive2 === infinitive);
+    return (typeof verb !== 'undefined' && verb[2].endsWith('en')) ? ['vs'] : ['v'];
+}
+
+// Present tense forms that cannot be derived from the infinitive stem, as [infinitive, ...forms].
+const irregularPresentForms = [
+    ['sein', 'bin', 'bist', 'ist', 'sind', 'seid'],
+    ['haben', 'hast', 'hat'],
+    ['werden', 'wirst', 'wird'],
+    ['wissen', 'weiß', 'weißt', 'wisst'],
+    ['tun', 'tue', 'tust', 'tut'],
+    ['nehmen', 'nimmst', 'nimmt'],
+    ['treten', 'trittst', 'tritt'],
+    ['können', 'kann', 'kannst', 'könnt'],
+    ['müssen', 'muss', 'musst', 'müsst'],
+    ['dürfen', 'darf', 'darfst', 'dürft'],
+    ['mögen', 'mag', 'magst', 'mögt'],
+    ['wollen', 'will', 'willst'],
+    ['sollen', 'soll', 'sollst'],
+];
+
+/**
+ * Creates a rule for a verb form whose last stem vowel differs from the one in the infinitive,
+ * such as "sprichst" (sprechen) or "geflogen" (fliegen).
+ * The vowel must be followed only by consonants up to the inflected suffix.
+ * @param {string} inflectedVowel
+ * @param {string} deinflectedVowel
+ * @param {string} inflectedSuffix
+ * @param {string} deinflectedSuffix
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @param {string} [keptPrefix] A pattern for a prefix which precedes the stem and is kept, such as a separable prefix.
+ * @param {string} [removedPrefix] A prefix which follows `keptPrefix` and is removed, such as the "ge" of a past participle.
+ * @returns {import('language-transformer').Rule<Condition>}
+ */
+function stemVowelInflection(inflectedVowel, deinflectedVowel, inflectedSuffix, deinflectedSuffix, conditionsIn, conditionsOut, keptPrefix = '', removedPrefix = '') {
+    const regex = new RegExp(`^(${keptPrefix})${removedPrefix}([${germanLetters}]*)${inflectedVowel}([${germanConsonants}]+)${inflectedSuffix}$`);
+    const deinflectedRegex = new RegExp(`^(${keptPrefix})([${germanLetters}]*)${deinflectedVowel}([${germanConsonants}]+)${deinflectedSuffix}$`);
+    // Lookbehind assertions in the suffix pattern don't add any text
+    const inflectedSuffixText = inflectedSuffix.replace(/\(\?<=[^)]*\)/g, '');
+    return {
+        type: 'other',
+        isInflected: regex,
+        deinflect: (term) => {
+            return term.replace(regex, `$1$2${deinflectedVowel}$3${deinflectedSuffix}`);
+        },
+        isDeinflected: deinflectedRegex,
+        inflect: (term) => {
+            return term.replace(deinflectedRegex, `$1${removedPrefix}$2${inflectedVowel}$3${inflectedSuffixText}`);
+        },
+        conditionsIn,
+        conditionsOut,
+    };
+}
+
+/**
+ * Longer prefixes are tried first, so that a replacement keeps "dar" rather than "da" in "darstellen".
+ * @param {string[]} prefixes
+ * @returns {string}
+ */
+function getPrefixDisjunction(prefixes) {
+    return [...prefixes].sort((a, b) => b.length - a.length).join('|');
+}
+
+/**
+ * Returns a pattern for the stem of a weak verb whose infinitive ends in `suffix`,
+ * such that the participle ending -t can be added directly: mach-en, wander-n, arbeite-n.
+ * @param {string} suffix
+ * @returns {string}
+ */
+function getWeakVerbStemPattern(suffix) {
+    return suffix === 'en' ? `[${germanLetters}]+(?<![dt])` : `[${germanLetters}]+(?:[dt]e|el|er)`;
+}
+
+/**
+ * @param {string[]} inflectedSuffixes
+ * @param {string} deinflectedSuffix
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @returns {import('language-transformer').SuffixRule<Condition>[]}
+ */
+function suffixInflections(inflectedSuffixes, deinflectedSuffix, conditionsIn, conditionsOut) {
+    return inflectedSuffixes.map((suffix) => suffixInflection(suffix, deinflectedSuffix, conditionsIn, conditionsOut));
+}
+
+/**
+ * Returns the person/number endings added to a preterite or subjunctive II stem.
+ * @param {string} stem
+ * @returns {string[]}
+ */
+function getPastStemEndings(stem) {
+    if (stem.endsWith('e')) { return ['', 'st', 'n', 't']; }
+    if (/[sßz]$/.test(stem)) { return ['', 'est', 'en', 't', 'et']; }
+    return ['', 'st', 'en', 't'];
+}
+
+/**
+ * @template T
+ * @param {T[][]} items
+ * @returns {T[][]}
+ */
+function uniquePairs(items) {
+    /** @type {Map<string, T[]>} */
+    const map = new Map();
+    for (const item of items) {
+        map.set(JSON.stringify(item), item);
+    }
+    return [...map.values()];
+}
 
 /**
  * @param {string} prefix
@@ -31,6 +252,7 @@ const germanLetters = 'a-zA-ZäöüßÄÖÜẞ';
  */
 function separatedPrefix(prefix, conditionsIn, conditionsOut) {
     const regex = new RegExp(`^([${germanLetters}]+) .+ ${prefix}$`);
+    // This can't be inflected, since the object between the verb and its prefix is unknown
     return {
         type: 'other',
         isInflected: regex,
@@ -56,35 +278,320 @@ const zuInfinitiveInflections = separablePrefixes.map((prefix) => {
 function getBasicPastParticiples() {
     const regularPastParticiple = new RegExp(`^ge([${germanLetters}]+)t$`);
     const suffixes = ['n', 'en'];
-    return suffixes.map((suffix) => ({
-        type: 'other',
-        isInflected: regularPastParticiple,
-        deinflect: (term) => {
-            return term.replace(regularPastParticiple, `$1${suffix}`);
-        },
-        conditionsIn: [],
-        conditionsOut: ['vw'],
-    }));
+    return suffixes.map((suffix) => {
+        const infinitive = new RegExp(`^(${getWeakVerbStemPattern(suffix)})${suffix}$`);
+        return {
+            type: 'other',
+            isInflected: regularPastParticiple,
+            deinflect: (term) => {
+                return term.replace(regularPastParticiple, `$1${suffix}`);
+            },
+            isDeinflected: infinitive,
+            inflect: (term) => {
+                return term.replace(infinitive, 'ge$1t');
+            },
+            conditionsIn: ['adj'],
+            conditionsOut: ['vw'],
+        };
+    });
 }
 
 /**
  * @returns {import('language-transformer').Rule<Condition>[]}
  */
 function getSeparablePastParticiples() {
-    const prefixDisjunction = separablePrefixes.join('|');
+    const prefixDisjunction = getPrefixDisjunction(separablePrefixes);
     const separablePastParticiple = new RegExp(`^(${prefixDisjunction})ge([${germanLetters}]+)t$`);
     const suffixes = ['n', 'en'];
-    return suffixes.map((suffix) => ({
+    return suffixes.map((suffix) => {
+        const infinitive = new RegExp(`^(${prefixDisjunction})(${getWeakVerbStemPattern(suffix)})${suffix}$`);
+        return {
+            type: 'other',
+            isInflected: separablePastParticiple,
+            deinflect: (term) => {
+                return term.replace(separablePastParticiple, `$1$2${suffix}`);
+            },
+            isDeinflected: infinitive,
+            inflect: (term) => {
+                return term.replace(infinitive, '$1ge$2t');
+            },
+            conditionsIn: ['adj'],
+            conditionsOut: ['vw'],
+        };
+    });
+}
+
+/**
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function getInseparablePastParticiples() {
+    const prefixDisjunction = getPrefixDisjunction(inseparablePrefixes);
+    const inseparablePastParticiple = new RegExp(`^(${prefixDisjunction})([${germanLetters}]+)t$`);
+    const suffixes = ['n', 'en'];
+    return suffixes.map((suffix) => {
+        const infinitive = new RegExp(`^(${prefixDisjunction})(${getWeakVerbStemPattern(suffix)})${suffix}$`);
+        return {
+            type: 'other',
+            isInflected: inseparablePastParticiple,
+            deinflect: (term) => {
+                return term.replace(inseparablePastParticiple, `$1$2${suffix}`);
+            },
+            isDeinflected: infinitive,
+            inflect: (term) => {
+                return term.replace(infinitive, '$1$2t');
+            },
+            conditionsIn: ['adj'],
+            conditionsOut: ['vw'],
+        };
+    });
+}
+
+/**
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function getStrongPastParticiples() {
+    const separablePrefixDisjunction = getPrefixDisjunction(separablePrefixes);
+    const inseparablePrefixDisjunction = getPrefixDisjunction(inseparablePrefixes);
+    const strongPastParticiple = new RegExp(`^(${separablePrefixDisjunction})?ge([${germanLetters}]+)en$`);
+    const strongInfinitive = new RegExp(`^(${separablePrefixDisjunction})?([${germanLetters}]+)en$`);
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [{
+        type: 'other',
+        isInflected: strongPastParticiple,
+        deinflect: (term) => {
+            return term.replace(strongPastParticiple, '$1$2en');
+        },
+        isDeinflected: strongInfinitive,
+        inflect: (term) => {
+            return term.replace(strongInfinitive, '$1ge$2en');
+        },
+        conditionsIn: ['adj'],
+        conditionsOut: ['vs'],
+    }];
+    const vowelPairs = uniquePairs(ablautSeries.map((vowels) => [vowels[2], vowels[3]]));
+    for (const [participleVowel, infinitiveVowel] of vowelPairs) {
+        if (participleVowel === infinitiveVowel) { continue; }
+        rules.push(
+            stemVowelInflection(participleVowel, infinitiveVowel, 'en', 'en', ['adj'], ['vs'], '', 'ge'),
+            stemVowelInflection(participleVowel, infinitiveVowel, 'en', 'en', ['adj'], ['vs'], separablePrefixDisjunction, 'ge'),
+            stemVowelInflection(participleVowel, infinitiveVowel, 'en', 'en', ['adj'], ['vs'], inseparablePrefixDisjunction),
+        );
+    }
+    return rules;
+}
+
+/**
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function getIrregularPastParticiples() {
+    const prefixDisjunction = getPrefixDisjunction(inseparablePrefixes);
+    return irregularVerbs.flatMap(([infinitive, , participle]) => {
+        const conditionsOut = getIrregularVerbConditions(infinitive);
+        const inseparablePastParticiple = new RegExp(`^(${prefixDisjunction})${participle.replace(/^ge/, '')}$`);
+        const inseparableInfinitive = new RegExp(`^(${prefixDisjunction})${infinitive}$`);
+        return [
+            suffixInflection(participle, infinitive, ['adj'], conditionsOut),
+            {
+                type: 'other',
+                isInflected: inseparablePastParticiple,
+                deinflect: (term) => {
+                    return term.replace(inseparablePastParticiple, `$1${infinitive}`);
+                },
+                isDeinflected: inseparableInfinitive,
+                inflect: (term) => {
+                    return term.replace(inseparableInfinitive, `$1${participle.replace(/^ge/, '')}`);
+                },
+                conditionsIn: ['adj'],
+                conditionsOut,
+            },
+        ];
+    });
+}
+
+/**
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function getPresentInflections() {
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [
+        ...suffixInflections(['e', 'st', 'est', 't', 'et'], 'en', [], ['v']),
+        ...suffixInflections(['le', 'elst', 'elt'], 'eln', [], ['v']),
+        ...suffixInflections(['ere', 're', 'erst', 'ert'], 'ern', [], ['v']),
+    ];
+    for (const [presentVowel, infinitiveVowel] of presentStemVowelChanges) {
+        rules.push(
+            stemVowelInflection(presentVowel, infinitiveVowel, 'st', 'en', [], ['vs']),
+            stemVowelInflection(presentVowel, infinitiveVowel, 't', 'en', [], ['vs']),
+            // hält, gilt, rät: the 3rd person ending merges with a stem ending in -t
+            stemVowelInflection(presentVowel, infinitiveVowel, '(?<=t)', 'en', [], ['vs']),
+        );
+    }
+    for (const [infinitive, ...forms] of irregularPresentForms) {
+        const conditionsOut = getIrregularVerbConditions(infinitive);
+        for (const form of forms) {
+            rules.push(wholeWordInflection(form, infinitive, [], conditionsOut));
+        }
+    }
+    return rules;
+}
+
+/**
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function getPreteriteInflections() {
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [
+        ...suffixInflections(['te', 'test', 'ten', 'tet'], 'en', [], ['vw']),
+        ...suffixInflections(['ete', 'etest', 'eten', 'etet'], 'en', [], ['vw']),
+        ...suffixInflections(['elte', 'eltest', 'elten', 'eltet'], 'eln', [], ['vw']),
+        ...suffixInflections(['erte', 'ertest', 'erten', 'ertet'], 'ern', [], ['vw']),
+    ];
+    const vowelPairs = uniquePairs(ablautSeries.map((vowels) => [vowels[0], vowels[3]]));
+    for (const [preteriteVowel, infinitiveVowel] of vowelPairs) {
+        for (const ending of ['', 'st', 'est', 'en', 't', 'et']) {
+            rules.push(stemVowelInflection(preteriteVowel, infinitiveVowel, ending, 'en', [], ['vs']));
+        }
+    }
+    for (const [infinitive, preterite] of irregularVerbs) {
+        const conditionsOut = getIrregularVerbConditions(infinitive);
+        for (const ending of getPastStemEndings(preterite)) {
+            rules.push(suffixInflection(preterite + ending, infinitive, [], conditionsOut));
+        }
+    }
+    return rules;
+}
+
+/**
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function getSubjunctiveIInflections() {
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [];
+    const vowelPairs = uniquePairs(ablautSeries.map((vowels) => [vowels[1], vowels[3]]));
+    for (const [subjunctiveVowel, infinitiveVowel] of vowelPairs) {
+        for (const ending of ['e', 'est', 'en', 'et']) {
+            rules.push(stemVowelInflection(subjunctiveVowel, infinitiveVowel, ending, 'en', [], ['vs']));
+        }
+    }
+    // eslint-disable-next-line unicorn/no-unreadable-array-destructuring
+    for (const [infinitive, , , subjunctive] of irregularVerbs) {
+        const conditionsOut = getIrregularVerbConditions(infinitive);
+        for (const ending of getPastStemEndings(subjunctive)) {
+            rules.push(suffixInflection(subjunctive + ending, infinitive, [], conditionsOut));
+        }
+    }
+    return rules;
+}
+
+/**
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function getNounPluralInflections() {
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [
+        ...suffixInflections(['e', 'er', 'en', 'n', 's', 'nen'], '', ['np'], ['ns']),
+        suffixInflection('sse', 's', ['np'], ['ns']), // Ergebnisse
+        suffixInflection('en', 'um', ['np'], ['ns']), // Museen, Zentren
+        suffixInflection('en', 'a', ['np'], ['ns']), // Themen, Firmen
+    ];
+    for (const [umlautVowel, vowel] of [...umlautVowels, ...capitalizedUmlautVowels]) {
+        rules.push(
+            stemVowelInflection(umlautVowel, vowel, 'e', '', ['np'], ['ns']), // Bäume
+            stemVowelInflection(umlautVowel, vowel, 'er', '', ['np'], ['ns']), // Häuser
+        );
+        // Äpfel, Gärten, Väter: the plural only differs by its umlaut
+        for (const ending of ['el', 'en', 'er']) {
+            rules.push(stemVowelInflection(umlautVowel, vowel, ending, ending, ['np'], ['ns']));
+        }
+    }
+    return rules;
+}
+
+/**
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function getComparativeInflections() {
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [
+        suffixInflection('er', '', ['adj'], ['adj']),
+        suffixInflection('rer', 'er', ['adj'], ['adj']), // teurer
+        suffixInflection('ler', 'el', ['adj'], ['adj']), // dunkler
+    ];
+    for (const [umlautVowel, vowel] of umlautVowels) {
+        rules.push(stemVowelInflection(umlautVowel, vowel, 'er', '', ['adj'], ['adj']));
+    }
+    for (const [positive, comparative] of irregularAdjectives) {
+        rules.push(wholeWordInflection(comparative, positive, ['adj'], ['adj']));
+    }
+    return rules;
+}
+
+/**
+ * @param {string} inflectedSuffix
+ * @returns {import('language-transformer').Rule<Condition>}
+ */
+function predicativeSuperlativeInflection(inflectedSuffix) {
+    const regex = new RegExp(`^am ([${germanLetters}]+)${inflectedSuffix}$`);
+    return {
         type: 'other',
-        isInflected: separablePastParticiple,
+        isInflected: regex,
         deinflect: (term) => {
-            return term.replace(separablePastParticiple, `$1$2${suffix}`);
+            return term.replace(regex, '$1');
         },
+        isDeinflected: new RegExp(`^[${germanLetters}]+$`),
+        inflect: (term) => `am ${term}${inflectedSuffix}`,
         conditionsIn: [],
-        conditionsOut: ['vw'],
-    }));
+        conditionsOut: ['adj'],
+    };
+}
+
+/**
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function getSuperlativeInflections() {
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [
+        ...suffixInflections(['st', 'est'], '', ['adj'], ['adj']),
+    ];
+    for (const [umlautVowel, vowel] of umlautVowels) {
+        rules.push(
+            stemVowelInflection(umlautVowel, vowel, 'st', '', ['adj'], ['adj']),
+            stemVowelInflection(umlautVowel, vowel, 'est', '', ['adj'], ['adj']),
+        );
+    }
+    for (const [positive, , superlative] of irregularAdjectives) {
+        rules.push(wholeWordInflection(superlative, positive, ['adj'], ['adj']));
+    }
+
+    // am schnellsten: the predicative superlative
+    rules.push(
+        predicativeSuperlativeInflection('sten'),
+        predicativeSuperlativeInflection('esten'),
+    );
+    for (const [umlautVowel, vowel] of umlautVowels) {
+        rules.push(
+            stemVowelInflection(umlautVowel, vowel, 'sten', '', [], ['adj'], '', 'am '),
+            stemVowelInflection(umlautVowel, vowel, 'esten', '', [], ['adj'], '', 'am '),
+        );
+    }
+    for (const [positive, , superlative] of irregularAdjectives) {
+        rules.push(wholeWordInflection(`am ${superlative}en`, positive, [], ['adj']));
+    }
+    return rules;
 }
 
+// geh, komm, mach: the singular imperative is often just the bare stem
+/** @type {import('language-transformer').Rule<Condition>} */
+const bareStemImperativeRule = {
+    type: 'other',
+    isInflected: new RegExp(`^[${germanLetters}]*[${germanConsonants}](?<!en)$`),
+    deinflect: (term) => term + 'en',
+    isDeinflected: /en$/,
+    inflect: (term) => term.slice(0, -2),
+    conditionsIn: [],
+    conditionsOut: ['v'],
+};
+
 const conditions = {
     v: {
         name: 'Verb',
@@ -102,6 +609,15 @@ const conditions = {
     n: {
         name: 'Noun',
         isDictionaryForm: true,
+        subConditions: ['ns', 'np'],
+    },
+    ns: {
+        name: 'Noun singular',
+        isDictionaryForm: true,
+    },
+    np: {
+        name: 'Noun plural',
+        isDictionaryForm: true,
     },
     adj: {
         name: 'Adjective',
@@ -117,9 +633,9 @@ export const germanTransforms = {
             name: 'nominalization',
             description: 'Noun formed from a verb',
             rules: [
-                suffixInflection('ung', 'en', [], ['v']),
-                suffixInflection('lung', 'eln', [], ['v']),
-                suffixInflection('rung', 'rn', [], ['v']),
+                suffixInflection('ung', 'en', ['n'], ['v']),
+                suffixInflection('lung', 'eln', ['n'], ['v']),
+                suffixInflection('rung', 'rn', ['n'], ['v']),
             ],
         },
         '-bar': {
@@ -134,7 +650,21 @@ export const germanTransforms = {
             name: 'negative',
             description: 'Negation',
             rules: [
-                prefixInflection('un', '', [], ['adj']),
+                prefixInflection('un', '', ['adj'], ['adj']),
+            ],
+        },
+        'present': {
+            name: 'present',
+            description: 'Present tense form of a verb',
+            rules: [
+                ...getPresentInflections(),
+            ],
+        },
+        'preterite': {
+            name: 'preterite',
+            description: 'Preterite (simple past) form of a verb',
+            rules: [
+                ...getPreteriteInflections(),
             ],
         },
         'past participle': {
@@ -142,10 +672,55 @@ export const germanTransforms = {
             rules: [
                 ...getBasicPastParticiples(),
                 ...getSeparablePastParticiples(),
+                ...getInseparablePastParticiples(),
+                ...getStrongPastParticiples(),
+                ...getIrregularPastParticiples(),
+            ],
+        },
+        'present participle': {
+            name: 'present participle',
+            description: 'Present participle of a verb',
+            rules: [
+                suffixInflection('nd', 'n', ['adj'], ['v']),
+            ],
+        },
+        'subjunctive I': {
+            name: 'subjunctive I',
+            description: 'Subjunctive I (Konjunktiv I) form of a verb, mostly used in reported speech',
+            rules: [
+                ...suffixInflections(['e', 'est', 'et'], 'en', [], ['v']),
+                ...suffixInflections(['le', 'lest', 'let'], 'eln', [], ['v']),
+                ...suffixInflections(['ere', 'erest', 'eret'], 'ern', [], ['v']),
+                ...['sei', 'seist', 'seiest', 'seien', 'seiet'].map((form) => wholeWordInflection(form, 'sein', [], ['v'])),
+            ],
+        },
+        'subjunctive II': {
+            name: 'subjunctive II',
+            description:
+                'Subjunctive II (Konjunktiv II) form of a strong or irregular verb.\n' +
+                'Weak verbs use their preterite forms instead.',
+            rules: [
+                ...getSubjunctiveIInflections(),
+            ],
+        },
+        'imperative': {
+            name: 'imperative',
+            description: 'Imperative form of a verb',
+            rules: [
+                bareStemImperativeRule,
+                suffixInflection('e', 'en', [], ['v']),
+                ...suffixInflections(['le', 'el'], 'eln', [], ['v']),
+                ...suffixInflections(['re', 'er'], 'ern', [], ['v']),
+                stemVowelInflection('i', 'e', '', 'en', [], ['vs']),
+                stemVowelInflection('ie', 'e', '', 'en', [], ['vs']),
+                suffixInflection('nimm', 'nehmen', [], getIrregularVerbConditions('nehmen')),
+                wholeWordInflection('sei', 'sein', [], getIrregularVerbConditions('sein')),
+                wholeWordInflection('seid', 'sein', [], getIrregularVerbConditions('sein')),
             ],
         },
         'separated prefix': {
             name: 'separated prefix',
+            description: 'Separable verb whose prefix is detached and placed at the end of the clause',
             rules: [
                 ...separatedPrefixInflections,
             ],
@@ -156,6 +731,60 @@ export const germanTransforms = {
                 ...zuInfinitiveInflections,
             ],
         },
+        'plural': {
+            name: 'plural',
+            description: 'Plural form of a noun',
+            rules: [
+                ...getNounPluralInflections(),
+            ],
+        },
+        'dative plural': {
+            name: 'dative plural',
+            description: 'Dative plural form of a noun, which adds -n to plurals not ending in -n or -s',
+            rules: [
+                suffixInflection('n', '', [], ['np']),
+            ],
+        },
+        'genitive': {
+            name: 'genitive',
+            description: 'Genitive singular form of a masculine or neuter noun',
+            rules: [
+                suffixInflection('s', '', [], ['ns']),
+                suffixInflection('es', '', [], ['ns']),
+            ],
+        },
+        'n-declension': {
+            name: 'n-declension',
+            description: 'Accusative, dative or genitive singular form of a weak masculine noun (n-Deklination)',
+            rules: [
+                suffixInflection('n', '', [], ['ns']),
+                suffixInflection('en', '', [], ['ns']),
+            ],
+        },
+        'declension': {
+            name: 'declension',
+            description: 'Declined form of an adjective, with a strong, weak or mixed ending',
+            rules: [
+                ...suffixInflections(['e', 'en', 'er', 'es', 'em'], '', [], ['adj']),
+                ...suffixInflections(['re', 'ren', 'rer', 'res', 'rem'], 'er', [], ['adj']), // teure
+                ...suffixInflections(['le', 'len', 'ler', 'les', 'lem'], 'el', [], ['adj']), // dunkle
+                ...suffixInflections(['hohe', 'hohen', 'hoher', 'hohes', 'hohem'], 'hoch', [], ['adj']),
+            ],
+        },
+        'comparative': {
+            name: 'comparative',
+            description: 'Comparative form of an adjective',
+            rules: [
+                ...getComparativeInflections(),
+            ],
+        },
+        'superlative': {
+            name: 'superlative',
+            description: 'Superlative form of an adjective',
+            rules: [
+                ...getSuperlativeInflections(),
+            ],
+        },
         '-heit': {
             name: '-heit',
             description:
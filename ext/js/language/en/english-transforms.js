@@ -91,6 +91,10 @@ function createPhrasalVerbInflection(inflected, deinflected) {
         deinflect: (term) => {
             return term.replace(new RegExp(`(?<=)${inflected}(?= (?:${phrasalVerbWordDisjunction}))`), deinflected);
         },
+        isDeinflected: new RegExp(`^\\w*${deinflected} (?:${phrasalVerbWordDisjunction})`),
+        inflect: (term) => {
+            return term.replace(new RegExp(`(?<=)${deinflected}(?= (?:${phrasalVerbWordDisjunction}))`), inflected);
+        },
         conditionsIn: ['v'],
         conditionsOut: ['v_phr'],
     };
@@ -0,0 +1,417 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {prefixInflection, suffixInflection, wholeWordInflection} from '../language-transforms.js';
+
+/** @typedef {keyof typeof conditions} Condition */
+
+const frenchVowels = 'aâàäeéèêëiîïoôöuûùüyÿæœhAÂÀÄEÉÈÊËIÎÏOÔÖUÛÙÜYŸÆŒH';
+
+// Stem changes of -er verbs before a silent ending, as [changed stem, infinitive stem].
+const stemChanges = [
+    ['èv', 'ev'], // 'lève' -> lever
+    ['èn', 'en'], // 'mène' -> mener
+    ['èt', 'et'], // 'achète' -> acheter
+    ['èl', 'el'], // 'gèle' -> geler
+    ['èr', 'ér'], // 'préfère' -> préférer
+    ['èd', 'éd'], // 'cède' -> céder
+    ['ett', 'et'], // 'jette' -> jeter
+    ['ell', 'el'], // 'appelle' -> appeler
+    ['oi', 'oy'], // 'nettoie' -> nettoyer
+    ['ui', 'uy'], // 'essuie' -> essuyer
+];
+
+/**
+ * @param {string[]} endings
+ * @returns {import('language-transformer').SuffixRule<Condition>[]}
+ */
+function stemChangingInflections(endings) {
+    const inflections = [];
+    for (const ending of endings) {
+        for (const [inflected, deinflected] of stemChanges) {
+            inflections.push(suffixInflection(`${inflected}${ending}`, `${deinflected}er`, ['v_er'], ['v_er']));
+        }
+    }
+    return inflections;
+}
+
+/**
+ * @param {string[]} forms
+ * @param {string} deinflected
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function irregularInflections(forms, deinflected) {
+    return forms.map((form) => wholeWordInflection(form, deinflected, ['v'], ['v']));
+}
+
+/**
+ * An elided word such as "l'" or "qu'" is attached to the next word, which is what should be looked up.
+ * Elision is not part of the paradigm of a word, so the rule is only used for deinflection.
+ * @param {string} word
+ * @param {Condition[]} conditionsOut
+ * @returns {import('language-transformer').Rule<Condition>}
+ */
+function elisionRule(word, conditionsOut) {
+    const regex = new RegExp(`^${word}['’](?=[${frenchVowels}])`);
+    return {
+        type: 'prefix',
+        isInflected: regex,
+        deinflect: (text) => text.replace(regex, ''),
+        conditionsIn: [],
+        conditionsOut,
+    };
+}
+
+const conditions = {
+    n: {
+        name: 'Noun',
+        isDictionaryForm: true,
+        subConditions: ['ns', 'np'],
+    },
+    np: {
+        name: 'Noun plural',
+        isDictionaryForm: false,
+    },
+    ns: {
+        name: 'Noun singular',
+        isDictionaryForm: false,
+    },
+    v: {
+        name: 'Verb',
+        isDictionaryForm: true,
+        subConditions: ['v_er', 'v_ir', 'v_re'],
+    },
+    v_er: {
+        name: '-er verb',
+        isDictionaryForm: false,
+    },
+    v_ir: {
+        name: '-ir verb',
+        isDictionaryForm: false,
+    },
+    v_re: {
+        name: '-re verb',
+        isDictionaryForm: false,
+    },
+    adj: {
+        name: 'Adjective',
+        isDictionaryForm: true,
+    },
+};
+
+/** @type {import('language-transformer').LanguageTransformDescriptor<Condition>} */
+export const frenchTransforms = {
+    language: 'fr',
+    conditions,
+    transforms: {
+        'plural': {
+            name: 'plural',
+            description: 'Plural form of a noun or adjective',
+            rules: [
+                suffixInflection('s', '', ['np'], ['ns']),
+                suffixInflection('x', '', ['np'], ['ns']), // 'bateaux' -> bateau
+                suffixInflection('aux', 'al', ['np'], ['ns']), // 'chevaux' -> cheval
+                suffixInflection('s', '', ['adj'], ['adj']),
+                suffixInflection('x', '', ['adj'], ['adj']), // 'beaux' -> beau
+                suffixInflection('aux', 'al', ['adj'], ['adj']), // 'normaux' -> normal
+            ],
+        },
+        'feminine adjective': {
+            name: 'feminine adjective',
+            description: 'Feminine form of an adjective',
+            rules: [
+                suffixInflection('e', '', ['adj'], ['adj']), // 'grande' -> grand
+                suffixInflection('ve', 'f', ['adj'], ['adj']), // 'active' -> actif
+                suffixInflection('euse', 'eux', ['adj'], ['adj']), // 'heureuse' -> heureux
+                suffixInflection('euse', 'eur', ['adj'], ['adj']), // 'menteuse' -> menteur
+                suffixInflection('trice', 'teur', ['adj'], ['adj']), // 'créatrice' -> créateur
+                suffixInflection('enne', 'en', ['adj'], ['adj']), // 'ancienne' -> ancien
+                suffixInflection('onne', 'on', ['adj'], ['adj']), // 'bonne' -> bon
+                suffixInflection('elle', 'el', ['adj'], ['adj']), // 'cruelle' -> cruel
+                suffixInflection('ette', 'et', ['adj'], ['adj']), // 'muette' -> muet
+                suffixInflection('ère', 'er', ['adj'], ['adj']), // 'chère' -> cher
+                suffixInflection('sse', 's', ['adj'], ['adj']), // 'grosse' -> gros
+                suffixInflection('gue', 'g', ['adj'], ['adj']), // 'longue' -> long
+                suffixInflection('che', 'c', ['adj'], ['adj']), // 'blanche' -> blanc
+            ],
+        },
+        'present indicative': {
+            name: 'present indicative',
+            description: 'Present indicative form of a verb',
+            rules: [
+                // -er verbs
+                suffixInflection('e', 'er', ['v_er'], ['v_er']),
+                suffixInflection('es', 'er', ['v_er'], ['v_er']),
+                suffixInflection('ons', 'er', ['v_er'], ['v_er']),
+                suffixInflection('ez', 'er', ['v_er'], ['v_er']),
+                suffixInflection('ent', 'er', ['v_er'], ['v_er']),
+                suffixInflection('geons', 'ger', ['v_er'], ['v_er']), // 'mangeons' -> manger
+                suffixInflection('çons', 'cer', ['v_er'], ['v_er']), // 'commençons' -> commencer
+                ...stemChangingInflections(['e', 'es', 'ent']),
+                // -ir verbs
+                suffixInflection('is', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('it', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('issons', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('issez', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('issent', 'ir', ['v_ir'], ['v_ir']),
+                // -re verbs
+                suffixInflection('ds', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('d', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('dons', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('dez', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('dent', 'dre', ['v_re'], ['v_re']),
+                // irregular verbs
+                ...irregularInflections(['suis', 'es', 'est', 'sommes', 'êtes', 'sont'], 'être'),
+                ...irregularInflections(['ai', 'as', 'a', 'avons', 'avez', 'ont'], 'avoir'),
+                ...irregularInflections(['vais', 'vas', 'va', 'allons', 'allez', 'vont'], 'aller'),
+                ...irregularInflections(['fais', 'fait', 'faisons', 'faites', 'font'], 'faire'),
+                ...irregularInflections(['peux', 'peut', 'pouvons', 'pouvez', 'peuvent'], 'pouvoir'),
+                ...irregularInflections(['veux', 'veut', 'voulons', 'voulez', 'veulent'], 'vouloir'),
+                ...irregularInflections(['sais', 'sait', 'savons', 'savez', 'savent'], 'savoir'),
+                ...irregularInflections(['dois', 'doit', 'devons', 'devez', 'doivent'], 'devoir'),
+            ],
+        },
+        'imperfect': {
+            name: 'imperfect',
+            description: 'Imperfect form of a verb',
+            rules: [
+                // -er verbs
+                suffixInflection('ais', 'er', ['v_er'], ['v_er']),
+                suffixInflection('ait', 'er', ['v_er'], ['v_er']),
+                suffixInflection('ions', 'er', ['v_er'], ['v_er']),
+                suffixInflection('iez', 'er', ['v_er'], ['v_er']),
+                suffixInflection('aient', 'er', ['v_er'], ['v_er']),
+                suffixInflection('geais', 'ger', ['v_er'], ['v_er']),
+                suffixInflection('geait', 'ger', ['v_er'], ['v_er']),
+                suffixInflection('geaient', 'ger', ['v_er'], ['v_er']),
+                suffixInflection('çais', 'cer', ['v_er'], ['v_er']),
+                suffixInflection('çait', 'cer', ['v_er'], ['v_er']),
+                suffixInflection('çaient', 'cer', ['v_er'], ['v_er']),
+                // -ir verbs
+                suffixInflection('issais', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('issait', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('issions', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('issiez', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('issaient', 'ir', ['v_ir'], ['v_ir']),
+                // -re verbs
+                suffixInflection('dais', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('dait', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('dions', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('diez', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('daient', 'dre', ['v_re'], ['v_re']),
+                // irregular verbs
+                ...irregularInflections(['étais', 'était', 'étions', 'étiez', 'étaient'], 'être'),
+                ...irregularInflections(['faisais', 'faisait', 'faisions', 'faisiez', 'faisaient'], 'faire'),
+            ],
+        },
+        'simple past': {
+            name: 'simple past',
+            description: 'Simple past (passé simple) form of a verb',
+            rules: [
+                // -er verbs
+                suffixInflection('ai', 'er', ['v_er'], ['v_er']),
+                suffixInflection('as', 'er', ['v_er'], ['v_er']),
+                suffixInflection('a', 'er', ['v_er'], ['v_er']),
+                suffixInflection('âmes', 'er', ['v_er'], ['v_er']),
+                suffixInflection('âtes', 'er', ['v_er'], ['v_er']),
+                suffixInflection('èrent', 'er', ['v_er'], ['v_er']),
+                suffixInflection('gea', 'ger', ['v_er'], ['v_er']),
+                suffixInflection('ça', 'cer', ['v_er'], ['v_er']),
+                // -ir verbs
+                suffixInflection('is', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('it', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('îmes', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('îtes', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('irent', 'ir', ['v_ir'], ['v_ir']),
+                // -re verbs
+                suffixInflection('dis', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('dit', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('dîmes', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('dîtes', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('dirent', 'dre', ['v_re'], ['v_re']),
+                // irregular verbs
+                ...irregularInflections(['fus', 'fut', 'fûmes', 'fûtes', 'furent'], 'être'),
+                ...irregularInflections(['eus', 'eut', 'eûmes', 'eûtes', 'eurent'], 'avoir'),
+            ],
+        },
+        'future': {
+            name: 'future',
+            description: 'Future form of a verb',
+            rules: [
+                // -er verbs
+                suffixInflection('erai', 'er', ['v_er'], ['v_er']),
+                suffixInflection('eras', 'er', ['v_er'], ['v_er']),
+                suffixInflection('era', 'er', ['v_er'], ['v_er']),
+                suffixInflection('erons', 'er', ['v_er'], ['v_er']),
+                suffixInflection('erez', 'er', ['v_er'], ['v_er']),
+                suffixInflection('eront', 'er', ['v_er'], ['v_er']),
+                ...stemChangingInflections(['erai', 'eras', 'era', 'erons', 'erez', 'eront']),
+                // -ir verbs
+                suffixInflection('irai', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('iras', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('ira', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('irons', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('irez', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('iront', 'ir', ['v_ir'], ['v_ir']),
+                // -re verbs
+                suffixInflection('rai', 're', ['v_re'], ['v_re']),
+                suffixInflection('ras', 're', ['v_re'], ['v_re']),
+                suffixInflection('ra', 're', ['v_re'], ['v_re']),
+                suffixInflection('rons', 're', ['v_re'], ['v_re']),
+                suffixInflection('rez', 're', ['v_re'], ['v_re']),
+                suffixInflection('ront', 're', ['v_re'], ['v_re']),
+                // irregular verbs
+                ...irregularInflections(['serai', 'seras', 'sera', 'serons', 'serez', 'seront'], 'être'),
+                ...irregularInflections(['aurai', 'auras', 'aura', 'aurons', 'aurez', 'auront'], 'avoir'),
+                ...irregularInflections(['irai', 'iras', 'ira', 'irons', 'irez', 'iront'], 'aller'),
+                ...irregularInflections(['ferai', 'feras', 'fera', 'ferons', 'ferez', 'feront'], 'faire'),
+            ],
+        },
+        'conditional': {
+            name: 'conditional',
+            description: 'Conditional form of a verb',
+            rules: [
+                // -er verbs
+                suffixInflection('erais', 'er', ['v_er'], ['v_er']),
+                suffixInflection('erait', 'er', ['v_er'], ['v_er']),
+                suffixInflection('erions', 'er', ['v_er'], ['v_er']),
+                suffixInflection('eriez', 'er', ['v_er'], ['v_er']),
+                suffixInflection('eraient', 'er', ['v_er'], ['v_er']),
+                ...stemChangingInflections(['erais', 'erait', 'erions', 'eriez', 'eraient']),
+                // -ir verbs
+                suffixInflection('irais', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('irait', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('irions', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('iriez', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('iraient', 'ir', ['v_ir'], ['v_ir']),
+                // -re verbs
+                suffixInflection('rais', 're', ['v_re'], ['v_re']),
+                suffixInflection('rait', 're', ['v_re'], ['v_re']),
+                suffixInflection('rions', 're', ['v_re'], ['v_re']),
+                suffixInflection('riez', 're', ['v_re'], ['v_re']),
+                suffixInflection('raient', 're', ['v_re'], ['v_re']),
+                // irregular verbs
+                ...irregularInflections(['serais', 'serait', 'serions', 'seriez', 'seraient'], 'être'),
+                ...irregularInflections(['aurais', 'aurait', 'aurions', 'auriez', 'auraient'], 'avoir'),
+                ...irregularInflections(['irais', 'irait', 'irions', 'iriez', 'iraient'], 'aller'),
+                ...irregularInflections(['ferais', 'ferait', 'ferions', 'feriez', 'feraient'], 'faire'),
+            ],
+        },
+        'present subjunctive': {
+            name: 'present subjunctive',
+            description: 'Present subjunctive form of a verb',
+            rules: [
+                // -er verbs
+                suffixInflection('e', 'er', ['v_er'], ['v_er']),
+                suffixInflection('es', 'er', ['v_er'], ['v_er']),
+                suffixInflection('ions', 'er', ['v_er'], ['v_er']),
+                suffixInflection('iez', 'er', ['v_er'], ['v_er']),
+                suffixInflection('ent', 'er', ['v_er'], ['v_er']),
+                ...stemChangingInflections(['e', 'es', 'ent']),
+                // -ir verbs
+                suffixInflection('isse', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('isses', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('issions', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('issiez', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('issent', 'ir', ['v_ir'], ['v_ir']),
+                // -re verbs
+                suffixInflection('de', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('des', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('dions', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('diez', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('dent', 'dre', ['v_re'], ['v_re']),
+                // irregular verbs
+                ...irregularInflections(['sois', 'soit', 'soyons', 'soyez', 'soient'], 'être'),
+                ...irregularInflections(['aie', 'aies', 'ait', 'ayons', 'ayez', 'aient'], 'avoir'),
+                ...irregularInflections(['aille', 'ailles', 'aillent'], 'aller'),
+                ...irregularInflections(['fasse', 'fasses', 'fassions', 'fassiez', 'fassent'], 'faire'),
+            ],
+        },
+        'imperative': {
+            name: 'imperative',
+            description: 'Imperative form of a verb',
+            rules: [
+                // -er verbs
+                suffixInflection('e', 'er', ['v_er'], ['v_er']),
+                suffixInflection('ons', 'er', ['v_er'], ['v_er']),
+                suffixInflection('ez', 'er', ['v_er'], ['v_er']),
+                // -ir verbs
+                suffixInflection('is', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('issons', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('issez', 'ir', ['v_ir'], ['v_ir']),
+                // -re verbs
+                suffixInflection('ds', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('dons', 'dre', ['v_re'], ['v_re']),
+                suffixInflection('dez', 'dre', ['v_re'], ['v_re']),
+                // irregular verbs
+                ...irregularInflections(['sois', 'soyons', 'soyez'], 'être'),
+                ...irregularInflections(['aie', 'ayons', 'ayez'], 'avoir'),
+                ...irregularInflections(['va', 'allons', 'allez'], 'aller'),
+            ],
+        },
+        'past participle': {
+            name: 'past participle',
+            description: 'Past participle of a verb',
+            rules: [
+                suffixInflection('é', 'er', ['adj'], ['v_er']),
+                suffixInflection('i', 'ir', ['adj'], ['v_ir']),
+                suffixInflection('du', 'dre', ['adj'], ['v_re']),
+                wholeWordInflection('été', 'être', ['adj'], ['v']),
+                wholeWordInflection('eu', 'avoir', ['adj'], ['v']),
+                wholeWordInflection('fait', 'faire', ['adj'], ['v']),
+            ],
+        },
+        'present participle': {
+            name: 'present participle',
+            description: 'Present participle of a verb',
+            rules: [
+                suffixInflection('ant', 'er', ['v_er'], ['v_er']),
+                suffixInflection('geant', 'ger', ['v_er'], ['v_er']),
+                suffixInflection('çant', 'cer', ['v_er'], ['v_er']),
+                suffixInflection('issant', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('dant', 'dre', ['v_re'], ['v_re']),
+                wholeWordInflection('étant', 'être', ['v'], ['v']),
+                wholeWordInflection('ayant', 'avoir', ['v'], ['v']),
+            ],
+        },
+        'pronominal': {
+            name: 'pronominal',
+            description: 'Pronominal verb conjugated with a first or second person reflexive pronoun',
+            rules: [
+                prefixInflection('me ', 'se ', ['v'], ['v']),
+                prefixInflection('te ', 'se ', ['v'], ['v']),
+                prefixInflection('m\'', 's\'', ['v'], ['v']),
+                prefixInflection('t\'', 's\'', ['v'], ['v']),
+            ],
+        },
+        'elision': {
+            name: 'elision',
+            description: 'Word preceded by an elided article, pronoun or conjunction',
+            rules: [
+                elisionRule('l', []),
+                elisionRule('d', []),
+                elisionRule('qu', []),
+                elisionRule('lorsqu', []),
+                elisionRule('puisqu', []),
+                elisionRule('jusqu', []),
+                elisionRule('j', ['v']),
+                elisionRule('n', ['v']),
+                elisionRule('c', ['v']),
+            ],
+        },
+    },
+};
@@ -0,0 +1,446 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {suffixInflection, wholeWordInflection} from '../language-transforms.js';
+
+/** @typedef {keyof typeof conditions} Condition */
+
+const italianVowels = 'aàáeèéiìíoòóuùúhAÀÁEÈÉIÌÍOÒÓUÙÚH';
+
+// Unstressed pronouns which are attached to the end of infinitives and gerunds, e.g. 'lavarsi', 'dandoglielo'.
+const encliticPronouns = ['mi', 'ti', 'si', 'ci', 'vi', 'lo', 'la', 'li', 'le', 'ne', 'gli', 'glielo', 'gliela', 'glieli', 'gliele', 'gliene'];
+
+/**
+ * @param {string} inflectedSuffix
+ * @param {string} deinflectedSuffix
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @returns {import('language-transformer').SuffixRule<Condition>[]}
+ */
+function encliticInflections(inflectedSuffix, deinflectedSuffix, conditionsIn, conditionsOut) {
+    const inflections = [];
+    for (const pronoun of encliticPronouns) {
+        inflections.push(suffixInflection(`${inflectedSuffix}${pronoun}`, deinflectedSuffix, conditionsIn, conditionsOut));
+    }
+    return inflections;
+}
+
+/**
+ * @param {string[]} forms
+ * @param {string} deinflected
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function irregularInflections(forms, deinflected) {
+    return forms.map((form) => wholeWordInflection(form, deinflected, [], ['v']));
+}
+
+/**
+ * An elided article or preposition such as "l'" or "dell'" is attached to the next word, which is what should be looked up.
+ * Elision is not part of the paradigm of a word, so the rule is only used for deinflection.
+ * @param {string} word
+ * @returns {import('language-transformer').Rule<Condition>}
+ */
+function elisionRule(word) {
+    const regex = new RegExp(`^${word}['’](?=[${italianVowels}])`);
+    return {
+        type: 'prefix',
+        isInflected: regex,
+        deinflect: (text) => text.replace(regex, ''),
+        conditionsIn: [],
+        conditionsOut: ['n', 'adj'],
+    };
+}
+
+const conditions = {
+    n: {
+        name: 'Noun',
+        isDictionaryForm: true,
+        subConditions: ['ns', 'np'],
+    },
+    np: {
+        name: 'Noun plural',
+        isDictionaryForm: false,
+    },
+    ns: {
+        name: 'Noun singular',
+        isDictionaryForm: false,
+    },
+    v: {
+        name: 'Verb',
+        isDictionaryForm: true,
+        subConditions: ['v_are', 'v_ere', 'v_ire'],
+    },
+    v_are: {
+        name: '-are verb',
+        isDictionaryForm: false,
+    },
+    v_ere: {
+        name: '-ere verb',
+        isDictionaryForm: false,
+    },
+    v_ire: {
+        name: '-ire verb',
+        isDictionaryForm: false,
+    },
+    adj: {
+        name: 'Adjective',
+        isDictionaryForm: true,
+    },
+};
+
+// Finite verb forms have no conditionsIn, since nothing can be attached to them.
+// Infinitives end in a vowel, so rules such as 'e' -> 'ere' would otherwise apply to their own output.
+/** @type {import('language-transformer').LanguageTransformDescriptor<Condition>} */
+export const italianTransforms = {
+    language: 'it',
+    conditions,
+    transforms: {
+        'plural': {
+            name: 'plural',
+            description: 'Plural form of a noun or adjective',
+            rules: [
+                suffixInflection('i', 'o', ['np'], ['ns']), // 'libri' -> libro
+                suffixInflection('i', 'e', ['np'], ['ns']), // 'fiori' -> fiore
+                suffixInflection('e', 'a', ['np'], ['ns']), // 'case' -> casa
+                suffixInflection('i', 'io', ['np'], ['ns']), // 'negozi' -> negozio
+                suffixInflection('chi', 'co', ['np'], ['ns']), // 'parchi' -> parco
+                suffixInflection('ghi', 'go', ['np'], ['ns']), // 'laghi' -> lago
+                suffixInflection('che', 'ca', ['np'], ['ns']), // 'amiche' -> amica
+                suffixInflection('ghe', 'ga', ['np'], ['ns']), // 'righe' -> riga
+                suffixInflection('i', 'o', ['adj'], ['adj']), // 'rossi' -> rosso
+                suffixInflection('i', 'e', ['adj'], ['adj']), // 'verdi' -> verde
+                suffixInflection('e', 'a', ['adj'], ['adj']), // 'rosse' -> rossa
+                suffixInflection('chi', 'co', ['adj'], ['adj']), // 'bianchi' -> bianco
+                suffixInflection('che', 'ca', ['adj'], ['adj']), // 'bianche' -> bianca
+                suffixInflection('ghi', 'go', ['adj'], ['adj']), // 'lunghi' -> lungo
+                suffixInflection('ghe', 'ga', ['adj'], ['adj']), // 'lunghe' -> lunga
+            ],
+        },
+        'feminine adjective': {
+            name: 'feminine adjective',
+            description: 'Feminine form of an adjective',
+            rules: [
+                suffixInflection('a', 'o', ['adj'], ['adj']),
+                suffixInflection('trice', 'tore', ['adj'], ['adj']), // 'lavoratrice' -> lavoratore
+            ],
+        },
+        'present indicative': {
+            name: 'present indicative',
+            description: 'Present indicative form of a verb',
+            rules: [
+                // -are verbs
+                suffixInflection('o', 'are', [], ['v_are']),
+                suffixInflection('i', 'are', [], ['v_are']),
+                suffixInflection('a', 'are', [], ['v_are']),
+                suffixInflection('iamo', 'are', [], ['v_are']),
+                suffixInflection('ate', 'are', [], ['v_are']),
+                suffixInflection('ano', 'are', [], ['v_are']),
+                suffixInflection('chi', 'care', [], ['v_are']), // 'cerchi' -> cercare
+                suffixInflection('chiamo', 'care', [], ['v_are']),
+                suffixInflection('ghi', 'gare', [], ['v_are']), // 'paghi' -> pagare
+                suffixInflection('ghiamo', 'gare', [], ['v_are']),
+                // -ere verbs
+                suffixInflection('o', 'ere', [], ['v_ere']),
+                suffixInflection('i', 'ere', [], ['v_ere']),
+                suffixInflection('e', 'ere', [], ['v_ere']),
+                suffixInflection('iamo', 'ere', [], ['v_ere']),
+                suffixInflection('ete', 'ere', [], ['v_ere']),
+                suffixInflection('ono', 'ere', [], ['v_ere']),
+                // -ire verbs
+                suffixInflection('o', 'ire', [], ['v_ire']),
+                suffixInflection('i', 'ire', [], ['v_ire']),
+                suffixInflection('e', 'ire', [], ['v_ire']),
+                suffixInflection('iamo', 'ire', [], ['v_ire']),
+                suffixInflection('ite', 'ire', [], ['v_ire']),
+                suffixInflection('ono', 'ire', [], ['v_ire']),
+                // -ire verbs with -isc-
+                suffixInflection('isco', 'ire', [], ['v_ire']),
+                suffixInflection('isci', 'ire', [], ['v_ire']),
+                suffixInflection('isce', 'ire', [], ['v_ire']),
+                suffixInflection('iscono', 'ire', [], ['v_ire']),
+                // irregular verbs
+                ...irregularInflections(['sono', 'sei', 'è', 'siamo', 'siete'], 'essere'),
+                ...irregularInflections(['ho', 'hai', 'ha', 'abbiamo', 'avete', 'hanno'], 'avere'),
+                ...irregularInflections(['vado', 'vai', 'va', 'andiamo', 'andate', 'vanno'], 'andare'),
+                ...irregularInflections(['faccio', 'fai', 'fa', 'facciamo', 'fate', 'fanno'], 'fare'),
+            ],
+        },
+        'imperfect': {
+            name: 'imperfect',
+            description: 'Imperfect form of a verb',
+            rules: [
+                // -are verbs
+                suffixInflection('avo', 'are', [], ['v_are']),
+                suffixInflection('avi', 'are', [], ['v_are']),
+                suffixInflection('ava', 'are', [], ['v_are']),
+                suffixInflection('avamo', 'are', [], ['v_are']),
+                suffixInflection('avate', 'are', [], ['v_are']),
+                suffixInflection('avano', 'are', [], ['v_are']),
+                // -ere verbs
+                suffixInflection('evo', 'ere', [], ['v_ere']),
+                suffixInflection('evi', 'ere', [], ['v_ere']),
+                suffixInflection('eva', 'ere', [], ['v_ere']),
+                suffixInflection('evamo', 'ere', [], ['v_ere']),
+                suffixInflection('evate', 'ere', [], ['v_ere']),
+                suffixInflection('evano', 'ere', [], ['v_ere']),
+                // -ire verbs
+                suffixInflection('ivo', 'ire', [], ['v_ire']),
+                suffixInflection('ivi', 'ire', [], ['v_ire']),
+                suffixInflection('iva', 'ire', [], ['v_ire']),
+                suffixInflection('ivamo', 'ire', [], ['v_ire']),
+                suffixInflection('ivate', 'ire', [], ['v_ire']),
+                suffixInflection('ivano', 'ire', [], ['v_ire']),
+                // irregular verbs
+                ...irregularInflections(['ero', 'eri', 'era', 'eravamo', 'eravate', 'erano'], 'essere'),
+                ...irregularInflections(['facevo', 'facevi', 'faceva', 'facevamo', 'facevate', 'facevano'], 'fare'),
+            ],
+        },
+        'remote past': {
+            name: 'remote past',
+            description: 'Remote past (passato remoto) form of a verb',
+            rules: [
+                // -are verbs
+                suffixInflection('ai', 'are', [], ['v_are']),
+                suffixInflection('asti', 'are', [], ['v_are']),
+                suffixInflection('ò', 'are', [], ['v_are']),
+                suffixInflection('ammo', 'are', [], ['v_are']),
+                suffixInflection('aste', 'are', [], ['v_are']),
+                suffixInflection('arono', 'are', [], ['v_are']),
+                // -ere verbs
+                suffixInflection('ei', 'ere', [], ['v_ere']),
+                suffixInflection('etti', 'ere', [], ['v_ere']),
+                suffixInflection('esti', 'ere', [], ['v_ere']),
+                suffixInflection('é', 'ere', [], ['v_ere']),
+                suffixInflection('ette', 'ere', [], ['v_ere']),
+                suffixInflection('emmo', 'ere', [], ['v_ere']),
+                suffixInflection('este', 'ere', [], ['v_ere']),
+                suffixInflection('erono', 'ere', [], ['v_ere']),
+                suffixInflection('ettero', 'ere', [], ['v_ere']),
+                // -ire verbs
+                suffixInflection('ii', 'ire', [], ['v_ire']),
+                suffixInflection('isti', 'ire', [], ['v_ire']),
+                suffixInflection('ì', 'ire', [], ['v_ire']),
+                suffixInflection('immo', 'ire', [], ['v_ire']),
+                suffixInflection('iste', 'ire', [], ['v_ire']),
+                suffixInflection('irono', 'ire', [], ['v_ire']),
+                // irregular verbs
+                ...irregularInflections(['fui', 'fosti', 'fu', 'fummo', 'foste', 'furono'], 'essere'),
+                ...irregularInflections(['ebbi', 'avesti', 'ebbe', 'avemmo', 'aveste', 'ebbero'], 'avere'),
+            ],
+        },
+        'future': {
+            name: 'future',
+            description: 'Future form of a verb',
+            rules: [
+                // -are verbs
+                suffixInflection('erò', 'are', [], ['v_are']),
+                suffixInflection('erai', 'are', [], ['v_are']),
+                suffixInflection('erà', 'are', [], ['v_are']),
+                suffixInflection('eremo', 'are', [], ['v_are']),
+                suffixInflection('erete', 'are', [], ['v_are']),
+                suffixInflection('eranno', 'are', [], ['v_are']),
+                suffixInflection('cherò', 'care', [], ['v_are']), // 'cercherò' -> cercare
+                suffixInflection('cherai', 'care', [], ['v_are']),
+                suffixInflection('cherà', 'care', [], ['v_are']),
+                suffixInflection('cheremo', 'care', [], ['v_are']),
+                suffixInflection('cherete', 'care', [], ['v_are']),
+                suffixInflection('cheranno', 'care', [], ['v_are']),
+                suffixInflection('gherò', 'gare', [], ['v_are']), // 'pagherò' -> pagare
+                suffixInflection('gherai', 'gare', [], ['v_are']),
+                suffixInflection('gherà', 'gare', [], ['v_are']),
+                suffixInflection('gheremo', 'gare', [], ['v_are']),
+                suffixInflection('gherete', 'gare', [], ['v_are']),
+                suffixInflection('gheranno', 'gare', [], ['v_are']),
+                // -ere verbs
+                suffixInflection('erò', 'ere', [], ['v_ere']),
+                suffixInflection('erai', 'ere', [], ['v_ere']),
+                suffixInflection('erà', 'ere', [], ['v_ere']),
+                suffixInflection('eremo', 'ere', [], ['v_ere']),
+                suffixInflection('erete', 'ere', [], ['v_ere']),
+                suffixInflection('eranno', 'ere', [], ['v_ere']),
+                // -ire verbs
+                suffixInflection('irò', 'ire', [], ['v_ire']),
+                suffixInflection('irai', 'ire', [], ['v_ire']),
+                suffixInflection('irà', 'ire', [], ['v_ire']),
+                suffixInflection('iremo', 'ire', [], ['v_ire']),
+                suffixInflection('irete', 'ire', [], ['v_ire']),
+                suffixInflection('iranno', 'ire', [], ['v_ire']),
+                // irregular verbs
+                ...irregularInflections(['sarò', 'sarai', 'sarà', 'saremo', 'sarete', 'saranno'], 'essere'),
+                ...irregularInflections(['avrò', 'avrai', 'avrà', 'avremo', 'avrete', 'avranno'], 'avere'),
+                ...irregularInflections(['andrò', 'andrai', 'andrà', 'andremo', 'andrete', 'andranno'], 'andare'),
+            ],
+        },
+        'conditional': {
+            name: 'conditional',
+            description: 'Conditional form of a verb',
+            rules: [
+                // -are verbs
+                suffixInflection('erei', 'are', [], ['v_are']),
+                suffixInflection('eresti', 'are', [], ['v_are']),
+                suffixInflection('erebbe', 'are', [], ['v_are']),
+                suffixInflection('eremmo', 'are', [], ['v_are']),
+                suffixInflection('ereste', 'are', [], ['v_are']),
+                suffixInflection('erebbero', 'are', [], ['v_are']),
+                suffixInflection('cherei', 'care', [], ['v_are']),
+                suffixInflection('cheresti', 'care', [], ['v_are']),
+                suffixInflection('cherebbe', 'care', [], ['v_are']),
+                suffixInflection('cheremmo', 'care', [], ['v_are']),
+                suffixInflection('chereste', 'care', [], ['v_are']),
+                suffixInflection('cherebbero', 'care', [], ['v_are']),
+                suffixInflection('gherei', 'gare', [], ['v_are']),
+                suffixInflection('gheresti', 'gare', [], ['v_are']),
+                suffixInflection('gherebbe', 'gare', [], ['v_are']),
+                suffixInflection('gheremmo', 'gare', [], ['v_are']),
+                suffixInflection('ghereste', 'gare', [], ['v_are']),
+                suffixInflection('gherebbero', 'gare', [], ['v_are']),
+                // -ere verbs
+                suffixInflection('erei', 'ere', [], ['v_ere']),
+                suffixInflection('eresti', 'ere', [], ['v_ere']),
+                suffixInflection('erebbe', 'ere', [], ['v_ere']),
+                suffixInflection('eremmo', 'ere', [], ['v_ere']),
+                suffixInflection('ereste', 'ere', [], ['v_ere']),
+                suffixInflection('erebbero', 'ere', [], ['v_ere']),
+                // -ire verbs
+                suffixInflection('irei', 'ire', [], ['v_ire']),
+                suffixInflection('iresti', 'ire', [], ['v_ire']),
+                suffixInflection('irebbe', 'ire', [], ['v_ire']),
+                suffixInflection('iremmo', 'ire', [], ['v_ire']),
+                suffixInflection('ireste', 'ire', [], ['v_ire']),
+                suffixInflection('irebbero', 'ire', [], ['v_ire']),
+                // irregular verbs
+                ...irregularInflections(['sarei', 'saresti', 'sarebbe', 'saremmo', 'sareste', 'sarebbero'], 'essere'),
+                ...irregularInflections(['avrei', 'avresti', 'avrebbe', 'avremmo', 'avreste', 'avrebbero'], 'avere'),
+            ],
+        },
+        'present subjunctive': {
+            name: 'present subjunctive',
+            description: 'Present subjunctive form of a verb',
+            rules: [
+                // -are verbs
+                suffixInflection('i', 'are', [], ['v_are']),
+                suffixInflection('iamo', 'are', [], ['v_are']),
+                suffixInflection('iate', 'are', [], ['v_are']),
+                suffixInflection('ino', 'are', [], ['v_are']),
+                // -ere verbs
+                suffixInflection('a', 'ere', [], ['v_ere']),
+                suffixInflection('iamo', 'ere', [], ['v_ere']),
+                suffixInflection('iate', 'ere', [], ['v_ere']),
+                suffixInflection('ano', 'ere', [], ['v_ere']),
+                // -ire verbs
+                suffixInflection('a', 'ire', [], ['v_ire']),
+                suffixInflection('iamo', 'ire', [], ['v_ire']),
+                suffixInflection('iate', 'ire', [], ['v_ire']),
+                suffixInflection('ano', 'ire', [], ['v_ire']),
+                suffixInflection('isca', 'ire', [], ['v_ire']),
+                suffixInflection('iscano', 'ire', [], ['v_ire']),
+                // irregular verbs
+                ...irregularInflections(['sia', 'siamo', 'siate', 'siano'], 'essere'),
+                ...irregularInflections(['abbia', 'abbiamo', 'abbiate', 'abbiano'], 'avere'),
+            ],
+        },
+        'imperfect subjunctive': {
+            name: 'imperfect subjunctive',
+            description: 'Imperfect subjunctive form of a verb',
+            rules: [
+                // -are verbs
+                suffixInflection('assi', 'are', [], ['v_are']),
+                suffixInflection('asse', 'are', [], ['v_are']),
+                suffixInflection('assimo', 'are', [], ['v_are']),
+                suffixInflection('aste', 'are', [], ['v_are']),
+                suffixInflection('assero', 'are', [], ['v_are']),
+                // -ere verbs
+                suffixInflection('essi', 'ere', [], ['v_ere']),
+                suffixInflection('esse', 'ere', [], ['v_ere']),
+                suffixInflection('essimo', 'ere', [], ['v_ere']),
+                suffixInflection('este', 'ere', [], ['v_ere']),
+                suffixInflection('essero', 'ere', [], ['v_ere']),
+                // -ire verbs
+                suffixInflection('issi', 'ire', [], ['v_ire']),
+                suffixInflection('isse', 'ire', [], ['v_ire']),
+                suffixInflection('issimo', 'ire', [], ['v_ire']),
+                suffixInflection('iste', 'ire', [], ['v_ire']),
+                suffixInflection('issero', 'ire', [], ['v_ire']),
+                // irregular verbs
+                ...irregularInflections(['fossi', 'fosse', 'fossimo', 'foste', 'fossero'], 'essere'),
+            ],
+        },
+        'imperative': {
+            name: 'imperative',
+            description: 'Imperative form of a verb',
+            rules: [
+                suffixInflection('a', 'are', [], ['v_are']),
+                suffixInflection('ate', 'are', [], ['v_are']),
+                suffixInflection('i', 'ere', [], ['v_ere']),
+                suffixInflection('ete', 'ere', [], ['v_ere']),
+                suffixInflection('i', 'ire', [], ['v_ire']),
+                suffixInflection('ite', 'ire', [], ['v_ire']),
+                suffixInflection('isci', 'ire', [], ['v_ire']),
+            ],
+        },
+        'past participle': {
+            name: 'past participle',
+            description: 'Past participle of a verb',
+            rules: [
+                suffixInflection('ato', 'are', ['adj'], ['v_are']),
+                suffixInflection('uto', 'ere', ['adj'], ['v_ere']),
+                suffixInflection('ito', 'ire', ['adj'], ['v_ire']),
+                wholeWordInflection('stato', 'essere', ['adj'], ['v']),
+                wholeWordInflection('fatto', 'fare', ['adj'], ['v']),
+            ],
+        },
+        'gerund': {
+            name: 'gerund',
+            description: 'Gerund of a verb',
+            rules: [
+                suffixInflection('ando', 'are', ['v_are'], ['v_are']),
+                suffixInflection('endo', 'ere', ['v_ere'], ['v_ere']),
+                suffixInflection('endo', 'ire', ['v_ire'], ['v_ire']),
+                wholeWordInflection('facendo', 'fare', ['v'], ['v']),
+            ],
+        },
+        'enclitic': {
+            name: 'enclitic',
+            description: 'Infinitive or gerund with an attached pronoun',
+            rules: [
+                ...encliticInflections('ar', 'are', ['v_are'], ['v_are']), // 'lavarsi' -> lavare
+                ...encliticInflections('er', 'ere', ['v_ere'], ['v_ere']), // 'vederlo' -> vedere
+                ...encliticInflections('ir', 'ire', ['v_ire'], ['v_ire']), // 'divertirsi' -> divertire
+                ...encliticInflections('ando', 'ando', ['v_are'], ['v_are']), // 'guardandolo' -> guardando
+                ...encliticInflections('endo', 'endo', ['v_ere', 'v_ire'], ['v_ere', 'v_ire']), // 'vedendola' -> vedendo
+            ],
+        },
+        'elision': {
+            name: 'elision',
+            description: 'Word preceded by an elided article or preposition',
+            rules: [
+                elisionRule('l'),
+                elisionRule('un'),
+                elisionRule('dell'),
+                elisionRule('all'),
+                elisionRule('dall'),
+                elisionRule('nell'),
+                elisionRule('sull'),
+                elisionRule('coll'),
+                elisionRule('quell'),
+                elisionRule('quest'),
+                elisionRule('bell'),
+                elisionRule('sant'),
+            ],
+        },
+    },
+};
@@ -16,10 +16,12 @@
  */
 
 import {removeArabicScriptDiacritics} from './ar/arabic-text-preprocessors.js';
-import {eszettPreprocessor} from './de/german-text-preprocessors.js';
-import {germanTransforms} from './de/german-transforms.js';
+import {eszettPreprocessor, umlautPreprocessor} from './de/german-text-preprocessors.js';
+import {germanTransforms, separablePrefixes} from './de/german-transforms.js';
 import {englishTransforms} from './en/english-transforms.js';
 import {spanishTransforms} from './es/spanish-transforms.js';
+import {frenchTransforms} from './fr/french-transforms.js';
+import {italianTransforms} from './it/italian-transforms.js';
 import {
     alphabeticToHiragana,
     alphanumericWidthVariants,
@@ -33,12 +35,15 @@ import {isStringPartiallyJapanese} from './ja/japanese.js';
 import {disassembleHangul, reassembleHangul} from './ko/korean-text-processors.js';
 import {koreanTransforms} from './ko/korean-transforms.js';
 import {latinTransforms} from './la/latin-transforms.js';
+import {portugueseTransforms} from './pt/portuguese-transforms.js';
 import {removeRussianDiacritics, yoToE} from './ru/russian-text-preprocessors.js';
+import {russianTransforms} from './ru/russian-transforms.js';
 import {oldIrishTransforms} from './sga/old-irish-transforms.js';
 import {removeSerboCroatianAccentMarks} from './sh/serbo-croatian-text-preprocessors.js';
 import {albanianTransforms} from './sq/albanian-transforms.js';
 import {capitalizeFirstLetter, decapitalize, removeAlphabeticDiacritics} from './text-processors.js';
 import {tagalogTransforms} from './tl/tagalog-transforms.js';
+import {ukrainianTransforms} from './uk/ukrainian-transforms.js';
 import {normalizeDiacritics} from './vi/viet-text-preprocessors.js';
 import {isStringPartiallyChinese, normalizePinyin} from './zh/chinese.js';
 
@@ -74,7 +79,13 @@ const languageDescriptors = [
             ...capitalizationPreprocessors,
             eszettPreprocessor,
         },
+        termSuggestionPreprocessors: {
+            umlautPreprocessor,
+        },
         languageTransforms: germanTransforms,
+        compoundLinkingElements: ['s', 'es', 'n', 'en'],
+        separableParticles: separablePrefixes,
+        definiteArticles: {masculine: 'der', feminine: 'die', neuter: 'das'},
     },
     {
         iso: 'el',
@@ -128,6 +139,7 @@ const languageDescriptors = [
         name: 'French',
         exampleText: 'lire',
         textPreprocessors: capitalizationPreprocessors,
+        languageTransforms: frenchTransforms,
     },
     {
         iso: 'grc',
@@ -162,6 +174,7 @@ const languageDescriptors = [
             ...capitalizationPreprocessors,
             removeAlphabeticDiacritics,
         },
+        languageTransforms: italianTransforms,
     },
     {
         iso: 'la',
@@ -179,6 +192,7 @@ const languageDescriptors = [
         iso639_3: 'lao',
         name: 'Lao',
         exampleText: 'ອ່ານ',
+        requiresWordSegmentation: true,
     },
     {
         iso: 'lv',
@@ -214,6 +228,7 @@ const languageDescriptors = [
         iso639_3: 'khm',
         name: 'Khmer',
         exampleText: 'អាន',
+        requiresWordSegmentation: true,
     },
     {
         iso: 'ko',
@@ -255,6 +270,7 @@ const languageDescriptors = [
         name: 'Portuguese',
         exampleText: 'ler',
         textPreprocessors: capitalizationPreprocessors,
+        languageTransforms: portugueseTransforms,
     },
     {
         iso: 'ro',
@@ -276,6 +292,7 @@ const languageDescriptors = [
             yoToE,
             removeRussianDiacritics,
         },
+        languageTransforms: russianTransforms,
     },
     {
         iso: 'sga',
@@ -318,6 +335,7 @@ const languageDescriptors = [
         iso639_3: 'tha',
         name: 'Thai',
         exampleText: 'อ่าน',
+        requiresWordSegmentation: true,
     },
     {
         iso: 'tl',
@@ -343,6 +361,7 @@ const languageDescriptors = [
         name: 'Ukrainian',
         exampleText: 'читаєте',
         textPreprocessors: capitalizationPreprocessors,
+        languageTransforms: ukrainianTransforms,
     },
     {
         iso: 'vi',
@@ -56,7 +56,7 @@ export class LanguageTransformer {
             /** @type {import('language-transformer-internal').Rule[]} */
             const rules2 = [];
             for (let j = 0, jj = rules.length; j < jj; ++j) {
-                const {type, isInflected, deinflect, conditionsIn, conditionsOut} = rules[j];
+                const {type, isInflected, deinflect, isDeinflected, inflect, conditionsIn, conditionsOut} = rules[j];
                 const conditionFlagsIn = this._getConditionFlagsStrict(conditionFlagsMap, conditionsIn);
                 if (conditionFlagsIn === null) { throw new Error(`Invalid conditionsIn for transform ${transformId}.rules[${j}]`); }
                 const conditionFlagsOut = this._getConditionFlagsStrict(conditionFlagsMap, conditionsOut);
@@ -65,6 +65,8 @@ export class LanguageTransformer {
                     type,
                     isInflected,
                     deinflect,
+                    isDeinflected,
+                    inflect,
                     conditionsIn: conditionFlagsIn,
                     conditionsOut: conditionFlagsOut,
                 });
@@ -148,6 +150,74 @@ export class LanguageTransformer {
         return results;
     }
 
+    /**
+     * Generates inflected forms of a dictionary form by applying a chain of transforms in the inflecting direction.
+     * The chain is ordered starting from the transform closest to the dictionary form,
+     * which is the same order as the trace of a deinflection.
+     * @param {string} sourceText
+     * @param {number} conditions The condition flags of the dictionary form.
+     * @param {string[]} transformIds
+     * @returns {import('language-transformer-internal').TransformedText[]}
+     */
+    inflect(sourceText, conditions, transformIds) {
+        let results = [LanguageTransformer.createTransformedText(sourceText, conditions, [])];
+        for (const transformId of transformIds) {
+            const transform = this._transforms.find(({id}) => id === transformId);
+            if (typeof transform === 'undefined') { return []; }
+            /** @type {Map<string, import('language-transformer-internal').TransformedText>} */
+            const nextResults = new Map();
+            for (const {text, conditions: currentConditions, trace} of results) {
+                const {rules} = transform;
+                for (let j = 0, jj = rules.length; j < jj; ++j) {
+                    const rule = rules[j];
+                    const inflectedText = this._inflectRule(rule, text, currentConditions);
+                    if (inflectedText === null) { continue; }
+                    const key = `${inflectedText}:${rule.conditionsIn}`;
+                    if (nextResults.has(key)) { continue; }
+                    nextResults.set(key, LanguageTransformer.createTransformedText(
+                        inflectedText,
+                        rule.conditionsIn,
+                        [...trace, {transform: transformId, ruleIndex: j, text: inflectedText}],
+                    ));
+                }
+            }
+            results = [...nextResults.values()];
+        }
+        return results;
+    }
+
+    /**
+     * Returns whether any rule of a transform supports inflection.
+     * @param {string} transformId
+     * @returns {boolean}
+     */
+    isTransformInflectable(transformId) {
+        const transform = this._transforms.find(({id}) => id === transformId);
+        if (typeof transform === 'undefined') { return false; }
+        return transform.rules.some(({isDeinflected, inflect}) => typeof isDeinflected !== 'undefined' && typeof inflect !== 'undefined');
+    }
+
+    /**
+     * Generates the forms of a dictionary form for every transform which can be applied to it directly.
+     * @param {string} sourceText
+     * @param {number} conditions The condition flags of the dictionary form.
+     * @returns {import('language-transformer').InflectionTable}
+     */
+    getInflectionTable(sourceText, conditions) {
+        /** @type {import('language-transformer').InflectionTable} */
+        const results = [];
+        for (const {id, name, description} of this._transforms) {
+            /** @type {Set<string>} */
+            const forms = new Set();
+            for (const {text} of this.inflect(sourceText, conditions, [id])) {
+                forms.add(text);
+            }
+            if (forms.size === 0) { continue; }
+            results.push(description ? {transform: id, name, description, forms: [...forms]} : {transform: id, name, forms: [...forms]});
+        }
+        return results;
+    }
+
     /**
      * @param {string[]} inflectionRules
      * @returns {import('dictionary').InflectionRuleChain}
@@ -226,6 +296,24 @@ export class LanguageTransformer {
         return {conditionFlagsMap, nextFlagIndex};
     }
 
+    /**
+     * Inflects a text using a single rule. Results are only kept if deinflecting them with the same rule
+     * gives back the original text, so rules whose `inflect` function is not an exact inverse are safe.
+     * @param {import('language-transformer-internal').Rule} rule
+     * @param {string} text
+     * @param {number} conditions
+     * @returns {?string}
+     */
+    _inflectRule(rule, text, conditions) {
+        const {isInflected, deinflect, isDeinflected, inflect, conditionsOut} = rule;
+        if (typeof isDeinflected === 'undefined' || typeof inflect === 'undefined') { return null; }
+        if (!LanguageTransformer.conditionsMatch(conditionsOut, conditions)) { return null; }
+        if (!isDeinflected.test(text)) { return null; }
+        const inflectedText = inflect(text);
+        if (!isInflected.test(inflectedText) || deinflect(inflectedText) !== text) { return null; }
+        return inflectedText;
+    }
+
     /**
      * @param {Map<string, number>} conditionFlagsMap
      * @param {string[]} conditionTypes
@@ -31,6 +31,8 @@ export function suffixInflection(inflectedSuffix, deinflectedSuffix, conditionsI
         isInflected: suffixRegExp,
         deinflected: deinflectedSuffix,
         deinflect: (text) => text.slice(0, -inflectedSuffix.length) + deinflectedSuffix,
+        isDeinflected: new RegExp(deinflectedSuffix + '$'),
+        inflect: (text) => text.slice(0, text.length - deinflectedSuffix.length) + inflectedSuffix,
         conditionsIn,
         conditionsOut,
     };
@@ -50,6 +52,8 @@ export function prefixInflection(inflectedPrefix, deinflectedPrefix, conditionsI
         type: 'prefix',
         isInflected: prefixRegExp,
         deinflect: (text) => deinflectedPrefix + text.slice(inflectedPrefix.length),
+        isDeinflected: new RegExp('^' + deinflectedPrefix),
+        inflect: (text) => inflectedPrefix + text.slice(deinflectedPrefix.length),
         conditionsIn,
         conditionsOut,
     };
@@ -69,6 +73,8 @@ export function wholeWordInflection(inflectedWord, deinflectedWord, conditionsIn
         type: 'wholeWord',
         isInflected: regex,
         deinflect: () => deinflectedWord,
+        isDeinflected: new RegExp('^' + deinflectedWord + '$'),
+        inflect: () => inflectedWord,
         conditionsIn,
         conditionsOut,
     };
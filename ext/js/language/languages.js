@@ -22,8 +22,8 @@ import {languageDescriptorMap} from './language-descriptors.js';
  */
 export function getLanguageSummaries() {
     const results = [];
-    for (const {name, iso, iso639_3, exampleText} of languageDescriptorMap.values()) {
-        results.push({name, iso, iso639_3, exampleText});
+    for (const {name, iso, iso639_3, exampleText, separableParticles} of languageDescriptorMap.values()) {
+        results.push({name, iso, iso639_3, exampleText, hasSeparableParticles: typeof separableParticles !== 'undefined'});
     }
     return results;
 }
@@ -40,6 +40,62 @@ export function getAllLanguageReadingNormalizers() {
     return results;
 }
 
+/**
+ * @returns {import('language').LanguageAndCompoundLinkingElements[]}
+ */
+export function getAllLanguageCompoundLinkingElements() {
+    const results = [];
+    for (const {iso, compoundLinkingElements} of languageDescriptorMap.values()) {
+        if (typeof compoundLinkingElements === 'undefined') { continue; }
+        results.push({iso, compoundLinkingElements});
+    }
+    return results;
+}
+
+/**
+ * @returns {import('language').LanguageAndSeparableParticles[]}
+ */
+export function getAllLanguageSeparableParticles() {
+    const results = [];
+    for (const {iso, separableParticles} of languageDescriptorMap.values()) {
+        if (typeof separableParticles === 'undefined') { continue; }
+        results.push({iso, separableParticles});
+    }
+    return results;
+}
+
+/**
+ * @returns {import('language').LanguageAndDefiniteArticles[]}
+ */
+export function getAllLanguageDefiniteArticles() {
+    const results = [];
+    for (const {iso, definiteArticles} of languageDescriptorMap.values()) {
+        if (typeof definiteArticles === 'undefined') { continue; }
+        results.push({iso, definiteArticles});
+    }
+    return results;
+}
+
+/**
+ * @returns {import('language').LanguageAndTermSuggestionPreprocessors[]}
+ */
+export function getAllLanguageTermSuggestionPreprocessors() {
+    const results = [];
+    for (const {iso, termSuggestionPreprocessors} of languageDescriptorMap.values()) {
+        if (typeof termSuggestionPreprocessors === 'undefined') { continue; }
+        /** @type {import('language').TextProcessorWithId<unknown>[]} */
+        const textPreprocessors = [];
+        for (const [id, textPreprocessor] of Object.entries(termSuggestionPreprocessors)) {
+            textPreprocessors.push({
+                id,
+                textProcessor: /** @type {import('language').TextProcessor<unknown>} */ (textPreprocessor),
+            });
+        }
+        results.push({iso, textPreprocessors});
+    }
+    return results;
+}
+
 /**
  * @returns {import('language').LanguageAndProcessors[]}
  * @throws {Error}
@@ -79,6 +135,15 @@ export function isTextLookupWorthy(text, language) {
     return typeof descriptor.isTextLookupWorthy === 'undefined' || descriptor.isTextLookupWorthy(text);
 }
 
+/**
+ * @param {string} language
+ * @returns {boolean}
+ */
+export function isWordSegmentationRequired(language) {
+    const descriptor = languageDescriptorMap.get(language);
+    return typeof descriptor !== 'undefined' && descriptor.requiresWordSegmentation === true;
+}
+
 /**
  * @returns {import('language').LanguageAndTransforms[]}
  */
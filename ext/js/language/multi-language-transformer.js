@@ -75,6 +75,33 @@ export class MultiLanguageTransformer {
         return languageTransformer.transform(sourceText);
     }
 
+    /**
+     * @param {string} language
+     * @param {string} sourceText
+     * @param {number} conditions
+     * @param {string[]} transformIds
+     * @returns {import('language-transformer-internal').TransformedText[]}
+     */
+    inflect(language, sourceText, conditions, transformIds) {
+        const languageTransformer = this._languageTransformers.get(language);
+        if (typeof languageTransformer === 'undefined') { return []; }
+        return languageTransformer.inflect(sourceText, conditions, transformIds);
+    }
+
+    /**
+     * @param {string} language
+     * @param {string} sourceText
+     * @param {string[]} partsOfSpeech
+     * @returns {import('language-transformer').InflectionTable}
+     */
+    getInflectionTable(language, sourceText, partsOfSpeech) {
+        const languageTransformer = this._languageTransformers.get(language);
+        if (typeof languageTransformer === 'undefined') { return []; }
+        const conditions = languageTransformer.getConditionFlagsFromPartsOfSpeech(partsOfSpeech);
+        if (conditions === 0) { return []; }
+        return languageTransformer.getInflectionTable(sourceText, conditions);
+    }
+
     /**
      * @param {string} language
      * @param {string[]} inflectionRules
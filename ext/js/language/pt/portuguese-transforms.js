@@ -0,0 +1,391 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {suffixInflection, wholeWordInflection} from '../language-transforms.js';
+
+/** @typedef {keyof typeof conditions} Condition */
+
+// Unstressed pronouns which are attached to a verb with a hyphen, e.g. 'chama-se', 'diga-me'.
+const encliticPronouns = ['me', 'te', 'se', 'nos', 'vos', 'lhe', 'lhes', 'o', 'a', 'os', 'as'];
+
+/**
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @returns {import('language-transformer').SuffixRule<Condition>[]}
+ */
+function encliticInflections(conditionsIn, conditionsOut) {
+    const inflections = [];
+    for (const pronoun of encliticPronouns) {
+        inflections.push(suffixInflection(`-${pronoun}`, '', conditionsIn, conditionsOut));
+    }
+    return inflections;
+}
+
+/**
+ * After an infinitive, the pronouns o, a, os and as become lo, la, los and las, and the final r is dropped.
+ * @param {string} inflectedVowel
+ * @param {string} deinflectedSuffix
+ * @param {Condition[]} conditions
+ * @returns {import('language-transformer').SuffixRule<Condition>[]}
+ */
+function infinitiveEncliticInflections(inflectedVowel, deinflectedSuffix, conditions) {
+    const inflections = [];
+    for (const pronoun of ['lo', 'la', 'los', 'las']) {
+        inflections.push(suffixInflection(`${inflectedVowel}-${pronoun}`, deinflectedSuffix, conditions, conditions));
+    }
+    return inflections;
+}
+
+/**
+ * @param {string[]} forms
+ * @param {string} deinflected
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function irregularInflections(forms, deinflected) {
+    return forms.map((form) => wholeWordInflection(form, deinflected, ['v'], ['v']));
+}
+
+const conditions = {
+    n: {
+        name: 'Noun',
+        isDictionaryForm: true,
+        subConditions: ['ns', 'np'],
+    },
+    np: {
+        name: 'Noun plural',
+        isDictionaryForm: false,
+    },
+    ns: {
+        name: 'Noun singular',
+        isDictionaryForm: false,
+    },
+    v: {
+        name: 'Verb',
+        isDictionaryForm: true,
+        subConditions: ['v_ar', 'v_er', 'v_ir'],
+    },
+    v_ar: {
+        name: '-ar verb',
+        isDictionaryForm: false,
+    },
+    v_er: {
+        name: '-er verb',
+        isDictionaryForm: false,
+    },
+    v_ir: {
+        name: '-ir verb',
+        isDictionaryForm: false,
+    },
+    adj: {
+        name: 'Adjective',
+        isDictionaryForm: true,
+    },
+};
+
+/** @type {import('language-transformer').LanguageTransformDescriptor<Condition>} */
+export const portugueseTransforms = {
+    language: 'pt',
+    conditions,
+    transforms: {
+        'plural': {
+            name: 'plural',
+            description: 'Plural form of a noun or adjective',
+            rules: [
+                suffixInflection('s', '', ['np'], ['ns']),
+                suffixInflection('es', '', ['np'], ['ns']), // 'flores' -> flor
+                suffixInflection('ões', 'ão', ['np'], ['ns']), // 'canções' -> canção
+                suffixInflection('ães', 'ão', ['np'], ['ns']), // 'pães' -> pão
+                suffixInflection('ais', 'al', ['np'], ['ns']), // 'animais' -> animal
+                suffixInflection('éis', 'el', ['np'], ['ns']), // 'papéis' -> papel
+                suffixInflection('óis', 'ol', ['np'], ['ns']), // 'lençóis' -> lençol
+                suffixInflection('uis', 'ul', ['np'], ['ns']), // 'azuis' -> azul
+                suffixInflection('is', 'il', ['np'], ['ns']), // 'funis' -> funil
+                suffixInflection('ns', 'm', ['np'], ['ns']), // 'homens' -> homem
+                suffixInflection('s', '', ['adj'], ['adj']),
+                suffixInflection('es', '', ['adj'], ['adj']), // 'felizes' -> feliz
+                suffixInflection('ais', 'al', ['adj'], ['adj']), // 'normais' -> normal
+                suffixInflection('éis', 'el', ['adj'], ['adj']), // 'fiéis' -> fiel
+                suffixInflection('eis', 'il', ['adj'], ['adj']), // 'fáceis' -> fácil
+                suffixInflection('uis', 'ul', ['adj'], ['adj']), // 'azuis' -> azul
+                suffixInflection('ns', 'm', ['adj'], ['adj']), // 'comuns' -> comum
+            ],
+        },
+        'feminine adjective': {
+            name: 'feminine adjective',
+            description: 'Feminine form of an adjective',
+            rules: [
+                suffixInflection('a', 'o', ['adj'], ['adj']), // 'bonita' -> bonito
+                suffixInflection('esa', 'ês', ['adj'], ['adj']), // 'portuguesa' -> português
+                suffixInflection('ora', 'or', ['adj'], ['adj']), // 'trabalhadora' -> trabalhador
+                suffixInflection('ã', 'ão', ['adj'], ['adj']), // 'alemã' -> alemão
+            ],
+        },
+        'present indicative': {
+            name: 'present indicative',
+            description: 'Present indicative form of a verb',
+            rules: [
+                // -ar verbs
+                suffixInflection('o', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('as', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('a', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('amos', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('ais', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('am', 'ar', ['v_ar'], ['v_ar']),
+                // -er verbs
+                suffixInflection('o', 'er', ['v_er'], ['v_er']),
+                suffixInflection('es', 'er', ['v_er'], ['v_er']),
+                suffixInflection('e', 'er', ['v_er'], ['v_er']),
+                suffixInflection('emos', 'er', ['v_er'], ['v_er']),
+                suffixInflection('eis', 'er', ['v_er'], ['v_er']),
+                suffixInflection('em', 'er', ['v_er'], ['v_er']),
+                // -ir verbs
+                suffixInflection('o', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('es', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('e', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('imos', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('is', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('em', 'ir', ['v_ir'], ['v_ir']),
+                // irregular verbs
+                ...irregularInflections(['sou', 'és', 'é', 'somos', 'sois', 'são'], 'ser'),
+                ...irregularInflections(['estou', 'estás', 'está', 'estamos', 'estais', 'estão'], 'estar'),
+                ...irregularInflections(['tenho', 'tens', 'tem', 'temos', 'tendes', 'têm'], 'ter'),
+                ...irregularInflections(['vou', 'vais', 'vai', 'vamos', 'ides', 'vão'], 'ir'),
+                ...irregularInflections(['faço', 'fazes', 'faz', 'fazemos', 'fazeis', 'fazem'], 'fazer'),
+            ],
+        },
+        'imperfect': {
+            name: 'imperfect',
+            description: 'Imperfect form of a verb',
+            rules: [
+                // -ar verbs
+                suffixInflection('ava', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('avas', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('ávamos', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('áveis', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('avam', 'ar', ['v_ar'], ['v_ar']),
+                // -er verbs
+                suffixInflection('ia', 'er', ['v_er'], ['v_er']),
+                suffixInflection('ias', 'er', ['v_er'], ['v_er']),
+                suffixInflection('íamos', 'er', ['v_er'], ['v_er']),
+                suffixInflection('íeis', 'er', ['v_er'], ['v_er']),
+                suffixInflection('iam', 'er', ['v_er'], ['v_er']),
+                // -ir verbs
+                suffixInflection('ia', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('ias', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('íamos', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('íeis', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('iam', 'ir', ['v_ir'], ['v_ir']),
+                // irregular verbs
+                ...irregularInflections(['era', 'eras', 'éramos', 'éreis', 'eram'], 'ser'),
+                ...irregularInflections(['tinha', 'tinhas', 'tínhamos', 'tínheis', 'tinham'], 'ter'),
+            ],
+        },
+        'preterite': {
+            name: 'preterite',
+            description: 'Preterite (past) form of a verb',
+            rules: [
+                // -ar verbs
+                suffixInflection('ei', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('aste', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('ou', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('amos', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('ámos', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('astes', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('aram', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('quei', 'car', ['v_ar'], ['v_ar']), // 'fiquei' -> ficar
+                suffixInflection('guei', 'gar', ['v_ar'], ['v_ar']), // 'cheguei' -> chegar
+                suffixInflection('cei', 'çar', ['v_ar'], ['v_ar']), // 'comecei' -> começar
+                // -er verbs
+                suffixInflection('i', 'er', ['v_er'], ['v_er']),
+                suffixInflection('este', 'er', ['v_er'], ['v_er']),
+                suffixInflection('eu', 'er', ['v_er'], ['v_er']),
+                suffixInflection('emos', 'er', ['v_er'], ['v_er']),
+                suffixInflection('estes', 'er', ['v_er'], ['v_er']),
+                suffixInflection('eram', 'er', ['v_er'], ['v_er']),
+                // -ir verbs
+                suffixInflection('i', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('iste', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('iu', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('imos', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('istes', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('iram', 'ir', ['v_ir'], ['v_ir']),
+                // irregular verbs
+                ...irregularInflections(['fui', 'foste', 'foi', 'fomos', 'fostes', 'foram'], 'ser'),
+                ...irregularInflections(['fui', 'foste', 'foi', 'fomos', 'fostes', 'foram'], 'ir'),
+                ...irregularInflections(['estive', 'estiveste', 'esteve', 'estivemos', 'estivestes', 'estiveram'], 'estar'),
+                ...irregularInflections(['tive', 'tiveste', 'teve', 'tivemos', 'tivestes', 'tiveram'], 'ter'),
+                ...irregularInflections(['fiz', 'fizeste', 'fez', 'fizemos', 'fizestes', 'fizeram'], 'fazer'),
+            ],
+        },
+        'pluperfect': {
+            name: 'pluperfect',
+            description: 'Simple pluperfect (mais-que-perfeito) form of a verb',
+            rules: [
+                suffixInflection('ara', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('aras', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('áramos', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('áreis', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('era', 'er', ['v_er'], ['v_er']),
+                suffixInflection('eras', 'er', ['v_er'], ['v_er']),
+                suffixInflection('êramos', 'er', ['v_er'], ['v_er']),
+                suffixInflection('êreis', 'er', ['v_er'], ['v_er']),
+                suffixInflection('ira', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('iras', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('íramos', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('íreis', 'ir', ['v_ir'], ['v_ir']),
+            ],
+        },
+        'future': {
+            name: 'future',
+            description: 'Future form of a verb',
+            rules: [
+                suffixInflection('rei', 'r', ['v'], ['v']),
+                suffixInflection('rás', 'r', ['v'], ['v']),
+                suffixInflection('rá', 'r', ['v'], ['v']),
+                suffixInflection('remos', 'r', ['v'], ['v']),
+                suffixInflection('reis', 'r', ['v'], ['v']),
+                suffixInflection('rão', 'r', ['v'], ['v']),
+                // irregular verbs
+                ...irregularInflections(['farei', 'farás', 'fará', 'faremos', 'fareis', 'farão'], 'fazer'),
+                ...irregularInflections(['direi', 'dirás', 'dirá', 'diremos', 'direis', 'dirão'], 'dizer'),
+            ],
+        },
+        'conditional': {
+            name: 'conditional',
+            description: 'Conditional form of a verb',
+            rules: [
+                suffixInflection('ria', 'r', ['v'], ['v']),
+                suffixInflection('rias', 'r', ['v'], ['v']),
+                suffixInflection('ríamos', 'r', ['v'], ['v']),
+                suffixInflection('ríeis', 'r', ['v'], ['v']),
+                suffixInflection('riam', 'r', ['v'], ['v']),
+                // irregular verbs
+                ...irregularInflections(['faria', 'farias', 'faríamos', 'faríeis', 'fariam'], 'fazer'),
+                ...irregularInflections(['diria', 'dirias', 'diríamos', 'diríeis', 'diriam'], 'dizer'),
+            ],
+        },
+        'present subjunctive': {
+            name: 'present subjunctive',
+            description: 'Present subjunctive form of a verb',
+            rules: [
+                // -ar verbs
+                suffixInflection('e', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('es', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('emos', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('eis', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('em', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('que', 'car', ['v_ar'], ['v_ar']), // 'fique' -> ficar
+                suffixInflection('gue', 'gar', ['v_ar'], ['v_ar']), // 'chegue' -> chegar
+                suffixInflection('ce', 'çar', ['v_ar'], ['v_ar']), // 'comece' -> começar
+                // -er verbs
+                suffixInflection('a', 'er', ['v_er'], ['v_er']),
+                suffixInflection('as', 'er', ['v_er'], ['v_er']),
+                suffixInflection('amos', 'er', ['v_er'], ['v_er']),
+                suffixInflection('ais', 'er', ['v_er'], ['v_er']),
+                suffixInflection('am', 'er', ['v_er'], ['v_er']),
+                // -ir verbs
+                suffixInflection('a', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('as', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('amos', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('ais', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('am', 'ir', ['v_ir'], ['v_ir']),
+                // irregular verbs
+                ...irregularInflections(['seja', 'sejas', 'sejamos', 'sejais', 'sejam'], 'ser'),
+                ...irregularInflections(['esteja', 'estejas', 'estejamos', 'estejais', 'estejam'], 'estar'),
+                ...irregularInflections(['tenha', 'tenhas', 'tenhamos', 'tenhais', 'tenham'], 'ter'),
+                ...irregularInflections(['vá', 'vás', 'vamos', 'vades', 'vão'], 'ir'),
+                ...irregularInflections(['faça', 'faças', 'façamos', 'façais', 'façam'], 'fazer'),
+            ],
+        },
+        'imperfect subjunctive': {
+            name: 'imperfect subjunctive',
+            description: 'Imperfect subjunctive form of a verb',
+            rules: [
+                suffixInflection('asse', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('asses', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('ássemos', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('ásseis', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('assem', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('esse', 'er', ['v_er'], ['v_er']),
+                suffixInflection('esses', 'er', ['v_er'], ['v_er']),
+                suffixInflection('êssemos', 'er', ['v_er'], ['v_er']),
+                suffixInflection('êsseis', 'er', ['v_er'], ['v_er']),
+                suffixInflection('essem', 'er', ['v_er'], ['v_er']),
+                suffixInflection('isse', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('isses', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('íssemos', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('ísseis', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('issem', 'ir', ['v_ir'], ['v_ir']),
+                // irregular verbs
+                ...irregularInflections(['fosse', 'fosses', 'fôssemos', 'fôsseis', 'fossem'], 'ser'),
+                ...irregularInflections(['fosse', 'fosses', 'fôssemos', 'fôsseis', 'fossem'], 'ir'),
+            ],
+        },
+        'future subjunctive': {
+            name: 'future subjunctive',
+            description: 'Future subjunctive or personal infinitive form of a verb',
+            rules: [
+                suffixInflection('res', 'r', ['v'], ['v']),
+                suffixInflection('rmos', 'r', ['v'], ['v']),
+                suffixInflection('rdes', 'r', ['v'], ['v']),
+                suffixInflection('rem', 'r', ['v'], ['v']),
+            ],
+        },
+        'imperative': {
+            name: 'imperative',
+            description: 'Imperative form of a verb',
+            rules: [
+                suffixInflection('a', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('ai', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('e', 'er', ['v_er'], ['v_er']),
+                suffixInflection('ei', 'er', ['v_er'], ['v_er']),
+                suffixInflection('e', 'ir', ['v_ir'], ['v_ir']),
+                suffixInflection('i', 'ir', ['v_ir'], ['v_ir']),
+            ],
+        },
+        'past participle': {
+            name: 'past participle',
+            description: 'Past participle of a verb',
+            rules: [
+                suffixInflection('ado', 'ar', ['adj'], ['v_ar']),
+                suffixInflection('ido', 'er', ['adj'], ['v_er']),
+                suffixInflection('ido', 'ir', ['adj'], ['v_ir']),
+                wholeWordInflection('feito', 'fazer', ['adj'], ['v']),
+                wholeWordInflection('dito', 'dizer', ['adj'], ['v']),
+            ],
+        },
+        'gerund': {
+            name: 'gerund',
+            description: 'Gerund of a verb',
+            rules: [
+                suffixInflection('ando', 'ar', ['v_ar'], ['v_ar']),
+                suffixInflection('endo', 'er', ['v_er'], ['v_er']),
+                suffixInflection('indo', 'ir', ['v_ir'], ['v_ir']),
+            ],
+        },
+        'enclitic': {
+            name: 'enclitic',
+            description: 'Verb with an attached pronoun',
+            rules: [
+                ...encliticInflections(['v'], ['v']), // 'chama-se' -> chama
+                ...infinitiveEncliticInflections('á', 'ar', ['v_ar']), // 'comprá-lo' -> comprar
+                ...infinitiveEncliticInflections('ê', 'er', ['v_er']), // 'fazê-lo' -> fazer
+                ...infinitiveEncliticInflections('i', 'ir', ['v_ir']), // 'abri-lo' -> abrir
+            ],
+        },
+    },
+};
@@ -0,0 +1,446 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {suffixInflection} from '../language-transforms.js';
+
+/** @typedef {keyof typeof conditions} Condition */
+
+const russianVowels = 'аеёиоуыэюя';
+
+const russianConsonants = 'бвгджзклмнпрстфхцчшщ';
+
+/**
+ * Rules for endings which are attached directly to a consonant, such as 'стол' -> 'стола'.
+ * Spelling the consonant out keeps forward inflection from adding the ending to words ending in a vowel.
+ * @param {string} inflectedSuffix
+ * @param {string} deinflectedSuffix
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @returns {import('language-transformer').SuffixRule<Condition>[]}
+ */
+function consonantStemInflections(inflectedSuffix, deinflectedSuffix, conditionsIn, conditionsOut) {
+    const inflections = [];
+    for (const consonant of russianConsonants) {
+        inflections.push(suffixInflection(`${consonant}${inflectedSuffix}`, `${consonant}${deinflectedSuffix}`, conditionsIn, conditionsOut));
+    }
+    return inflections;
+}
+
+/**
+ * The reflexive particle is '-сь' after a vowel and '-ся' after a consonant.
+ * @param {string} text
+ * @returns {string}
+ */
+function addReflexiveSuffix(text) {
+    return russianVowels.includes(text[text.length - 1]) ? `${text}сь` : `${text}ся`;
+}
+
+/**
+ * Rules for a set of verb endings, along with the reflexive forms of each ending, such as 'учит' and 'учится'.
+ * @param {string[]} inflectedSuffixes
+ * @param {string} deinflectedSuffix
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @returns {import('language-transformer').SuffixRule<Condition>[]}
+ */
+function verbInflections(inflectedSuffixes, deinflectedSuffix, conditionsIn, conditionsOut) {
+    const inflections = [];
+    for (const inflectedSuffix of inflectedSuffixes) {
+        inflections.push(
+            suffixInflection(inflectedSuffix, deinflectedSuffix, conditionsIn, conditionsOut),
+            suffixInflection(addReflexiveSuffix(inflectedSuffix), addReflexiveSuffix(deinflectedSuffix), conditionsIn, conditionsOut),
+        );
+    }
+    return inflections;
+}
+
+const conditions = {
+    n: {
+        name: 'Noun',
+        isDictionaryForm: true,
+        subConditions: ['ns', 'np'],
+    },
+    ns: {
+        name: 'Noun singular',
+        isDictionaryForm: false,
+        subConditions: ['n1', 'n2', 'n3'],
+    },
+    n1: {
+        name: '1st declension noun',
+        isDictionaryForm: false,
+    },
+    n2: {
+        name: '2nd declension noun',
+        isDictionaryForm: false,
+    },
+    n3: {
+        name: '3rd declension noun',
+        isDictionaryForm: false,
+    },
+    np: {
+        name: 'Noun plural',
+        isDictionaryForm: false,
+    },
+    v: {
+        name: 'Verb',
+        isDictionaryForm: true,
+        subConditions: ['v1', 'v2'],
+    },
+    v1: {
+        name: '1st conjugation verb',
+        isDictionaryForm: false,
+    },
+    v2: {
+        name: '2nd conjugation verb',
+        isDictionaryForm: false,
+    },
+    adj: {
+        name: 'Adjective',
+        isDictionaryForm: true,
+    },
+};
+
+// Case endings of nouns are deinflected to the nominative of the same number, and plural nominatives to the singular.
+// Case endings of adjectives are deinflected to the nominative of the same gender and number.
+// Finite verb forms have no conditionsIn, since nothing can be attached to them.
+/** @type {import('language-transformer').LanguageTransformDescriptor<Condition>} */
+export const russianTransforms = {
+    language: 'ru',
+    conditions,
+    transforms: {
+        'plural': {
+            name: 'plural',
+            description: 'Nominative plural of a noun or adjective',
+            rules: [
+                ...consonantStemInflections('ы', '', ['np'], ['n2']), // 'столы' -> стол
+                ...consonantStemInflections('и', '', ['np'], ['n2']), // 'ученики' -> ученик
+                ...consonantStemInflections('а', '', ['np'], ['n2']), // 'дома' -> дом
+                suffixInflection('и', 'ь', ['np'], ['n2', 'n3']), // 'словари' -> словарь, 'ночи' -> ночь
+                suffixInflection('и', 'й', ['np'], ['n2']), // 'музеи' -> музей
+                suffixInflection('а', 'о', ['np'], ['n2']), // 'окна' -> окно
+                suffixInflection('я', 'е', ['np'], ['n2']), // 'поля' -> поле
+                suffixInflection('ы', 'а', ['np'], ['n1']), // 'комнаты' -> комната
+                suffixInflection('и', 'а', ['np'], ['n1']), // 'книги' -> книга
+                suffixInflection('и', 'я', ['np'], ['n1']), // 'недели' -> неделя
+                suffixInflection('ые', 'ый', ['adj'], ['adj']),
+                suffixInflection('ие', 'ий', ['adj'], ['adj']),
+                suffixInflection('ые', 'ой', ['adj'], ['adj']), // 'молодые' -> молодой
+                suffixInflection('ие', 'ой', ['adj'], ['adj']), // 'другие' -> другой
+            ],
+        },
+        'feminine': {
+            name: 'feminine',
+            description: 'Feminine form of an adjective',
+            rules: [
+                suffixInflection('ая', 'ый', ['adj'], ['adj']),
+                suffixInflection('ая', 'ий', ['adj'], ['adj']), // 'русская' -> русский
+                suffixInflection('ая', 'ой', ['adj'], ['adj']),
+                suffixInflection('яя', 'ий', ['adj'], ['adj']), // 'синяя' -> синий
+            ],
+        },
+        'neuter': {
+            name: 'neuter',
+            description: 'Neuter form of an adjective',
+            rules: [
+                suffixInflection('ое', 'ый', ['adj'], ['adj']),
+                suffixInflection('ое', 'ий', ['adj'], ['adj']),
+                suffixInflection('ое', 'ой', ['adj'], ['adj']),
+                suffixInflection('ее', 'ий', ['adj'], ['adj']),
+            ],
+        },
+        'genitive': {
+            name: 'genitive',
+            description: 'Genitive case',
+            rules: [
+                ...consonantStemInflections('а', '', [], ['n2']), // 'стола' -> стол
+                suffixInflection('я', 'ь', [], ['n2']),
+                suffixInflection('я', 'й', [], ['n2']),
+                suffixInflection('а', 'о', [], ['n2']),
+                suffixInflection('я', 'е', [], ['n2']),
+                suffixInflection('ы', 'а', [], ['n1']),
+                suffixInflection('и', 'а', [], ['n1']),
+                suffixInflection('и', 'я', [], ['n1']),
+                suffixInflection('и', 'ь', [], ['n3']),
+                suffixInflection('ов', 'ы', [], ['np']), // 'столов' -> столы
+                suffixInflection('ов', 'и', [], ['np']), // 'учеников' -> ученики
+                suffixInflection('ов', 'а', [], ['np']), // 'домов' -> дома
+                suffixInflection('ев', 'и', [], ['np']), // 'музеев' -> музеи
+                suffixInflection('ей', 'и', [], ['np']), // 'ночей' -> ночи
+                suffixInflection('ей', 'я', [], ['np']), // 'полей' -> поля
+                suffixInflection('ий', 'ии', [], ['np']), // 'армий' -> армии
+                suffixInflection('ий', 'ия', [], ['np']), // 'зданий' -> здания
+                suffixInflection('ого', 'ый', [], ['adj']),
+                suffixInflection('ого', 'ий', [], ['adj']),
+                suffixInflection('ого', 'ой', [], ['adj']),
+                suffixInflection('его', 'ий', [], ['adj']),
+                suffixInflection('ой', 'ая', [], ['adj']),
+                suffixInflection('ей', 'яя', [], ['adj']),
+                suffixInflection('ых', 'ые', [], ['adj']),
+                suffixInflection('их', 'ие', [], ['adj']),
+            ],
+        },
+        'dative': {
+            name: 'dative',
+            description: 'Dative case',
+            rules: [
+                ...consonantStemInflections('у', '', [], ['n2']),
+                suffixInflection('ю', 'ь', [], ['n2']),
+                suffixInflection('ю', 'й', [], ['n2']),
+                suffixInflection('у', 'о', [], ['n2']),
+                suffixInflection('ю', 'е', [], ['n2']),
+                suffixInflection('е', 'а', [], ['n1']),
+                suffixInflection('е', 'я', [], ['n1']),
+                suffixInflection('и', 'ия', [], ['n1']),
+                suffixInflection('и', 'ь', [], ['n3']),
+                suffixInflection('ам', 'ы', [], ['np']),
+                suffixInflection('ам', 'и', [], ['np']),
+                suffixInflection('ам', 'а', [], ['np']),
+                suffixInflection('ям', 'и', [], ['np']),
+                suffixInflection('ям', 'я', [], ['np']),
+                suffixInflection('ому', 'ый', [], ['adj']),
+                suffixInflection('ому', 'ий', [], ['adj']),
+                suffixInflection('ому', 'ой', [], ['adj']),
+                suffixInflection('ему', 'ий', [], ['adj']),
+                suffixInflection('ой', 'ая', [], ['adj']),
+                suffixInflection('ей', 'яя', [], ['adj']),
+                suffixInflection('ым', 'ые', [], ['adj']),
+                suffixInflection('им', 'ие', [], ['adj']),
+            ],
+        },
+        'accusative': {
+            name: 'accusative',
+            description: 'Accusative case',
+            rules: [
+                ...consonantStemInflections('а', '', [], ['n2']), // Animate nouns, 'брата' -> брат
+                suffixInflection('я', 'ь', [], ['n2']),
+                suffixInflection('у', 'а', [], ['n1']),
+                suffixInflection('ю', 'я', [], ['n1']),
+                suffixInflection('ов', 'ы', [], ['np']),
+                suffixInflection('ов', 'и', [], ['np']),
+                suffixInflection('ей', 'и', [], ['np']),
+                suffixInflection('ого', 'ый', [], ['adj']),
+                suffixInflection('ого', 'ий', [], ['adj']),
+                suffixInflection('ого', 'ой', [], ['adj']),
+                suffixInflection('его', 'ий', [], ['adj']),
+                suffixInflection('ую', 'ая', [], ['adj']),
+                suffixInflection('юю', 'яя', [], ['adj']),
+                suffixInflection('ых', 'ые', [], ['adj']),
+                suffixInflection('их', 'ие', [], ['adj']),
+            ],
+        },
+        'instrumental': {
+            name: 'instrumental',
+            description: 'Instrumental case',
+            rules: [
+                ...consonantStemInflections('ом', '', [], ['n2']),
+                suffixInflection('ем', 'ь', [], ['n2']),
+                suffixInflection('ём', 'ь', [], ['n2']),
+                suffixInflection('ем', 'й', [], ['n2']),
+                suffixInflection('ом', 'о', [], ['n2']),
+                suffixInflection('ем', 'е', [], ['n2']),
+                suffixInflection('ой', 'а', [], ['n1']),
+                suffixInflection('ою', 'а', [], ['n1']),
+                suffixInflection('ей', 'а', [], ['n1']), // 'задачей' -> задача
+                suffixInflection('ей', 'я', [], ['n1']),
+                suffixInflection('ью', 'ь', [], ['n3']),
+                suffixInflection('ами', 'ы', [], ['np']),
+                suffixInflection('ами', 'и', [], ['np']),
+                suffixInflection('ами', 'а', [], ['np']),
+                suffixInflection('ями', 'и', [], ['np']),
+                suffixInflection('ями', 'я', [], ['np']),
+                suffixInflection('ым', 'ый', [], ['adj']),
+                suffixInflection('им', 'ий', [], ['adj']),
+                suffixInflection('ым', 'ой', [], ['adj']),
+                suffixInflection('им', 'ой', [], ['adj']),
+                suffixInflection('ой', 'ая', [], ['adj']),
+                suffixInflection('ою', 'ая', [], ['adj']),
+                suffixInflection('ей', 'яя', [], ['adj']),
+                suffixInflection('ыми', 'ые', [], ['adj']),
+                suffixInflection('ими', 'ие', [], ['adj']),
+            ],
+        },
+        'prepositional': {
+            name: 'prepositional',
+            description: 'Prepositional case',
+            rules: [
+                ...consonantStemInflections('е', '', [], ['n2']),
+                suffixInflection('е', 'ь', [], ['n2']),
+                suffixInflection('е', 'й', [], ['n2']),
+                suffixInflection('е', 'о', [], ['n2']),
+                suffixInflection('ии', 'ие', [], ['n2']), // 'здании' -> здание
+                suffixInflection('е', 'а', [], ['n1']),
+                suffixInflection('е', 'я', [], ['n1']),
+                suffixInflection('ии', 'ия', [], ['n1']), // 'армии' -> армия
+                suffixInflection('и', 'ь', [], ['n3']),
+                suffixInflection('ах', 'ы', [], ['np']),
+                suffixInflection('ах', 'и', [], ['np']),
+                suffixInflection('ах', 'а', [], ['np']),
+                suffixInflection('ях', 'и', [], ['np']),
+                suffixInflection('ях', 'я', [], ['np']),
+                suffixInflection('ом', 'ый', [], ['adj']),
+                suffixInflection('ом', 'ий', [], ['adj']),
+                suffixInflection('ом', 'ой', [], ['adj']),
+                suffixInflection('ем', 'ий', [], ['adj']),
+                suffixInflection('ой', 'ая', [], ['adj']),
+                suffixInflection('ей', 'яя', [], ['adj']),
+                suffixInflection('ых', 'ые', [], ['adj']),
+                suffixInflection('их', 'ие', [], ['adj']),
+            ],
+        },
+        'short form': {
+            name: 'short form',
+            description: 'Short form of an adjective, used as a predicate',
+            rules: [
+                ...consonantStemInflections('', 'ый', [], ['adj']), // 'красив' -> красивый
+                ...consonantStemInflections('а', 'ый', [], ['adj']),
+                ...consonantStemInflections('о', 'ый', [], ['adj']),
+                ...consonantStemInflections('ы', 'ый', [], ['adj']),
+            ],
+        },
+        'comparative': {
+            name: 'comparative',
+            description: 'Comparative form of an adjective',
+            rules: [
+                suffixInflection('ее', 'ый', [], ['adj']),
+                suffixInflection('ей', 'ый', [], ['adj']),
+                suffixInflection('ее', 'ий', [], ['adj']),
+            ],
+        },
+        'superlative': {
+            name: 'superlative',
+            description: 'Superlative form of an adjective',
+            rules: [
+                suffixInflection('ейший', 'ый', ['adj'], ['adj']),
+            ],
+        },
+        'non-past': {
+            name: 'non-past',
+            description: 'Present tense of an imperfective verb or future tense of a perfective verb',
+            rules: [
+                ...verbInflections(['аю', 'аешь', 'ает', 'аем', 'аете', 'ают'], 'ать', [], ['v1']),
+                ...verbInflections(['яю', 'яешь', 'яет', 'яем', 'яете', 'яют'], 'ять', [], ['v1']),
+                ...verbInflections(['ею', 'еешь', 'еет', 'еем', 'еете', 'еют'], 'еть', [], ['v1']),
+                ...verbInflections(['ую', 'уешь', 'ует', 'уем', 'уете', 'уют'], 'овать', [], ['v1']), // 'рисую' -> рисовать
+                ...verbInflections(['юю', 'юешь', 'юет', 'юем', 'юете', 'юют'], 'евать', [], ['v1']), // 'воюю' -> воевать
+                ...verbInflections(['ну', 'нешь', 'нет', 'нем', 'нете', 'нут'], 'нуть', [], ['v1']),
+                ...verbInflections(['ю', 'ишь', 'ит', 'им', 'ите', 'ят'], 'ить', [], ['v2']),
+                ...verbInflections(['у', 'ат'], 'ить', [], ['v2']), // 'учу' -> учить
+                ...verbInflections(['ю', 'ишь', 'ит', 'им', 'ите', 'ят'], 'еть', [], ['v2']),
+                ...verbInflections(['у', 'ишь', 'ит', 'им', 'ите', 'ат'], 'ать', [], ['v2']), // 'держу' -> держать
+                // Consonant mutations in the first person singular of the 2nd conjugation
+                ...verbInflections(['блю'], 'бить', [], ['v2']),
+                ...verbInflections(['плю'], 'пить', [], ['v2']),
+                ...verbInflections(['влю'], 'вить', [], ['v2']),
+                ...verbInflections(['млю'], 'мить', [], ['v2']),
+                ...verbInflections(['жу'], 'дить', [], ['v2']),
+                ...verbInflections(['жу'], 'зить', [], ['v2']),
+                ...verbInflections(['чу'], 'тить', [], ['v2']),
+                ...verbInflections(['шу'], 'сить', [], ['v2']),
+                ...verbInflections(['щу'], 'стить', [], ['v2']),
+                ...verbInflections(['жу'], 'деть', [], ['v2']),
+                ...verbInflections(['плю'], 'петь', [], ['v2']),
+                ...verbInflections(['шу'], 'сеть', [], ['v2']),
+            ],
+        },
+        'past': {
+            name: 'past',
+            description: 'Past tense',
+            rules: [
+                ...verbInflections(['л', 'ла', 'ло', 'ли'], 'ть', [], ['v']),
+            ],
+        },
+        'imperative': {
+            name: 'imperative',
+            description: 'Imperative mood',
+            rules: [
+                ...verbInflections(['ай', 'айте'], 'ать', [], ['v1']),
+                ...verbInflections(['яй', 'яйте'], 'ять', [], ['v1']),
+                ...verbInflections(['ей', 'ейте'], 'еть', [], ['v1']),
+                ...verbInflections(['уй', 'уйте'], 'овать', [], ['v1']),
+                ...verbInflections(['юй', 'юйте'], 'евать', [], ['v1']),
+                ...verbInflections(['ни', 'ните'], 'нуть', [], ['v1']),
+                ...verbInflections(['и', 'ите'], 'ить', [], ['v2']),
+                ...verbInflections(['ь', 'ьте'], 'ить', [], ['v2']), // 'готовь' -> готовить
+                ...verbInflections(['и', 'ите'], 'еть', [], ['v2']),
+                ...verbInflections(['и', 'ите'], 'ать', [], ['v2']),
+            ],
+        },
+        'present active participle': {
+            name: 'present active participle',
+            description: 'Present active participle, declined as an adjective',
+            rules: [
+                suffixInflection('ающий', 'ать', ['adj'], ['v1']),
+                suffixInflection('яющий', 'ять', ['adj'], ['v1']),
+                suffixInflection('еющий', 'еть', ['adj'], ['v1']),
+                suffixInflection('ующий', 'овать', ['adj'], ['v1']),
+                suffixInflection('ящий', 'ить', ['adj'], ['v2']),
+                suffixInflection('ящий', 'еть', ['adj'], ['v2']),
+                suffixInflection('ащий', 'ать', ['adj'], ['v2']),
+            ],
+        },
+        'past active participle': {
+            name: 'past active participle',
+            description: 'Past active participle, declined as an adjective',
+            rules: [
+                suffixInflection('вший', 'ть', ['adj'], ['v']),
+            ],
+        },
+        'present passive participle': {
+            name: 'present passive participle',
+            description: 'Present passive participle, declined as an adjective',
+            rules: [
+                suffixInflection('аемый', 'ать', ['adj'], ['v1']),
+                suffixInflection('яемый', 'ять', ['adj'], ['v1']),
+                suffixInflection('имый', 'ить', ['adj'], ['v2']),
+            ],
+        },
+        'past passive participle': {
+            name: 'past passive participle',
+            description: 'Past passive participle, declined as an adjective',
+            rules: [
+                suffixInflection('анный', 'ать', ['adj'], ['v1']),
+                suffixInflection('янный', 'ять', ['adj'], ['v1']),
+                suffixInflection('енный', 'ить', ['adj'], ['v2']),
+                suffixInflection('ённый', 'ить', ['adj'], ['v2']),
+                suffixInflection('тый', 'ть', ['adj'], ['v']), // 'открытый' -> открыть
+            ],
+        },
+        'adverbial participle': {
+            name: 'adverbial participle',
+            description: 'Adverbial participle (деепричастие)',
+            rules: [
+                ...verbInflections(['ая'], 'ать', [], ['v1']),
+                ...verbInflections(['яя'], 'ять', [], ['v1']),
+                ...verbInflections(['я'], 'ить', [], ['v2']),
+                ...verbInflections(['я'], 'еть', [], ['v2']),
+                ...verbInflections(['вши'], 'ть', [], ['v']),
+                suffixInflection('в', 'ть', [], ['v']),
+            ],
+        },
+        'imperfective': {
+            name: 'imperfective',
+            description: 'Secondary imperfective derived from a perfective verb',
+            rules: [
+                ...verbInflections(['ывать'], 'ать', ['v'], ['v']), // 'рассказывать' -> рассказать
+                ...verbInflections(['ывать'], 'ыть', ['v'], ['v']), // 'закрывать' -> закрыть
+                ...verbInflections(['ивать'], 'ать', ['v'], ['v']),
+                ...verbInflections(['авать'], 'ать', ['v'], ['v']), // 'вставать' -> встать
+                ...verbInflections(['аивать'], 'оить', ['v'], ['v']), // 'устраивать' -> устроить
+            ],
+        },
+    },
+};
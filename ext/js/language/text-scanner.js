@@ -73,6 +73,8 @@ export class TextScanner extends EventDispatcher {
         this._excludeSelector = null;
         /** @type {?string} */
         this._language = null;
+        /** @type {?Promise<Set<string>>} */
+        this._separableParticleLanguagesPromise = null;
 
         /** @type {?import('text-scanner').InputInfo} */
         this._inputInfoCurrent = null;
@@ -1289,6 +1291,24 @@ export class TextScanner extends EventDispatcher {
         /** @type {import('api').FindTermsDetails} */
         const details = {};
         if (this._matchTypePrefix) { details.matchType = 'prefix'; }
+
+        // The surrounding sentence is passed to the lookup so that a separated verb particle further along in it can be used.
+        // It is extracted from the first scanned word, since the scanned text can reach past the end of the sentence.
+        if (await this._hasSeparableParticles()) {
+            const wordMatch = /^\p{Letter}+/u.exec(searchText);
+            const wordSource = textSource.clone();
+            wordSource.setEndOffset(wordMatch !== null ? wordMatch[0].length : 1, false, layoutAwareScan);
+            details.sentence = this._textSourceGenerator.extractSentence(
+                wordSource,
+                layoutAwareScan,
+                sentenceScanExtent,
+                sentenceTerminateAtNewlines,
+                sentenceTerminatorMap,
+                sentenceForwardQuoteMap,
+                sentenceBackwardQuoteMap,
+            );
+        }
+
         const {dictionaryEntries, originalTextLength} = await this._api.termsFind(searchText, details, optionsContext);
         if (dictionaryEntries.length === 0) { return null; }
 
@@ -1643,6 +1663,30 @@ export class TextScanner extends EventDispatcher {
         }
     }
 
+    /**
+     * @returns {Promise<boolean>}
+     */
+    async _hasSeparableParticles() {
+        if (this._language === null) { return false; }
+        if (this._separableParticleLanguagesPromise === null) {
+            this._separableParticleLanguagesPromise = this._getSeparableParticleLanguages();
+        }
+        try {
+            return (await this._separableParticleLanguagesPromise).has(this._language);
+        } catch (e) {
+            this._separableParticleLanguagesPromise = null;
+            return false;
+        }
+    }
+
+    /**
+     * @returns {Promise<Set<string>>}
+     */
+    async _getSeparableParticleLanguages() {
+        const languageSummaries = await this._api.getLanguageSummaries();
+        return new Set(languageSummaries.filter(({hasSeparableParticles}) => hasSeparableParticles).map(({iso}) => iso));
+    }
+
     /**
      * @param {string} text
      * @returns {Promise<boolean>}
@@ -27,3 +27,59 @@ export function getLanguageFromText(text) {
     if (isStringPartiallyJapanese(text)) { return 'ja'; }
     return null;
 }
+
+/**
+ * Gets the words of the clause which starts at the given position of a sentence.
+ * The clause ends at the first punctuation which separates clauses or ends the sentence, such as a comma or a full stop.
+ * @param {string} sentence
+ * @param {number} offset
+ * @returns {import('language').TextWord[]}
+ */
+export function getClauseWords(sentence, offset) {
+    const clauseText = sentence.substring(offset).split(/[,;:()\u2013\u2014.!?]/, 1)[0];
+    const words = [];
+    for (const match of clauseText.matchAll(/\p{Letter}+/gu)) {
+        words.push({text: match[0], offset: offset + /** @type {number} */ (match.index)});
+    }
+    return words;
+}
+
+/**
+ * Gets the number of insertions, deletions, substitutions and transpositions of adjacent characters
+ * which are needed to change one string into another.
+ * @param {string} source
+ * @param {string} target
+ * @param {number} maxDistance The distance above which the calculation is stopped early.
+ * @returns {number} The distance, or `maxDistance + 1` if the distance is larger than `maxDistance`.
+ */
+export function getEditDistance(source, target, maxDistance) {
+    const sourceCharacters = [...source];
+    const targetCharacters = [...target];
+    if (Math.abs(sourceCharacters.length - targetCharacters.length) > maxDistance) { return maxDistance + 1; }
+
+    /** @type {number[]} */
+    let previousRow2 = [];
+    /** @type {number[]} */
+    let previousRow = [];
+    for (let j = 0; j <= targetCharacters.length; ++j) {
+        previousRow.push(j);
+    }
+    for (let i = 1; i <= sourceCharacters.length; ++i) {
+        const row = [i];
+        let rowMinimum = i;
+        for (let j = 1; j <= targetCharacters.length; ++j) {
+            const cost = sourceCharacters[i - 1] === targetCharacters[j - 1] ? 0 : 1;
+            let distance = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost);
+            if (i > 1 && j > 1 && sourceCharacters[i - 1] === targetCharacters[j - 2] && sourceCharacters[i - 2] === targetCharacters[j - 1]) {
+                distance = Math.min(distance, previousRow2[j - 2] + 1);
+            }
+            row.push(distance);
+            rowMinimum = Math.min(rowMinimum, distance);
+        }
+        // The minimum of the rows never decreases, so the distance can only be larger than the maximum from here on
+        if (rowMinimum > maxDistance) { return maxDistance + 1; }
+        previousRow2 = previousRow;
+        previousRow = row;
+    }
+    return Math.min(previousRow[targetCharacters.length], maxDistance + 1);
+}
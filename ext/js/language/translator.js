@@ -16,11 +16,14 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
+import {getGlossaryMatchProminence, getTextWords} from '../dictionary/dictionary-glossary-util.js';
 import {applyTextReplacement} from '../general/regex-util.js';
 import {isCodePointJapanese} from './ja/japanese.js';
 import {LanguageTransformer} from './language-transformer.js';
-import {getAllLanguageReadingNormalizers, getAllLanguageTextProcessors} from './languages.js';
+import {getAllLanguageCompoundLinkingElements, getAllLanguageDefiniteArticles, getAllLanguageReadingNormalizers, getAllLanguageSeparableParticles, getAllLanguageTermSuggestionPreprocessors, getAllLanguageTextProcessors, isWordSegmentationRequired} from './languages.js';
 import {MultiLanguageTransformer} from './multi-language-transformer.js';
+import {getClauseWords, getEditDistance} from './text-utilities.js';
+import {segmentWords} from './word-segmenter.js';
 import {isCodePointChinese} from './zh/chinese.js';
 
 /**
@@ -45,6 +48,24 @@ export class Translator {
         this._textProcessors = new Map();
         /** @type {import('translation-internal').ReadingNormalizerMap} */
         this._readingNormalizers = new Map();
+        /** @type {Map<string, string[]>} */
+        this._compoundLinkingElements = new Map();
+        /** @type {number} */
+        this._compoundPartMinLength = 3;
+        /** @type {Map<string, Set<string>>} */
+        this._separableParticles = new Map();
+        /** @type {Map<string, import('language').DefiniteArticles>} */
+        this._definiteArticles = new Map();
+        /** @type {Map<string, import('language').TextProcessorWithId<unknown>[]>} */
+        this._termSuggestionPreprocessors = new Map();
+        /** @type {number} */
+        this._termSuggestionMinLength = 4;
+        /** @type {number} */
+        this._termSuggestionPrefixLength = 2;
+        /** @type {number} */
+        this._termSuggestionCandidateMaxCount = 20000;
+        /** @type {number} */
+        this._termSuggestionMaxCount = 5;
     }
 
     /**
@@ -58,6 +79,18 @@ export class Translator {
         for (const {iso, readingNormalizer} of getAllLanguageReadingNormalizers()) {
             this._readingNormalizers.set(iso, readingNormalizer);
         }
+        for (const {iso, compoundLinkingElements} of getAllLanguageCompoundLinkingElements()) {
+            this._compoundLinkingElements.set(iso, compoundLinkingElements);
+        }
+        for (const {iso, separableParticles} of getAllLanguageSeparableParticles()) {
+            this._separableParticles.set(iso, new Set(separableParticles));
+        }
+        for (const {iso, definiteArticles} of getAllLanguageDefiniteArticles()) {
+            this._definiteArticles.set(iso, definiteArticles);
+        }
+        for (const {iso, textPreprocessors} of getAllLanguageTermSuggestionPreprocessors()) {
+            this._termSuggestionPreprocessors.set(iso, textPreprocessors);
+        }
     }
 
     /**
@@ -76,22 +109,43 @@ export class Translator {
      * @returns {Promise<{dictionaryEntries: import('dictionary').TermDictionaryEntry[], originalTextLength: number}>} An object containing dictionary entries and the length of the original source text.
      */
     async findTerms(mode, text, options) {
-        const {enabledDictionaryMap, excludeDictionaryDefinitions, sortFrequencyDictionary, sortFrequencyDictionaryOrder, language} = options;
+        const {enabledDictionaryMap, excludeDictionaryDefinitions, sortFrequencyDictionary, sortFrequencyDictionaryOrder, language, compoundSplitting, searchGlossary} = options;
+        if (!searchGlossary && isWordSegmentationRequired(language)) {
+            text = await this._getFirstSegmentedWord(text, options);
+        }
         const tagAggregator = new TranslatorTagAggregator();
-        let {dictionaryEntries, originalTextLength} = await this._findTermsInternal(text, options, tagAggregator);
+        let {dictionaryEntries, originalTextLength} = await (
+            searchGlossary ?
+            this._findTermsByGlossaryInternal(text, options, tagAggregator) :
+            this._findTermsInternal(text, options, tagAggregator)
+        );
 
-        switch (mode) {
-            case 'group':
-                dictionaryEntries = this._groupDictionaryEntriesByHeadword(language, dictionaryEntries, tagAggregator);
-                break;
-            case 'merge':
-                dictionaryEntries = await this._getRelatedDictionaryEntries(dictionaryEntries, options, tagAggregator);
-                break;
+        // Compound components are processed as separate groups so that they stay in order
+        /** @type {import('dictionary').TermCompoundPart[]} */
+        let compoundParts = [];
+        let dictionaryEntryGroups = [dictionaryEntries];
+        if (compoundSplitting && !searchGlossary) {
+            const compoundInfo = await this._findCompoundTermsInternal(text, originalTextLength, options, tagAggregator);
+            if (compoundInfo !== null) {
+                ({parts: compoundParts, dictionaryEntryGroups, originalTextLength} = compoundInfo);
+            }
         }
 
-        if (excludeDictionaryDefinitions !== null) {
-            this._removeExcludedDefinitions(dictionaryEntries, excludeDictionaryDefinitions);
+        for (let i = 0, ii = dictionaryEntryGroups.length; i < ii; ++i) {
+            switch (mode) {
+                case 'group':
+                    dictionaryEntryGroups[i] = this._groupDictionaryEntriesByHeadword(language, dictionaryEntryGroups[i], tagAggregator);
+                    break;
+                case 'merge':
+                    dictionaryEntryGroups[i] = await this._getRelatedDictionaryEntries(dictionaryEntryGroups[i], options, tagAggregator);
+                    break;
+            }
+
+            if (excludeDictionaryDefinitions !== null) {
+                this._removeExcludedDefinitions(dictionaryEntryGroups[i], excludeDictionaryDefinitions);
+            }
         }
+        dictionaryEntries = dictionaryEntryGroups.flat();
 
         if (mode !== 'simple') {
             await this._addTermMeta(dictionaryEntries, enabledDictionaryMap, tagAggregator);
@@ -111,8 +165,22 @@ export class Translator {
         if (sortFrequencyDictionary !== null) {
             this._updateSortFrequencies(dictionaryEntries, sortFrequencyDictionary, sortFrequencyDictionaryOrder === 'ascending');
         }
-        if (dictionaryEntries.length > 1) {
-            this._sortTermDictionaryEntries(dictionaryEntries);
+        for (const dictionaryEntryGroup of dictionaryEntryGroups) {
+            if (dictionaryEntryGroup.length > 1) {
+                this._sortTermDictionaryEntries(dictionaryEntryGroup);
+                if (searchGlossary) {
+                    this._sortTermDictionaryEntriesByGlossaryProminence(dictionaryEntryGroup, getTextWords(text));
+                }
+            }
+        }
+        dictionaryEntries = dictionaryEntryGroups.flat();
+        if (compoundParts.length > 0) {
+            const compoundText = text.substring(0, originalTextLength);
+            for (const [partIndex, dictionaryEntryGroup] of dictionaryEntryGroups.entries()) {
+                for (const dictionaryEntry of dictionaryEntryGroup) {
+                    dictionaryEntry.compound = {text: compoundText, parts: compoundParts, partIndex};
+                }
+            }
         }
         for (const {definitions, frequencies, pronunciations} of dictionaryEntries) {
             this._flagRedundantDefinitionTags(definitions);
@@ -121,6 +189,13 @@ export class Translator {
             if (pronunciations.length > 1) { this._sortTermDictionaryEntrySimpleData(pronunciations); }
         }
 
+        const definiteArticles = this._definiteArticles.get(language);
+        if (typeof definiteArticles !== 'undefined') {
+            for (const dictionaryEntry of dictionaryEntries) {
+                this._addTermHeadwordGenders(dictionaryEntry, definiteArticles, enabledDictionaryMap);
+            }
+        }
+
         const withUserFacingInflections = this._addUserFacingInflections(language, dictionaryEntries);
 
         return {dictionaryEntries: withUserFacingInflections, originalTextLength};
@@ -211,6 +286,68 @@ export class Translator {
         return results;
     }
 
+    /**
+     * Finds headwords which are spelled similarly to a text, which can be suggested when the text has no results.
+     * The variants of the text which are created by the text preprocessors of the language, along with its term suggestion preprocessors,
+     * are compared with the headwords which start with the same characters, so spellings like "ss" for "ß" are not counted as typos.
+     * @param {string} text The text to find similar headwords for.
+     * @param {string} language The language of the text.
+     * @param {string[]} dictionaries An array of dictionary names.
+     * @returns {Promise<string[]>} The similar headwords, with the most similar headwords first.
+     */
+    async findTermSuggestions(text, language, dictionaries) {
+        text = text.trim();
+        const textLength = [...text].length;
+        if (textLength < this._termSuggestionMinLength) { return []; }
+
+        const processorsForLanguage = this._textProcessors.get(language);
+        const textPreprocessors = [
+            ...(typeof processorsForLanguage !== 'undefined' ? processorsForLanguage.textPreprocessors : []),
+            ...(this._termSuggestionPreprocessors.get(language) ?? []),
+        ];
+        const variants = new Set(this._getTextVariants(text, textPreprocessors, [null], new Map()).keys());
+        const maxDistance = textLength <= 5 ? 1 : 2;
+
+        /** @type {Set<string>} */
+        const prefixes = new Set();
+        for (const variant of variants) {
+            prefixes.add([...variant].slice(0, this._termSuggestionPrefixLength).join(''));
+        }
+        const terms = await this._database.findTermTextsWithPrefixBulk([...prefixes], this._termSuggestionCandidateMaxCount);
+
+        /** @type {{term: string, distance: number}[]} */
+        const candidates = [];
+        for (const term of terms) {
+            if (variants.has(term)) { continue; }
+            let distance = maxDistance + 1;
+            for (const variant of variants) {
+                distance = Math.min(distance, getEditDistance(variant, term, maxDistance));
+            }
+            if (distance <= maxDistance) {
+                candidates.push({term, distance});
+            }
+        }
+        if (candidates.length === 0) { return []; }
+        candidates.sort((v1, v2) => (v1.distance - v2.distance) || this._stringComparer.compare(v1.term, v2.term));
+
+        // Only suggest headwords which have entries in the enabled dictionaries
+        const candidateTerms = candidates.map(({term}) => term);
+        const databaseEntries = await this._database.findTermsBulk(candidateTerms, new Set(dictionaries), 'exact');
+        const foundIndices = new Set(databaseEntries.map(({index}) => index));
+        return candidateTerms.filter((_term, index) => foundIndices.has(index)).slice(0, this._termSuggestionMaxCount);
+    }
+
+    /**
+     * Generates the inflected forms of a term from the forward rules of the language's transforms.
+     * @param {string} language The language of the term.
+     * @param {string} term The dictionary form of the term.
+     * @param {string[]} wordClasses The word classes of the term, as found in the dictionary.
+     * @returns {import('language-transformer').InflectionTable} The forms generated by each transform.
+     */
+    getInflectionTable(language, term, wordClasses) {
+        return this._multiLanguageTransformer.getInflectionTable(language, term, wordClasses);
+    }
+
     // Find terms internal implementation
 
     /**
@@ -229,10 +366,225 @@ export class Translator {
         }
 
         const deinflections = await this._getDeinflections(text, options);
+        if (options.sentence !== null) {
+            deinflections.push(...await this._getSeparableVerbDeinflections(text, options.sentence, options));
+        }
 
         return this._getDictionaryEntries(deinflections, enabledDictionaryMap, tagAggregator);
     }
 
+    /**
+     * Finds terms whose glossaries contain all of the words of the text.
+     * @param {string} text
+     * @param {import('translation').FindTermsOptions} options
+     * @param {TranslatorTagAggregator} tagAggregator
+     * @returns {Promise<{dictionaryEntries: import('translation-internal').TermDictionaryEntry[], originalTextLength: number}>}
+     */
+    async _findTermsByGlossaryInternal(text, options, tagAggregator) {
+        const words = getTextWords(text);
+        if (words.length === 0) {
+            return {dictionaryEntries: [], originalTextLength: 0};
+        }
+
+        const {enabledDictionaryMap} = options;
+        const databaseEntries = await this._database.findTermsByGlossary(words, enabledDictionaryMap);
+
+        // Each word is searched separately, so an entry matches once for every word its glossary contains
+        /** @type {Map<number, number>} */
+        const matchCounts = new Map();
+        for (const {id} of databaseEntries) {
+            matchCounts.set(id, (matchCounts.get(id) ?? 0) + 1);
+        }
+
+        const deinflection = this._createDeinflection(text, text, text, 0, [], []);
+        for (const databaseEntry of databaseEntries) {
+            const {id} = databaseEntry;
+            if (matchCounts.get(id) !== words.length) { continue; }
+            matchCounts.delete(id);
+            deinflection.databaseEntries.push(databaseEntry);
+        }
+
+        return this._getDictionaryEntries([deinflection], enabledDictionaryMap, tagAggregator);
+    }
+
+    /**
+     * Reconstructs a separable verb from the first word of the text and a particle at the end of the same clause,
+     * such as "anrufen" from "ruft" in "Er ruft seine Mutter morgen an".
+     * @param {string} text
+     * @param {import('translation').FindTermsSentence} sentence
+     * @param {import('translation').FindTermsOptions} options
+     * @returns {Promise<import('translation-internal').DatabaseDeinflection[]>}
+     */
+    async _getSeparableVerbDeinflections(text, sentence, options) {
+        const {language, enabledDictionaryMap} = options;
+        const separableParticles = this._separableParticles.get(language);
+        if (typeof separableParticles === 'undefined') { return []; }
+
+        const wordMatch = /^\p{Letter}+/u.exec(text);
+        if (wordMatch === null) { return []; }
+        const word = wordMatch[0];
+
+        const clauseWords = getClauseWords(sentence.text, sentence.offset);
+        if (clauseWords.length < 2 || clauseWords[0].text !== word) { return []; }
+        const particle = clauseWords[clauseWords.length - 1].text.toLowerCase();
+        if (!separableParticles.has(particle)) { return []; }
+
+        /** @type {import('translation').FindTermsOptions} */
+        const combinedOptions = {...options, searchResolution: 'word'};
+        const deinflections = [];
+        for (const {transformedText, deinflectedText, conditions, textProcessorRuleChainCandidates, inflectionRuleChainCandidates} of this._getAlgorithmDeinflections(particle + word.toLowerCase(), combinedOptions)) {
+            const reconstructedRuleChainCandidates = inflectionRuleChainCandidates.map(({source, inflectionRules}) => ({
+                source,
+                inflectionRules: [...inflectionRules, 'separated prefix'],
+            }));
+            deinflections.push(this._createDeinflection(word, transformedText, deinflectedText, conditions, textProcessorRuleChainCandidates, reconstructedRuleChainCandidates));
+        }
+
+        await this._addEntriesToDeinflections(language, deinflections, enabledDictionaryMap, 'exact');
+        this._removeFormOfDefinitions(deinflections);
+        return deinflections.filter((deinflection) => deinflection.databaseEntries.length > 0);
+    }
+
+    /**
+     * Gets the first word of text which is written without spaces between words,
+     * so that the lookup doesn't extend past the end of the word into the next one.
+     * @param {string} text
+     * @param {import('translation').FindTermsOptions} options
+     * @returns {Promise<string>}
+     */
+    async _getFirstSegmentedWord(text, options) {
+        const {language, enabledDictionaryMap} = options;
+        /** @type {import('translation').FindTermsOptions} */
+        const wordOptions = {...options, searchResolution: 'letter'};
+        /** @type {import('translation-internal').DatabaseDeinflection[][]} */
+        const positionDeinflections = [];
+        for (let i = 0, ii = text.length; i < ii; ++i) {
+            positionDeinflections.push(this._getAlgorithmDeinflections(text.substring(i), wordOptions));
+        }
+        await this._addEntriesToDeinflections(language, positionDeinflections.flat(), enabledDictionaryMap, 'exact');
+
+        const wordLengths = positionDeinflections.map((deinflections) => {
+            /** @type {Set<number>} */
+            const lengths = new Set();
+            for (const {originalText, databaseEntries} of deinflections) {
+                if (databaseEntries.length > 0) { lengths.add(originalText.length); }
+            }
+            return [...lengths];
+        });
+        const segments = segmentWords(text, wordLengths);
+        return segments.length > 0 ? segments[0].text : text;
+    }
+
+    /**
+     * Splits the first word of the text into dictionary-attested components if no dictionary entry covers the whole word.
+     * @param {string} text
+     * @param {number} originalTextLength The length of the longest text which was matched without splitting.
+     * @param {import('translation').FindTermsOptions} options
+     * @param {TranslatorTagAggregator} tagAggregator
+     * @returns {Promise<?{parts: import('dictionary').TermCompoundPart[], dictionaryEntryGroups: import('translation-internal').TermDictionaryEntry[][], originalTextLength: number}>}
+     */
+    async _findCompoundTermsInternal(text, originalTextLength, options, tagAggregator) {
+        const {language, enabledDictionaryMap} = options;
+        const linkingElements = this._compoundLinkingElements.get(language);
+        if (typeof linkingElements === 'undefined') { return null; }
+
+        const wordMatch = /^\p{Letter}+/u.exec(text);
+        if (wordMatch === null) { return null; }
+        const word = wordMatch[0];
+        if (word.length <= originalTextLength || word.length < this._compoundPartMinLength * 2) { return null; }
+
+        const compoundSplit = await this._splitCompound(word, linkingElements, options);
+        if (compoundSplit === null) { return null; }
+
+        const {parts, deinflections} = compoundSplit;
+        const dictionaryEntryGroups = deinflections.map((partDeinflections) => this._getDictionaryEntries(partDeinflections, enabledDictionaryMap, tagAggregator).dictionaryEntries);
+        return {parts, dictionaryEntryGroups, originalTextLength: word.length};
+    }
+
+    /**
+     * Finds the split of a word into the fewest dictionary-attested components.
+     * Only the final component may be inflected, and each component may be followed by a linking element.
+     * @param {string} word
+     * @param {string[]} linkingElements
+     * @param {import('translation').FindTermsOptions} options
+     * @returns {Promise<?import('translation-internal').CompoundSplit>}
+     */
+    async _splitCompound(word, linkingElements, options) {
+        const {language, enabledDictionaryMap} = options;
+        /** @type {import('translation').FindTermsOptions} */
+        const componentOptions = {...options, matchType: 'exact', searchResolution: 'letter'};
+        const minLength = this._compoundPartMinLength;
+        const visitedPositions = new Set([0]);
+
+        /** @type {import('translation-internal').CompoundSplitCandidate[]} */
+        let candidates = [{position: 0, parts: [], deinflections: []}];
+        while (candidates.length > 0) {
+            /** @type {import('translation-internal').DatabaseDeinflection[][]} */
+            const candidateDeinflections = [];
+            for (const {position} of candidates) {
+                const deinflections = this._getAlgorithmDeinflections(word.substring(position), componentOptions);
+                candidateDeinflections.push(deinflections.filter(({originalText}) => originalText.length >= minLength));
+            }
+            const allDeinflections = candidateDeinflections.flat();
+            await this._addEntriesToDeinflections(language, allDeinflections, enabledDictionaryMap, 'exact');
+            this._removeFormOfDefinitions(allDeinflections);
+
+            /** @type {import('translation-internal').CompoundSplitCandidate[]} */
+            const nextCandidates = [];
+            for (const [i, {position, parts, deinflections}] of candidates.entries()) {
+                /** @type {Map<number, import('translation-internal').DatabaseDeinflection[]>} */
+                const deinflectionsByLength = new Map();
+                for (const deinflection of candidateDeinflections[i]) {
+                    if (deinflection.databaseEntries.length === 0) { continue; }
+                    const {length} = deinflection.originalText;
+                    const isFinal = (position + length === word.length);
+                    if (!isFinal && deinflection.inflectionRuleChainCandidates.some(({inflectionRules}) => inflectionRules.length > 0)) { continue; }
+                    let lengthDeinflections = deinflectionsByLength.get(length);
+                    if (typeof lengthDeinflections === 'undefined') {
+                        lengthDeinflections = [];
+                        deinflectionsByLength.set(length, lengthDeinflections);
+                    }
+                    lengthDeinflections.push(deinflection);
+                }
+
+                const finalDeinflections = deinflectionsByLength.get(word.length - position);
+                if (typeof finalDeinflections !== 'undefined' && parts.length > 0) {
+                    return {
+                        parts: [...parts, {text: word.substring(position), linkingElement: ''}],
+                        deinflections: [...deinflections, finalDeinflections],
+                    };
+                }
+
+                // Longer components are tried first
+                const lengths = [...deinflectionsByLength.keys()].sort((a, b) => b - a);
+                for (const length of lengths) {
+                    const partEnd = position + length;
+                    /** @type {[linkingElement: string, nextPosition: number][]} */
+                    const continuations = [];
+                    for (const linkingElement of ['', ...linkingElements]) {
+                        if (!word.startsWith(linkingElement, partEnd)) { continue; }
+                        continuations.push([linkingElement, partEnd + linkingElement.length]);
+                    }
+                    // A tripled letter may be shortened to two, as in "Schiffahrt" for "Schiff" + "Fahrt"
+                    if (word[partEnd - 1] === word[partEnd - 2] && word[partEnd - 1] !== word[partEnd]) {
+                        continuations.push(['', partEnd - 1]);
+                    }
+                    for (const [linkingElement, nextPosition] of continuations) {
+                        if (nextPosition + minLength > word.length || visitedPositions.has(nextPosition)) { continue; }
+                        visitedPositions.add(nextPosition);
+                        nextCandidates.push({
+                            position: nextPosition,
+                            parts: [...parts, {text: word.substring(position, partEnd), linkingElement}],
+                            deinflections: [...deinflections, /** @type {import('translation-internal').DatabaseDeinflection[]} */ (deinflectionsByLength.get(length))],
+                        });
+                    }
+                }
+            }
+            candidates = nextCandidates;
+        }
+        return null;
+    }
+
     /**
      * @param {import('translation-internal').DatabaseDeinflection[]} deinflections
      * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap
@@ -377,17 +729,27 @@ export class Translator {
         await this._addEntriesToDeinflections(language, deinflections, enabledDictionaryMap, matchType);
 
         const dictionaryDeinflections = await this._getDictionaryDeinflections(language, deinflections, enabledDictionaryMap, matchType);
-        deinflections.push(...dictionaryDeinflections);
+        const termMetaDeinflections = await this._getTermMetaDeinflections(language, deinflections, enabledDictionaryMap, matchType);
+        deinflections.push(...dictionaryDeinflections, ...termMetaDeinflections);
+
+        this._removeFormOfDefinitions(deinflections);
+        deinflections = deinflections.filter((deinflection) => deinflection.databaseEntries.length);
 
+        return deinflections;
+    }
+
+    /**
+     * Removes form-of definitions from the database entries of the deinflections,
+     * along with any database entries which have no definitions left.
+     * @param {import('translation-internal').DatabaseDeinflection[]} deinflections
+     */
+    _removeFormOfDefinitions(deinflections) {
         for (const deinflection of deinflections) {
             for (const entry of deinflection.databaseEntries) {
                 entry.definitions = entry.definitions.filter((definition) => !Array.isArray(definition));
             }
             deinflection.databaseEntries = deinflection.databaseEntries.filter((entry) => entry.definitions.length);
         }
-        deinflections = deinflections.filter((deinflection) => deinflection.databaseEntries.length);
-
-        return deinflections;
     }
 
     /**
@@ -431,6 +793,43 @@ export class Translator {
         return dictionaryDeinflections;
     }
 
+    /**
+     * Creates deinflections for the lemmas of the `form` term meta entries of the deinflected texts.
+     * @param {string} language
+     * @param {import('translation-internal').DatabaseDeinflection[]} deinflections
+     * @param {Map<string, import('translation').FindTermDictionary>} enabledDictionaryMap
+     * @param {import('dictionary').TermSourceMatchType} matchType
+     * @returns {Promise<import('translation-internal').DatabaseDeinflection[]>}
+     */
+    async _getTermMetaDeinflections(language, deinflections, enabledDictionaryMap, matchType) {
+        const uniqueDeinflectionsMap = this._groupDeinflectionsByTerm(deinflections);
+        const uniqueDeinflectionArrays = [...uniqueDeinflectionsMap.values()];
+        const uniqueDeinflectionTerms = [...uniqueDeinflectionsMap.keys()];
+
+        /** @type {import('translation-internal').DatabaseDeinflection[]} */
+        const termMetaDeinflections = [];
+        const metas = await this._database.findTermMetaBulk(uniqueDeinflectionTerms, enabledDictionaryMap);
+        for (const meta of metas) {
+            if (meta.mode !== 'form') { continue; }
+            const {data: {lemma, inflectionRules}, dictionary, index} = meta;
+            const useDeinflections = enabledDictionaryMap.get(dictionary)?.useDeinflections ?? true;
+            if (!useDeinflections) { continue; }
+            for (const {originalText, transformedText, textProcessorRuleChainCandidates, inflectionRuleChainCandidates: algorithmChains} of uniqueDeinflectionArrays[index]) {
+                const inflectionRuleChainCandidates = algorithmChains.map(({inflectionRules: algInflections}) => {
+                    return {
+                        source: /** @type {import('dictionary').InflectionSource} */ (algInflections.length === 0 ? 'dictionary' : 'both'),
+                        inflectionRules: [...algInflections, ...inflectionRules],
+                    };
+                });
+                termMetaDeinflections.push(this._createDeinflection(originalText, transformedText, lemma, 0, textProcessorRuleChainCandidates, inflectionRuleChainCandidates));
+            }
+        }
+
+        await this._addEntriesToDeinflections(language, termMetaDeinflections, enabledDictionaryMap, matchType);
+
+        return termMetaDeinflections;
+    }
+
     /**
      * @param {string} language
      * @param {import('translation-internal').DatabaseDeinflection[]} deinflections
@@ -1163,6 +1562,143 @@ export class Translator {
         }
     }
 
+    // Grammatical gender
+
+    /**
+     * Assigns the grammatical gender, definite article and plural of each headword,
+     * using the gender tags configured for each dictionary and any structured content
+     * marked with `data.content` values of `gender` or `plural`.
+     * @param {import('translation-internal').TermDictionaryEntry} dictionaryEntry
+     * @param {import('language').DefiniteArticles} definiteArticles
+     * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap
+     */
+    _addTermHeadwordGenders({headwords, definitions}, definiteArticles, enabledDictionaryMap) {
+        for (const headword of headwords) {
+            for (const {name, dictionaries} of headword.tags) {
+                const gender = this._getTagGrammaticalGender(name, dictionaries, enabledDictionaryMap);
+                if (gender === null) { continue; }
+                this._setTermHeadwordGender(headword, gender, definiteArticles);
+                break;
+            }
+        }
+
+        for (const {headwordIndices, dictionary, tags, entries} of definitions) {
+            /** @type {?import('language').GrammaticalGender} */
+            let gender = null;
+            for (const {name} of tags) {
+                gender = this._getTagGrammaticalGender(name, [dictionary], enabledDictionaryMap);
+                if (gender !== null) { break; }
+            }
+
+            /** @type {import('translation-internal').StructuredContentGrammaticalInfo} */
+            const info = {gender: null, plural: null};
+            for (const entry of entries) {
+                if (typeof entry === 'object' && entry.type === 'structured-content') {
+                    this._getStructuredContentGrammaticalInfo(entry.content, info);
+                }
+            }
+            if (gender === null && info.gender !== null) {
+                gender = this._getGrammaticalGenderFromText(info.gender, dictionary, definiteArticles, enabledDictionaryMap);
+            }
+
+            for (const headwordIndex of headwordIndices) {
+                const headword = headwords[headwordIndex];
+                if (gender !== null && typeof headword.gender === 'undefined') {
+                    this._setTermHeadwordGender(headword, gender, definiteArticles);
+                }
+                if (info.plural !== null && typeof headword.plural === 'undefined') {
+                    headword.plural = info.plural;
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {import('dictionary').TermHeadword} headword
+     * @param {import('language').GrammaticalGender} gender
+     * @param {import('language').DefiniteArticles} definiteArticles
+     */
+    _setTermHeadwordGender(headword, gender, definiteArticles) {
+        headword.gender = gender;
+        const article = definiteArticles[gender];
+        if (typeof article === 'string') {
+            headword.article = article;
+        }
+    }
+
+    /**
+     * @param {string} tagName
+     * @param {string[]} dictionaries
+     * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap
+     * @returns {?import('language').GrammaticalGender}
+     */
+    _getTagGrammaticalGender(tagName, dictionaries, enabledDictionaryMap) {
+        for (const dictionary of dictionaries) {
+            const gender = enabledDictionaryMap.get(dictionary)?.genderTags.get(tagName);
+            if (typeof gender !== 'undefined') { return gender; }
+        }
+        return null;
+    }
+
+    /**
+     * Resolves gender text from structured content, which can either be one of the dictionary's gender tags,
+     * a definite article, or the name of the gender.
+     * @param {string} text
+     * @param {string} dictionary
+     * @param {import('language').DefiniteArticles} definiteArticles
+     * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap
+     * @returns {?import('language').GrammaticalGender}
+     */
+    _getGrammaticalGenderFromText(text, dictionary, definiteArticles, enabledDictionaryMap) {
+        text = text.trim();
+        const gender = this._getTagGrammaticalGender(text, [dictionary], enabledDictionaryMap);
+        if (gender !== null) { return gender; }
+        const lowerText = text.toLowerCase();
+        for (const [key, article] of Object.entries(definiteArticles)) {
+            const gender2 = /** @type {import('language').GrammaticalGender} */ (key);
+            if (lowerText === gender2 || lowerText === article) { return gender2; }
+        }
+        return null;
+    }
+
+    /**
+     * @param {import('structured-content').Content} content
+     * @param {import('translation-internal').StructuredContentGrammaticalInfo} info
+     */
+    _getStructuredContentGrammaticalInfo(content, info) {
+        if (typeof content !== 'object' || content === null) { return; }
+        if (Array.isArray(content)) {
+            for (const item of content) {
+                this._getStructuredContentGrammaticalInfo(item, info);
+            }
+            return;
+        }
+        const data = (content.tag !== 'a' ? content.data : void 0);
+        switch (data?.content) {
+            case 'gender':
+                if (info.gender === null) { info.gender = this._getStructuredContentText(content); }
+                return;
+            case 'plural':
+                if (info.plural === null) { info.plural = this._getStructuredContentText(content).trim(); }
+                return;
+        }
+        if (typeof content.content !== 'undefined') {
+            this._getStructuredContentGrammaticalInfo(content.content, info);
+        }
+    }
+
+    /**
+     * @param {import('structured-content').Content} content
+     * @returns {string}
+     */
+    _getStructuredContentText(content) {
+        if (typeof content === 'string') { return content; }
+        if (Array.isArray(content)) {
+            return content.map((item) => this._getStructuredContentText(item)).join('');
+        }
+        return typeof content.content !== 'undefined' ? this._getStructuredContentText(content.content) : '';
+    }
+
     // Metadata
 
     /**
@@ -2122,6 +2658,25 @@ export class Translator {
         dictionaryEntries.sort((a, b) => a.definitions[0].id - b.definitions[0].id);
     }
 
+    /**
+     * Sorts dictionary entries found by a glossary search so that entries whose definitions match the words most prominently come first.
+     * The sort is stable, so entries with the same prominence keep their existing order.
+     * @param {import('translation-internal').TermDictionaryEntry[]} dictionaryEntries
+     * @param {string[]} words
+     */
+    _sortTermDictionaryEntriesByGlossaryProminence(dictionaryEntries, words) {
+        /** @type {Map<import('translation-internal').TermDictionaryEntry, number>} */
+        const prominences = new Map();
+        for (const dictionaryEntry of dictionaryEntries) {
+            let prominence = 0;
+            for (const {entries} of dictionaryEntry.definitions) {
+                prominence = Math.max(prominence, getGlossaryMatchProminence(entries, words));
+            }
+            prominences.set(dictionaryEntry, prominence);
+        }
+        dictionaryEntries.sort((v1, v2) => /** @type {number} */ (prominences.get(v2)) - /** @type {number} */ (prominences.get(v1)));
+    }
+
     /**
      * @param {import('dictionary').TermFrequency[]|import('dictionary').TermPronunciation[]} dataList
      */
@@ -0,0 +1,423 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {suffixInflection} from '../language-transforms.js';
+
+/** @typedef {keyof typeof conditions} Condition */
+
+const ukrainianConsonants = 'бвгґджзклмнпрстфхцчшщ';
+
+/**
+ * Rules for endings which are attached directly to a consonant, such as 'брат' -> 'брата'.
+ * @param {string} inflectedSuffix
+ * @param {string} deinflectedSuffix
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @returns {import('language-transformer').SuffixRule<Condition>[]}
+ */
+function consonantStemInflections(inflectedSuffix, deinflectedSuffix, conditionsIn, conditionsOut) {
+    const inflections = [];
+    for (const consonant of ukrainianConsonants) {
+        inflections.push(suffixInflection(`${consonant}${inflectedSuffix}`, `${consonant}${deinflectedSuffix}`, conditionsIn, conditionsOut));
+    }
+    return inflections;
+}
+
+/**
+ * Rules for a set of verb endings, along with the reflexive forms of each ending.
+ * The reflexive particle is written '-ся', or colloquially '-сь' after a vowel.
+ * @param {string[]} inflectedSuffixes
+ * @param {string} deinflectedSuffix
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @returns {import('language-transformer').SuffixRule<Condition>[]}
+ */
+function verbInflections(inflectedSuffixes, deinflectedSuffix, conditionsIn, conditionsOut) {
+    const inflections = [];
+    for (const inflectedSuffix of inflectedSuffixes) {
+        inflections.push(
+            suffixInflection(inflectedSuffix, deinflectedSuffix, conditionsIn, conditionsOut),
+            suffixInflection(`${inflectedSuffix}ся`, `${deinflectedSuffix}ся`, conditionsIn, conditionsOut),
+            suffixInflection(`${inflectedSuffix}сь`, `${deinflectedSuffix}ся`, conditionsIn, conditionsOut),
+        );
+    }
+    return inflections;
+}
+
+const conditions = {
+    n: {
+        name: 'Noun',
+        isDictionaryForm: true,
+        subConditions: ['ns', 'np'],
+    },
+    ns: {
+        name: 'Noun singular',
+        isDictionaryForm: false,
+        subConditions: ['n1', 'n2', 'n3'],
+    },
+    n1: {
+        name: '1st declension noun',
+        isDictionaryForm: false,
+    },
+    n2: {
+        name: '2nd declension noun',
+        isDictionaryForm: false,
+    },
+    n3: {
+        name: '3rd declension noun',
+        isDictionaryForm: false,
+    },
+    np: {
+        name: 'Noun plural',
+        isDictionaryForm: false,
+    },
+    v: {
+        name: 'Verb',
+        isDictionaryForm: true,
+        subConditions: ['v1', 'v2'],
+    },
+    v1: {
+        name: '1st conjugation verb',
+        isDictionaryForm: false,
+    },
+    v2: {
+        name: '2nd conjugation verb',
+        isDictionaryForm: false,
+    },
+    adj: {
+        name: 'Adjective',
+        isDictionaryForm: true,
+    },
+};
+
+// Case endings of nouns are deinflected to the nominative of the same number, and plural nominatives to the singular.
+// Case endings of adjectives are deinflected to the nominative of the same gender and number.
+// Finite verb forms have no conditionsIn, since nothing can be attached to them.
+/** @type {import('language-transformer').LanguageTransformDescriptor<Condition>} */
+export const ukrainianTransforms = {
+    language: 'uk',
+    conditions,
+    transforms: {
+        'plural': {
+            name: 'plural',
+            description: 'Nominative plural of a noun or adjective',
+            rules: [
+                ...consonantStemInflections('и', '', ['np'], ['n2']), // 'брати' -> брат
+                suffixInflection('і', 'ь', ['np'], ['n2', 'n3']), // 'вчителі' -> вчитель
+                suffixInflection('ї', 'й', ['np'], ['n2']), // 'музеї' -> музей
+                suffixInflection('а', 'о', ['np'], ['n2']), // 'міста' -> місто
+                suffixInflection('я', 'е', ['np'], ['n2']), // 'поля' -> поле
+                suffixInflection('и', 'а', ['np'], ['n1']), // 'книги' -> книга
+                suffixInflection('і', 'я', ['np'], ['n1']), // 'землі' -> земля
+                suffixInflection('ї', 'я', ['np'], ['n1']), // 'мрії' -> мрія
+                suffixInflection('і', 'ий', ['adj'], ['adj']),
+                suffixInflection('і', 'ій', ['adj'], ['adj']),
+            ],
+        },
+        'feminine': {
+            name: 'feminine',
+            description: 'Feminine form of an adjective',
+            rules: [
+                suffixInflection('а', 'ий', ['adj'], ['adj']),
+                suffixInflection('я', 'ій', ['adj'], ['adj']), // 'синя' -> синій
+            ],
+        },
+        'neuter': {
+            name: 'neuter',
+            description: 'Neuter form of an adjective',
+            rules: [
+                suffixInflection('е', 'ий', ['adj'], ['adj']),
+                suffixInflection('є', 'ій', ['adj'], ['adj']),
+            ],
+        },
+        'genitive': {
+            name: 'genitive',
+            description: 'Genitive case',
+            rules: [
+                ...consonantStemInflections('а', '', [], ['n2']), // 'брата' -> брат
+                ...consonantStemInflections('у', '', [], ['n2']), // 'снігу' -> сніг
+                suffixInflection('я', 'ь', [], ['n2']),
+                suffixInflection('ю', 'ь', [], ['n2']),
+                suffixInflection('я', 'й', [], ['n2']),
+                suffixInflection('ю', 'й', [], ['n2']),
+                suffixInflection('а', 'о', [], ['n2']),
+                suffixInflection('я', 'е', [], ['n2']),
+                suffixInflection('и', 'а', [], ['n1']),
+                suffixInflection('і', 'я', [], ['n1']),
+                suffixInflection('ї', 'я', [], ['n1']),
+                suffixInflection('і', 'ь', [], ['n3']),
+                suffixInflection('ів', 'и', [], ['np']), // 'братів' -> брати
+                suffixInflection('ів', 'і', [], ['np']), // 'вчителів' -> вчителі
+                suffixInflection('їв', 'ї', [], ['np']), // 'музеїв' -> музеї
+                suffixInflection('ей', 'і', [], ['np']), // 'речей' -> речі
+                suffixInflection('ого', 'ий', [], ['adj']),
+                suffixInflection('ього', 'ій', [], ['adj']),
+                suffixInflection('ої', 'а', [], ['adj']),
+                suffixInflection('ьої', 'я', [], ['adj']),
+                suffixInflection('их', 'і', [], ['adj']),
+                suffixInflection('іх', 'і', [], ['adj']),
+            ],
+        },
+        'dative': {
+            name: 'dative',
+            description: 'Dative case',
+            rules: [
+                ...consonantStemInflections('у', '', [], ['n2']),
+                ...consonantStemInflections('ові', '', [], ['n2']), // 'братові' -> брат
+                suffixInflection('еві', 'ь', [], ['n2']),
+                suffixInflection('ю', 'ь', [], ['n2']),
+                suffixInflection('єві', 'й', [], ['n2']),
+                suffixInflection('ю', 'й', [], ['n2']),
+                suffixInflection('у', 'о', [], ['n2']),
+                suffixInflection('ю', 'е', [], ['n2']),
+                suffixInflection('і', 'а', [], ['n1']),
+                suffixInflection('зі', 'га', [], ['n1']), // 'книзі' -> книга
+                suffixInflection('ці', 'ка', [], ['n1']), // 'руці' -> рука
+                suffixInflection('сі', 'ха', [], ['n1']), // 'мусі' -> муха
+                suffixInflection('і', 'я', [], ['n1']),
+                suffixInflection('ї', 'я', [], ['n1']),
+                suffixInflection('і', 'ь', [], ['n3']),
+                suffixInflection('ам', 'и', [], ['np']),
+                suffixInflection('ам', 'а', [], ['np']),
+                suffixInflection('ям', 'і', [], ['np']),
+                suffixInflection('ям', 'ї', [], ['np']),
+                suffixInflection('ям', 'я', [], ['np']),
+                suffixInflection('ому', 'ий', [], ['adj']),
+                suffixInflection('ьому', 'ій', [], ['adj']),
+                suffixInflection('ій', 'а', [], ['adj']),
+                suffixInflection('ій', 'я', [], ['adj']),
+                suffixInflection('им', 'і', [], ['adj']),
+                suffixInflection('ім', 'і', [], ['adj']),
+            ],
+        },
+        'accusative': {
+            name: 'accusative',
+            description: 'Accusative case',
+            rules: [
+                ...consonantStemInflections('а', '', [], ['n2']), // Animate nouns, 'брата' -> брат
+                suffixInflection('я', 'ь', [], ['n2']),
+                suffixInflection('у', 'а', [], ['n1']),
+                suffixInflection('ю', 'я', [], ['n1']),
+                suffixInflection('ів', 'и', [], ['np']),
+                suffixInflection('ів', 'і', [], ['np']),
+                suffixInflection('ого', 'ий', [], ['adj']),
+                suffixInflection('ього', 'ій', [], ['adj']),
+                suffixInflection('у', 'а', [], ['adj']),
+                suffixInflection('ю', 'я', [], ['adj']),
+                suffixInflection('их', 'і', [], ['adj']),
+                suffixInflection('іх', 'і', [], ['adj']),
+            ],
+        },
+        'instrumental': {
+            name: 'instrumental',
+            description: 'Instrumental case',
+            rules: [
+                ...consonantStemInflections('ом', '', [], ['n2']),
+                suffixInflection('ем', 'ь', [], ['n2']),
+                suffixInflection('єм', 'й', [], ['n2']),
+                suffixInflection('ом', 'о', [], ['n2']),
+                suffixInflection('ем', 'е', [], ['n2']),
+                suffixInflection('ою', 'а', [], ['n1']),
+                suffixInflection('ею', 'я', [], ['n1']),
+                suffixInflection('єю', 'я', [], ['n1']),
+                // Consonants are doubled before the ending of 3rd declension nouns, 'сіль' -> 'сіллю'
+                suffixInflection('ллю', 'ль', [], ['n3']),
+                suffixInflection('нню', 'нь', [], ['n3']),
+                suffixInflection('ттю', 'ть', [], ['n3']),
+                suffixInflection('ддю', 'дь', [], ['n3']),
+                suffixInflection('ссю', 'сь', [], ['n3']),
+                suffixInflection('ззю', 'зь', [], ['n3']),
+                suffixInflection('ццю', 'ць', [], ['n3']),
+                suffixInflection('ами', 'и', [], ['np']),
+                suffixInflection('ами', 'а', [], ['np']),
+                suffixInflection('ями', 'і', [], ['np']),
+                suffixInflection('ями', 'ї', [], ['np']),
+                suffixInflection('ями', 'я', [], ['np']),
+                suffixInflection('им', 'ий', [], ['adj']),
+                suffixInflection('ім', 'ій', [], ['adj']),
+                suffixInflection('ою', 'а', [], ['adj']),
+                suffixInflection('ьою', 'я', [], ['adj']),
+                suffixInflection('ими', 'і', [], ['adj']),
+                suffixInflection('іми', 'і', [], ['adj']),
+            ],
+        },
+        'locative': {
+            name: 'locative',
+            description: 'Locative case',
+            rules: [
+                ...consonantStemInflections('і', '', [], ['n2']),
+                ...consonantStemInflections('ові', '', [], ['n2']),
+                ...consonantStemInflections('у', '', [], ['n2']),
+                suffixInflection('і', 'ь', [], ['n2', 'n3']),
+                suffixInflection('ї', 'й', [], ['n2']),
+                suffixInflection('і', 'о', [], ['n2']),
+                suffixInflection('і', 'е', [], ['n2']),
+                suffixInflection('і', 'а', [], ['n1']),
+                suffixInflection('зі', 'га', [], ['n1']),
+                suffixInflection('ці', 'ка', [], ['n1']),
+                suffixInflection('сі', 'ха', [], ['n1']),
+                suffixInflection('і', 'я', [], ['n1']),
+                suffixInflection('ї', 'я', [], ['n1']),
+                suffixInflection('ах', 'и', [], ['np']),
+                suffixInflection('ах', 'а', [], ['np']),
+                suffixInflection('ях', 'і', [], ['np']),
+                suffixInflection('ях', 'ї', [], ['np']),
+                suffixInflection('ях', 'я', [], ['np']),
+                suffixInflection('ому', 'ий', [], ['adj']),
+                suffixInflection('ім', 'ий', [], ['adj']),
+                suffixInflection('ьому', 'ій', [], ['adj']),
+                suffixInflection('ім', 'ій', [], ['adj']),
+                suffixInflection('ій', 'а', [], ['adj']),
+                suffixInflection('ій', 'я', [], ['adj']),
+                suffixInflection('их', 'і', [], ['adj']),
+                suffixInflection('іх', 'і', [], ['adj']),
+            ],
+        },
+        'vocative': {
+            name: 'vocative',
+            description: 'Vocative case',
+            rules: [
+                suffixInflection('о', 'а', [], ['n1']), // 'мамо' -> мама
+                suffixInflection('е', 'я', [], ['n1']),
+                ...consonantStemInflections('е', '', [], ['n2']), // 'брате' -> брат
+                suffixInflection('ю', 'ь', [], ['n2']),
+                suffixInflection('ю', 'й', [], ['n2']),
+            ],
+        },
+        'comparative': {
+            name: 'comparative',
+            description: 'Comparative form of an adjective',
+            rules: [
+                suffixInflection('іший', 'ий', ['adj'], ['adj']), // 'новіший' -> новий
+            ],
+        },
+        'superlative': {
+            name: 'superlative',
+            description: 'Superlative form of an adjective',
+            rules: [
+                {
+                    type: 'prefix',
+                    isInflected: /^най/,
+                    deinflect: (text) => text.slice(3),
+                    conditionsIn: ['adj'],
+                    conditionsOut: ['adj'],
+                },
+            ],
+        },
+        'present': {
+            name: 'present',
+            description: 'Present tense of an imperfective verb or future tense of a perfective verb',
+            rules: [
+                ...verbInflections(['аю', 'аєш', 'ає', 'аємо', 'аєте', 'ають'], 'ати', [], ['v1']),
+                ...verbInflections(['яю', 'яєш', 'яє', 'яємо', 'яєте', 'яють'], 'яти', [], ['v1']),
+                ...verbInflections(['ію', 'ієш', 'іє', 'іємо', 'ієте', 'іють'], 'іти', [], ['v1']),
+                ...verbInflections(['ую', 'уєш', 'ує', 'уємо', 'уєте', 'ують'], 'увати', [], ['v1']), // 'малюю' -> малювати
+                ...verbInflections(['юю', 'юєш', 'ює', 'юємо', 'юєте', 'юють'], 'ювати', [], ['v1']),
+                ...verbInflections(['ну', 'неш', 'не', 'немо', 'нете', 'нуть'], 'нути', [], ['v1']),
+                ...verbInflections(['ю', 'иш', 'ить', 'имо', 'ите', 'ять'], 'ити', [], ['v2']),
+                ...verbInflections(['у', 'ать'], 'ити', [], ['v2']), // 'вчу' -> вчити
+                ...verbInflections(['ю', 'иш', 'ить', 'имо', 'ите', 'ять'], 'іти', [], ['v2']),
+                ...verbInflections(['у', 'иш', 'ить', 'имо', 'ите', 'ать'], 'ати', [], ['v2']), // 'лежу' -> лежати
+                // Consonant mutations in the first person singular of the 2nd conjugation
+                ...verbInflections(['блю'], 'бити', [], ['v2']),
+                ...verbInflections(['плю'], 'пити', [], ['v2']),
+                ...verbInflections(['влю'], 'вити', [], ['v2']),
+                ...verbInflections(['млю'], 'мити', [], ['v2']),
+                ...verbInflections(['джу'], 'дити', [], ['v2']), // 'ходжу' -> ходити
+                ...verbInflections(['жу'], 'зити', [], ['v2']),
+                ...verbInflections(['чу'], 'тити', [], ['v2']),
+                ...verbInflections(['шу'], 'сити', [], ['v2']),
+                ...verbInflections(['щу'], 'стити', [], ['v2']),
+                ...verbInflections(['джу'], 'діти', [], ['v2']), // 'сиджу' -> сидіти
+            ],
+        },
+        'future': {
+            name: 'future',
+            description: 'Synthetic future tense of an imperfective verb',
+            rules: [
+                ...verbInflections(['тиму', 'тимеш', 'тиме', 'тимемо', 'тимете', 'тимуть'], 'ти', [], ['v']), // 'читатиму' -> читати
+            ],
+        },
+        'past': {
+            name: 'past',
+            description: 'Past tense',
+            rules: [
+                ...verbInflections(['в', 'ла', 'ло', 'ли'], 'ти', [], ['v']),
+            ],
+        },
+        'imperative': {
+            name: 'imperative',
+            description: 'Imperative mood',
+            rules: [
+                ...verbInflections(['ай', 'аймо', 'айте'], 'ати', [], ['v1']),
+                ...verbInflections(['яй', 'яймо', 'яйте'], 'яти', [], ['v1']),
+                ...verbInflections(['уй', 'уймо', 'уйте'], 'увати', [], ['v1']),
+                ...verbInflections(['юй', 'юймо', 'юйте'], 'ювати', [], ['v1']),
+                ...verbInflections(['ни', 'німо', 'ніть'], 'нути', [], ['v1']),
+                ...verbInflections(['и', 'імо', 'іть'], 'ити', [], ['v2']), // 'говори' -> говорити
+                ...verbInflections(['и', 'імо', 'іть'], 'іти', [], ['v2']),
+                ...verbInflections(['и', 'імо', 'іть'], 'ати', [], ['v2']),
+            ],
+        },
+        'active participle': {
+            name: 'active participle',
+            description: 'Active participle, declined as an adjective',
+            rules: [
+                suffixInflection('аючий', 'ати', ['adj'], ['v1']),
+                suffixInflection('яючий', 'яти', ['adj'], ['v1']),
+                suffixInflection('уючий', 'увати', ['adj'], ['v1']),
+                suffixInflection('ячий', 'ити', ['adj'], ['v2']),
+                suffixInflection('ячий', 'іти', ['adj'], ['v2']),
+            ],
+        },
+        'passive participle': {
+            name: 'passive participle',
+            description: 'Passive participle, declined as an adjective',
+            rules: [
+                suffixInflection('аний', 'ати', ['adj'], ['v1']), // 'прочитаний' -> прочитати
+                suffixInflection('яний', 'яти', ['adj'], ['v1']),
+                suffixInflection('ований', 'увати', ['adj'], ['v1']), // 'намальований' -> намалювати
+                suffixInflection('ений', 'ити', ['adj'], ['v2']),
+                suffixInflection('ений', 'іти', ['adj'], ['v2']),
+                suffixInflection('тий', 'ти', ['adj'], ['v']), // 'відкритий' -> відкрити
+            ],
+        },
+        'adverbial participle': {
+            name: 'adverbial participle',
+            description: 'Adverbial participle (дієприслівник)',
+            rules: [
+                ...verbInflections(['аючи'], 'ати', [], ['v1']), // 'читаючи' -> читати
+                ...verbInflections(['яючи'], 'яти', [], ['v1']),
+                ...verbInflections(['уючи'], 'увати', [], ['v1']),
+                ...verbInflections(['ячи'], 'ити', [], ['v2']), // 'говорячи' -> говорити
+                ...verbInflections(['ячи'], 'іти', [], ['v2']),
+                ...verbInflections(['ачи'], 'ати', [], ['v2']),
+                ...verbInflections(['вши'], 'ти', [], ['v']), // 'прочитавши' -> прочитати
+            ],
+        },
+        'imperfective': {
+            name: 'imperfective',
+            description: 'Secondary imperfective derived from a perfective verb',
+            rules: [
+                ...verbInflections(['увати'], 'ати', ['v'], ['v']), // 'переписувати' -> переписати
+                ...verbInflections(['ювати'], 'яти', ['v'], ['v']),
+                ...verbInflections(['авати'], 'ати', ['v'], ['v']), // 'вставати' -> встати
+                ...verbInflections(['ивати'], 'ити', ['v'], ['v']), // 'закривати' -> закрити
+            ],
+        },
+    },
+};
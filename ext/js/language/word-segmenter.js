@@ -0,0 +1,80 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Splits text which is written without spaces between words into words using maximal matching.
+ * Of all the ways to split the text into known words and unmatched characters, the one which leaves the fewest characters unmatched is used,
+ * followed by the one with the fewest segments. Remaining ties are resolved in favor of longer words at the start of the text.
+ * @param {string} text The text to segment.
+ * @param {number[][]} wordLengths For each index of the text, the lengths of the known words which start at that index.
+ * @returns {import('language').WordSegment[]} The segments of the text, where consecutive unmatched characters are joined into a single segment.
+ */
+export function segmentWords(text, wordLengths) {
+    const textLength = text.length;
+    /** @type {import('language').WordSegmentationStep[]} */
+    const steps = new Array(textLength + 1);
+    steps[textLength] = {unmatchedCount: 0, segmentCount: 0, length: 0, isWord: false};
+    for (let i = textLength - 1; i >= 0; --i) {
+        /** @type {?import('language').WordSegmentationStep} */
+        let best = null;
+        const lengths = [...(wordLengths[i] ?? [])].sort((a, b) => b - a);
+        for (const length of lengths) {
+            if (length <= 0 || i + length > textLength) { continue; }
+            const next = steps[i + length];
+            const unmatchedCount = next.unmatchedCount;
+            const segmentCount = next.segmentCount + 1;
+            if (best === null || isBetterSegmentation(unmatchedCount, segmentCount, best)) {
+                best = {unmatchedCount, segmentCount, length, isWord: true};
+            }
+        }
+        const next = steps[i + 1];
+        const unmatchedCount = next.unmatchedCount + 1;
+        const segmentCount = next.segmentCount + (next.length > 0 && !next.isWord ? 0 : 1);
+        if (best === null || isBetterSegmentation(unmatchedCount, segmentCount, best)) {
+            best = {unmatchedCount, segmentCount, length: 1, isWord: false};
+        }
+        steps[i] = best;
+    }
+
+    /** @type {import('language').WordSegment[]} */
+    const segments = [];
+    for (let i = 0; i < textLength;) {
+        const {length, isWord} = steps[i];
+        const segmentText = text.substring(i, i + length);
+        const previous = segments.length > 0 ? segments[segments.length - 1] : null;
+        if (!isWord && previous !== null && !previous.isWord) {
+            previous.text += segmentText;
+        } else {
+            segments.push({text: segmentText, isWord});
+        }
+        i += length;
+    }
+    return segments;
+}
+
+/**
+ * @param {number} unmatchedCount
+ * @param {number} segmentCount
+ * @param {import('language').WordSegmentationStep} best
+ * @returns {boolean}
+ */
+function isBetterSegmentation(unmatchedCount, segmentCount, best) {
+    return (
+        unmatchedCount < best.unmatchedCount ||
+        (unmatchedCount === best.unmatchedCount && segmentCount < best.segmentCount)
+    );
+}
@@ -38,10 +38,13 @@ const DEFAULT_REQUEST_INIT_PARAMS = {
 export class AudioDownloader {
     /**
      * @param {RequestBuilder} requestBuilder
+     * @param {import('../dictionary/dictionary-database.js').DictionaryDatabase|import('../background/offscreen-proxy.js').DictionaryDatabaseProxy} dictionaryDatabase
      */
-    constructor(requestBuilder) {
+    constructor(requestBuilder, dictionaryDatabase) {
         /** @type {RequestBuilder} */
         this._requestBuilder = requestBuilder;
+        /** @type {import('../dictionary/dictionary-database.js').DictionaryDatabase|import('../background/offscreen-proxy.js').DictionaryDatabaseProxy} */
+        this._dictionaryDatabase = dictionaryDatabase;
         /** @type {?JsonSchema} */
         this._customAudioListSchema = null;
         /** @type {Map<import('settings').AudioSourceType, import('audio-downloader').GetInfoHandler>} */
@@ -55,6 +58,7 @@ export class AudioDownloader {
             ['text-to-speech-reading', this._getInfoTextToSpeechReading.bind(this)],
             ['custom', this._getInfoCustom.bind(this)],
             ['custom-json', this._getInfoCustomJson.bind(this)],
+            ['dictionary', this._getInfoDictionary.bind(this)],
         ]));
         /** @type {Intl.DisplayNames} */
         this._regionNames = new Intl.DisplayNames(['en'], {type: 'region'});
@@ -105,6 +109,13 @@ export class AudioDownloader {
                             errors.push(e);
                         }
                         break;
+                    case 'dictionary':
+                        try {
+                            return await this._getDictionaryAudio(info.dictionary, info.path);
+                        } catch (e) {
+                            errors.push(e);
+                        }
+                        break;
                 }
             }
         }
@@ -139,7 +150,7 @@ export class AudioDownloader {
             requiredSources.delete(type);
         }
 
-        return [...requiredSources].map((type) => ({type, url: '', voice: ''}));
+        return [...requiredSources].map((type) => ({type, url: '', voice: '', dictionaries: []}));
     }
 
     /**
@@ -494,6 +505,24 @@ export class AudioDownloader {
         return results;
     }
 
+    /** @type {import('audio-downloader').GetInfoHandler} */
+    async _getInfoDictionary(term, reading, details) {
+        const dictionaries = new Set(details.dictionaries);
+        if (dictionaries.size === 0) { return []; }
+        const metas = await this._dictionaryDatabase.findTermMetaBulk([term], dictionaries);
+
+        /** @type {import('audio-downloader').Info[]} */
+        const results = [];
+        for (const meta of metas) {
+            if (meta.mode !== 'audio' || meta.data.reading !== reading) { continue; }
+            const {dictionary, data: {files}} = meta;
+            for (const {path, name} of files) {
+                results.push({type: 'dictionary', dictionary, path, name: typeof name === 'string' ? name : dictionary});
+            }
+        }
+        return results;
+    }
+
     /**
      * @param {string} term
      * @param {string} reading
@@ -570,6 +599,21 @@ export class AudioDownloader {
         return {data, contentType};
     }
 
+    /**
+     * @param {string} dictionary
+     * @param {string} path
+     * @returns {Promise<import('audio-downloader').AudioBinaryBase64>}
+     * @throws {Error}
+     */
+    async _getDictionaryAudio(dictionary, path) {
+        const media = await this._dictionaryDatabase.getMedia([{path, dictionary}]);
+        if (media.length === 0) {
+            throw new Error('Could not find audio');
+        }
+        const {content, mediaType} = media[0];
+        return {data: arrayBufferToBase64(content), contentType: mediaType};
+    }
+
     /**
      * @param {ArrayBuffer} arrayBuffer
      * @param {import('settings').AudioSourceType} sourceType
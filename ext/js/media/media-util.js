@@ -65,6 +65,26 @@ export function getImageMediaTypeFromFileName(path) {
     }
 }
 
+/**
+ * Gets an audio file's media type using a file path.
+ * Opus files use the Ogg container, so they have the same media type as Ogg Vorbis files.
+ * @param {string} path The path to the file.
+ * @returns {?string} The media type string if it can be determined from the file path,
+ *   otherwise `null`.
+ */
+export function getAudioMediaTypeFromFileName(path) {
+    switch (getFileNameExtension(path).toLowerCase()) {
+        case '.mp3':
+            return 'audio/mpeg';
+        case '.ogg':
+        case '.oga':
+        case '.opus':
+            return 'audio/ogg';
+        default:
+            return null;
+    }
+}
+
 /**
  * Gets the file extension for a corresponding media type.
  * @param {string} mediaType The media type to use.
@@ -22,7 +22,7 @@ import {ExtensionError} from '../../core/extension-error.js';
 import {log} from '../../core/log.js';
 import {toError} from '../../core/to-error.js';
 import {getDynamicFieldMarkers, getStandardFieldMarkers} from '../../data/anki-template-util.js';
-import {stringContainsAnyFieldMarker} from '../../data/anki-util.js';
+import {LOCAL_COLLECTION_DEFAULT_DECK_NAME, localCollectionNoteTypes, stringContainsAnyFieldMarker} from '../../data/anki-util.js';
 import {getRequiredPermissionsForAnkiFieldValue, hasPermissions, setPermissionsGranted} from '../../data/permissions-util.js';
 import {querySelectorNotNull} from '../../dom/query-selector.js';
 import {SelectorObserver} from '../../dom/selector-observer.js';
@@ -37,6 +37,10 @@ export class AnkiController {
         this._settingsController = settingsController;
         /** @type {AnkiConnect} */
         this._ankiConnect = new AnkiConnect();
+        /** @type {import('settings').AnkiNoteTarget} */
+        this._noteTarget = 'ankiConnect';
+        /** @type {boolean} */
+        this._suspendNewCards = false;
         /** @type {SelectorObserver<AnkiCardController>} */
         this._selectorObserver = new SelectorObserver({
             selector: '.anki-card',
@@ -81,6 +85,11 @@ export class AnkiController {
         return this._settingsController;
     }
 
+    /** @type {import('settings').AnkiNoteTarget} */
+    get noteTarget() {
+        return this._noteTarget;
+    }
+
     /** */
     async prepare() {
         /** @type {HTMLElement} */
@@ -119,7 +128,7 @@ export class AnkiController {
         this._settingsController.on('optionsChanged', this._onOptionsChanged.bind(this));
 
         const onAnkiSettingChanged = () => { void this._updateOptions(); };
-        const nodes = [ankiApiKeyInput, ...document.querySelectorAll('[data-setting="anki.enable"]')];
+        const nodes = [ankiApiKeyInput, ...document.querySelectorAll('[data-setting="anki.enable"], [data-setting="anki.noteTarget"]')];
         for (const node of nodes) {
             node.addEventListener('settingChanged', onAnkiSettingChanged);
         }
@@ -145,6 +154,11 @@ export class AnkiController {
      * @returns {Promise<string[]>}
      */
     async getModelFieldNames(model) {
+        if (this._noteTarget === 'localCollection') {
+            const fieldNames = localCollectionNoteTypes.get(model);
+            if (typeof fieldNames === 'undefined') { throw new Error(`The local collection doesn't have a note type named "${model}"`); }
+            return [...fieldNames];
+        }
         return await this._ankiConnect.getModelFieldNames(model);
     }
 
@@ -175,6 +189,8 @@ export class AnkiController {
         this._ankiConnect.server = anki.server;
         this._ankiConnect.enabled = anki.enable;
         this._ankiConnect.apiKey = apiKey;
+        this._noteTarget = anki.noteTarget;
+        this._suspendNewCards = anki.suspendNewCards;
 
         this._selectorObserver.disconnect();
         this._selectorObserver.observe(document.documentElement, true);
@@ -360,6 +376,10 @@ export class AnkiController {
      * @returns {Promise<import('anki-controller').AnkiData>}
      */
     async _getAnkiData() {
+        if (this._noteTarget === 'localCollection') {
+            return await this._getLocalAnkiData();
+        }
+
         this._setAnkiStatusChanging();
         const [
             [deckNames, getDeckNamesError],
@@ -380,6 +400,19 @@ export class AnkiController {
         return {deckNames, modelNames};
     }
 
+    /**
+     * Gets the decks and note types which can be used for the notes of the local collection.
+     * Any deck name which was already used is included, since the decks are created when the collection is imported.
+     * @returns {Promise<import('anki-controller').AnkiData>}
+     */
+    async _getLocalAnkiData() {
+        this._hideAnkiError();
+        const {deckNames} = await this._settingsController.application.api.getLocalAnkiCollectionInfo();
+        const deckNameArray = [...new Set([LOCAL_COLLECTION_DEFAULT_DECK_NAME, ...deckNames])];
+        this._sortStringArray(deckNameArray);
+        return {deckNames: deckNameArray, modelNames: [...localCollectionNoteTypes.keys()]};
+    }
+
     /**
      * @returns {Promise<[deckNames: string[], error: ?Error]>}
      */
@@ -419,7 +452,11 @@ export class AnkiController {
         /** @type {HTMLElement} */ (this._ankiErrorMessageDetailsContainer).hidden = true;
         /** @type {HTMLElement} */ (this._ankiErrorMessageDetailsToggle).hidden = true;
         /** @type {HTMLElement} */ (this._ankiErrorInvalidResponseInfo).hidden = true;
-        ankiErrorMessageNode.textContent = (this._ankiConnect.enabled ? 'Connected' : 'Not enabled');
+        if (this._noteTarget === 'localCollection') {
+            ankiErrorMessageNode.textContent = 'Using the local collection';
+        } else {
+            ankiErrorMessageNode.textContent = (this._ankiConnect.enabled ? 'Connected' : 'Not enabled');
+        }
         ankiErrorMessageNode.classList.remove('danger-text');
         /** @type {HTMLElement} */ (this._ankiErrorMessageDetailsNode).textContent = '';
         this._ankiError = null;
@@ -537,6 +574,9 @@ export class AnkiController {
      * @returns {Promise<?((number | null)[] | null)>}
      */
     async addNotes(notes) {
+        if (this._noteTarget === 'localCollection') {
+            return await this._settingsController.application.api.addLocalAnkiNotes(notes, this._suspendNewCards);
+        }
         return await this._ankiConnect.addNotes(notes);
     }
 
@@ -545,6 +585,9 @@ export class AnkiController {
      * @returns {Promise<boolean[]>}
      */
     async canAddNotes(notes) {
+        if (this._noteTarget === 'localCollection') {
+            return await this._settingsController.application.api.canAddLocalAnkiNotes(notes);
+        }
         return await this._ankiConnect.canAddNotes(notes);
     }
 }
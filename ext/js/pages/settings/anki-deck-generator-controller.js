@@ -259,8 +259,9 @@ export class AnkiDeckGeneratorController {
         /** @type {import("anki.js").Note[]} */
         let notes = [];
         let index = 0;
+        const progressText = this._ankiController.noteTarget === 'localCollection' ? 'Adding to local collection...' : 'Sending to Anki...';
         requestAnimationFrame(() => {
-            this._updateProgressBar(true, 'Sending to Anki...', 0, terms.length, true);
+            this._updateProgressBar(true, progressText, 0, terms.length, true);
             setTimeout(async () => {
                 for (const value of terms) {
                     if (!value) { continue; }
@@ -302,6 +303,7 @@ export class AnkiDeckGeneratorController {
      * @returns {Promise<boolean>}
      */
     async _sendNotes(notes, disallowDuplicates) {
+        const errorPrefix = this._ankiController.noteTarget === 'localCollection' ? 'Local collection error: ' : 'Ankiconnect error: ';
         try {
             if (disallowDuplicates) {
                 const duplicateNotes = await this._ankiController.canAddNotes(notes.map((note) => ({...note, options: {...note.options, allowDuplicate: false}})));
@@ -309,12 +311,12 @@ export class AnkiDeckGeneratorController {
             }
             const addNotesResult = await this._ankiController.addNotes(notes);
             if (addNotesResult === null || addNotesResult.includes(null)) {
-                this._updateProgressBarError('Ankiconnect error: Failed to add cards');
+                this._updateProgressBarError(errorPrefix + 'Failed to add cards');
                 return false;
             }
         } catch (error) {
             if (error instanceof Error) {
-                this._updateProgressBarError('Ankiconnect error: ' + error.message + '');
+                this._updateProgressBarError(errorPrefix + error.message + '');
                 log.error(error);
                 return false;
             }
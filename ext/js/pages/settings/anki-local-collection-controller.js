@@ -0,0 +1,185 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {toError} from '../../core/to-error.js';
+import {createAnkiPackage} from '../../data/anki-package.js';
+import {base64ToArrayBuffer} from '../../data/array-buffer-util.js';
+import {querySelectorNotNull} from '../../dom/query-selector.js';
+
+export class AnkiLocalCollectionController {
+    /**
+     * @param {import('./settings-controller.js').SettingsController} settingsController
+     * @param {import('./modal-controller.js').ModalController} modalController
+     */
+    constructor(settingsController, modalController) {
+        /** @type {import('./settings-controller.js').SettingsController} */
+        this._settingsController = settingsController;
+        /** @type {import('./modal-controller.js').ModalController} */
+        this._modalController = modalController;
+        /** @type {HTMLElement} */
+        this._countNode = querySelectorNotNull(document, '#anki-local-collection-count');
+        /** @type {HTMLButtonElement} */
+        this._exportButton = querySelectorNotNull(document, '#anki-local-collection-export-button');
+        /** @type {HTMLButtonElement} */
+        this._clearButton = querySelectorNotNull(document, '#anki-local-collection-clear-button');
+        /** @type {HTMLElement} */
+        this._errorNode = querySelectorNotNull(document, '#anki-local-collection-error');
+        /** @type {?import('./modal.js').Modal} */
+        this._clearModal = null;
+        /** @type {number} */
+        this._noteCount = 0;
+        /** @type {boolean} */
+        this._busy = false;
+        /** @type {?(() => void)} */
+        this._exportRevoke = null;
+    }
+
+    /** */
+    async prepare() {
+        this._clearModal = this._modalController.getModal('anki-local-collection-clear');
+
+        /** @type {HTMLButtonElement} */
+        const clearConfirmButton = querySelectorNotNull(document, '#anki-local-collection-clear-button-confirm');
+
+        this._exportButton.addEventListener('click', this._onExportClick.bind(this), false);
+        this._clearButton.addEventListener('click', this._onClearClick.bind(this), false);
+        clearConfirmButton.addEventListener('click', this._onClearConfirmClick.bind(this), false);
+        this._settingsController.application.on('localAnkiCollectionUpdated', this._onLocalAnkiCollectionUpdated.bind(this));
+
+        await this._updateInfo();
+    }
+
+    // Private
+
+    /** */
+    _onLocalAnkiCollectionUpdated() {
+        void this._updateInfo();
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onExportClick(e) {
+        e.preventDefault();
+        void this._export();
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onClearClick(e) {
+        e.preventDefault();
+        if (this._clearModal === null) { return; }
+        this._clearModal.setVisible(true);
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onClearConfirmClick(e) {
+        e.preventDefault();
+        if (this._clearModal !== null) { this._clearModal.setVisible(false); }
+        void this._clear();
+    }
+
+    /** */
+    async _updateInfo() {
+        const {noteCount} = await this._settingsController.application.api.getLocalAnkiCollectionInfo();
+        this._noteCount = noteCount;
+        this._countNode.textContent = `${noteCount}`;
+        this._updateButtons();
+    }
+
+    /** */
+    _updateButtons() {
+        const disabled = this._busy || this._noteCount === 0;
+        this._exportButton.disabled = disabled;
+        this._clearButton.disabled = disabled;
+    }
+
+    /** */
+    async _export() {
+        if (this._exportRevoke !== null) {
+            this._exportRevoke();
+            this._exportRevoke = null;
+        }
+
+        this._busy = true;
+        this._updateButtons();
+        try {
+            const {entries, media} = await this._settingsController.application.api.exportLocalAnkiCollection();
+            const notes = entries.map(({timestamp, guid, note, suspendNewCards}) => ({id: timestamp, guid, note, suspended: suspendNewCards}));
+            const mediaFiles = media.map(({fileName, content}) => ({fileName, content: new Uint8Array(base64ToArrayBuffer(content))}));
+            const date = new Date(Date.now());
+            const blob = await createAnkiPackage(notes, mediaFiles, date.valueOf());
+            this._saveBlob(blob, `yomitan-anki-${date.toISOString().substring(0, 10)}.apkg`);
+            this._setError(null);
+        } catch (e) {
+            this._setError(toError(e));
+        } finally {
+            this._busy = false;
+            this._updateButtons();
+        }
+    }
+
+    /** */
+    async _clear() {
+        this._busy = true;
+        this._updateButtons();
+        try {
+            await this._settingsController.application.api.clearLocalAnkiCollection();
+            this._setError(null);
+        } catch (e) {
+            this._setError(toError(e));
+        } finally {
+            this._busy = false;
+            this._updateButtons();
+        }
+    }
+
+    /**
+     * @param {Blob} blob
+     * @param {string} fileName
+     */
+    _saveBlob(blob, fileName) {
+        const blobUrl = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = blobUrl;
+        a.download = fileName;
+        a.rel = 'noopener';
+        a.target = '_blank';
+
+        const revoke = () => {
+            URL.revokeObjectURL(blobUrl);
+            a.href = '';
+            this._exportRevoke = null;
+        };
+        this._exportRevoke = revoke;
+
+        a.dispatchEvent(new MouseEvent('click'));
+        setTimeout(revoke, 60000);
+    }
+
+    /**
+     * @param {?Error} error
+     */
+    _setError(error) {
+        this._errorNode.hidden = (error === null);
+        this._errorNode.textContent = (error !== null ? error.message : '');
+    }
+}
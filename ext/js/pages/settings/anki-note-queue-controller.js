@@ -0,0 +1,247 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {EventListenerCollection} from '../../core/event-listener-collection.js';
+import {toError} from '../../core/to-error.js';
+import {querySelectorNotNull} from '../../dom/query-selector.js';
+
+export class AnkiNoteQueueController {
+    /**
+     * @param {import('./settings-controller.js').SettingsController} settingsController
+     */
+    constructor(settingsController) {
+        /** @type {import('./settings-controller.js').SettingsController} */
+        this._settingsController = settingsController;
+        /** @type {AnkiNoteQueueEntry[]} */
+        this._entries = [];
+        /** @type {HTMLElement} */
+        this._listContainer = querySelectorNotNull(document, '#anki-note-queue-list');
+        /** @type {HTMLElement} */
+        this._emptyIndicator = querySelectorNotNull(document, '#anki-note-queue-list-empty');
+        /** @type {HTMLElement} */
+        this._countNode = querySelectorNotNull(document, '#anki-note-queue-count');
+        /** @type {HTMLButtonElement} */
+        this._flushButton = querySelectorNotNull(document, '#anki-note-queue-flush-button');
+        /** @type {HTMLElement} */
+        this._errorNode = querySelectorNotNull(document, '#anki-note-queue-error');
+        /** @type {?import('core').TokenObject} */
+        this._updateToken = null;
+    }
+
+    /** */
+    async prepare() {
+        this._flushButton.addEventListener('click', this._onFlushClick.bind(this), false);
+        this._settingsController.application.on('ankiNoteQueueUpdated', this._onAnkiNoteQueueUpdated.bind(this));
+
+        await this._updateEntries();
+    }
+
+    /**
+     * @param {number} id
+     * @param {import('anki').NoteFields} fields
+     * @returns {Promise<boolean>}
+     */
+    async updateEntry(id, fields) {
+        try {
+            await this._settingsController.application.api.updateQueuedAnkiNote(id, fields);
+            this._setError(null);
+            return true;
+        } catch (e) {
+            this._setError(toError(e));
+            return false;
+        }
+    }
+
+    /**
+     * @param {number} id
+     */
+    async removeEntry(id) {
+        try {
+            await this._settingsController.application.api.removeQueuedAnkiNote(id);
+            this._setError(null);
+        } catch (e) {
+            this._setError(toError(e));
+        }
+    }
+
+    // Private
+
+    /** */
+    _onAnkiNoteQueueUpdated() {
+        void this._updateEntries();
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onFlushClick(e) {
+        e.preventDefault();
+        void this._flush();
+    }
+
+    /** */
+    async _updateEntries() {
+        /** @type {?import('core').TokenObject} */
+        const token = {};
+        this._updateToken = token;
+        const entries = await this._settingsController.application.api.getAnkiNoteQueue();
+        if (this._updateToken !== token) { return; }
+
+        for (const entry of this._entries) {
+            entry.cleanup();
+        }
+        this._entries = [];
+
+        for (const data of entries) {
+            const node = /** @type {HTMLElement} */ (this._settingsController.instantiateTemplate('anki-note-queue-entry'));
+            this._listContainer.appendChild(node);
+            const entry = new AnkiNoteQueueEntry(this, this._settingsController, data, node);
+            this._entries.push(entry);
+            entry.prepare();
+        }
+
+        const empty = entries.length === 0;
+        this._emptyIndicator.hidden = !empty;
+        this._flushButton.disabled = empty;
+        this._countNode.textContent = `${entries.length}`;
+    }
+
+    /** */
+    async _flush() {
+        this._flushButton.disabled = true;
+        try {
+            const count = await this._settingsController.application.api.flushAnkiNoteQueue();
+            this._setError(count > 0 && !await this._settingsController.application.api.isAnkiConnected() ? new Error('Anki could not be reached') : null);
+        } catch (e) {
+            this._setError(toError(e));
+        } finally {
+            this._flushButton.disabled = (this._entries.length === 0);
+        }
+    }
+
+    /**
+     * @param {?Error} error
+     */
+    _setError(error) {
+        this._errorNode.hidden = (error === null);
+        this._errorNode.textContent = (error !== null ? error.message : '');
+    }
+}
+
+class AnkiNoteQueueEntry {
+    /**
+     * @param {AnkiNoteQueueController} parent
+     * @param {import('./settings-controller.js').SettingsController} settingsController
+     * @param {import('anki-note-queue').EntrySummary} data
+     * @param {HTMLElement} node
+     */
+    constructor(parent, settingsController, data, node) {
+        /** @type {AnkiNoteQueueController} */
+        this._parent = parent;
+        /** @type {import('./settings-controller.js').SettingsController} */
+        this._settingsController = settingsController;
+        /** @type {import('anki-note-queue').EntrySummary} */
+        this._data = data;
+        /** @type {HTMLElement} */
+        this._node = node;
+        /** @type {Map<string, HTMLTextAreaElement>} */
+        this._fieldInputs = new Map();
+        /** @type {EventListenerCollection} */
+        this._eventListeners = new EventListenerCollection();
+    }
+
+    /** */
+    prepare() {
+        const {note: {deckName, modelName, fields}, timestamp, error, mediaFileNames} = this._data;
+        const node = this._node;
+
+        /** @type {HTMLElement} */
+        const titleNode = querySelectorNotNull(node, '.anki-note-queue-entry-title');
+        /** @type {HTMLElement} */
+        const dateNode = querySelectorNotNull(node, '.anki-note-queue-entry-date');
+        /** @type {HTMLElement} */
+        const errorNode = querySelectorNotNull(node, '.anki-note-queue-entry-error');
+        /** @type {HTMLElement} */
+        const mediaNode = querySelectorNotNull(node, '.anki-note-queue-entry-media');
+        /** @type {HTMLElement} */
+        const fieldsContainer = querySelectorNotNull(node, '.anki-note-queue-entry-fields');
+        titleNode.textContent = `${deckName} / ${modelName}`;
+        dateNode.textContent = new Date(timestamp).toLocaleString();
+        errorNode.textContent = error !== null ? error : '';
+        errorNode.hidden = (error === null);
+        mediaNode.textContent = mediaFileNames.length > 0 ? `Media files: ${mediaFileNames.join(', ')}` : '';
+        mediaNode.hidden = (mediaFileNames.length === 0);
+
+        for (const [name, value] of Object.entries(fields)) {
+            const fieldNode = this._settingsController.instantiateTemplate('anki-note-queue-entry-field');
+            /** @type {HTMLElement} */
+            const nameNode = querySelectorNotNull(fieldNode, '.anki-note-queue-entry-field-name');
+            /** @type {HTMLTextAreaElement} */
+            const input = querySelectorNotNull(fieldNode, '.anki-note-queue-entry-field-value');
+            nameNode.textContent = name;
+            input.value = value;
+            this._eventListeners.addEventListener(input, 'change', this._onChange.bind(this), false);
+            this._fieldInputs.set(name, input);
+            fieldsContainer.appendChild(fieldNode);
+        }
+
+        /** @type {HTMLButtonElement} */
+        const menuButton = querySelectorNotNull(node, '.anki-note-queue-entry-button');
+        this._eventListeners.addEventListener(menuButton, 'menuClose', this._onMenuClose.bind(this), false);
+    }
+
+    /** */
+    cleanup() {
+        this._eventListeners.removeAllEventListeners();
+        if (this._node.parentNode !== null) {
+            this._node.parentNode.removeChild(this._node);
+        }
+    }
+
+    // Private
+
+    /** */
+    _onChange() {
+        void this._update();
+    }
+
+    /**
+     * @param {import('popup-menu').MenuCloseEvent} e
+     */
+    _onMenuClose(e) {
+        switch (e.detail.action) {
+            case 'delete':
+                void this._parent.removeEntry(this._data.id);
+                break;
+        }
+    }
+
+    /** */
+    async _update() {
+        /** @type {import('anki').NoteFields} */
+        const fields = {};
+        for (const [name, input] of this._fieldInputs) {
+            fields[name] = input.value;
+        }
+        const okay = await this._parent.updateEntry(this._data.id, fields);
+        if (!okay) {
+            for (const [name, input] of this._fieldInputs) {
+                input.value = this._data.note.fields[name];
+            }
+        }
+    }
+}
@@ -510,6 +510,7 @@ class AudioSourceEntry {
             case 'text-to-speech-reading':
             case 'custom':
             case 'custom-json':
+            case 'dictionary':
                 return value;
             default:
                 return null;
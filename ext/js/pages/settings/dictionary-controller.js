@@ -180,6 +180,9 @@ class DictionaryEntry {
             case 'rename':
                 this._showRenameModal();
                 break;
+            case 'export':
+                this._export();
+                break;
         }
     }
 
@@ -218,7 +221,7 @@ class DictionaryEntry {
 
     /** */
     _showDetails() {
-        const {title, revision, version, counts, prefixWildcardsSupported} = this._dictionaryInfo;
+        const {title, revision, version, counts, prefixWildcardsSupported, glossaryIndexSupported} = this._dictionaryInfo;
 
         const modal = this._dictionaryController.modalController.getModal('dictionary-details');
         if (modal === null) { return; }
@@ -233,6 +236,8 @@ class DictionaryEntry {
         const countsElement = querySelectorNotNull(modal.node, '.dictionary-counts');
         /** @type {HTMLInputElement} */
         const wildcardSupportedElement = querySelectorNotNull(modal.node, '.dictionary-prefix-wildcard-searches-supported');
+        /** @type {HTMLInputElement} */
+        const glossarySearchSupportedElement = querySelectorNotNull(modal.node, '.dictionary-glossary-searches-supported');
         /** @type {HTMLElement} */
         const detailsTableElement = querySelectorNotNull(modal.node, '.dictionary-details-table');
         /** @type {HTMLElement} */
@@ -243,18 +248,28 @@ class DictionaryEntry {
         const useDeinflectionsSetting = querySelectorNotNull(modal.node, '.dictionary-use-deinflections-setting');
         /** @type {HTMLElement} */
         const useDeinflectionsToggle = querySelectorNotNull(useDeinflectionsSetting, '.dictionary-use-deinflections-toggle');
+        /** @type {HTMLElement} */
+        const genderTagsSetting = querySelectorNotNull(modal.node, '.dictionary-gender-tags-setting');
 
         titleElement.textContent = title;
         versionElement.textContent = `rev.${revision}`;
         outdateElement.hidden = (version >= 3);
         countsElement.textContent = this._counts !== null ? JSON.stringify(this._counts, null, 4) : '';
         wildcardSupportedElement.checked = prefixWildcardsSupported;
+        glossarySearchSupportedElement.checked = !!glossaryIndexSupported;
         partsOfSpeechFilterSetting.hidden = !counts.terms.total;
         partsOfSpeechFilterToggle.dataset.setting = `dictionaries[${this._index}].partsOfSpeechFilter`;
 
         useDeinflectionsSetting.hidden = !counts.terms.total;
         useDeinflectionsToggle.dataset.setting = `dictionaries[${this._index}].useDeinflections`;
 
+        genderTagsSetting.hidden = !counts.terms.total;
+        for (const gender of ['masculine', 'feminine', 'neuter']) {
+            /** @type {HTMLInputElement} */
+            const genderTagsInput = querySelectorNotNull(genderTagsSetting, `.dictionary-gender-tags-${gender}-input`);
+            genderTagsInput.dataset.setting = `dictionaries[${this._index}].genderTags.${gender}`;
+        }
+
         this._setupDetails(detailsTableElement);
 
         modal.setVisible(true);
@@ -319,6 +334,11 @@ class DictionaryEntry {
         this._dictionaryController.deleteDictionary(this.dictionaryTitle);
     }
 
+    /** */
+    _export() {
+        void this._dictionaryController.exportDictionary(this.dictionaryTitle);
+    }
+
     /**
      * @param {number} offset
      */
@@ -505,6 +525,10 @@ export class DictionaryController {
         this._extraInfo = null;
         /** @type {boolean} */
         this._isDeleting = false;
+        /** @type {boolean} */
+        this._isExporting = false;
+        /** @type {?() => void} */
+        this._exportRevoke = null;
     }
 
     /** @type {import('./modal-controller.js').ModalController} */
@@ -587,6 +611,49 @@ export class DictionaryController {
         modal.setVisible(true);
     }
 
+    /**
+     * @param {string} dictionaryTitle
+     */
+    async exportDictionary(dictionaryTitle) {
+        if (this._isExporting || this._isDeleting) { return; }
+
+        const statusFooter = this._statusFooter;
+        const progressSelector = '.dictionary-export-progress';
+        const progressContainers = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`#dictionaries-modal ${progressSelector}`));
+        const progressBars = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-bar`));
+        const infoLabels = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-info`));
+        const statusLabels = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-status`));
+        try {
+            this._isExporting = true;
+
+            /**
+             * @param {import('dictionary-exporter').ProgressData} details
+             */
+            const onProgress = ({index, count}) => {
+                const percent = count > 0 ? (index / count) * 100 : 0;
+                const cssString = `${percent}%`;
+                const statusString = `${percent.toFixed(0)}%`;
+                for (const progressBar of progressBars) { progressBar.style.width = cssString; }
+                for (const label of statusLabels) { label.textContent = statusString; }
+            };
+
+            onProgress({index: 0, count: 1});
+
+            for (const progress of progressContainers) { progress.hidden = false; }
+            for (const label of infoLabels) { label.textContent = 'Exporting dictionary...'; }
+            if (statusFooter !== null) { statusFooter.setTaskActive(progressSelector, true); }
+
+            const blob = await new DictionaryWorker().exportDictionary(dictionaryTitle, onProgress);
+            this._saveBlob(blob, `${dictionaryTitle.replace(/[\\/:*?"<>|]/g, '_')}.zip`);
+        } catch (e) {
+            log.error(e);
+        } finally {
+            for (const progress of progressContainers) { progress.hidden = true; }
+            if (statusFooter !== null) { statusFooter.setTaskActive(progressSelector, false); }
+            this._isExporting = false;
+        }
+    }
+
     /**
      * @param {number} currentIndex
      * @param {number} targetIndex
@@ -656,6 +723,7 @@ export class DictionaryController {
             definitionsCollapsible: 'not-collapsible',
             partsOfSpeechFilter: true,
             useDeinflections: true,
+            genderTags: {masculine: 'm', feminine: 'f', neuter: 'n'},
             styles: styles ?? '',
         };
     }
@@ -866,7 +934,7 @@ export class DictionaryController {
         if (typeof title !== 'string') { return; }
         delete modal.node.dataset.dictionaryTitle;
 
-        void this._updateDictionary(title, downloadUrl);
+        this._updateDictionary(title, downloadUrl);
     }
 
     /**
@@ -1050,7 +1118,7 @@ export class DictionaryController {
      * @param {string} dictionaryTitle
      */
     async _deleteDictionary(dictionaryTitle) {
-        if (this._isDeleting || this._checkingIntegrity) { return; }
+        if (this._isDeleting || this._isExporting || this._checkingIntegrity) { return; }
 
         const index = this._dictionaryEntries.findIndex((entry) => entry.dictionaryTitle === dictionaryTitle);
         if (index < 0) { return; }
@@ -1104,8 +1172,9 @@ export class DictionaryController {
     /**
      * @param {string} dictionaryTitle
      * @param {string|undefined} downloadUrl
+     * @throws {Error}
      */
-    async _updateDictionary(dictionaryTitle, downloadUrl) {
+    _updateDictionary(dictionaryTitle, downloadUrl) {
         if (this._checkingIntegrity || this._checkingUpdates || this._isDeleting || this._dictionaries === null) { return; }
 
         const dictionaryInfo = this._dictionaries.find((entry) => entry.title === dictionaryTitle);
@@ -1113,9 +1182,7 @@ export class DictionaryController {
         downloadUrl = downloadUrl ?? dictionaryInfo.downloadUrl;
         if (typeof downloadUrl !== 'string') { throw new Error('Attempted to update dictionary without download URL'); }
 
-        await this._deleteDictionary(dictionaryTitle);
-
-        this._settingsController.trigger('importDictionaryFromUrl', {url: downloadUrl});
+        this._settingsController.trigger('updateDictionaryFromUrl', {url: downloadUrl, dictionaryTitle});
     }
 
     /**
@@ -1162,6 +1229,34 @@ export class DictionaryController {
         await this._settingsController.modifyGlobalSettings(targets);
     }
 
+    /**
+     * @param {Blob} blob
+     * @param {string} fileName
+     */
+    _saveBlob(blob, fileName) {
+        if (this._exportRevoke !== null) {
+            this._exportRevoke();
+        }
+
+        const blobUrl = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = blobUrl;
+        a.download = fileName;
+        a.rel = 'noopener';
+        a.target = '_blank';
+
+        const revoke = () => {
+            URL.revokeObjectURL(blobUrl);
+            a.href = '';
+            this._exportRevoke = null;
+        };
+        this._exportRevoke = revoke;
+
+        a.dispatchEvent(new MouseEvent('click'));
+        setTimeout(revoke, 60000);
+    }
+
     /** */
     _triggerStorageChanged() {
         this._settingsController.application.triggerStorageChanged();
@@ -16,14 +16,26 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
+import {
+    BlobReader as BlobReader0,
+    BlobWriter as BlobWriter0,
+    ZipWriter as ZipWriter0,
+} from '../../../lib/zip.js';
 import {ExtensionError} from '../../core/extension-error.js';
 import {readResponseJson} from '../../core/json.js';
 import {log} from '../../core/log.js';
 import {toError} from '../../core/to-error.js';
 import {DictionaryWorker} from '../../dictionary/dictionary-worker.js';
+import {getDslFileBaseName} from '../../dictionary/dsl-converter.js';
+import {getStarDictFileBaseName} from '../../dictionary/stardict-converter.js';
+import {getWiktextractFileBaseName} from '../../dictionary/wiktextract-converter.js';
 import {querySelectorNotNull} from '../../dom/query-selector.js';
 import {DictionaryController} from './dictionary-controller.js';
 
+const BlobReader = /** @type {typeof import('@zip.js/zip.js').BlobReader} */ (/** @type {unknown} */ (BlobReader0));
+const BlobWriter = /** @type {typeof import('@zip.js/zip.js').BlobWriter} */ (/** @type {unknown} */ (BlobWriter0));
+const ZipWriter = /** @type {typeof import('@zip.js/zip.js').ZipWriter} */ (/** @type {unknown} */ (ZipWriter0));
+
 export class DictionaryImportController {
     /**
      * @param {import('./settings-controller.js').SettingsController} settingsController
@@ -94,6 +106,7 @@ export class DictionaryImportController {
         this._importFileDrop.addEventListener('drop', this._onFileDrop.bind(this), false);
 
         this._settingsController.on('importDictionaryFromUrl', this._onEventImportDictionaryFromUrl.bind(this));
+        this._settingsController.on('updateDictionaryFromUrl', this._onEventUpdateDictionaryFromUrl.bind(this));
 
         // Welcome page
         const recommendedDictionaryButton = document.querySelector('[data-modal-action="show,recommended-dictionaries"]');
@@ -222,6 +235,19 @@ export class DictionaryImportController {
         void this.importFilesFromURLs(url);
     }
 
+    /**
+     * @param {import('settings-controller').EventArgument<'updateDictionaryFromUrl'>} details
+     */
+    _onEventUpdateDictionaryFromUrl({url, dictionaryTitle}) {
+        const importProgressTracker = new ImportProgressTracker(this._getUrlUpdateSteps(), 1);
+        const onProgress = importProgressTracker.onProgress.bind(importProgressTracker);
+        void this._importDictionaries(
+            this._generateFilesFromUrls([url], onProgress),
+            importProgressTracker,
+            dictionaryTitle,
+        );
+    }
+
     /** */
     _onImportFileButtonClick() {
         /** @type {HTMLInputElement} */ (this._importFileInput).click();
@@ -266,7 +292,7 @@ export class DictionaryImportController {
         if (e.dataTransfer === null) { return; }
         /** @type {import('./modal.js').Modal} */ (this._importModal).setVisible(false);
         /** @type {File[]} */
-        const fileArray = [];
+        let fileArray = [];
         for (const fileEntry of await this._getAllFileEntries(e.dataTransfer.items)) {
             if (!fileEntry) { return; }
             try {
@@ -275,6 +301,7 @@ export class DictionaryImportController {
                 log.error(error);
             }
         }
+        fileArray = await this._combineDictionaryFiles(fileArray);
         const importProgressTracker = new ImportProgressTracker(this._getFileImportSteps(), fileArray.length);
         void this._importDictionaries(
             this._arrayToAsyncGenerator(fileArray),
@@ -303,7 +330,7 @@ export class DictionaryImportController {
             const entry = entries.shift();
             if (!entry) { continue; }
             if (entry.isFile) {
-                if (entry.name.substring(entry.name.lastIndexOf('.'), entry.name.length) === '.zip') {
+                if (entry.name.substring(entry.name.lastIndexOf('.'), entry.name.length) === '.zip' || this._getDictionaryFileBaseName(entry.name) !== null) {
                     // @ts-expect-error - ts does not recognize `if (entry.isFile)` as verifying `entry` is type `FileSystemFileEntry` and instanceof does not work
                     fileEntries.push(entry);
                 }
@@ -334,6 +361,47 @@ export class DictionaryImportController {
         return entries;
     }
 
+    /**
+     * @param {string} fileName
+     * @returns {?string} The name shared by the files of a StarDict, DSL or Wiktextract dictionary, or `null` for other files.
+     */
+    _getDictionaryFileBaseName(fileName) {
+        return getStarDictFileBaseName(fileName) ?? getDslFileBaseName(fileName) ?? getWiktextractFileBaseName(fileName);
+    }
+
+    /**
+     * StarDict, DSL and Wiktextract dictionaries are not archives, so their files are combined into one archive per dictionary.
+     * @param {File[]} files
+     * @returns {Promise<File[]>}
+     */
+    async _combineDictionaryFiles(files) {
+        /** @type {File[]} */
+        const results = [];
+        /** @type {Map<string, File[]>} */
+        const dictionaryFiles = new Map();
+        for (const file of files) {
+            const baseName = this._getDictionaryFileBaseName(file.name);
+            if (baseName === null) {
+                results.push(file);
+                continue;
+            }
+            const group = dictionaryFiles.get(baseName);
+            if (typeof group !== 'undefined') {
+                group.push(file);
+            } else {
+                dictionaryFiles.set(baseName, [file]);
+            }
+        }
+        for (const [baseName, group] of dictionaryFiles) {
+            const zipWriter = new ZipWriter(new BlobWriter('application/zip'));
+            for (const file of group) {
+                await zipWriter.add(file.name, new BlobReader(file), {level: 0, useWebWorkers: false});
+            }
+            results.push(new File([await zipWriter.close()], `${baseName}.zip`, {type: 'application/zip'}));
+        }
+        return results;
+    }
+
     /**
      * @throws
      */
@@ -379,7 +447,7 @@ export class DictionaryImportController {
         const node = /** @type {HTMLInputElement} */ (e.currentTarget);
         const {files} = node;
         if (files === null) { return; }
-        const files2 = [...files];
+        const files2 = await this._combineDictionaryFiles([...files]);
         node.value = '';
         void this._importDictionaries(
             this._arrayToAsyncGenerator(files2),
@@ -486,8 +554,9 @@ export class DictionaryImportController {
     /**
      * @param {AsyncGenerator<File, void, void>} dictionaries
      * @param {ImportProgressTracker} importProgressTracker
+     * @param {?string} updateDictionaryTitle The title of the dictionary which is replaced by the imported file, or `null` for a new import.
      */
-    async _importDictionaries(dictionaries, importProgressTracker) {
+    async _importDictionaries(dictionaries, importProgressTracker, updateDictionaryTitle = null) {
         if (this._modifying) { return; }
 
         const statusFooter = this._statusFooter;
@@ -510,6 +579,7 @@ export class DictionaryImportController {
             const optionsFull = await this._settingsController.getOptionsFull();
             const importDetails = {
                 prefixWildcardsSupported: optionsFull.global.database.prefixWildcardsSupported,
+                glossaryIndexSupported: optionsFull.global.database.glossaryIndexSupported,
             };
 
             for (let i = 0; i < importProgressTracker.dictionaryCount; ++i) {
@@ -522,10 +592,10 @@ export class DictionaryImportController {
                 }
                 errors = [
                     ...errors,
-                    ...(await this._importDictionaryFromZip(
-                        file,
-                        importDetails,
-                        onProgress,
+                    ...(await (
+                        updateDictionaryTitle !== null ?
+                        this._updateDictionaryFromZip(file, updateDictionaryTitle, importDetails, onProgress) :
+                        this._importDictionaryFromZip(file, importDetails, onProgress)
                     ) ?? []),
                 ];
             }
@@ -566,6 +636,15 @@ export class DictionaryImportController {
         return urlImportSteps;
     }
 
+    /**
+     * @returns {import('dictionary-importer').ImportSteps}
+     */
+    _getUrlUpdateSteps() {
+        const urlUpdateSteps = this._getUrlImportSteps();
+        urlUpdateSteps.push({label: 'Replacing previous revision', callback: this._triggerStorageChanged.bind(this)});
+        return urlUpdateSteps;
+    }
+
     /**
      * @template T
      * @param {T[]} arr
@@ -603,6 +682,67 @@ export class DictionaryImportController {
         }
     }
 
+    /**
+     * @param {File} file
+     * @param {string} dictionaryTitle
+     * @param {import('dictionary-importer').ImportDetails} importDetails
+     * @param {import('dictionary-worker').ImportProgressCallback} onProgress
+     * @returns {Promise<Error[] | undefined>}
+     */
+    async _updateDictionaryFromZip(file, dictionaryTitle, importDetails, onProgress) {
+        const archiveContent = await this._readFile(file);
+        const {result, errors} = await new DictionaryWorker().updateDictionary(dictionaryTitle, archiveContent, importDetails, onProgress);
+        if (!result) {
+            errors.push(new Error(`Dictionary ${dictionaryTitle} was not updated, the previous revision has been kept.`));
+            return errors;
+        }
+
+        const errors2 = await this._updateDictionarySettings(dictionaryTitle, result);
+
+        await this._settingsController.application.api.triggerDatabaseUpdated('dictionary', 'update');
+
+        if (errors2.length > 0) {
+            this._showErrors(errors2);
+        }
+    }
+
+    /**
+     * Points the settings of an updated dictionary to its new revision, keeping the user's customizations.
+     * @param {string} previousTitle
+     * @param {import('dictionary-importer').Summary} summary
+     * @returns {Promise<Error[]>}
+     */
+    async _updateDictionarySettings(previousTitle, summary) {
+        const {title, styles} = summary;
+        const optionsFull = await this._settingsController.getOptionsFull();
+        /** @type {import('settings-modifications').Modification[]} */
+        const targets = [];
+        const profileCount = optionsFull.profiles.length;
+        for (let i = 0; i < profileCount; ++i) {
+            const {options} = optionsFull.profiles[i];
+            const {dictionaries, general} = options;
+            for (let j = 0, jj = dictionaries.length; j < jj; ++j) {
+                const {name, alias} = dictionaries[j];
+                if (name !== previousTitle) { continue; }
+                const path = `profiles[${i}].options.dictionaries[${j}]`;
+                targets.push({action: 'set', path: `${path}.styles`, value: styles});
+                if (title === previousTitle) { continue; }
+                targets.push({action: 'set', path: `${path}.name`, value: title});
+                if (alias === previousTitle) {
+                    targets.push({action: 'set', path: `${path}.alias`, value: title});
+                }
+            }
+            if (title === previousTitle) { continue; }
+            if (general.mainDictionary === previousTitle) {
+                targets.push({action: 'set', path: `profiles[${i}].options.general.mainDictionary`, value: title});
+            }
+            if (general.sortFrequencyDictionary === previousTitle) {
+                targets.push({action: 'set', path: `profiles[${i}].options.general.sortFrequencyDictionary`, value: title});
+            }
+        }
+        return await this._modifyGlobalSettings(targets);
+    }
+
     /**
      * @param {import('dictionary-importer').Summary} summary
      * @returns {Promise<Error[]>}
@@ -627,6 +767,12 @@ export class DictionaryImportController {
         const profileCount = optionsFull.profiles.length;
         for (let i = 0; i < profileCount; ++i) {
             const {options} = optionsFull.profiles[i];
+            // A dictionary which replaced an installed one with the same title, such as a newer Wiktextract dump, keeps its settings
+            const existingIndex = options.dictionaries.findIndex(({name}) => name === title);
+            if (existingIndex >= 0) {
+                targets.push({action: 'set', path: `profiles[${i}].options.dictionaries[${existingIndex}].styles`, value: styles});
+                continue;
+            }
             const enabled = profileIndex === i;
             const value = DictionaryController.createDefaultDictionarySettings(title, enabled, styles);
             const path1 = `profiles[${i}].options.dictionaries`;
@@ -71,6 +71,7 @@ export class KeyboardShortcutController {
             ['scanSelectedText',                 {scopes: new Set(['web'])}],
             ['scanTextAtSelection',              {scopes: new Set(['web'])}],
             ['scanTextAtCaret',                  {scopes: new Set(['web'])}],
+            ['toggleKnownWordHighlighting',      {scopes: new Set(['web'])}],
             ['toggleOption',                     {scopes: new Set(['popup', 'search']), argument: {template: 'hotkey-argument-setting-path', default: ''}}],
         ]);
         /* eslint-enable @stylistic/no-multi-spaces */
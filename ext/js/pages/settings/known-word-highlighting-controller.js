@@ -0,0 +1,58 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {querySelectorNotNull} from '../../dom/query-selector.js';
+
+export class KnownWordHighlightingController {
+    /**
+     * @param {import('./settings-controller.js').SettingsController} settingsController
+     */
+    constructor(settingsController) {
+        /** @type {import('./settings-controller.js').SettingsController} */
+        this._settingsController = settingsController;
+        /** @type {HTMLButtonElement} */
+        this._clearButton = querySelectorNotNull(document, '#known-word-lookup-history-clear-button');
+        /** @type {HTMLElement} */
+        this._clearedNode = querySelectorNotNull(document, '#known-word-lookup-history-cleared');
+    }
+
+    /** */
+    prepare() {
+        this._clearButton.addEventListener('click', this._onClearClick.bind(this), false);
+    }
+
+    // Private
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onClearClick(e) {
+        e.preventDefault();
+        void this._clearLookupHistory();
+    }
+
+    /** */
+    async _clearLookupHistory() {
+        this._clearButton.disabled = true;
+        try {
+            await this._settingsController.application.api.clearKnownWordLookupHistory();
+            this._clearedNode.hidden = false;
+        } finally {
+            this._clearButton.disabled = false;
+        }
+    }
+}
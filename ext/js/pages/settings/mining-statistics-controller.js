@@ -0,0 +1,216 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {toError} from '../../core/to-error.js';
+import {createMiningLogCsv, getDateKey, getMiningStatistics} from '../../data/mining-statistics.js';
+import {querySelectorNotNull} from '../../dom/query-selector.js';
+
+export class MiningStatisticsController {
+    /**
+     * @param {import('./settings-controller.js').SettingsController} settingsController
+     * @param {import('./modal-controller.js').ModalController} modalController
+     */
+    constructor(settingsController, modalController) {
+        /** @type {import('./settings-controller.js').SettingsController} */
+        this._settingsController = settingsController;
+        /** @type {import('./modal-controller.js').ModalController} */
+        this._modalController = modalController;
+        /** @type {HTMLElement} */
+        this._totalCountNode = querySelectorNotNull(document, '#mining-statistics-total-count');
+        /** @type {HTMLElement} */
+        this._todayCountNode = querySelectorNotNull(document, '#mining-statistics-today-count');
+        /** @type {HTMLElement} */
+        this._currentStreakNode = querySelectorNotNull(document, '#mining-statistics-current-streak');
+        /** @type {HTMLElement} */
+        this._longestStreakNode = querySelectorNotNull(document, '#mining-statistics-longest-streak');
+        /** @type {HTMLElement} */
+        this._daysContainer = querySelectorNotNull(document, '#mining-statistics-days');
+        /** @type {HTMLElement} */
+        this._sitesContainer = querySelectorNotNull(document, '#mining-statistics-sites');
+        /** @type {HTMLElement} */
+        this._dictionariesContainer = querySelectorNotNull(document, '#mining-statistics-dictionaries');
+        /** @type {HTMLElement} */
+        this._errorNode = querySelectorNotNull(document, '#mining-statistics-error');
+        /** @type {HTMLButtonElement} */
+        this._exportButton = querySelectorNotNull(document, '#mining-statistics-export-button');
+        /** @type {HTMLButtonElement} */
+        this._clearButton = querySelectorNotNull(document, '#mining-statistics-clear-button');
+        /** @type {?import('./modal.js').Modal} */
+        this._clearModal = null;
+        /** @type {import('mining-log').Entry[]} */
+        this._entries = [];
+        /** @type {number} */
+        this._recentDayCount = 30;
+        /** @type {?(() => void)} */
+        this._exportRevoke = null;
+    }
+
+    /** */
+    prepare() {
+        this._clearModal = this._modalController.getModal('mining-statistics-clear');
+        const modal = this._modalController.getModal('mining-statistics');
+
+        /** @type {HTMLButtonElement} */
+        const clearConfirmButton = querySelectorNotNull(document, '#mining-statistics-clear-button-confirm');
+
+        this._exportButton.addEventListener('click', this._onExportClick.bind(this), false);
+        this._clearButton.addEventListener('click', this._onClearClick.bind(this), false);
+        clearConfirmButton.addEventListener('click', this._onClearConfirmClick.bind(this), false);
+        if (modal !== null) {
+            modal.on('visibilityChanged', this._onModalVisibilityChanged.bind(this));
+        }
+    }
+
+    // Private
+
+    /**
+     * @param {import('panel-element').EventArgument<'visibilityChanged'>} details
+     */
+    _onModalVisibilityChanged({visible}) {
+        if (!visible) { return; }
+        void this._update();
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onExportClick(e) {
+        e.preventDefault();
+        this._export();
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onClearClick(e) {
+        e.preventDefault();
+        if (this._clearModal === null) { return; }
+        this._clearModal.setVisible(true);
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onClearConfirmClick(e) {
+        e.preventDefault();
+        if (this._clearModal !== null) { this._clearModal.setVisible(false); }
+        void this._clear();
+    }
+
+    /** */
+    async _update() {
+        try {
+            this._entries = await this._settingsController.application.api.getMiningLog();
+            this._setError(null);
+        } catch (e) {
+            this._entries = [];
+            this._setError(toError(e));
+        }
+
+        const {totalCount, todayCount, currentStreak, longestStreak, recentDays, sites, dictionaries} = getMiningStatistics(this._entries, Date.now(), this._recentDayCount);
+        this._totalCountNode.textContent = `${totalCount}`;
+        this._todayCountNode.textContent = `${todayCount}`;
+        this._currentStreakNode.textContent = `${currentStreak}`;
+        this._longestStreakNode.textContent = `${longestStreak}`;
+        this._setBars(this._daysContainer, recentDays.map(({date, count}) => ({name: date, count})));
+        this._setBars(this._sitesContainer, sites);
+        this._setBars(this._dictionariesContainer, dictionaries);
+
+        const empty = (totalCount === 0);
+        this._exportButton.disabled = empty;
+        this._clearButton.disabled = empty;
+    }
+
+    /**
+     * @param {HTMLElement} container
+     * @param {import('mining-log').Count[]} counts
+     */
+    _setBars(container, counts) {
+        container.textContent = '';
+        const maxCount = Math.max(1, ...counts.map(({count}) => count));
+        const fragment = document.createDocumentFragment();
+        for (const {name, count} of counts) {
+            const node = this._settingsController.instantiateTemplate('mining-statistics-bar');
+            /** @type {HTMLElement} */
+            const labelNode = querySelectorNotNull(node, '.mining-statistics-bar-label');
+            /** @type {HTMLElement} */
+            const fillNode = querySelectorNotNull(node, '.mining-statistics-bar-fill');
+            /** @type {HTMLElement} */
+            const countNode = querySelectorNotNull(node, '.mining-statistics-bar-count');
+            labelNode.textContent = name;
+            labelNode.title = name;
+            fillNode.style.width = `${count / maxCount * 100}%`;
+            countNode.textContent = `${count}`;
+            fragment.appendChild(node);
+        }
+        container.appendChild(fragment);
+    }
+
+    /** */
+    _export() {
+        if (this._exportRevoke !== null) {
+            this._exportRevoke();
+            this._exportRevoke = null;
+        }
+
+        const blob = new Blob([createMiningLogCsv(this._entries)], {type: 'text/csv'});
+        this._saveBlob(blob, `yomitan-mining-log-${getDateKey(new Date(Date.now()))}.csv`);
+    }
+
+    /** */
+    async _clear() {
+        this._clearButton.disabled = true;
+        try {
+            await this._settingsController.application.api.clearMiningLog();
+        } catch (e) {
+            this._setError(toError(e));
+        }
+        await this._update();
+    }
+
+    /**
+     * @param {Blob} blob
+     * @param {string} fileName
+     */
+    _saveBlob(blob, fileName) {
+        const blobUrl = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = blobUrl;
+        a.download = fileName;
+        a.rel = 'noopener';
+        a.target = '_blank';
+
+        const revoke = () => {
+            URL.revokeObjectURL(blobUrl);
+            a.href = '';
+            this._exportRevoke = null;
+        };
+        this._exportRevoke = revoke;
+
+        a.dispatchEvent(new MouseEvent('click'));
+        setTimeout(revoke, 60000);
+    }
+
+    /**
+     * @param {?Error} error
+     */
+    _setError(error) {
+        this._errorNode.hidden = (error === null);
+        this._errorNode.textContent = (error !== null ? error.message : '');
+    }
+}
@@ -22,6 +22,8 @@ import {querySelectorNotNull} from '../../dom/query-selector.js';
 import {ExtensionContentController} from '../common/extension-content-controller.js';
 import {AnkiController} from './anki-controller.js';
 import {AnkiDeckGeneratorController} from './anki-deck-generator-controller.js';
+import {AnkiLocalCollectionController} from './anki-local-collection-controller.js';
+import {AnkiNoteQueueController} from './anki-note-queue-controller.js';
 import {AnkiTemplatesController} from './anki-templates-controller.js';
 import {AudioController} from './audio-controller.js';
 import {BackupController} from './backup-controller.js';
@@ -31,8 +33,10 @@ import {DictionaryImportController} from './dictionary-import-controller.js';
 import {ExtensionKeyboardShortcutController} from './extension-keyboard-shortcuts-controller.js';
 import {GenericSettingController} from './generic-setting-controller.js';
 import {KeyboardShortcutController} from './keyboard-shortcuts-controller.js';
+import {KnownWordHighlightingController} from './known-word-highlighting-controller.js';
 import {LanguagesController} from './languages-controller.js';
 import {MecabController} from './mecab-controller.js';
+import {MiningStatisticsController} from './mining-statistics-controller.js';
 import {ModalController} from './modal-controller.js';
 import {NestedPopupsController} from './nested-popups-controller.js';
 import {PermissionsToggleController} from './permissions-toggle-controller.js';
@@ -50,6 +54,7 @@ import {SortFrequencyDictionaryController} from './sort-frequency-dictionary-con
 import {StatusFooter} from './status-footer.js';
 import {StorageController} from './storage-controller.js';
 import {TranslationTextReplacementsController} from './translation-text-replacements-controller.js';
+import {UserDictionaryController} from './user-dictionary-controller.js';
 
 /**
  * @param {GenericSettingController} genericSettingController
@@ -111,6 +116,9 @@ await Application.main(true, async (application) => {
     const dictionaryImportController = new DictionaryImportController(settingsController, modalController, statusFooter);
     dictionaryImportController.prepare();
 
+    const userDictionaryController = new UserDictionaryController(settingsController);
+    preparePromises.push(userDictionaryController.prepare());
+
     const genericSettingController = new GenericSettingController(settingsController);
     preparePromises.push(setupGenericSettingController(genericSettingController));
 
@@ -132,6 +140,18 @@ await Application.main(true, async (application) => {
     const ankiTemplatesController = new AnkiTemplatesController(application, settingsController, modalController, ankiController);
     preparePromises.push(ankiTemplatesController.prepare());
 
+    const ankiNoteQueueController = new AnkiNoteQueueController(settingsController);
+    preparePromises.push(ankiNoteQueueController.prepare());
+
+    const ankiLocalCollectionController = new AnkiLocalCollectionController(settingsController, modalController);
+    preparePromises.push(ankiLocalCollectionController.prepare());
+
+    const knownWordHighlightingController = new KnownWordHighlightingController(settingsController);
+    knownWordHighlightingController.prepare();
+
+    const miningStatisticsController = new MiningStatisticsController(settingsController, modalController);
+    miningStatisticsController.prepare();
+
     const scanInputsController = new ScanInputsController(settingsController);
     preparePromises.push(scanInputsController.prepare());
 
@@ -0,0 +1,317 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {
+    BlobWriter as BlobWriter0,
+    TextReader as TextReader0,
+    ZipWriter as ZipWriter0,
+} from '../../../lib/zip.js';
+import {EventListenerCollection} from '../../core/event-listener-collection.js';
+import {toError} from '../../core/to-error.js';
+import {createUserDictionaryArchiveFiles} from '../../dictionary/user-dictionary.js';
+import {querySelectorNotNull} from '../../dom/query-selector.js';
+
+const BlobWriter = /** @type {typeof import('@zip.js/zip.js').BlobWriter} */ (/** @type {unknown} */ (BlobWriter0));
+const TextReader = /** @type {typeof import('@zip.js/zip.js').TextReader} */ (/** @type {unknown} */ (TextReader0));
+const ZipWriter = /** @type {typeof import('@zip.js/zip.js').ZipWriter} */ (/** @type {unknown} */ (ZipWriter0));
+
+export class UserDictionaryController {
+    /**
+     * @param {import('./settings-controller.js').SettingsController} settingsController
+     */
+    constructor(settingsController) {
+        /** @type {import('./settings-controller.js').SettingsController} */
+        this._settingsController = settingsController;
+        /** @type {UserDictionaryEntry[]} */
+        this._entries = [];
+        /** @type {HTMLElement} */
+        this._listContainer = querySelectorNotNull(document, '#user-dictionary-entry-list');
+        /** @type {HTMLElement} */
+        this._emptyIndicator = querySelectorNotNull(document, '#user-dictionary-entry-list-empty');
+        /** @type {HTMLElement} */
+        this._newEntryNode = querySelectorNotNull(document, '#user-dictionary-new-entry');
+        /** @type {HTMLButtonElement} */
+        this._addButton = querySelectorNotNull(document, '#user-dictionary-entry-add-button');
+        /** @type {HTMLButtonElement} */
+        this._exportButton = querySelectorNotNull(document, '#user-dictionary-export-button');
+        /** @type {HTMLElement} */
+        this._errorNode = querySelectorNotNull(document, '#user-dictionary-error');
+        /** @type {?import('core').TokenObject} */
+        this._updateToken = null;
+        /** @type {?() => void} */
+        this._exportRevoke = null;
+    }
+
+    /** */
+    async prepare() {
+        this._addButton.addEventListener('click', this._onAddClick.bind(this), false);
+        this._exportButton.addEventListener('click', this._onExportClick.bind(this), false);
+        this._settingsController.application.on('databaseUpdated', this._onDatabaseUpdated.bind(this));
+
+        await this._updateEntries();
+    }
+
+    /**
+     * @param {number} id
+     * @param {import('user-dictionary').EntryDetails} details
+     * @returns {Promise<boolean>}
+     */
+    async updateEntry(id, details) {
+        try {
+            await this._settingsController.application.api.updateUserDictionaryEntry(id, details);
+            this._setError(null);
+            return true;
+        } catch (e) {
+            this._setError(toError(e));
+            return false;
+        }
+    }
+
+    /**
+     * @param {number} id
+     */
+    async deleteEntry(id) {
+        try {
+            await this._settingsController.application.api.deleteUserDictionaryEntry(id);
+            this._setError(null);
+        } catch (e) {
+            this._setError(toError(e));
+        }
+    }
+
+    // Private
+
+    /** */
+    _onDatabaseUpdated() {
+        void this._updateEntries();
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onAddClick(e) {
+        e.preventDefault();
+        void this._addEntry();
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onExportClick(e) {
+        e.preventDefault();
+        void this._export();
+    }
+
+    /** */
+    async _updateEntries() {
+        /** @type {?import('core').TokenObject} */
+        const token = {};
+        this._updateToken = token;
+        const entries = await this._settingsController.application.api.getUserDictionaryEntries();
+        if (this._updateToken !== token) { return; }
+
+        for (const entry of this._entries) {
+            entry.cleanup();
+        }
+        this._entries = [];
+
+        for (const data of entries) {
+            const node = /** @type {HTMLElement} */ (this._settingsController.instantiateTemplate('user-dictionary-entry'));
+            this._listContainer.appendChild(node);
+            const entry = new UserDictionaryEntry(this, data, node);
+            this._entries.push(entry);
+            entry.prepare();
+        }
+
+        const empty = entries.length === 0;
+        this._emptyIndicator.hidden = !empty;
+        this._exportButton.disabled = empty;
+    }
+
+    /** */
+    async _addEntry() {
+        const details = getEntryDetails(this._newEntryNode);
+        this._addButton.disabled = true;
+        try {
+            await this._settingsController.application.api.addUserDictionaryEntry(details);
+            this._setError(null);
+            setEntryDetails(this._newEntryNode, {term: '', reading: '', glossary: [], tags: [], sentence: ''});
+        } catch (e) {
+            this._setError(toError(e));
+        } finally {
+            this._addButton.disabled = false;
+        }
+    }
+
+    /** */
+    async _export() {
+        if (this._exportRevoke !== null) {
+            this._exportRevoke();
+            this._exportRevoke = null;
+        }
+
+        this._exportButton.disabled = true;
+        try {
+            const entries = await this._settingsController.application.api.getUserDictionaryEntries();
+            const date = new Date(Date.now());
+            const {index, termBank} = createUserDictionaryArchiveFiles(entries, date.toISOString());
+            const zipWriter = new ZipWriter(new BlobWriter('application/zip'));
+            await zipWriter.add('index.json', new TextReader(JSON.stringify(index)), {useWebWorkers: false});
+            await zipWriter.add('term_bank_1.json', new TextReader(JSON.stringify(termBank)), {useWebWorkers: false});
+            const blob = await zipWriter.close();
+            this._saveBlob(blob, `yomitan-user-dictionary-${date.toISOString().substring(0, 10)}.zip`);
+            this._setError(null);
+        } catch (e) {
+            this._setError(toError(e));
+        } finally {
+            this._exportButton.disabled = false;
+        }
+    }
+
+    /**
+     * @param {Blob} blob
+     * @param {string} fileName
+     */
+    _saveBlob(blob, fileName) {
+        const blobUrl = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = blobUrl;
+        a.download = fileName;
+        a.rel = 'noopener';
+        a.target = '_blank';
+
+        const revoke = () => {
+            URL.revokeObjectURL(blobUrl);
+            a.href = '';
+            this._exportRevoke = null;
+        };
+        this._exportRevoke = revoke;
+
+        a.dispatchEvent(new MouseEvent('click'));
+        setTimeout(revoke, 60000);
+    }
+
+    /**
+     * @param {?Error} error
+     */
+    _setError(error) {
+        this._errorNode.hidden = (error === null);
+        this._errorNode.textContent = (error !== null ? error.message : '');
+    }
+}
+
+class UserDictionaryEntry {
+    /**
+     * @param {UserDictionaryController} parent
+     * @param {import('user-dictionary').Entry} data
+     * @param {HTMLElement} node
+     */
+    constructor(parent, data, node) {
+        /** @type {UserDictionaryController} */
+        this._parent = parent;
+        /** @type {import('user-dictionary').Entry} */
+        this._data = data;
+        /** @type {HTMLElement} */
+        this._node = node;
+        /** @type {EventListenerCollection} */
+        this._eventListeners = new EventListenerCollection();
+    }
+
+    /** */
+    prepare() {
+        const node = this._node;
+        setEntryDetails(node, this._data);
+
+        for (const input of /** @type {NodeListOf<HTMLInputElement|HTMLTextAreaElement>} */ (node.querySelectorAll('input,textarea'))) {
+            this._eventListeners.addEventListener(input, 'change', this._onChange.bind(this), false);
+        }
+        /** @type {HTMLButtonElement} */
+        const menuButton = querySelectorNotNull(node, '.user-dictionary-entry-button');
+        this._eventListeners.addEventListener(menuButton, 'menuClose', this._onMenuClose.bind(this), false);
+    }
+
+    /** */
+    cleanup() {
+        this._eventListeners.removeAllEventListeners();
+        if (this._node.parentNode !== null) {
+            this._node.parentNode.removeChild(this._node);
+        }
+    }
+
+    // Private
+
+    /** */
+    _onChange() {
+        void this._update();
+    }
+
+    /**
+     * @param {import('popup-menu').MenuCloseEvent} e
+     */
+    _onMenuClose(e) {
+        switch (e.detail.action) {
+            case 'delete':
+                void this._parent.deleteEntry(this._data.id);
+                break;
+        }
+    }
+
+    /** */
+    async _update() {
+        const details = getEntryDetails(this._node);
+        const okay = await this._parent.updateEntry(this._data.id, details);
+        if (!okay) {
+            setEntryDetails(this._node, this._data);
+        }
+    }
+}
+
+/**
+ * @param {Element} node
+ * @param {string} selector
+ * @returns {HTMLInputElement|HTMLTextAreaElement}
+ */
+function getEntryInput(node, selector) {
+    return querySelectorNotNull(node, selector);
+}
+
+/**
+ * @param {Element} node
+ * @returns {import('user-dictionary').EntryDetails}
+ */
+function getEntryDetails(node) {
+    return {
+        term: getEntryInput(node, '.user-dictionary-entry-term').value,
+        reading: getEntryInput(node, '.user-dictionary-entry-reading').value,
+        glossary: getEntryInput(node, '.user-dictionary-entry-glossary').value.split('\n'),
+        tags: getEntryInput(node, '.user-dictionary-entry-tags').value.split(/\s+/),
+        sentence: getEntryInput(node, '.user-dictionary-entry-sentence').value,
+    };
+}
+
+/**
+ * @param {Element} node
+ * @param {import('user-dictionary').EntryDetails} details
+ */
+function setEntryDetails(node, {term, reading, glossary, tags, sentence}) {
+    getEntryInput(node, '.user-dictionary-entry-term').value = term;
+    getEntryInput(node, '.user-dictionary-entry-reading').value = reading;
+    getEntryInput(node, '.user-dictionary-entry-glossary').value = glossary.join('\n');
+    getEntryInput(node, '.user-dictionary-entry-tags').value = tags.join(' ');
+    getEntryInput(node, '.user-dictionary-entry-sentence').value = sentence;
+}
@@ -0,0 +1,240 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+import {fileURLToPath} from 'node:url';
+import path from 'path';
+import {describe, expect, test} from 'vitest';
+import {createAnkiNoteData} from '../ext/js/data/anki-note-data-creator.js';
+import {createTranslatorContext} from './fixtures/translator-test.js';
+import {createFindTermsOptions} from './utilities/translator.js';
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * @param {string} term
+ * @param {string} originalText
+ * @param {string} deinflectedText
+ * @param {string[]} [inflectionRules]
+ * @returns {import('dictionary').TermDictionaryEntry}
+ */
+function createTermDictionaryEntry(term, originalText, deinflectedText, inflectionRules = []) {
+    return {
+        type: 'term',
+        isPrimary: true,
+        textProcessorRuleChainCandidates: [],
+        inflectionRuleChainCandidates: inflectionRules.length > 0 ? [{source: 'algorithm', inflectionRules: inflectionRules.map((name) => ({name}))}] : [],
+        score: 0,
+        frequencyOrder: 0,
+        dictionaryIndex: 0,
+        dictionaryAlias: 'Test Dictionary',
+        dictionaryPriority: 0,
+        sourceTermExactMatchCount: 0,
+        maxOriginalTextLength: originalText.length,
+        headwords: [{
+            index: 0,
+            term,
+            reading: term,
+            sources: [{originalText, transformedText: originalText, deinflectedText, matchType: 'exact', matchSource: 'term', isPrimary: true}],
+            tags: [],
+            wordClasses: [],
+        }],
+        definitions: [],
+        pronunciations: [],
+        frequencies: [],
+    };
+}
+
+/**
+ * @param {import('dictionary').DictionaryEntry} dictionaryEntry
+ * @param {string} text
+ * @param {number} offset
+ * @returns {import('anki-templates').Cloze}
+ * @throws {Error}
+ */
+function getCloze(dictionaryEntry, text, offset) {
+    const {definition} = createAnkiNoteData('marker', {
+        dictionaryEntry,
+        resultOutputMode: 'split',
+        mode: 'test',
+        glossaryLayoutMode: 'default',
+        compactTags: false,
+        context: {url: 'url:', sentence: {text, offset}, documentTitle: 'title', query: 'query', fullQuery: 'fullQuery'},
+        media: {},
+        dictionaryStylesMap: new Map(),
+    });
+    if (!('cloze' in definition)) { throw new Error('Definition has no cloze'); }
+    return definition.cloze;
+}
+
+describe('AnkiNoteDataCreator', () => {
+    describe('Cloze', () => {
+        const tests = [
+            {
+                name: 'Single word',
+                dictionaryEntry: createTermDictionaryEntry('lesen', 'liest', 'lesen'),
+                text: 'Er liest ein Buch.',
+                offset: 3,
+                expected: {
+                    prefix: 'Er ',
+                    body: 'liest',
+                    suffix: ' ein Buch.',
+                    spans: [{offset: 3, length: 5, text: 'liest'}],
+                    sentenceAnki: 'Er {{c1::liest}} ein Buch.',
+                },
+            },
+            {
+                name: 'Separable verb',
+                dictionaryEntry: createTermDictionaryEntry('aufräumen', 'räumte den Tisch auf', 'räumen auf'),
+                text: 'Ich räumte den Tisch auf.',
+                offset: 4,
+                expected: {
+                    prefix: 'Ich ',
+                    body: 'räumte den Tisch auf',
+                    suffix: '.',
+                    spans: [
+                        {offset: 4, length: 6, text: 'räumte'},
+                        {offset: 21, length: 3, text: 'auf'},
+                    ],
+                    sentenceAnki: 'Ich {{c1::räumte}} den Tisch {{c1::auf}}.',
+                },
+            },
+            {
+                name: 'Multi-word expression',
+                dictionaryEntry: createTermDictionaryEntry('kick the bucket', 'kicked the bucket', 'kick the bucket'),
+                text: 'He kicked the bucket yesterday.',
+                offset: 3,
+                expected: {
+                    prefix: 'He ',
+                    body: 'kicked the bucket',
+                    suffix: ' yesterday.',
+                    spans: [{offset: 3, length: 17, text: 'kicked the bucket'}],
+                    sentenceAnki: 'He {{c1::kicked the bucket}} yesterday.',
+                },
+            },
+            {
+                name: 'Multi-word expression with a separated word',
+                dictionaryEntry: createTermDictionaryEntry('take apart', 'took the radio apart', 'take apart'),
+                text: 'She took the radio apart',
+                offset: 4,
+                expected: {
+                    prefix: 'She ',
+                    body: 'took the radio apart',
+                    suffix: '',
+                    spans: [
+                        {offset: 4, length: 4, text: 'took'},
+                        {offset: 19, length: 5, text: 'apart'},
+                    ],
+                    sentenceAnki: 'She {{c1::took}} the radio {{c1::apart}}',
+                },
+            },
+            {
+                name: 'Separated prefix',
+                dictionaryEntry: createTermDictionaryEntry('aufräumen', 'räumte', 'aufräumen', ['preterite', 'separated prefix']),
+                text: 'Ich räumte den Tisch auf.',
+                offset: 4,
+                expected: {
+                    prefix: 'Ich ',
+                    body: 'räumte',
+                    suffix: ' den Tisch auf.',
+                    spans: [
+                        {offset: 4, length: 6, text: 'räumte'},
+                        {offset: 21, length: 3, text: 'auf'},
+                    ],
+                    sentenceAnki: 'Ich {{c1::räumte}} den Tisch {{c1::auf}}.',
+                },
+            },
+            {
+                name: 'Term which starts with the last word of the clause',
+                dictionaryEntry: createTermDictionaryEntry('go', 'went', 'go', ['past']),
+                text: 'I went there to go',
+                offset: 2,
+                expected: {
+                    prefix: 'I ',
+                    body: 'went',
+                    suffix: ' there to go',
+                    spans: [{offset: 2, length: 4, text: 'went'}],
+                    sentenceAnki: 'I {{c1::went}} there to go',
+                },
+            },
+            {
+                name: 'Unmatched words',
+                dictionaryEntry: createTermDictionaryEntry('aufräumen', 'räum den Tisch', 'räum auf'),
+                text: 'räum den Tisch',
+                offset: 0,
+                expected: {
+                    prefix: '',
+                    body: 'räum den Tisch',
+                    suffix: '',
+                    spans: [{offset: 0, length: 14, text: 'räum den Tisch'}],
+                    sentenceAnki: '{{c1::räum den Tisch}}',
+                },
+            },
+            {
+                name: 'No sentence',
+                dictionaryEntry: createTermDictionaryEntry('lesen', 'liest', 'lesen'),
+                text: '',
+                offset: 0,
+                expected: {
+                    prefix: '',
+                    body: '',
+                    suffix: '',
+                    spans: [],
+                    sentenceAnki: '',
+                },
+            },
+        ];
+
+        test.each(tests)('$name', ({dictionaryEntry, text, offset, expected}) => {
+            const {prefix, body, suffix, spans, sentenceAnki} = getCloze(dictionaryEntry, text, offset);
+            expect({prefix, body, suffix, spans, sentenceAnki}).toStrictEqual(expected);
+        });
+
+        test('Separable verb reconstructed from the sentence', async () => {
+            const dictionaryName = 'German Test Dictionary';
+            const {translator} = await createTranslatorContext(path.join(dirname, 'data/dictionaries/valid-dictionary2'), dictionaryName);
+            const sentence = {text: 'Ich räumte den Tisch auf.', offset: 4};
+            const options = createFindTermsOptions(dictionaryName, {}, [{
+                type: 'terms',
+                language: 'de',
+                sentence,
+                enabledDictionaryMap: [[dictionaryName, {index: 0, alias: dictionaryName, priority: 0, allowSecondarySearches: false, partsOfSpeechFilter: true, useDeinflections: true}]],
+            }]);
+            const {dictionaryEntries} = await translator.findTerms('split', sentence.text.substring(sentence.offset), options);
+
+            /** @type {{term: string, spans: import('anki-templates').ClozeSpan[], sentenceAnki: string}[]} */
+            const results = [];
+            for (const dictionaryEntry of dictionaryEntries) {
+                const {spans, sentenceAnki} = getCloze(dictionaryEntry, sentence.text, sentence.offset);
+                results.push({term: dictionaryEntry.headwords[0].term, spans, sentenceAnki});
+            }
+            expect(results).toStrictEqual([
+                {
+                    term: 'räumen',
+                    spans: [{offset: 4, length: 6, text: 'räumte'}],
+                    sentenceAnki: 'Ich {{c1::räumte}} den Tisch auf.',
+                },
+                {
+                    term: 'aufräumen',
+                    spans: [
+                        {offset: 4, length: 6, text: 'räumte'},
+                        {offset: 21, length: 3, text: 'auf'},
+                    ],
+                    sentenceAnki: 'Ich {{c1::räumte}} den Tisch {{c1::auf}}.',
+                },
+            ]);
+        });
+    });
+});
@@ -0,0 +1,342 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {afterEach, beforeEach, describe, test, vi} from 'vitest';
+import {AnkiNoteQueue} from '../ext/js/background/anki-note-queue.js';
+import {AnkiConnect} from '../ext/js/comm/anki-connect.js';
+
+/**
+ * @typedef {{name: string, scheduledTime: number}} Alarm
+ */
+
+/** @type {Map<string, unknown>} */
+const storage = new Map();
+/** @type {Map<string, Alarm>} */
+const alarms = new Map();
+/** @type {((alarm: Alarm) => void)[]} */
+const alarmListeners = [];
+
+/**
+ * Dispatches the alarms which are due, like the browser does when the service worker is woken up.
+ */
+function fireAlarms() {
+    for (const alarm of alarms.values()) {
+        if (alarm.scheduledTime > Date.now()) { continue; }
+        alarms.delete(alarm.name);
+        for (const listener of alarmListeners) { listener(alarm); }
+    }
+}
+
+vi.stubGlobal('chrome', {
+    alarms: {
+        /**
+         * @param {string} name
+         * @param {{delayInMinutes?: number}} alarmInfo
+         */
+        create: async (name, {delayInMinutes = 0}) => {
+            alarms.set(name, {name, scheduledTime: Date.now() + delayInMinutes * 60000});
+        },
+        /**
+         * @param {string} name
+         * @returns {Promise<Alarm|undefined>}
+         */
+        get: async (name) => alarms.get(name),
+        /**
+         * @param {string} name
+         * @returns {Promise<boolean>}
+         */
+        clear: async (name) => alarms.delete(name),
+        onAlarm: {
+            /**
+             * @param {(alarm: Alarm) => void} listener
+             */
+            addListener: (listener) => { alarmListeners.push(listener); },
+        },
+    },
+    storage: {
+        local: {
+            /**
+             * @param {string[]} keys
+             * @returns {Promise<{[key: string]: unknown}>}
+             */
+            get: async (keys) => Object.fromEntries(keys.filter((key) => storage.has(key)).map((key) => [key, structuredClone(storage.get(key))])),
+            /**
+             * @param {{[key: string]: unknown}} items
+             */
+            set: async (items) => {
+                for (const [key, value] of Object.entries(items)) {
+                    storage.set(key, structuredClone(value));
+                }
+            },
+        },
+    },
+});
+
+/**
+ * A fake AnkiConnect which stores the notes and media files it receives.
+ */
+class FakeAnkiConnect extends AnkiConnect {
+    /** */
+    constructor() {
+        super();
+        /** The queue is only flushed when AnkiConnect is enabled. */
+        this.enabled = true;
+        /** @type {boolean} */
+        this.connected = false;
+        /** @type {import('anki').NoteWithId[]} */
+        this.notes = [];
+        /** @type {Map<string, string>} */
+        this.media = new Map();
+        /** @type {import('anki').CardId[]} */
+        this.suspendedCards = [];
+    }
+
+    /** @override */
+    async isConnected() {
+        return this.connected;
+    }
+
+    /**
+     * @override
+     * @param {import('anki').Note} note
+     * @returns {Promise<?import('anki').NoteId>}
+     */
+    async addNote(note) {
+        this._checkConnected();
+        const id = this.notes.length + 1;
+        this.notes.push({...note, id});
+        return id;
+    }
+
+    /**
+     * @override
+     * @param {import('anki').Note} noteWithId
+     * @returns {Promise<null>}
+     */
+    async updateNoteFields(noteWithId) {
+        this._checkConnected();
+        const {id, fields} = /** @type {import('anki').NoteWithId} */ (noteWithId);
+        const note = this.notes.find((note2) => note2.id === id);
+        if (typeof note !== 'undefined') { note.fields = {...note.fields, ...fields}; }
+        return null;
+    }
+
+    /**
+     * @override
+     * @param {import('anki').Note[]} notes
+     * @returns {Promise<boolean[]>}
+     */
+    async canAddNotes(notes) {
+        this._checkConnected();
+        return notes.map((note) => note.options.allowDuplicate || this._findDuplicates(note).length === 0);
+    }
+
+    /**
+     * @override
+     * @param {import('anki').Note[]} notes
+     * @returns {Promise<import('anki').NoteId[][]>}
+     */
+    async findNoteIds(notes) {
+        this._checkConnected();
+        return notes.map((note) => this._findDuplicates(note));
+    }
+
+    /**
+     * @override
+     * @param {string} fileName
+     * @param {string} content
+     * @returns {Promise<?string>}
+     */
+    async storeMediaFile(fileName, content) {
+        this._checkConnected();
+        const storedFileName = this.media.has(fileName) ? `renamed_${fileName}` : fileName;
+        this.media.set(storedFileName, content);
+        return storedFileName;
+    }
+
+    /**
+     * @override
+     * @param {import('anki').NoteId} noteId
+     * @returns {Promise<import('anki').CardId[]>}
+     */
+    async findCardsForNote(noteId) {
+        return [noteId * 10];
+    }
+
+    /**
+     * @override
+     * @param {import('anki').CardId[]} cardIds
+     * @returns {Promise<boolean>}
+     */
+    async suspendCards(cardIds) {
+        this.suspendedCards.push(...cardIds);
+        return true;
+    }
+
+    /**
+     * @param {import('anki').Note} note
+     * @returns {import('anki').NoteId[]}
+     */
+    _findDuplicates(note) {
+        return this.notes.filter((note2) => note2.fields.Front === note.fields.Front).map(({id}) => id);
+    }
+
+    /**
+     * @throws {Error}
+     */
+    _checkConnected() {
+        if (!this.connected) { throw new Error('Connection refused'); }
+    }
+}
+
+/**
+ * @param {string} front
+ * @param {string} back
+ * @returns {import('anki').Note}
+ */
+function createNote(front, back) {
+    return {
+        fields: {Front: front, Back: back},
+        tags: ['yomitan'],
+        deckName: 'Default',
+        modelName: 'Basic',
+        options: {
+            allowDuplicate: true,
+            duplicateScope: 'collection',
+            duplicateScopeOptions: {deckName: null, checkChildren: false, checkAllModels: false},
+        },
+    };
+}
+
+describe('AnkiNoteQueue', () => {
+    beforeEach(() => {
+        storage.clear();
+        alarms.clear();
+        alarmListeners.length = 0;
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    test('Queued notes and their media are added to Anki in order', async ({expect}) => {
+        const ankiConnect = new FakeAnkiConnect();
+        ankiConnect.media.set('yomitan_audio.mp3', 'b2xk');
+        const queue = new AnkiNoteQueue(ankiConnect);
+        await queue.prepare();
+
+        await queue.storeMediaFile('yomitan_audio.mp3', 'bmV3');
+        await queue.storeMediaFile('yomitan_unused.png', 'dW51c2Vk');
+        await queue.addNote(createNote('読む', '[sound:yomitan_audio.mp3]'), 'new', true);
+        await queue.addNote(createNote('見る', 'to see'), 'new', false);
+        expect.soft(queue.count).toBe(2);
+        expect.soft(queue.getEntries().map(({mediaFileNames}) => mediaFileNames)).toStrictEqual([['yomitan_audio.mp3'], []]);
+
+        // The queue is restored from the storage
+        const queue2 = new AnkiNoteQueue(ankiConnect);
+        await queue2.prepare();
+        expect.soft(queue2.count).toBe(2);
+
+        await queue2.flush();
+        expect.soft(queue2.count).toBe(2);
+        expect.soft(ankiConnect.notes).toStrictEqual([]);
+
+        ankiConnect.connected = true;
+        await queue2.flush();
+        expect.soft(queue2.count).toBe(0);
+        expect.soft(ankiConnect.notes.map(({fields}) => fields)).toStrictEqual([
+            {Front: '読む', Back: '[sound:renamed_yomitan_audio.mp3]'},
+            {Front: '見る', Back: 'to see'},
+        ]);
+        expect.soft(ankiConnect.media.get('renamed_yomitan_audio.mp3')).toBe('bmV3');
+        expect.soft(ankiConnect.suspendedCards).toStrictEqual([10]);
+        expect.soft(storage.get('ankiNoteQueue')).toMatchObject({nextId: 3, entries: []});
+    });
+
+    test('Pending media files are restored from the storage', async ({expect}) => {
+        const ankiConnect = new FakeAnkiConnect();
+        const queue = new AnkiNoteQueue(ankiConnect);
+        await queue.prepare();
+        await queue.storeMediaFile('yomitan_image.png', 'aW1hZ2U=');
+
+        const queue2 = new AnkiNoteQueue(ankiConnect);
+        await queue2.prepare();
+        await queue2.addNote(createNote('書く', '<img src="yomitan_image.png">'), 'new', false);
+        expect.soft(queue2.getEntries().map(({mediaFileNames}) => mediaFileNames)).toStrictEqual([['yomitan_image.png']]);
+        expect.soft(storage.get('ankiNoteQueue')).toMatchObject({pendingMedia: []});
+    });
+
+    test('Duplicates are checked when the queue is flushed', async ({expect}) => {
+        const ankiConnect = new FakeAnkiConnect();
+        const queue = new AnkiNoteQueue(ankiConnect);
+        await queue.prepare();
+        /** @type {import('anki-note-queue').Entry[]} */
+        const addedEntries = [];
+        queue.on('noteAdded', ({entry}) => { addedEntries.push(entry); });
+        /** @type {import('anki-note-queue').MiningLogEntry} */
+        const miningLogEntry = {type: 'term', term: '読む', reading: 'よむ', dictionary: 'Test', url: 'https://example.com/', profile: 'Default', language: 'ja'};
+
+        const preventId = await queue.addNote(createNote('読む', 'to read'), 'prevent', false, miningLogEntry);
+        await queue.addNote(createNote('読む', 'to read (updated)'), 'overwrite', false, miningLogEntry);
+        const newId = await queue.addNote(createNote('読む', 'to read (duplicate)'), 'new', false, miningLogEntry);
+        ankiConnect.connected = true;
+        ankiConnect.notes.push({...createNote('読む', 'existing'), id: 1});
+
+        await queue.flush();
+        const entries = queue.getEntries();
+        expect.soft(entries.map(({id, error}) => ({id, error}))).toStrictEqual([{id: preventId, error: 'Note is a duplicate of a note in Anki'}]);
+        expect.soft(ankiConnect.notes.map(({id, fields}) => ({id, back: fields.Back}))).toStrictEqual([
+            {id: 1, back: 'to read (updated)'},
+            {id: 2, back: 'to read (duplicate)'},
+        ]);
+        // Only the notes which are added are recorded in the mining log
+        expect.soft(addedEntries.map(({id, miningLogEntry: miningLogEntry2}) => ({id, miningLogEntry: miningLogEntry2}))).toStrictEqual([{id: newId, miningLogEntry}]);
+
+        await queue.updateNoteFields(preventId, {Front: '読み', Back: 'reading'});
+        await queue.flush();
+        expect.soft(queue.count).toBe(0);
+        expect.soft(ankiConnect.notes.map(({fields}) => fields.Front)).toStrictEqual(['読む', '読む', '読み']);
+    });
+
+    test('Queued notes are flushed periodically and can be removed', async ({expect}) => {
+        const ankiConnect = new FakeAnkiConnect();
+        const queue = new AnkiNoteQueue(ankiConnect);
+        await queue.prepare();
+        const onUpdated = vi.fn();
+        queue.on('updated', onUpdated);
+
+        const id = await queue.addNote(createNote('読む', 'to read'), 'new', false);
+        await queue.addNote(createNote('見る', 'to see'), 'new', false);
+        await queue.removeNote(id);
+        await expect.soft(queue.removeNote(id)).rejects.toThrow(`Queued note ${id} does not exist`);
+        expect.soft(onUpdated).toHaveBeenLastCalledWith({count: 1});
+
+        ankiConnect.connected = true;
+        await vi.advanceTimersByTimeAsync(30000);
+        fireAlarms();
+        await vi.runAllTimersAsync();
+        expect.soft(queue.count).toBe(1);
+
+        await vi.advanceTimersByTimeAsync(30000);
+        fireAlarms();
+        await vi.runAllTimersAsync();
+        expect.soft(queue.count).toBe(0);
+        expect.soft(ankiConnect.notes.map(({fields}) => fields.Front)).toStrictEqual(['見る']);
+        expect.soft(onUpdated).toHaveBeenLastCalledWith({count: 0});
+    });
+});
@@ -0,0 +1,459 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {BlobReader, Uint8ArrayWriter, ZipReader} from '@zip.js/zip.js';
+import {beforeEach, describe, test, vi} from 'vitest';
+import {AnkiLocalCollection} from '../ext/js/background/anki-local-collection.js';
+import {parseJson} from '../ext/js/core/json.js';
+import {createAnkiPackage} from '../ext/js/data/anki-package.js';
+
+/** @type {Map<string, unknown>} */
+const storage = new Map();
+
+vi.stubGlobal('chrome', {
+    storage: {
+        local: {
+            /**
+             * @param {string[]} keys
+             * @returns {Promise<{[key: string]: unknown}>}
+             */
+            get: async (keys) => Object.fromEntries(keys.filter((key) => storage.has(key)).map((key) => [key, structuredClone(storage.get(key))])),
+            /**
+             * @param {{[key: string]: unknown}} items
+             */
+            set: async (items) => {
+                for (const [key, value] of Object.entries(items)) {
+                    storage.set(key, structuredClone(value));
+                }
+            },
+            /**
+             * @param {string[]} keys
+             */
+            remove: async (keys) => {
+                for (const key of keys) {
+                    storage.delete(key);
+                }
+            },
+        },
+    },
+});
+
+const PAGE_SIZE = 4096;
+
+/**
+ * A minimal reader for the SQLite files written by `createSqliteDatabase`.
+ */
+class SqliteReader {
+    /**
+     * @param {Uint8Array} data
+     */
+    constructor(data) {
+        /** @type {Uint8Array} */
+        this._data = data;
+        /** @type {DataView} */
+        this._view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        /** @type {Map<string, {rootPage: number, sql: string}>} */
+        this._schema = new Map();
+        for (const {values: [, name, , rootPage, sql]} of this._readTableRows(1)) {
+            this._schema.set(/** @type {string} */ (name), {rootPage: /** @type {number} */ (rootPage), sql: /** @type {string} */ (sql)});
+        }
+    }
+
+    /** @type {string} */
+    get header() {
+        return new TextDecoder().decode(this._data.subarray(0, 16));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {{[column: string]: import('sqlite-writer').Value}[]}
+     */
+    getRows(name) {
+        const {rootPage, sql} = this._getSchema(name);
+        const columns = sql.substring(sql.indexOf('(') + 1).split(',').map((column) => column.trim().split(' ')[0]);
+        return this._readTableRows(rootPage).map(({values}) => Object.fromEntries(columns.map((column, i) => [column, values[i]])));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {import('sqlite-writer').Value[][]}
+     */
+    getIndexKeys(name) {
+        /** @type {import('sqlite-writer').Value[][]} */
+        const keys = [];
+        this._readIndexKeys(this._getSchema(name).rootPage, keys);
+        return keys;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {{rootPage: number, sql: string}}
+     * @throws {Error}
+     */
+    _getSchema(name) {
+        const schema = this._schema.get(name);
+        if (typeof schema === 'undefined') { throw new Error(`${name} does not exist`); }
+        return schema;
+    }
+
+    /**
+     * @param {number} pageNumber
+     * @returns {import('sqlite-writer').TableRow[]}
+     * @throws {Error}
+     */
+    _readTableRows(pageNumber) {
+        const {type, cellOffsets, rightChild} = this._readPageHeader(pageNumber);
+        if (type === 0x05) {
+            /** @type {import('sqlite-writer').TableRow[]} */
+            const rows = [];
+            for (const offset of cellOffsets) {
+                rows.push(...this._readTableRows(this._view.getUint32(offset)));
+            }
+            rows.push(...this._readTableRows(rightChild));
+            return rows;
+        }
+        if (type !== 0x0d) { throw new Error(`Unexpected page type ${type}`); }
+        return cellOffsets.map((offset) => {
+            const [payloadSize, length1] = this._readVarint(offset);
+            const [rowId, length2] = this._readVarint(offset + length1);
+            const payload = this._readPayload(offset + length1 + length2, payloadSize, PAGE_SIZE - 35);
+            const values = this._decodeRecord(payload);
+            if (values[0] === null) { values[0] = rowId; }
+            return {rowId, values};
+        });
+    }
+
+    /**
+     * @param {number} pageNumber
+     * @param {import('sqlite-writer').Value[][]} keys
+     * @throws {Error}
+     */
+    _readIndexKeys(pageNumber, keys) {
+        const {type, cellOffsets, rightChild} = this._readPageHeader(pageNumber);
+        const interior = (type === 0x02);
+        if (!interior && type !== 0x0a) { throw new Error(`Unexpected page type ${type}`); }
+        for (let offset of cellOffsets) {
+            if (interior) {
+                this._readIndexKeys(this._view.getUint32(offset), keys);
+                offset += 4;
+            }
+            const [payloadSize, length] = this._readVarint(offset);
+            keys.push(this._decodeRecord(this._readPayload(offset + length, payloadSize, Math.floor((PAGE_SIZE - 12) * 64 / 255) - 23)));
+        }
+        if (interior) {
+            this._readIndexKeys(rightChild, keys);
+        }
+    }
+
+    /**
+     * @param {number} pageNumber
+     * @returns {{type: number, cellOffsets: number[], rightChild: number}}
+     */
+    _readPageHeader(pageNumber) {
+        const pageOffset = (pageNumber - 1) * PAGE_SIZE;
+        const headerOffset = pageOffset + (pageNumber === 1 ? 100 : 0);
+        const type = this._view.getUint8(headerOffset);
+        const interior = (type === 0x02 || type === 0x05);
+        const cellCount = this._view.getUint16(headerOffset + 3);
+        const rightChild = interior ? this._view.getUint32(headerOffset + 8) : 0;
+        const cellPointersOffset = headerOffset + (interior ? 12 : 8);
+        const cellOffsets = [];
+        for (let i = 0; i < cellCount; ++i) {
+            cellOffsets.push(pageOffset + this._view.getUint16(cellPointersOffset + i * 2));
+        }
+        return {type, cellOffsets, rightChild};
+    }
+
+    /**
+     * @param {number} offset
+     * @param {number} payloadSize
+     * @param {number} maxLocal
+     * @returns {Uint8Array}
+     */
+    _readPayload(offset, payloadSize, maxLocal) {
+        if (payloadSize <= maxLocal) {
+            return this._data.subarray(offset, offset + payloadSize);
+        }
+        const minLocal = Math.floor((PAGE_SIZE - 12) * 32 / 255) - 23;
+        const k = minLocal + ((payloadSize - minLocal) % (PAGE_SIZE - 4));
+        const localSize = k <= maxLocal ? k : minLocal;
+        const payload = new Uint8Array(payloadSize);
+        payload.set(this._data.subarray(offset, offset + localSize), 0);
+        let position = localSize;
+        let overflowPage = this._view.getUint32(offset + localSize);
+        while (overflowPage !== 0) {
+            const pageOffset = (overflowPage - 1) * PAGE_SIZE;
+            const size = Math.min(PAGE_SIZE - 4, payloadSize - position);
+            payload.set(this._data.subarray(pageOffset + 4, pageOffset + 4 + size), position);
+            position += size;
+            overflowPage = this._view.getUint32(pageOffset);
+        }
+        return payload;
+    }
+
+    /**
+     * @param {Uint8Array} payload
+     * @returns {import('sqlite-writer').Value[]}
+     */
+    _decodeRecord(payload) {
+        const [headerSize, headerSizeLength] = readVarint(payload, 0);
+        /** @type {number[]} */
+        const serialTypes = [];
+        for (let offset = headerSizeLength; offset < headerSize;) {
+            const [serialType, length] = readVarint(payload, offset);
+            serialTypes.push(serialType);
+            offset += length;
+        }
+        let offset = headerSize;
+        return serialTypes.map((serialType) => {
+            const [value, size] = readRecordValue(payload, serialType, offset);
+            offset += size;
+            return value;
+        });
+    }
+
+    /**
+     * @param {number} offset
+     * @returns {[value: number, length: number]}
+     */
+    _readVarint(offset) {
+        return readVarint(this._data, offset);
+    }
+}
+
+/**
+ * @param {Uint8Array} payload
+ * @param {number} serialType
+ * @param {number} offset
+ * @returns {[value: import('sqlite-writer').Value, size: number]}
+ */
+function readRecordValue(payload, serialType, offset) {
+    switch (serialType) {
+        case 0: return [null, 0];
+        case 7: return [new DataView(payload.buffer, payload.byteOffset + offset, 8).getFloat64(0), 8];
+        case 8: return [0, 0];
+        case 9: return [1, 0];
+    }
+    if (serialType <= 6) {
+        const size = [0, 1, 2, 3, 4, 6, 8][serialType];
+        let value = BigInt.asIntN(8, BigInt(payload[offset]));
+        for (let i = 1; i < size; ++i) {
+            value = (value << 8n) | BigInt(payload[offset + i]);
+        }
+        return [Number(value), size];
+    }
+    const size = Math.floor((serialType - 12) / 2);
+    const bytes = payload.slice(offset, offset + size);
+    return [serialType % 2 === 0 ? bytes : new TextDecoder().decode(bytes), size];
+}
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @returns {[value: number, length: number]}
+ */
+function readVarint(data, offset) {
+    let value = 0;
+    for (let i = 0; i < 8; ++i) {
+        const byte = data[offset + i];
+        value = value * 128 + (byte & 0x7f);
+        if ((byte & 0x80) === 0) { return [value, i + 1]; }
+    }
+    return [value * 256 + data[offset + 8], 9];
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<{collection: SqliteReader, media: {[index: string]: string}, files: Map<string, Uint8Array>}>}
+ * @throws {Error}
+ */
+async function readAnkiPackage(blob) {
+    const zipReader = new ZipReader(new BlobReader(blob));
+    /** @type {Map<string, Uint8Array>} */
+    const files = new Map();
+    for (const entry of await zipReader.getEntries()) {
+        if (typeof entry.getData === 'undefined') { continue; }
+        files.set(entry.filename, await entry.getData(new Uint8ArrayWriter()));
+    }
+    await zipReader.close();
+    const collectionData = files.get('collection.anki2');
+    const mediaData = files.get('media');
+    if (typeof collectionData === 'undefined' || typeof mediaData === 'undefined') { throw new Error('Invalid package'); }
+    /** @type {{[index: string]: string}} */
+    const media = parseJson(new TextDecoder().decode(mediaData));
+    return {collection: new SqliteReader(collectionData), media, files};
+}
+
+/**
+ * @param {import('anki').NoteFields} fields
+ * @param {string} deckName
+ * @param {string} modelName
+ * @returns {import('anki').Note}
+ */
+function createNote(fields, deckName = 'Yomitan', modelName = 'Yomitan Term') {
+    return {
+        fields,
+        tags: ['yomitan'],
+        deckName,
+        modelName,
+        options: {
+            allowDuplicate: true,
+            duplicateScope: 'collection',
+            duplicateScopeOptions: {deckName: null, checkChildren: false, checkAllModels: false},
+        },
+    };
+}
+
+describe('createAnkiPackage', () => {
+    test('Notes, cards and media files are written to the package', async ({expect}) => {
+        const timestamp = 1718000000000;
+        const audio = new Uint8Array([1, 2, 3, 4]);
+        const blob = await createAnkiPackage([
+            {id: timestamp, guid: 'abc', note: createNote({Expression: '<b>読む</b>&nbsp;', Reading: 'よむ', Audio: '[sound:yomitan_audio.mp3]'}), suspended: false},
+            {id: timestamp, guid: 'def', note: createNote({Front: 'to see', Back: '見る'}, 'Yomitan::Verbs', 'Basic'), suspended: true},
+        ], [{fileName: 'yomitan_audio.mp3', content: audio}], timestamp);
+        const {collection, media, files} = await readAnkiPackage(blob);
+
+        expect.soft(collection.header).toBe('SQLite format 3\u0000');
+        expect.soft(media).toStrictEqual({0: 'yomitan_audio.mp3'});
+        expect.soft(files.get('0')).toStrictEqual(audio);
+
+        const notes = collection.getRows('notes');
+        expect.soft(notes.map(({id, guid, tags, flds, sfld}) => ({id, guid, tags, flds, sfld}))).toStrictEqual([
+            {id: timestamp, guid: 'abc', tags: ' yomitan ', flds: '<b>読む</b>&nbsp;\u001fよむ\u001f[sound:yomitan_audio.mp3]', sfld: '読む '},
+            {id: timestamp + 1, guid: 'def', tags: ' yomitan ', flds: 'to see\u001f見る', sfld: 'to see'},
+        ]);
+        const cards = collection.getRows('cards');
+        expect.soft(cards.map(({id, nid, queue, due}) => ({id, nid, queue, due}))).toStrictEqual([
+            {id: timestamp, nid: timestamp, queue: 0, due: 1},
+            {id: timestamp + 1, nid: timestamp + 1, queue: -1, due: 2},
+        ]);
+
+        const [col] = collection.getRows('col');
+        expect.soft(col.ver).toBe(11);
+        /** @type {{[id: string]: {id: number, name: string, flds: {name: string}[]}}} */
+        const models = parseJson(/** @type {string} */ (col.models));
+        /** @type {{[id: string]: {id: number, name: string}}} */
+        const decks = parseJson(/** @type {string} */ (col.decks));
+        expect.soft(Object.values(models).map(({name, flds}) => ({name, fields: flds.map(({name: fieldName}) => fieldName)}))).toStrictEqual([
+            {name: 'Yomitan Term', fields: ['Expression', 'Reading', 'Audio']},
+            {name: 'Basic', fields: ['Front', 'Back']},
+        ]);
+        expect.soft(Object.values(decks).map(({name}) => name)).toStrictEqual(['Default', 'Yomitan', 'Yomitan::Verbs']);
+        expect.soft(notes.map(({mid}) => mid)).toStrictEqual(Object.values(models).map(({id}) => id));
+        expect.soft(cards.map(({did}) => did)).toStrictEqual(Object.values(decks).slice(1).map(({id}) => id));
+
+        // Exporting again uses the same note type and deck IDs, so that Anki merges them
+        const {collection: collection2} = await readAnkiPackage(await createAnkiPackage([
+            {id: timestamp, guid: 'ghi', note: createNote({Expression: '見る', Reading: 'みる', Audio: ''}), suspended: false},
+        ], [], timestamp + 1000));
+        expect.soft(collection2.getRows('notes')[0].mid).toBe(notes[0].mid);
+        expect.soft(collection2.getRows('cards')[0].did).toBe(cards[0].did);
+    });
+
+    test('Large collections are written to multiple pages', async ({expect}) => {
+        const timestamp = 1718000000000;
+        /** @type {import('anki-package').Note[]} */
+        const notes = [];
+        for (let i = 0; i < 400; ++i) {
+            // Long sort fields create overflow pages in the tables and indices
+            const expression = `${i}`.repeat(i % 50 === 0 ? 2000 : 1);
+            notes.push({id: timestamp + i * 1000, guid: `${i}`, note: createNote({Expression: expression, Glossary: 'x'.repeat(i * 20)}), suspended: false});
+        }
+        const {collection} = await readAnkiPackage(await createAnkiPackage(notes, [], timestamp));
+
+        const noteRows = collection.getRows('notes');
+        expect.soft(noteRows.map(({id}) => id)).toStrictEqual(notes.map(({id}) => id));
+        expect.soft(noteRows.map(({flds}) => flds)).toStrictEqual(notes.map(({note: {fields}}) => Object.values(fields).join('\u001f')));
+        expect.soft(collection.getRows('cards').length).toBe(notes.length);
+
+        const checksumKeys = collection.getIndexKeys('ix_notes_csum');
+        expect.soft(checksumKeys.length).toBe(notes.length);
+        const sortedChecksumKeys = [...checksumKeys].sort(([a1, a2], [b1, b2]) => (/** @type {number} */ (a1) - /** @type {number} */ (b1)) || (/** @type {number} */ (a2) - /** @type {number} */ (b2)));
+        expect.soft(checksumKeys).toStrictEqual(sortedChecksumKeys);
+        expect.soft(collection.getIndexKeys('ix_cards_nid').map(([, rowId]) => rowId)).toStrictEqual(notes.map(({id}) => id));
+    });
+});
+
+describe('AnkiLocalCollection', () => {
+    beforeEach(() => {
+        storage.clear();
+    });
+
+    test('Notes are stored with the media files which they use', async ({expect}) => {
+        const collection = new AnkiLocalCollection();
+        await collection.prepare();
+        const onUpdated = vi.fn();
+        collection.on('updated', onUpdated);
+
+        await collection.storeMediaFile('yomitan_audio.mp3', 'YXVkaW8=');
+        await collection.storeMediaFile('yomitan_unused.png', 'dW51c2Vk');
+        const ids = await collection.addNotes([
+            createNote({Expression: '読む', Audio: '[sound:yomitan_audio.mp3]'}),
+            createNote({Expression: '見る', Audio: ''}, 'Yomitan::Verbs'),
+        ], true);
+        expect.soft(ids).toStrictEqual([1, 2]);
+        expect.soft(onUpdated).toHaveBeenLastCalledWith({count: 2});
+        expect.soft(collection.getInfo()).toStrictEqual({noteCount: 2, deckNames: ['Yomitan', 'Yomitan::Verbs']});
+
+        // The collection is restored from the storage
+        const collection2 = new AnkiLocalCollection();
+        await collection2.prepare();
+        const {entries, media} = await collection2.getContent();
+        expect.soft(entries.map(({id, mediaFileNames, suspendNewCards}) => ({id, mediaFileNames, suspendNewCards}))).toStrictEqual([
+            {id: 1, mediaFileNames: ['yomitan_audio.mp3'], suspendNewCards: true},
+            {id: 2, mediaFileNames: [], suspendNewCards: true},
+        ]);
+        expect.soft(entries.every(({guid}) => guid.length === 10)).toBe(true);
+        expect.soft(media).toStrictEqual([{fileName: 'yomitan_audio.mp3', content: 'YXVkaW8='}]);
+
+        await collection2.clear();
+        expect.soft(collection2.getInfo()).toStrictEqual({noteCount: 0, deckNames: []});
+        expect.soft([...storage.keys()]).toStrictEqual(['ankiLocalCollection']);
+    });
+
+    test('Duplicates are checked using the duplicate scope of the notes', async ({expect}) => {
+        const collection = new AnkiLocalCollection();
+        await collection.prepare();
+        await collection.addNotes([createNote({Expression: '読む', Reading: 'よむ'}, 'Yomitan::Verbs')], false);
+
+        /**
+         * @param {import('anki').Note} note
+         * @param {import('anki').Note['options']['duplicateScope']} duplicateScope
+         * @param {Partial<import('anki').Note['options']['duplicateScopeOptions']>} duplicateScopeOptions
+         * @returns {import('anki').Note}
+         */
+        const withScope = (note, duplicateScope, duplicateScopeOptions = {}) => ({
+            ...note,
+            options: {
+                allowDuplicate: false,
+                duplicateScope,
+                duplicateScopeOptions: {...note.options.duplicateScopeOptions, ...duplicateScopeOptions},
+            },
+        });
+        const duplicate = createNote({Expression: '読む', Reading: 'どく'});
+        expect.soft(collection.canAddNotes([
+            duplicate,
+            withScope(duplicate, 'collection'),
+            withScope(createNote({Expression: '見る', Reading: 'みる'}), 'collection'),
+            withScope(createNote({Expression: '読む', Reading: 'よむ'}, 'Yomitan', 'Basic'), 'collection'),
+            withScope(createNote({Expression: '読む', Reading: 'よむ'}, 'Yomitan', 'Basic'), 'collection', {checkAllModels: true}),
+            withScope(duplicate, 'deck'),
+            withScope(duplicate, 'deck', {checkChildren: true}),
+        ])).toStrictEqual([true, false, true, true, false, true, false]);
+    });
+});
@@ -0,0 +1,133 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {BlobWriter, TextReader, Uint8ArrayReader, ZipWriter} from '@zip.js/zip.js';
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {beforeEach, describe, test, vi} from 'vitest';
+import {RequestBuilder} from '../ext/js/background/request-builder.js';
+import {base64ToArrayBuffer} from '../ext/js/data/array-buffer-util.js';
+import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+import {DictionaryImporter} from '../ext/js/dictionary/dictionary-importer.js';
+import {AudioDownloader} from '../ext/js/media/audio-downloader.js';
+import {DictionaryImporterMediaLoader} from './mocks/dictionary-importer-media-loader.js';
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+/** @type {import('dictionary-importer').ImportDetails} */
+const importDetails = {prefixWildcardsSupported: false};
+
+/** @type {import('language').LanguageSummary} */
+const languageSummary = {name: 'Japanese', iso: 'ja', iso639_3: 'jpn', exampleText: '読め', hasSeparableParticles: false};
+
+/** @type {import('audio').AudioSourceInfo} */
+const dictionarySource = {type: 'dictionary', url: '', voice: '', dictionaries: ['Audio Test']};
+
+const mp3Content = new Uint8Array([0x49, 0x44, 0x33, 0x04]);
+
+/**
+ * @param {import('dictionary-data').TermMetaArray} termMetaBank
+ * @param {import('dictionary-data').TermV3Array} [termBank]
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function createArchive(termMetaBank, termBank = []) {
+    const zipWriter = new ZipWriter(new BlobWriter());
+    await zipWriter.add('index.json', new TextReader(JSON.stringify({title: 'Audio Test', format: 3, revision: 'test'})));
+    await zipWriter.add('term_meta_bank_1.json', new TextReader(JSON.stringify(termMetaBank)));
+    await zipWriter.add('term_bank_1.json', new TextReader(JSON.stringify(termBank)));
+    await zipWriter.add('audio/yomu.mp3', new Uint8ArrayReader(mp3Content));
+    await zipWriter.add('audio/yomu.opus', new Uint8ArrayReader(new Uint8Array([0x4f, 0x67, 0x67, 0x53])));
+    await zipWriter.add('audio/yomu.png', new Uint8ArrayReader(new Uint8Array([0x89, 0x50, 0x4e, 0x47])));
+    const blob = await zipWriter.close();
+    return await blob.arrayBuffer();
+}
+
+describe('AudioDownloader', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+    });
+
+    test('Audio files of dictionaries are imported and downloaded', async ({expect}) => {
+        const archive = await createArchive([
+            ['読む', 'audio', {reading: 'よむ', files: [{path: 'audio/yomu.mp3', name: 'Speaker 1'}, {path: 'audio/yomu.opus'}]}],
+            ['読む', 'audio', {reading: 'とく', files: [{path: 'audio/yomu.mp3'}]}],
+        ]);
+
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        const dictionaryImporter = new DictionaryImporter(new DictionaryImporterMediaLoader());
+        const {result, errors} = await dictionaryImporter.importDictionary(dictionaryDatabase, archive, importDetails);
+        expect.soft(errors).toStrictEqual([]);
+        expect.soft(result?.counts.termMeta.audio).toBe(2);
+        expect.soft(result?.counts.media.total).toBe(2);
+
+        const media = await dictionaryDatabase.getMedia([{path: 'audio/yomu.opus', dictionary: 'Audio Test'}]);
+        expect.soft(media.map(({mediaType}) => mediaType)).toStrictEqual(['audio/ogg']);
+
+        const audioDownloader = new AudioDownloader(new RequestBuilder(), dictionaryDatabase);
+        const infoList = await audioDownloader.getTermAudioInfoList(dictionarySource, '読む', 'よむ', languageSummary);
+        expect.soft(infoList).toStrictEqual([
+            {type: 'dictionary', dictionary: 'Audio Test', path: 'audio/yomu.mp3', name: 'Speaker 1'},
+            {type: 'dictionary', dictionary: 'Audio Test', path: 'audio/yomu.opus', name: 'Audio Test'},
+        ]);
+
+        const disabledInfoList = await audioDownloader.getTermAudioInfoList({...dictionarySource, dictionaries: ['Other Dictionary']}, '読む', 'よむ', languageSummary);
+        expect.soft(disabledInfoList).toStrictEqual([]);
+
+        const {data, contentType} = await audioDownloader.downloadTermAudio([dictionarySource], null, '読む', 'よむ', null, languageSummary);
+        expect.soft(contentType).toBe('audio/mpeg');
+        expect.soft(new Uint8Array(base64ToArrayBuffer(data))).toStrictEqual(mp3Content);
+
+        await dictionaryDatabase.close();
+    });
+
+    test('Audio files of structured content are imported', async ({expect}) => {
+        const archive = await createArchive([], [
+            ['読む', 'よむ', '', '', 0, [{type: 'structured-content', content: ['to read ', {tag: 'audio', path: 'audio/yomu.mp3', title: 'Example'}]}], 0, ''],
+        ]);
+
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        const dictionaryImporter = new DictionaryImporter(new DictionaryImporterMediaLoader());
+        const {result, errors} = await dictionaryImporter.importDictionary(dictionaryDatabase, archive, importDetails);
+        expect.soft(errors).toStrictEqual([]);
+        expect.soft(result?.counts.media.total).toBe(1);
+
+        const media = await dictionaryDatabase.getMedia([{path: 'audio/yomu.mp3', dictionary: 'Audio Test'}]);
+        expect.soft(media.map(({mediaType}) => mediaType)).toStrictEqual(['audio/mpeg']);
+
+        await dictionaryDatabase.close();
+    });
+
+    test('Dictionaries with missing or invalid audio files are rejected', async ({expect}) => {
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        const dictionaryImporter = new DictionaryImporter(new DictionaryImporterMediaLoader());
+
+        await expect.soft(dictionaryImporter.importDictionary(dictionaryDatabase, await createArchive([
+            ['読む', 'audio', {reading: 'よむ', files: [{path: 'audio/missing.mp3'}]}],
+        ]), importDetails)).rejects.toThrow('Could not find audio at path "audio/missing.mp3" for 読む (よむ) in Audio Test');
+        await expect.soft(dictionaryImporter.importDictionary(dictionaryDatabase, await createArchive([
+            ['読む', 'audio', {reading: 'よむ', files: [{path: 'audio/yomu.png'}]}],
+        ]), importDetails)).rejects.toThrow('Could not determine media type for audio at path "audio/yomu.png" for 読む (よむ) in Audio Test');
+
+        await expect.soft(dictionaryImporter.importDictionary(dictionaryDatabase, await createArchive([], [
+            ['書く', 'かく', '', '', 0, [{type: 'structured-content', content: {tag: 'audio', path: 'audio/missing.mp3'}}], 0, ''],
+        ]), importDetails)).rejects.toThrow('Could not find audio at path "audio/missing.mp3" for 書く (かく) in Audio Test');
+
+        await dictionaryDatabase.close();
+    });
+});
@@ -24,6 +24,7 @@ import {beforeEach, describe, test, vi} from 'vitest';
 import {createDictionaryArchiveData, getDictionaryArchiveIndex} from '../dev/dictionary-archive-util.js';
 import {parseJson} from '../dev/json.js';
 import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+import {DictionaryExporter} from '../ext/js/dictionary/dictionary-exporter.js';
 import {DictionaryImporter} from '../ext/js/dictionary/dictionary-importer.js';
 import {DictionaryImporterMediaLoader} from './mocks/dictionary-importer-media-loader.js';
 
@@ -304,6 +305,177 @@ describe('Database', () => {
             await dictionaryDatabase.close();
         });
     });
+    describe('Database glossary search', () => {
+        /** @type {{glossaryIndexSupported: boolean, words: string[], expectedTerms: string[]}[]} */
+        const testCases = [
+            {glossaryIndexSupported: true, words: ['utsu'], expectedTerms: ['打つ', '打つ']},
+            {glossaryIndexSupported: true, words: ['read'], expectedTerms: ['読む']},
+            {glossaryIndexSupported: true, words: ['gazou'], expectedTerms: ['画像']},
+            {glossaryIndexSupported: true, words: ['unknown'], expectedTerms: []},
+            {glossaryIndexSupported: false, words: ['read'], expectedTerms: []},
+        ];
+        describe.each(testCases)('Searching for $words with glossaryIndexSupported=$glossaryIndexSupported', ({glossaryIndexSupported, words, expectedTerms}) => {
+            test('Find terms by glossary', async ({expect}) => {
+                const testDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1');
+                const testDictionaryIndex = await getDictionaryArchiveIndex(testDictionarySource);
+                const title = testDictionaryIndex.title;
+                const titles = new Map([
+                    [title, {alias: title, priority: 0, allowSecondarySearches: false}],
+                ]);
+
+                const dictionaryDatabase = new DictionaryDatabase();
+                await dictionaryDatabase.prepare();
+
+                const dictionaryImporter = createDictionaryImporter(expect);
+                const {result} = await dictionaryImporter.importDictionary(dictionaryDatabase, testDictionarySource, {prefixWildcardsSupported: false, glossaryIndexSupported});
+                expect.soft(result?.glossaryIndexSupported).toBe(glossaryIndexSupported);
+
+                const results = await dictionaryDatabase.findTermsByGlossary(words, titles);
+                expect.soft(results.map(({term}) => term)).toStrictEqual(expectedTerms);
+                for (const {matchSource} of results) {
+                    expect.soft(matchSource).toBe('glossary');
+                }
+
+                await dictionaryDatabase.close();
+            });
+        });
+    });
+    describe('Database update', () => {
+        const testDataFilePath = join(dirname, 'data/database-test-cases.json');
+        /** @type {import('test/database').DatabaseTestData} */
+        const testData = parseJson(readFileSync(testDataFilePath, {encoding: 'utf8'}));
+        test('Update dictionary in place', async ({expect}) => {
+            const testDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1');
+            const testDictionaryIndex = await getDictionaryArchiveIndex(testDictionarySource);
+            const title = testDictionaryIndex.title;
+
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+
+            const dictionaryImporter = createDictionaryImporter(expect);
+            await dictionaryImporter.importDictionary(dictionaryDatabase, testDictionarySource, {prefixWildcardsSupported: true});
+
+            let progressEvent = false;
+            const updateImporter = createDictionaryImporter(expect, () => { progressEvent = true; });
+            const {result, errors} = await updateImporter.updateDictionary(dictionaryDatabase, testDictionarySource, {prefixWildcardsSupported: true}, title);
+            expect.soft(errors).toStrictEqual([]);
+            expect.soft(result?.title).toStrictEqual(title);
+            expect.soft(progressEvent).toBe(true);
+
+            const info = await dictionaryDatabase.getDictionaryInfo();
+            expect.soft(info.map((v) => v.title)).toStrictEqual([title]);
+
+            const counts = await dictionaryDatabase.getDictionaryCounts([title], true);
+            expect.soft(counts).toStrictEqual(testData.expectedCounts);
+
+            await dictionaryDatabase.close();
+        });
+        test('Update dictionary with a new title', async ({expect}) => {
+            const testDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1');
+            const testDictionaryIndex = await getDictionaryArchiveIndex(testDictionarySource);
+            const title = testDictionaryIndex.title;
+            const newTitle = `${title} (new revision)`;
+            const newDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1', newTitle);
+
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+
+            const dictionaryImporter = createDictionaryImporter(expect);
+            await dictionaryImporter.importDictionary(dictionaryDatabase, testDictionarySource, {prefixWildcardsSupported: true});
+
+            const {result, errors} = await dictionaryImporter.updateDictionary(dictionaryDatabase, newDictionarySource, {prefixWildcardsSupported: true}, title);
+            expect.soft(errors).toStrictEqual([]);
+            expect.soft(result?.title).toStrictEqual(newTitle);
+
+            const info = await dictionaryDatabase.getDictionaryInfo();
+            expect.soft(info.map((v) => v.title)).toStrictEqual([newTitle]);
+
+            const {total, counts} = await dictionaryDatabase.getDictionaryCounts([title, newTitle], true);
+            expect.soft(total).toStrictEqual(testData.expectedCounts.total);
+            expect.soft(counts).toStrictEqual([
+                {kanji: 0, kanjiMeta: 0, terms: 0, termMeta: 0, tagMeta: 0, media: 0},
+                testData.expectedCounts.counts[0],
+            ]);
+
+            await dictionaryDatabase.close();
+        });
+        test('Update is rejected without changes', async ({expect}) => {
+            const testDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1');
+            const testDictionaryIndex = await getDictionaryArchiveIndex(testDictionarySource);
+            const title = testDictionaryIndex.title;
+            const otherTitle = `${title} (other)`;
+            const otherDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1', otherTitle);
+
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+
+            const dictionaryImporter = createDictionaryImporter(expect);
+            await dictionaryImporter.importDictionary(dictionaryDatabase, testDictionarySource, {prefixWildcardsSupported: true});
+            await dictionaryImporter.importDictionary(dictionaryDatabase, otherDictionarySource, {prefixWildcardsSupported: true});
+            const expectedCounts = await dictionaryDatabase.getDictionaryCounts([title, otherTitle], true);
+
+            // The new revision has the title of a different dictionary
+            const result1 = await dictionaryImporter.updateDictionary(dictionaryDatabase, otherDictionarySource, {prefixWildcardsSupported: true}, title);
+            expect.soft(result1.result).toBeNull();
+            expect.soft(result1.errors.length).toBe(1);
+
+            // The dictionary being updated does not exist
+            const result2 = await dictionaryImporter.updateDictionary(dictionaryDatabase, testDictionarySource, {prefixWildcardsSupported: true}, 'Missing Dictionary');
+            expect.soft(result2.result).toBeNull();
+            expect.soft(result2.errors.length).toBe(1);
+
+            const counts = await dictionaryDatabase.getDictionaryCounts([title, otherTitle], true);
+            expect.soft(counts).toStrictEqual(expectedCounts);
+
+            await dictionaryDatabase.close();
+        });
+    });
+    describe('Database export', () => {
+        test('Exported dictionary is imported identically', async ({expect}) => {
+            const testDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1');
+            const testDictionaryIndex = await getDictionaryArchiveIndex(testDictionarySource);
+            const title = testDictionaryIndex.title;
+
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+
+            const dictionaryImporter = createDictionaryImporter(expect);
+            const details = {prefixWildcardsSupported: true, glossaryIndexSupported: true};
+            const {result: summary1} = await dictionaryImporter.importDictionary(dictionaryDatabase, testDictionarySource, details);
+
+            /** @type {import('dictionary-database').DictionaryDataObjectStoreName[]} */
+            const objectStoreNames = ['terms', 'termMeta', 'kanji', 'kanjiMeta', 'tagMeta', 'media'];
+            const getDictionaryData = async () => {
+                /** @type {unknown[][]} */
+                const results = [];
+                for (const objectStoreName of objectStoreNames) {
+                    /** @type {unknown[]} */
+                    const rows = [];
+                    for await (const batch of dictionaryDatabase.getDictionaryDataBatches(objectStoreName, title, 2)) {
+                        rows.push(...batch.map((row) => ({...row, id: void 0})));
+                    }
+                    results.push(rows);
+                }
+                return results;
+            };
+            const expectedData = await getDictionaryData();
+
+            let progressEvent = false;
+            const dictionaryExporter = new DictionaryExporter(() => { progressEvent = true; });
+            const archive = await dictionaryExporter.exportDictionary(dictionaryDatabase, title);
+            expect.soft(progressEvent).toBe(true);
+
+            await dictionaryDatabase.deleteDictionary(title, 1000, () => {});
+            const {result: summary2, errors} = await dictionaryImporter.importDictionary(dictionaryDatabase, await archive.arrayBuffer(), details);
+            expect.soft(errors).toStrictEqual([]);
+            expect.soft({...summary2, importDate: 0}).toStrictEqual({...summary1, importDate: 0});
+            expect.soft(await getDictionaryData()).toStrictEqual(expectedData);
+
+            await expect.soft(dictionaryExporter.exportDictionary(dictionaryDatabase, 'Missing Dictionary')).rejects.toThrow();
+
+            await dictionaryDatabase.close();
+        });
+    });
     describe('Database cleanup', () => {
         /** @type {{clearMethod: 'purge'|'delete'}[]} */
         const cleanupTestCases = [
@@ -0,0 +1,79 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {getGlossaryMatchProminence, getGlossaryText, getTextWords} from '../ext/js/dictionary/dictionary-glossary-util.js';
+
+describe('Dictionary glossary utilities', () => {
+    describe('getGlossaryText', () => {
+        /** @type {{glossary: import('dictionary-data').TermGlossary, expected: string}[]} */
+        const data = [
+            {glossary: 'to read', expected: 'to read'},
+            {glossary: {type: 'text', text: 'strong point'}, expected: 'strong point'},
+            {glossary: {type: 'image', path: 'image.gif', description: 'a picture'}, expected: 'a picture'},
+            {glossary: {type: 'image', path: 'image.gif'}, expected: ''},
+            {glossary: ['読む', ['past']], expected: ''},
+            {
+                glossary: {
+                    type: 'structured-content',
+                    content: [
+                        {tag: 'ruby', content: ['犬', {tag: 'rt', content: 'いぬ'}]},
+                        {
+                            tag: 'ul',
+                            content: [
+                                {tag: 'li', content: ['a ', {tag: 'span', content: 'dog'}]},
+                                {tag: 'li', content: 'a hound'},
+                            ],
+                        },
+                        {tag: 'img', path: 'image.gif'},
+                    ],
+                },
+                expected: '犬\n\na dog\n\na hound\n\n',
+            },
+        ];
+        test.each(data)('$expected', ({glossary, expected}) => {
+            expect(getGlossaryText(glossary)).toStrictEqual(expected);
+        });
+    });
+
+    describe('getTextWords', () => {
+        /** @type {{text: string, expected: string[]}[]} */
+        const data = [
+            {text: 'The dog, the Dog and the cat.', expected: ['the', 'dog', 'and', 'cat']},
+            {text: 'être (to be)', expected: ['être', 'to', 'be']},
+            {text: '  ', expected: []},
+        ];
+        test.each(data)('$text', ({text, expected}) => {
+            expect(getTextWords(text)).toStrictEqual(expected);
+        });
+    });
+
+    describe('getGlossaryMatchProminence', () => {
+        /** @type {{glossaryList: import('dictionary-data').TermGlossary[], words: string[], expected: number}[]} */
+        const data = [
+            {glossaryList: ['dog'], words: ['dog'], expected: 1},
+            {glossaryList: ['a dog'], words: ['dog'], expected: 0.5},
+            {glossaryList: ['hound', 'dog'], words: ['dog'], expected: 0.5},
+            {glossaryList: ['hound', 'dog', 'a big dog'], words: ['big', 'dog'], expected: 2 / 3 / 3},
+            {glossaryList: ['cat'], words: ['dog'], expected: 0},
+            {glossaryList: ['dog'], words: [], expected: 0},
+        ];
+        test.each(data)('$words in $glossaryList', ({glossaryList, words, expected}) => {
+            expect(getGlossaryMatchProminence(glossaryList, words)).toBeCloseTo(expected);
+        });
+    });
+});
@@ -0,0 +1,199 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {beforeEach, describe, test, vi} from 'vitest';
+import {getSchemas} from '../dev/dictionary-validate.js';
+import {createJsonSchema} from '../dev/schema-validate.js';
+import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+import {DictionaryImporter} from '../ext/js/dictionary/dictionary-importer.js';
+import {DslConverter, getDslFileBaseName, isDslArchive} from '../ext/js/dictionary/dsl-converter.js';
+import {DictionaryImporterMediaLoader} from './mocks/dictionary-importer-media-loader.js';
+import {createArchive, gzip} from './utilities/archive.js';
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function encodeUtf16(text) {
+    const result = new Uint8Array(2 + text.length * 2);
+    const view = new DataView(result.buffer);
+    view.setUint16(0, 0xfeff, true);
+    for (let i = 0; i < text.length; ++i) {
+        view.setUint16(2 + i * 2, text.charCodeAt(i), true);
+    }
+    return result;
+}
+
+const dslText = [
+    '#NAME "DSL Test"',
+    '#INDEX_LANGUAGE "GermanNewSpelling"',
+    '#CONTENTS_LANGUAGE "English"',
+    '',
+    'Haus',
+    'Häuschen',
+    '\t[m1][p]n[/p] house{{ a comment }}[/m]',
+    '\t[m2][ex]ein großes ~[/ex] \\[sic\\][/m]',
+    '\t[m2]see [ref]Gebäude[/ref], <<Heim>>[/m]',
+    '',
+    '{sich }freuen(d)',
+    '\t[m1][b]1.[/b] [p]v.[/p] [trn]to be [c red]glad[/c][/trn][/m]',
+    '\t[m1][\']e[/\'] [s]pic.png[/s] [s]missing.png[/s][/m]',
+    '\t@ sich freuen auf',
+    '\t[m2]to look forward to[/m]',
+].join('\n');
+
+const abbreviationText = [
+    'n',
+    '\tnoun',
+    'v.',
+    '\t[i]verb[/i]',
+    '\tverbal',
+].join('\r\n');
+
+/** @type {import('dictionary-importer').ImportDetails} */
+const importDetails = {prefixWildcardsSupported: false};
+
+describe('DslConverter', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+    });
+
+    test('DSL file names are recognized', ({expect}) => {
+        expect.soft(getDslFileBaseName('dict/test.dsl')).toBe('dict/test');
+        expect.soft(getDslFileBaseName('test.dsl.dz')).toBe('test');
+        expect.soft(getDslFileBaseName('test_abrv.dsl')).toBe('test');
+        expect.soft(getDslFileBaseName('test.ann')).toBe('test');
+        expect.soft(getDslFileBaseName('test.zip')).toBe(null);
+        expect.soft(isDslArchive(['test.dsl.dz', 'test_abrv.dsl'])).toBe(true);
+        expect.soft(isDslArchive(['test_abrv.dsl'])).toBe(false);
+        expect.soft(isDslArchive(['index.json', 'test.dsl'])).toBe(false);
+    });
+
+    test('Articles are converted to structured content', ({expect}) => {
+        const {index, termBank, tagBank, usedResourceFileNames} = new DslConverter().convert(dslText, abbreviationText, 'About this dictionary\n', new Set(['Pic.png']));
+
+        const schemas = getSchemas();
+        expect.soft(() => createJsonSchema(null, schemas.index).validate(index)).not.toThrow();
+        expect.soft(() => createJsonSchema(null, schemas.termBankV3).validate(termBank)).not.toThrow();
+        expect.soft(() => createJsonSchema(null, schemas.tagBankV3).validate(tagBank)).not.toThrow();
+        expect.soft(index).toStrictEqual({
+            title: 'DSL Test',
+            format: 3,
+            revision: 'dsl',
+            sequenced: true,
+            sourceLanguage: 'de',
+            targetLanguage: 'en',
+            description: 'About this dictionary',
+        });
+        expect.soft(tagBank).toStrictEqual([
+            ['n', '', 0, 'noun', 0],
+            ['v.', '', 0, 'verb; verbal', 0],
+        ]);
+        expect.soft(termBank.map((row) => [row[0], row[1], row[2], row[6]])).toStrictEqual([
+            ['Haus', '', 'n', 0],
+            ['Häuschen', '', 'n', 0],
+            ['freuen', '', 'v.', 1],
+            ['freuend', '', 'v.', 1],
+        ]);
+        expect.soft(termBank[0][5]).toStrictEqual([{
+            type: 'structured-content',
+            content: [
+                {
+                    tag: 'div',
+                    style: {marginLeft: 1},
+                    content: [
+                        {tag: 'span', data: {dsl: 'p'}, style: {fontStyle: 'italic', color: 'green'}, content: 'n', title: 'noun'},
+                        ' house',
+                    ],
+                },
+                {
+                    tag: 'div',
+                    style: {marginLeft: 2},
+                    content: [
+                        {tag: 'span', data: {dsl: 'ex'}, style: {color: 'gray'}, content: 'ein großes Haus'},
+                        ' [sic]',
+                    ],
+                },
+                {
+                    tag: 'div',
+                    style: {marginLeft: 2},
+                    content: [
+                        'see ',
+                        {tag: 'a', href: '?query=Geb%C3%A4ude&wildcards=off', content: 'Gebäude'},
+                        ', ',
+                        {tag: 'a', href: '?query=Heim&wildcards=off', content: 'Heim'},
+                    ],
+                },
+            ],
+        }]);
+        expect.soft(termBank[2][5]).toStrictEqual([{
+            type: 'structured-content',
+            content: [
+                {
+                    tag: 'div',
+                    style: {marginLeft: 1},
+                    content: [
+                        {tag: 'span', style: {fontWeight: 'bold'}, content: '1.'},
+                        ' ',
+                        {tag: 'span', data: {dsl: 'p'}, style: {fontStyle: 'italic', color: 'green'}, content: 'v.', title: 'verb; verbal'},
+                        ' ',
+                        {tag: 'span', data: {dsl: 'trn'}, content: ['to be ', {tag: 'span', style: {color: 'red'}, content: 'glad'}]},
+                    ],
+                },
+                {tag: 'div', style: {marginLeft: 1}, content: ['e\u0301 ', {tag: 'img', path: 'res/Pic.png'}, ' ']},
+                {tag: 'div', style: {fontWeight: 'bold'}, content: 'sich freuen auf'},
+                {tag: 'div', style: {marginLeft: 2}, content: 'to look forward to'},
+            ],
+        }]);
+        expect.soft(termBank[3][5]).toStrictEqual(termBank[2][5]);
+        expect.soft([...usedResourceFileNames]).toStrictEqual(['Pic.png']);
+    });
+
+    test('Dictionaries without a name are rejected', ({expect}) => {
+        expect.soft(() => new DslConverter().convert('word\n\tdefinition\n', null, null, new Set())).toThrow('DSL file has no #NAME header');
+    });
+
+    test('DSL archives are imported', async ({expect}) => {
+        const archive = await createArchive([
+            ['test.dsl.dz', await gzip(encodeUtf16(dslText))],
+            ['test_abrv.dsl', new TextEncoder().encode(abbreviationText)],
+            ['test.dsl.files/pic.png', new Uint8Array([0x89, 0x50, 0x4e, 0x47])],
+        ]);
+
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        const dictionaryImporter = new DictionaryImporter(new DictionaryImporterMediaLoader());
+        const {result, errors} = await dictionaryImporter.importDictionary(dictionaryDatabase, archive, importDetails);
+        expect.soft(errors).toStrictEqual([]);
+        expect.soft(result?.title).toBe('DSL Test');
+        expect.soft(result?.sourceLanguage).toBe('de');
+        expect.soft(result?.counts.terms.total).toBe(4);
+        expect.soft(result?.counts.tagMeta.total).toBe(2);
+        expect.soft(result?.counts.media.total).toBe(1);
+
+        const dictionaries = new Map([['DSL Test', {index: 0, priority: 0}]]);
+        const entries = await dictionaryDatabase.findTermsBulk(['Häuschen', 'freuend'], dictionaries, 'exact');
+        expect.soft(entries.map(({term, definitionTags}) => [term, definitionTags])).toStrictEqual([['Häuschen', ['n']], ['freuend', ['v.']]]);
+        const tags = await dictionaryDatabase.findTagMetaBulk([{query: 'v.', dictionary: 'DSL Test'}]);
+        expect.soft(tags[0]?.notes).toBe('verb; verbal');
+
+        await dictionaryDatabase.close();
+    });
+});
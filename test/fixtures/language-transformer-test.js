@@ -81,3 +81,47 @@ export function testLanguageTransformer(languageTransformer, data, preprocess) {
         });
     });
 }
+
+/**
+ * Checks that the valid deinflection tests can be reproduced by inflecting the term with the same chain of transforms.
+ * Tests which use a transform without any inflectable rules are skipped.
+ * @param {LanguageTransformer} languageTransformer
+ * @param {import('test/language-transformer-test').LanguageTransformerTestCategory[]} data
+ * @param {(input: string) => string} [preprocess] An optional function for if the input to the transformer needs to be preprocessed.
+ */
+export function testLanguageTransformerInflections(languageTransformer, data, preprocess) {
+    if (typeof preprocess === 'undefined') { preprocess = (input) => input; }
+    /** @type {{category: string, tests: {term: string, source: string, rule: string, reasons: string[]}[]}[]} */
+    const categories = [];
+    for (const {category, valid, tests} of data) {
+        if (!valid) { continue; }
+        const tests2 = [];
+        for (const {term, source, rule, reasons} of tests) {
+            if (rule === null || reasons === null || !canInflect(languageTransformer, reasons)) { continue; }
+            tests2.push({term, source, rule, reasons});
+        }
+        if (tests2.length > 0) {
+            categories.push({category, tests: tests2});
+        }
+    }
+    describe('inflections', () => {
+        describe.each(categories)('$category', ({tests}) => {
+            for (const {source, term, rule, reasons} of tests) {
+                test(`${term} inflects to ${JSON.stringify(source)} with reasons ${JSON.stringify(reasons)}`, () => {
+                    const conditions = languageTransformer.getConditionFlagsFromConditionType(rule);
+                    const forms = languageTransformer.inflect(preprocess(term), conditions, reasons).map(({text}) => text);
+                    expect(forms).toContain(preprocess(source));
+                });
+            }
+        });
+    });
+}
+
+/**
+ * @param {LanguageTransformer} languageTransformer
+ * @param {string[]} reasons
+ * @returns {boolean}
+ */
+function canInflect(languageTransformer, reasons) {
+    return reasons.length > 0 && reasons.every((reason) => languageTransformer.isTransformInflectable(reason));
+}
@@ -0,0 +1,229 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {afterEach, beforeEach, describe, test, vi} from 'vitest';
+import {KnownWordTracker} from '../ext/js/background/known-word-tracker.js';
+import {AnkiConnect} from '../ext/js/comm/anki-connect.js';
+
+/** @type {Map<string, unknown>} */
+const storage = new Map();
+
+vi.stubGlobal('chrome', {
+    storage: {
+        local: {
+            /**
+             * @param {string[]} keys
+             * @returns {Promise<{[key: string]: unknown}>}
+             */
+            get: async (keys) => Object.fromEntries(keys.filter((key) => storage.has(key)).map((key) => [key, structuredClone(storage.get(key))])),
+            /**
+             * @param {{[key: string]: unknown}} items
+             */
+            set: async (items) => {
+                for (const [key, value] of Object.entries(items)) {
+                    storage.set(key, structuredClone(value));
+                }
+            },
+            /**
+             * @param {string[]} keys
+             */
+            remove: async (keys) => {
+                for (const key of keys) {
+                    storage.delete(key);
+                }
+            },
+        },
+    },
+});
+
+/**
+ * A fake AnkiConnect which searches a list of notes, supporting the `"deck:name"` and `"field:value"` terms of Anki's search syntax.
+ */
+class FakeAnkiConnect extends AnkiConnect {
+    /** */
+    constructor() {
+        super();
+        /** Anki is only searched when AnkiConnect is enabled. */
+        this.enabled = true;
+        /** @type {boolean} */
+        this.connected = true;
+        /** @type {{noteId: import('anki').NoteId, deckName: string, fields: {[name: string]: string}}[]} */
+        this.notes = [];
+        /** @type {string[]} */
+        this.queries = [];
+    }
+
+    /**
+     * @override
+     * @param {string} query
+     * @returns {Promise<import('anki').NoteId[]>}
+     */
+    async findNotes(query) {
+        this._checkConnected();
+        this.queries.push(query);
+        let deckName = null;
+        /** @type {[name: string, value: string][]} */
+        const fieldValues = [];
+        for (const [, escapedText] of query.matchAll(/"((?:[^"\\]|\\.)*)"/g)) {
+            const [, escapedName, escapedValue] = /** @type {RegExpMatchArray} */ (/^((?:[^:\\]|\\.)*):(.*)$/.exec(escapedText));
+            const name = escapedName.replace(/\\(.)/g, '$1');
+            const value = escapedValue.replace(/\\(.)/g, '$1');
+            if (name === 'deck') {
+                deckName = value;
+            } else {
+                fieldValues.push([name.toLowerCase(), value.toLowerCase()]);
+            }
+        }
+        return this.notes
+            .filter((note) => (
+                (deckName === null || note.deckName === deckName || note.deckName.startsWith(`${deckName}::`)) &&
+                fieldValues.some(([name, value]) => Object.entries(note.fields).some(([name2, value2]) => name2.toLowerCase() === name && value2.toLowerCase() === value))
+            ))
+            .map(({noteId}) => noteId);
+    }
+
+    /**
+     * @override
+     * @param {import('anki').NoteId[]} noteIds
+     * @returns {Promise<(?import('anki').NoteInfo)[]>}
+     */
+    async notesInfo(noteIds) {
+        this._checkConnected();
+        return noteIds.map((noteId) => {
+            const note = this.notes.find((note2) => note2.noteId === noteId);
+            if (typeof note === 'undefined') { return null; }
+            const fields = Object.fromEntries(Object.entries(note.fields).map(([name, value], order) => [name, {value, order}]));
+            return {noteId, tags: [], fields, modelName: 'Basic', cards: []};
+        });
+    }
+
+    /**
+     * @param {import('anki').NoteId} noteId
+     * @param {string} deckName
+     * @param {string} front
+     */
+    addFakeNote(noteId, deckName, front) {
+        this.notes.push({noteId, deckName, fields: {Front: front, Back: ''}});
+    }
+
+    /**
+     * @throws {Error}
+     */
+    _checkConnected() {
+        if (!this.connected) { throw new Error('Connection refused'); }
+    }
+}
+
+describe('KnownWordTracker', () => {
+    beforeEach(() => {
+        storage.clear();
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    test('Words are known when they are in the deck, and looked up when they are in the lookup history', async ({expect}) => {
+        const ankiConnect = new FakeAnkiConnect();
+        ankiConnect.addFakeNote(1, 'Japanese::Mining', '<b>読む</b>');
+        ankiConnect.addFakeNote(2, 'Other', '見る');
+        ankiConnect.addFakeNote(3, 'Japanese', 'Run');
+        ankiConnect.addFakeNote(4, 'Japanese', 'a "quoted" *word*');
+        const tracker = new KnownWordTracker(ankiConnect);
+        await tracker.prepare();
+        tracker.addLookedUpTerm('見る');
+
+        const terms = ['読む', '見る', 'run', '聞く', 'a "quoted" *word*'];
+        expect(await tracker.getStatuses(terms, 'Japanese', 'Front')).toStrictEqual(['unknown', 'lookedUp', 'known', 'unknown', 'known']);
+        expect(await tracker.getStatuses(terms, '', 'front')).toStrictEqual(['unknown', 'known', 'known', 'unknown', 'known']);
+        expect(await tracker.getStatuses(terms, '', '')).toStrictEqual(['unknown', 'lookedUp', 'unknown', 'unknown', 'unknown']);
+        expect(ankiConnect.queries).toStrictEqual([
+            '"deck:Japanese" ("Front:読む" OR "Front:見る" OR "Front:run" OR "Front:聞く" OR "Front:a \\"quoted\\" \\*word\\*")',
+            '("front:読む" OR "front:見る" OR "front:run" OR "front:聞く" OR "front:a \\"quoted\\" \\*word\\*")',
+        ]);
+    });
+
+    test('Search results are cached until they expire or the cache is cleared', async ({expect}) => {
+        const ankiConnect = new FakeAnkiConnect();
+        ankiConnect.addFakeNote(1, 'Default', '読む');
+        const tracker = new KnownWordTracker(ankiConnect);
+        await tracker.prepare();
+
+        expect(await tracker.getStatuses(['読む', '見る'], '', 'Front')).toStrictEqual(['known', 'unknown']);
+        ankiConnect.addFakeNote(2, 'Default', '見る');
+        expect(await tracker.getStatuses(['読む', '見る', '聞く'], '', 'Front')).toStrictEqual(['known', 'unknown', 'unknown']);
+        expect(ankiConnect.queries).toStrictEqual([
+            '("Front:読む" OR "Front:見る")',
+            '("Front:聞く")',
+        ]);
+
+        tracker.clearCache();
+        expect(await tracker.getStatuses(['読む', '見る'], '', 'Front')).toStrictEqual(['known', 'known']);
+        expect(ankiConnect.queries.length).toBe(3);
+
+        ankiConnect.notes = [];
+        vi.advanceTimersByTime(60000);
+        expect(await tracker.getStatuses(['読む'], '', 'Front')).toStrictEqual(['known']);
+        vi.advanceTimersByTime(300000);
+        expect(await tracker.getStatuses(['読む'], '', 'Front')).toStrictEqual(['unknown']);
+        expect(ankiConnect.queries.length).toBe(4);
+    });
+
+    test('Anki is not searched again for a while after it could not be reached', async ({expect}) => {
+        const ankiConnect = new FakeAnkiConnect();
+        ankiConnect.addFakeNote(1, 'Default', '読む');
+        ankiConnect.connected = false;
+        const tracker = new KnownWordTracker(ankiConnect);
+        await tracker.prepare();
+
+        expect(await tracker.getStatuses(['読む'], '', 'Front')).toStrictEqual(['unknown']);
+        ankiConnect.connected = true;
+        expect(await tracker.getStatuses(['読む'], '', 'Front')).toStrictEqual(['unknown']);
+        expect(ankiConnect.queries).toStrictEqual([]);
+
+        vi.advanceTimersByTime(30000);
+        expect(await tracker.getStatuses(['読む'], '', 'Front')).toStrictEqual(['known']);
+        expect(ankiConnect.queries.length).toBe(1);
+
+        ankiConnect.enabled = false;
+        tracker.clearCache();
+        expect(await tracker.getStatuses(['読む'], '', 'Front')).toStrictEqual(['unknown']);
+        expect(ankiConnect.queries.length).toBe(1);
+    });
+
+    test('The lookup history is saved and can be cleared', async ({expect}) => {
+        const ankiConnect = new FakeAnkiConnect();
+        const tracker = new KnownWordTracker(ankiConnect);
+        await tracker.prepare();
+        tracker.addLookedUpTerm('Run');
+        tracker.addLookedUpTerm('読む');
+        tracker.addLookedUpTerm('run');
+        expect(storage.has('knownWordLookupHistory')).toBe(false);
+
+        await vi.runAllTimersAsync();
+        expect(storage.get('knownWordLookupHistory')).toStrictEqual(['読む', 'run']);
+
+        const tracker2 = new KnownWordTracker(ankiConnect);
+        await tracker2.prepare();
+        expect(await tracker2.getStatuses(['RUN', '読む', '見る'], '', '')).toStrictEqual(['lookedUp', 'lookedUp', 'unknown']);
+
+        await tracker2.clearLookupHistory();
+        expect(storage.has('knownWordLookupHistory')).toBe(false);
+        expect(await tracker2.getStatuses(['run'], '', '')).toStrictEqual(['unknown']);
+    });
+});
@@ -18,7 +18,7 @@
 
 import {englishTransforms} from '../../ext/js/language/en/english-transforms.js';
 import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
-import {testLanguageTransformer} from '../fixtures/language-transformer-test.js';
+import {testLanguageTransformer, testLanguageTransformerInflections} from '../fixtures/language-transformer-test.js';
 
 /* eslint-disable @stylistic/no-multi-spaces */
 const tests = [
@@ -177,3 +177,4 @@ const tests = [
 const languageTransformer = new LanguageTransformer();
 languageTransformer.addDescriptor(englishTransforms);
 testLanguageTransformer(languageTransformer, tests);
+testLanguageTransformerInflections(languageTransformer, tests);
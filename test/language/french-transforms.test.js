@@ -0,0 +1,174 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {frenchTransforms} from '../../ext/js/language/fr/french-transforms.js';
+import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
+import {testLanguageTransformer, testLanguageTransformerInflections} from '../fixtures/language-transformer-test.js';
+
+const tests = [
+    {
+        category: 'nouns',
+        valid: true,
+        tests: [
+            {term: 'chat', source: 'chats', rule: 'ns', reasons: ['plural']},
+            {term: 'bateau', source: 'bateaux', rule: 'ns', reasons: ['plural']},
+            {term: 'cheval', source: 'chevaux', rule: 'ns', reasons: ['plural']},
+        ],
+    },
+    {
+        category: 'adjectives',
+        valid: true,
+        tests: [
+            {term: 'grand', source: 'grande', rule: 'adj', reasons: ['feminine adjective']},
+            {term: 'grand', source: 'grandes', rule: 'adj', reasons: ['feminine adjective', 'plural']},
+            {term: 'actif', source: 'active', rule: 'adj', reasons: ['feminine adjective']},
+            {term: 'heureux', source: 'heureuse', rule: 'adj', reasons: ['feminine adjective']},
+            {term: 'ancien', source: 'anciennes', rule: 'adj', reasons: ['feminine adjective', 'plural']},
+            {term: 'cher', source: 'chère', rule: 'adj', reasons: ['feminine adjective']},
+            {term: 'normal', source: 'normaux', rule: 'adj', reasons: ['plural']},
+        ],
+    },
+    {
+        category: 'present indicative',
+        valid: true,
+        tests: [
+            {term: 'parler', source: 'parle', rule: 'v', reasons: ['present indicative']},
+            {term: 'parler', source: 'parles', rule: 'v', reasons: ['present indicative']},
+            {term: 'parler', source: 'parlons', rule: 'v', reasons: ['present indicative']},
+            {term: 'parler', source: 'parlez', rule: 'v', reasons: ['present indicative']},
+            {term: 'parler', source: 'parlent', rule: 'v', reasons: ['present indicative']},
+            {term: 'manger', source: 'mangeons', rule: 'v', reasons: ['present indicative']},
+            {term: 'commencer', source: 'commençons', rule: 'v', reasons: ['present indicative']},
+            {term: 'lever', source: 'lève', rule: 'v', reasons: ['present indicative']},
+            {term: 'jeter', source: 'jettent', rule: 'v', reasons: ['present indicative']},
+            {term: 'appeler', source: 'appelles', rule: 'v', reasons: ['present indicative']},
+            {term: 'préférer', source: 'préfère', rule: 'v', reasons: ['present indicative']},
+            {term: 'nettoyer', source: 'nettoie', rule: 'v', reasons: ['present indicative']},
+            {term: 'finir', source: 'finis', rule: 'v', reasons: ['present indicative']},
+            {term: 'finir', source: 'finit', rule: 'v', reasons: ['present indicative']},
+            {term: 'finir', source: 'finissons', rule: 'v', reasons: ['present indicative']},
+            {term: 'finir', source: 'finissent', rule: 'v', reasons: ['present indicative']},
+            {term: 'vendre', source: 'vends', rule: 'v', reasons: ['present indicative']},
+            {term: 'vendre', source: 'vend', rule: 'v', reasons: ['present indicative']},
+            {term: 'vendre', source: 'vendons', rule: 'v', reasons: ['present indicative']},
+            {term: 'vendre', source: 'vendent', rule: 'v', reasons: ['present indicative']},
+            {term: 'être', source: 'sommes', rule: 'v', reasons: ['present indicative']},
+            {term: 'avoir', source: 'ont', rule: 'v', reasons: ['present indicative']},
+            {term: 'aller', source: 'vont', rule: 'v', reasons: ['present indicative']},
+        ],
+    },
+    {
+        category: 'imperfect',
+        valid: true,
+        tests: [
+            {term: 'parler', source: 'parlais', rule: 'v', reasons: ['imperfect']},
+            {term: 'parler', source: 'parlions', rule: 'v', reasons: ['imperfect']},
+            {term: 'parler', source: 'parlaient', rule: 'v', reasons: ['imperfect']},
+            {term: 'manger', source: 'mangeait', rule: 'v', reasons: ['imperfect']},
+            {term: 'finir', source: 'finissais', rule: 'v', reasons: ['imperfect']},
+            {term: 'vendre', source: 'vendiez', rule: 'v', reasons: ['imperfect']},
+            {term: 'être', source: 'étions', rule: 'v', reasons: ['imperfect']},
+        ],
+    },
+    {
+        category: 'simple past',
+        valid: true,
+        tests: [
+            {term: 'parler', source: 'parla', rule: 'v', reasons: ['simple past']},
+            {term: 'parler', source: 'parlâmes', rule: 'v', reasons: ['simple past']},
+            {term: 'parler', source: 'parlèrent', rule: 'v', reasons: ['simple past']},
+            {term: 'finir', source: 'finirent', rule: 'v', reasons: ['simple past']},
+            {term: 'vendre', source: 'vendit', rule: 'v', reasons: ['simple past']},
+            {term: 'être', source: 'furent', rule: 'v', reasons: ['simple past']},
+        ],
+    },
+    {
+        category: 'future and conditional',
+        valid: true,
+        tests: [
+            {term: 'parler', source: 'parlerai', rule: 'v', reasons: ['future']},
+            {term: 'parler', source: 'parleront', rule: 'v', reasons: ['future']},
+            {term: 'lever', source: 'lèverons', rule: 'v', reasons: ['future']},
+            {term: 'finir', source: 'finiras', rule: 'v', reasons: ['future']},
+            {term: 'vendre', source: 'vendra', rule: 'v', reasons: ['future']},
+            {term: 'être', source: 'serons', rule: 'v', reasons: ['future']},
+            {term: 'parler', source: 'parlerais', rule: 'v', reasons: ['conditional']},
+            {term: 'finir', source: 'finirions', rule: 'v', reasons: ['conditional']},
+            {term: 'vendre', source: 'vendraient', rule: 'v', reasons: ['conditional']},
+            {term: 'avoir', source: 'aurait', rule: 'v', reasons: ['conditional']},
+        ],
+    },
+    {
+        category: 'subjunctive and imperative',
+        valid: true,
+        tests: [
+            {term: 'parler', source: 'parliez', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'finir', source: 'finisse', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'vendre', source: 'vende', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'être', source: 'soit', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'parler', source: 'parlez', rule: 'v', reasons: ['imperative']},
+            {term: 'finir', source: 'finissons', rule: 'v', reasons: ['imperative']},
+            {term: 'aller', source: 'va', rule: 'v', reasons: ['imperative']},
+        ],
+    },
+    {
+        category: 'participles',
+        valid: true,
+        tests: [
+            {term: 'parler', source: 'parlé', rule: 'v', reasons: ['past participle']},
+            {term: 'parler', source: 'parlées', rule: 'v', reasons: ['past participle', 'feminine adjective', 'plural']},
+            {term: 'finir', source: 'finis', rule: 'v', reasons: ['past participle', 'plural']},
+            {term: 'vendre', source: 'vendue', rule: 'v', reasons: ['past participle', 'feminine adjective']},
+            {term: 'parler', source: 'parlant', rule: 'v', reasons: ['present participle']},
+            {term: 'manger', source: 'mangeant', rule: 'v', reasons: ['present participle']},
+            {term: 'finir', source: 'finissant', rule: 'v', reasons: ['present participle']},
+        ],
+    },
+    {
+        category: 'pronominal verbs',
+        valid: true,
+        tests: [
+            {term: 'se laver', source: 'me lave', rule: 'v', reasons: ['present indicative', 'pronominal']},
+            {term: 'se laver', source: 'te laves', rule: 'v', reasons: ['present indicative', 'pronominal']},
+            {term: 's\'appeler', source: 'm\'appelle', rule: 'v', reasons: ['present indicative', 'pronominal']},
+        ],
+    },
+    {
+        category: 'elision',
+        valid: true,
+        tests: [
+            {term: 'homme', source: 'l\'homme', rule: 'n', reasons: ['elision']},
+            {term: 'eau', source: 'd’eau', rule: 'n', reasons: ['elision']},
+            {term: 'il', source: 'qu\'il', rule: null, reasons: ['elision']},
+            {term: 'aimer', source: 'j\'aime', rule: 'v', reasons: ['present indicative', 'elision']},
+            {term: 'avoir', source: 'j\'ai', rule: 'v', reasons: ['present indicative', 'elision']},
+        ],
+    },
+    {
+        category: 'invalid deinflections',
+        valid: false,
+        tests: [
+            {term: 'chat', source: 'l\'chat', rule: 'n', reasons: ['elision']},
+            {term: 'parler', source: 'parlé', rule: 'adj', reasons: ['past participle']},
+        ],
+    },
+];
+
+const languageTransformer = new LanguageTransformer();
+languageTransformer.addDescriptor(frenchTransforms);
+testLanguageTransformer(languageTransformer, tests);
+testLanguageTransformerInflections(languageTransformer, tests);
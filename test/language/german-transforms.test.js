@@ -18,7 +18,7 @@
 
 import {germanTransforms} from '../../ext/js/language/de/german-transforms.js';
 import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
-import {testLanguageTransformer} from '../fixtures/language-transformer-test.js';
+import {testLanguageTransformer, testLanguageTransformerInflections} from '../fixtures/language-transformer-test.js';
 
 /* eslint-disable @stylistic/no-multi-spaces */
 const tests = [
@@ -54,6 +54,139 @@ const tests = [
             {term: 'scheitern',  source: 'gescheitert',  rule: 'v',   reasons: ['past participle']},
 
             {term: 'darstellen', source: 'dargestellt',  rule: 'v',   reasons: ['past participle']},
+            {term: 'verkaufen',  source: 'verkauft',     rule: 'vw',  reasons: ['past participle']},
+
+            {term: 'lesen',      source: 'gelesen',      rule: 'vs',  reasons: ['past participle']},
+            {term: 'sprechen',   source: 'gesprochen',   rule: 'vs',  reasons: ['past participle']},
+            {term: 'schreiben',  source: 'geschrieben',  rule: 'vs',  reasons: ['past participle']},
+            {term: 'trinken',    source: 'getrunken',    rule: 'vs',  reasons: ['past participle']},
+            {term: 'fliegen',    source: 'geflogen',     rule: 'vs',  reasons: ['past participle']},
+            {term: 'anfangen',   source: 'angefangen',   rule: 'vs',  reasons: ['past participle']},
+            {term: 'aussprechen', source: 'ausgesprochen', rule: 'vs', reasons: ['past participle']},
+            {term: 'verbieten',  source: 'verboten',     rule: 'vs',  reasons: ['past participle']},
+
+            {term: 'gehen',      source: 'gegangen',     rule: 'vs',  reasons: ['past participle']},
+            {term: 'ankommen',   source: 'angekommen',   rule: 'vs',  reasons: ['past participle']},
+            {term: 'verstehen',  source: 'verstanden',   rule: 'vs',  reasons: ['past participle']},
+            {term: 'bringen',    source: 'gebracht',     rule: 'v',   reasons: ['past participle']},
+            {term: 'sein',       source: 'gewesen',      rule: 'v',   reasons: ['past participle']},
+        ],
+    },
+    {
+        category: 'present',
+        valid: true,
+        tests: [
+            {term: 'machen',     source: 'mache',        rule: 'v',   reasons: ['present']},
+            {term: 'machen',     source: 'machst',       rule: 'v',   reasons: ['present']},
+            {term: 'machen',     source: 'macht',        rule: 'v',   reasons: ['present']},
+            {term: 'arbeiten',   source: 'arbeitest',    rule: 'v',   reasons: ['present']},
+            {term: 'arbeiten',   source: 'arbeitet',     rule: 'v',   reasons: ['present']},
+            {term: 'sammeln',    source: 'sammle',       rule: 'v',   reasons: ['present']},
+            {term: 'sammeln',    source: 'sammelst',     rule: 'v',   reasons: ['present']},
+            {term: 'wandern',    source: 'wandert',      rule: 'v',   reasons: ['present']},
+
+            {term: 'sprechen',   source: 'sprichst',     rule: 'vs',  reasons: ['present']},
+            {term: 'sprechen',   source: 'spricht',      rule: 'vs',  reasons: ['present']},
+            {term: 'sehen',      source: 'siehst',       rule: 'vs',  reasons: ['present']},
+            {term: 'lesen',      source: 'liest',        rule: 'vs',  reasons: ['present']},
+            {term: 'essen',      source: 'isst',         rule: 'vs',  reasons: ['present']},
+            {term: 'fahren',     source: 'fährt',        rule: 'vs',  reasons: ['present']},
+            {term: 'laufen',     source: 'läuft',        rule: 'vs',  reasons: ['present']},
+            {term: 'stoßen',     source: 'stößt',        rule: 'vs',  reasons: ['present']},
+            {term: 'halten',     source: 'hält',         rule: 'vs',  reasons: ['present']},
+            {term: 'halten',     source: 'hältst',       rule: 'vs',  reasons: ['present']},
+            {term: 'raten',      source: 'rät',          rule: 'vs',  reasons: ['present']},
+
+            {term: 'sein',       source: 'ist',          rule: 'v',   reasons: ['present']},
+            {term: 'haben',      source: 'hat',          rule: 'v',   reasons: ['present']},
+            {term: 'werden',     source: 'wird',         rule: 'v',   reasons: ['present']},
+            {term: 'nehmen',     source: 'nimmt',        rule: 'vs',  reasons: ['present']},
+            {term: 'können',     source: 'kannst',       rule: 'v',   reasons: ['present']},
+            {term: 'wissen',     source: 'weiß',         rule: 'v',   reasons: ['present']},
+        ],
+    },
+    {
+        category: 'preterite',
+        valid: true,
+        tests: [
+            {term: 'machen',     source: 'machte',       rule: 'vw',  reasons: ['preterite']},
+            {term: 'machen',     source: 'machtest',     rule: 'vw',  reasons: ['preterite']},
+            {term: 'arbeiten',   source: 'arbeiteten',   rule: 'vw',  reasons: ['preterite']},
+            {term: 'sammeln',    source: 'sammelte',     rule: 'vw',  reasons: ['preterite']},
+            {term: 'wandern',    source: 'wanderten',    rule: 'vw',  reasons: ['preterite']},
+
+            {term: 'sprechen',   source: 'sprach',       rule: 'vs',  reasons: ['preterite']},
+            {term: 'sprechen',   source: 'sprachen',     rule: 'vs',  reasons: ['preterite']},
+            {term: 'schreiben',  source: 'schrieb',      rule: 'vs',  reasons: ['preterite']},
+            {term: 'fliegen',    source: 'flog',         rule: 'vs',  reasons: ['preterite']},
+            {term: 'trinken',    source: 'trankst',      rule: 'vs',  reasons: ['preterite']},
+            {term: 'fahren',     source: 'fuhr',         rule: 'vs',  reasons: ['preterite']},
+            {term: 'schlafen',   source: 'schliefen',    rule: 'vs',  reasons: ['preterite']},
+            {term: 'laufen',     source: 'lief',         rule: 'vs',  reasons: ['preterite']},
+            {term: 'rufen',      source: 'rief',         rule: 'vs',  reasons: ['preterite']},
+            {term: 'lesen',      source: 'las',          rule: 'vs',  reasons: ['preterite']},
+
+            {term: 'gehen',      source: 'ging',         rule: 'vs',  reasons: ['preterite']},
+            {term: 'verstehen',  source: 'verstand',     rule: 'vs',  reasons: ['preterite']},
+            {term: 'bekommen',   source: 'bekam',        rule: 'vs',  reasons: ['preterite']},
+            {term: 'sein',       source: 'waren',        rule: 'vs',  reasons: ['preterite']},
+            {term: 'haben',      source: 'hattest',      rule: 'v',   reasons: ['preterite']},
+            {term: 'denken',     source: 'dachte',       rule: 'v',   reasons: ['preterite']},
+            {term: 'können',     source: 'konnten',      rule: 'v',   reasons: ['preterite']},
+        ],
+    },
+    {
+        category: 'present participle',
+        valid: true,
+        tests: [
+            {term: 'laufen',     source: 'laufend',      rule: 'v',   reasons: ['present participle']},
+            {term: 'lächeln',    source: 'lächelnd',     rule: 'v',   reasons: ['present participle']},
+        ],
+    },
+    {
+        category: 'subjunctive I',
+        valid: true,
+        tests: [
+            {term: 'haben',      source: 'habe',         rule: 'v',   reasons: ['subjunctive I']},
+            {term: 'kommen',     source: 'kommest',      rule: 'v',   reasons: ['subjunctive I']},
+            {term: 'sein',       source: 'sei',          rule: 'v',   reasons: ['subjunctive I']},
+            {term: 'sein',       source: 'seien',        rule: 'v',   reasons: ['subjunctive I']},
+        ],
+    },
+    {
+        category: 'subjunctive II',
+        valid: true,
+        tests: [
+            {term: 'sprechen',   source: 'spräche',      rule: 'vs',  reasons: ['subjunctive II']},
+            {term: 'fahren',     source: 'führe',        rule: 'vs',  reasons: ['subjunctive II']},
+            {term: 'fliegen',    source: 'flögen',       rule: 'vs',  reasons: ['subjunctive II']},
+            {term: 'bleiben',    source: 'bliebe',       rule: 'vs',  reasons: ['subjunctive II']},
+            {term: 'sein',       source: 'wäre',         rule: 'vs',  reasons: ['subjunctive II']},
+            {term: 'haben',      source: 'hättest',      rule: 'v',   reasons: ['subjunctive II']},
+            {term: 'werden',     source: 'würden',       rule: 'vs',  reasons: ['subjunctive II']},
+            {term: 'können',     source: 'könnte',       rule: 'v',   reasons: ['subjunctive II']},
+        ],
+    },
+    {
+        category: 'imperative',
+        valid: true,
+        tests: [
+            {term: 'gehen',      source: 'geh',          rule: 'v',   reasons: ['imperative']},
+            {term: 'machen',     source: 'mache',        rule: 'v',   reasons: ['imperative']},
+            {term: 'sammeln',    source: 'sammle',       rule: 'v',   reasons: ['imperative']},
+            {term: 'sprechen',   source: 'sprich',       rule: 'vs',  reasons: ['imperative']},
+            {term: 'lesen',      source: 'lies',         rule: 'vs',  reasons: ['imperative']},
+            {term: 'nehmen',     source: 'nimm',         rule: 'vs',  reasons: ['imperative']},
+            {term: 'sein',       source: 'seid',         rule: 'v',   reasons: ['imperative']},
+        ],
+    },
+    {
+        category: 'conjugation',
+        valid: false,
+        tests: [
+            {term: 'sprechen',   source: 'sprach',       rule: 'vw',  reasons: ['preterite']},
+            {term: 'machen',     source: 'machte',       rule: 'vs',  reasons: ['preterite']},
+            {term: 'sprechen',   source: 'gesprochen',   rule: 'vw',  reasons: ['past participle']},
         ],
     },
     {
@@ -70,6 +203,86 @@ const tests = [
             {term: 'aufräumen', source: 'aufzuräumen', rule: 'v',   reasons: ['zu-infinitive']},
         ],
     },
+    {
+        category: 'plural',
+        valid: true,
+        tests: [
+            {term: 'Tag',        source: 'Tage',         rule: 'ns',  reasons: ['plural']},
+            {term: 'Kind',       source: 'Kinder',       rule: 'ns',  reasons: ['plural']},
+            {term: 'Frau',       source: 'Frauen',       rule: 'ns',  reasons: ['plural']},
+            {term: 'Blume',      source: 'Blumen',       rule: 'ns',  reasons: ['plural']},
+            {term: 'Auto',       source: 'Autos',        rule: 'ns',  reasons: ['plural']},
+            {term: 'Lehrerin',   source: 'Lehrerinnen',  rule: 'ns',  reasons: ['plural']},
+            {term: 'Ergebnis',   source: 'Ergebnisse',   rule: 'ns',  reasons: ['plural']},
+            {term: 'Museum',     source: 'Museen',       rule: 'ns',  reasons: ['plural']},
+            {term: 'Thema',      source: 'Themen',       rule: 'ns',  reasons: ['plural']},
+            {term: 'Baum',       source: 'Bäume',        rule: 'ns',  reasons: ['plural']},
+            {term: 'Haus',       source: 'Häuser',       rule: 'ns',  reasons: ['plural']},
+            {term: 'Buch',       source: 'Bücher',       rule: 'ns',  reasons: ['plural']},
+            {term: 'Garten',     source: 'Gärten',       rule: 'ns',  reasons: ['plural']},
+            {term: 'Vater',      source: 'Väter',        rule: 'ns',  reasons: ['plural']},
+            {term: 'Apfel',      source: 'Äpfel',        rule: 'ns',  reasons: ['plural']},
+        ],
+    },
+    {
+        category: 'noun case',
+        valid: true,
+        tests: [
+            {term: 'Kind',       source: 'Kindern',      rule: 'n',   reasons: ['plural', 'dative plural']},
+            {term: 'Haus',       source: 'Häusern',      rule: 'n',   reasons: ['plural', 'dative plural']},
+            {term: 'Haus',       source: 'Hauses',       rule: 'ns',  reasons: ['genitive']},
+            {term: 'Vater',      source: 'Vaters',       rule: 'ns',  reasons: ['genitive']},
+            {term: 'Mensch',     source: 'Menschen',     rule: 'ns',  reasons: ['n-declension']},
+            {term: 'Junge',      source: 'Jungen',       rule: 'ns',  reasons: ['n-declension']},
+        ],
+    },
+    {
+        category: 'adjective declension',
+        valid: true,
+        tests: [
+            {term: 'schön',      source: 'schönen',      rule: 'adj', reasons: ['declension']},
+            {term: 'groß',       source: 'großer',       rule: 'adj', reasons: ['declension']},
+            {term: 'klein',      source: 'kleines',      rule: 'adj', reasons: ['declension']},
+            {term: 'alt',        source: 'altem',        rule: 'adj', reasons: ['declension']},
+            {term: 'teuer',      source: 'teure',        rule: 'adj', reasons: ['declension']},
+            {term: 'dunkel',     source: 'dunklen',      rule: 'adj', reasons: ['declension']},
+            {term: 'hoch',       source: 'hohes',        rule: 'adj', reasons: ['declension']},
+        ],
+    },
+    {
+        category: 'comparison',
+        valid: true,
+        tests: [
+            {term: 'schnell',    source: 'schneller',    rule: 'adj', reasons: ['comparative']},
+            {term: 'groß',       source: 'größer',       rule: 'adj', reasons: ['comparative']},
+            {term: 'alt',        source: 'älter',        rule: 'adj', reasons: ['comparative']},
+            {term: 'teuer',      source: 'teurer',       rule: 'adj', reasons: ['comparative']},
+            {term: 'gut',        source: 'besser',       rule: 'adj', reasons: ['comparative']},
+            {term: 'groß',       source: 'größeren',     rule: 'adj', reasons: ['comparative', 'declension']},
+            {term: 'gut',        source: 'bessere',      rule: 'adj', reasons: ['comparative', 'declension']},
+
+            {term: 'klein',      source: 'kleinstes',    rule: 'adj', reasons: ['superlative', 'declension']},
+            {term: 'alt',        source: 'älteste',      rule: 'adj', reasons: ['superlative', 'declension']},
+            {term: 'jung',       source: 'jüngsten',     rule: 'adj', reasons: ['superlative', 'declension']},
+            {term: 'groß',       source: 'größte',       rule: 'adj', reasons: ['superlative', 'declension']},
+            {term: 'schnell',    source: 'am schnellsten', rule: 'adj', reasons: ['superlative']},
+            {term: 'groß',       source: 'am größten',   rule: 'adj', reasons: ['superlative']},
+            {term: 'gut',        source: 'am besten',    rule: 'adj', reasons: ['superlative']},
+        ],
+    },
+    {
+        category: 'declined participles and derived words',
+        valid: true,
+        tests: [
+            {term: 'sprechen',   source: 'gesprochene',  rule: 'vs',  reasons: ['past participle', 'declension']},
+            {term: 'veröffentlichen', source: 'veröffentlichte', rule: 'vw', reasons: ['past participle', 'declension']},
+            {term: 'laufen',     source: 'laufende',     rule: 'v',   reasons: ['present participle', 'declension']},
+            {term: 'möglich',    source: 'unmöglichen',  rule: 'adj', reasons: ['negative', 'declension']},
+            {term: 'essen',      source: 'essbare',      rule: 'v',   reasons: ['-bar', 'declension']},
+            {term: 'frei',       source: 'freiheiten',   rule: 'adj', reasons: ['-heit', 'plural']},
+            {term: 'reinigen',   source: 'reinigungen',  rule: 'v',   reasons: ['nominalization', 'plural']},
+        ],
+    },
     {
         category: '-heit',
         valid: true,
@@ -86,3 +299,4 @@ const languageTransformer = new LanguageTransformer();
 languageTransformer.addDescriptor(germanTransforms);
 
 testLanguageTransformer(languageTransformer, tests);
+testLanguageTransformerInflections(languageTransformer, tests);
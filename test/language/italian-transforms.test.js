@@ -0,0 +1,163 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {italianTransforms} from '../../ext/js/language/it/italian-transforms.js';
+import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
+import {testLanguageTransformer, testLanguageTransformerInflections} from '../fixtures/language-transformer-test.js';
+
+const tests = [
+    {
+        category: 'nouns',
+        valid: true,
+        tests: [
+            {term: 'libro', source: 'libri', rule: 'ns', reasons: ['plural']},
+            {term: 'fiore', source: 'fiori', rule: 'ns', reasons: ['plural']},
+            {term: 'casa', source: 'case', rule: 'ns', reasons: ['plural']},
+            {term: 'negozio', source: 'negozi', rule: 'ns', reasons: ['plural']},
+            {term: 'parco', source: 'parchi', rule: 'ns', reasons: ['plural']},
+            {term: 'amica', source: 'amiche', rule: 'ns', reasons: ['plural']},
+        ],
+    },
+    {
+        category: 'adjectives',
+        valid: true,
+        tests: [
+            {term: 'rosso', source: 'rossa', rule: 'adj', reasons: ['feminine adjective']},
+            {term: 'rosso', source: 'rossi', rule: 'adj', reasons: ['plural']},
+            {term: 'rosso', source: 'rosse', rule: 'adj', reasons: ['feminine adjective', 'plural']},
+            {term: 'verde', source: 'verdi', rule: 'adj', reasons: ['plural']},
+            {term: 'bianco', source: 'bianche', rule: 'adj', reasons: ['feminine adjective', 'plural']},
+        ],
+    },
+    {
+        category: 'present indicative',
+        valid: true,
+        tests: [
+            {term: 'parlare', source: 'parlo', rule: 'v', reasons: ['present indicative']},
+            {term: 'parlare', source: 'parli', rule: 'v', reasons: ['present indicative']},
+            {term: 'parlare', source: 'parla', rule: 'v', reasons: ['present indicative']},
+            {term: 'parlare', source: 'parliamo', rule: 'v', reasons: ['present indicative']},
+            {term: 'parlare', source: 'parlate', rule: 'v', reasons: ['present indicative']},
+            {term: 'parlare', source: 'parlano', rule: 'v', reasons: ['present indicative']},
+            {term: 'cercare', source: 'cerchi', rule: 'v', reasons: ['present indicative']},
+            {term: 'pagare', source: 'paghiamo', rule: 'v', reasons: ['present indicative']},
+            {term: 'credere', source: 'crede', rule: 'v', reasons: ['present indicative']},
+            {term: 'credere', source: 'credete', rule: 'v', reasons: ['present indicative']},
+            {term: 'credere', source: 'credono', rule: 'v', reasons: ['present indicative']},
+            {term: 'dormire', source: 'dormite', rule: 'v', reasons: ['present indicative']},
+            {term: 'finire', source: 'finisco', rule: 'v', reasons: ['present indicative']},
+            {term: 'finire', source: 'finiscono', rule: 'v', reasons: ['present indicative']},
+            {term: 'essere', source: 'siamo', rule: 'v', reasons: ['present indicative']},
+            {term: 'avere', source: 'hanno', rule: 'v', reasons: ['present indicative']},
+        ],
+    },
+    {
+        category: 'imperfect',
+        valid: true,
+        tests: [
+            {term: 'parlare', source: 'parlavo', rule: 'v', reasons: ['imperfect']},
+            {term: 'avere', source: 'avevamo', rule: 'v', reasons: ['imperfect']},
+            {term: 'dormire', source: 'dormivano', rule: 'v', reasons: ['imperfect']},
+            {term: 'essere', source: 'eravamo', rule: 'v', reasons: ['imperfect']},
+        ],
+    },
+    {
+        category: 'remote past',
+        valid: true,
+        tests: [
+            {term: 'parlare', source: 'parlò', rule: 'v', reasons: ['remote past']},
+            {term: 'parlare', source: 'parlarono', rule: 'v', reasons: ['remote past']},
+            {term: 'credere', source: 'credette', rule: 'v', reasons: ['remote past']},
+            {term: 'credere', source: 'crederono', rule: 'v', reasons: ['remote past']},
+            {term: 'dormire', source: 'dormì', rule: 'v', reasons: ['remote past']},
+            {term: 'essere', source: 'furono', rule: 'v', reasons: ['remote past']},
+        ],
+    },
+    {
+        category: 'future and conditional',
+        valid: true,
+        tests: [
+            {term: 'parlare', source: 'parlerò', rule: 'v', reasons: ['future']},
+            {term: 'cercare', source: 'cercheremo', rule: 'v', reasons: ['future']},
+            {term: 'credere', source: 'crederanno', rule: 'v', reasons: ['future']},
+            {term: 'dormire', source: 'dormirà', rule: 'v', reasons: ['future']},
+            {term: 'essere', source: 'sarò', rule: 'v', reasons: ['future']},
+            {term: 'parlare', source: 'parlerei', rule: 'v', reasons: ['conditional']},
+            {term: 'credere', source: 'crederebbe', rule: 'v', reasons: ['conditional']},
+            {term: 'dormire', source: 'dormiremmo', rule: 'v', reasons: ['conditional']},
+        ],
+    },
+    {
+        category: 'subjunctive',
+        valid: true,
+        tests: [
+            {term: 'parlare', source: 'parlino', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'credere', source: 'creda', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'finire', source: 'finisca', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'parlare', source: 'parlassi', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'credere', source: 'credessero', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'dormire', source: 'dormisse', rule: 'v', reasons: ['imperfect subjunctive']},
+        ],
+    },
+    {
+        category: 'participles and gerunds',
+        valid: true,
+        tests: [
+            {term: 'parlare', source: 'parlato', rule: 'v', reasons: ['past participle']},
+            {term: 'parlare', source: 'parlata', rule: 'v', reasons: ['past participle', 'feminine adjective']},
+            {term: 'credere', source: 'creduti', rule: 'v', reasons: ['past participle', 'plural']},
+            {term: 'dormire', source: 'dormito', rule: 'v', reasons: ['past participle']},
+            {term: 'parlare', source: 'parlando', rule: 'v', reasons: ['gerund']},
+            {term: 'credere', source: 'credendo', rule: 'v', reasons: ['gerund']},
+            {term: 'dormire', source: 'dormendo', rule: 'v', reasons: ['gerund']},
+        ],
+    },
+    {
+        category: 'enclitic pronouns',
+        valid: true,
+        tests: [
+            {term: 'lavare', source: 'lavarsi', rule: 'v', reasons: ['enclitic']},
+            {term: 'vedere', source: 'vederlo', rule: 'v', reasons: ['enclitic']},
+            {term: 'divertire', source: 'divertirsi', rule: 'v', reasons: ['enclitic']},
+            {term: 'dare', source: 'darglielo', rule: 'v', reasons: ['enclitic']},
+            {term: 'guardare', source: 'guardandolo', rule: 'v', reasons: ['gerund', 'enclitic']},
+        ],
+    },
+    {
+        category: 'elision',
+        valid: true,
+        tests: [
+            {term: 'amico', source: 'l\'amico', rule: 'n', reasons: ['elision']},
+            {term: 'anno', source: 'dell\'anno', rule: 'n', reasons: ['elision']},
+            {term: 'amica', source: 'un’amica', rule: 'n', reasons: ['elision']},
+            {term: 'uomo', source: 'quest\'uomo', rule: 'n', reasons: ['elision']},
+        ],
+    },
+    {
+        category: 'invalid deinflections',
+        valid: false,
+        tests: [
+            {term: 'libro', source: 'l\'libro', rule: 'n', reasons: ['elision']},
+            {term: 'amico', source: 'gl\'amici', rule: 'n', reasons: ['plural', 'elision']},
+        ],
+    },
+];
+
+const languageTransformer = new LanguageTransformer();
+languageTransformer.addDescriptor(italianTransforms);
+testLanguageTransformer(languageTransformer, tests);
+testLanguageTransformerInflections(languageTransformer, tests);
@@ -18,7 +18,7 @@
 
 import {japaneseTransforms} from '../../ext/js/language/ja/japanese-transforms.js';
 import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
-import {testLanguageTransformer} from '../fixtures/language-transformer-test.js';
+import {testLanguageTransformer, testLanguageTransformerInflections} from '../fixtures/language-transformer-test.js';
 
 /* eslint-disable @stylistic/no-multi-spaces */
 const tests = [
@@ -1224,3 +1224,4 @@ const tests = [
 const languageTransformer = new LanguageTransformer();
 languageTransformer.addDescriptor(japaneseTransforms);
 testLanguageTransformer(languageTransformer, tests);
+testLanguageTransformerInflections(languageTransformer, tests);
@@ -18,7 +18,7 @@
 
 import {koreanTransforms} from '../../ext/js/language/ko/korean-transforms.js';
 import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
-import {testLanguageTransformer} from '../fixtures/language-transformer-test.js';
+import {testLanguageTransformer, testLanguageTransformerInflections} from '../fixtures/language-transformer-test.js';
 import {Hangul} from '../../ext/lib/hangul-js.js';
 
 /* eslint-disable @stylistic/no-multi-spaces */
@@ -769,3 +769,4 @@ function disassemble(str) {
 const languageTransformer = new LanguageTransformer();
 languageTransformer.addDescriptor(koreanTransforms);
 testLanguageTransformer(languageTransformer, tests, disassemble);
+testLanguageTransformerInflections(languageTransformer, tests, disassemble);
@@ -18,7 +18,7 @@
 
 import {latinTransforms} from '../../ext/js/language/la/latin-transforms.js';
 import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
-import {testLanguageTransformer} from '../fixtures/language-transformer-test.js';
+import {testLanguageTransformer, testLanguageTransformerInflections} from '../fixtures/language-transformer-test.js';
 
 /* eslint-disable @stylistic/no-multi-spaces */
 const tests = [
@@ -54,3 +54,4 @@ const languageTransformer = new LanguageTransformer();
 languageTransformer.addDescriptor(latinTransforms);
 
 testLanguageTransformer(languageTransformer, tests);
+testLanguageTransformerInflections(languageTransformer, tests);
@@ -0,0 +1,149 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
+import {portugueseTransforms} from '../../ext/js/language/pt/portuguese-transforms.js';
+import {testLanguageTransformer, testLanguageTransformerInflections} from '../fixtures/language-transformer-test.js';
+
+const tests = [
+    {
+        category: 'nouns',
+        valid: true,
+        tests: [
+            {term: 'gato', source: 'gatos', rule: 'ns', reasons: ['plural']},
+            {term: 'flor', source: 'flores', rule: 'ns', reasons: ['plural']},
+            {term: 'canção', source: 'canções', rule: 'ns', reasons: ['plural']},
+            {term: 'pão', source: 'pães', rule: 'ns', reasons: ['plural']},
+            {term: 'animal', source: 'animais', rule: 'ns', reasons: ['plural']},
+            {term: 'papel', source: 'papéis', rule: 'ns', reasons: ['plural']},
+            {term: 'homem', source: 'homens', rule: 'ns', reasons: ['plural']},
+        ],
+    },
+    {
+        category: 'adjectives',
+        valid: true,
+        tests: [
+            {term: 'bonito', source: 'bonita', rule: 'adj', reasons: ['feminine adjective']},
+            {term: 'bonito', source: 'bonitas', rule: 'adj', reasons: ['feminine adjective', 'plural']},
+            {term: 'português', source: 'portuguesa', rule: 'adj', reasons: ['feminine adjective']},
+            {term: 'alemão', source: 'alemã', rule: 'adj', reasons: ['feminine adjective']},
+            {term: 'feliz', source: 'felizes', rule: 'adj', reasons: ['plural']},
+            {term: 'fácil', source: 'fáceis', rule: 'adj', reasons: ['plural']},
+        ],
+    },
+    {
+        category: 'present indicative',
+        valid: true,
+        tests: [
+            {term: 'falar', source: 'falo', rule: 'v', reasons: ['present indicative']},
+            {term: 'falar', source: 'falas', rule: 'v', reasons: ['present indicative']},
+            {term: 'falar', source: 'fala', rule: 'v', reasons: ['present indicative']},
+            {term: 'falar', source: 'falamos', rule: 'v', reasons: ['present indicative']},
+            {term: 'falar', source: 'falais', rule: 'v', reasons: ['present indicative']},
+            {term: 'falar', source: 'falam', rule: 'v', reasons: ['present indicative']},
+            {term: 'comer', source: 'come', rule: 'v', reasons: ['present indicative']},
+            {term: 'comer', source: 'comemos', rule: 'v', reasons: ['present indicative']},
+            {term: 'partir', source: 'partimos', rule: 'v', reasons: ['present indicative']},
+            {term: 'partir', source: 'partem', rule: 'v', reasons: ['present indicative']},
+            {term: 'ser', source: 'são', rule: 'v', reasons: ['present indicative']},
+            {term: 'ter', source: 'têm', rule: 'v', reasons: ['present indicative']},
+        ],
+    },
+    {
+        category: 'past tenses',
+        valid: true,
+        tests: [
+            {term: 'falar', source: 'falava', rule: 'v', reasons: ['imperfect']},
+            {term: 'falar', source: 'falávamos', rule: 'v', reasons: ['imperfect']},
+            {term: 'comer', source: 'comíamos', rule: 'v', reasons: ['imperfect']},
+            {term: 'partir', source: 'partiam', rule: 'v', reasons: ['imperfect']},
+            {term: 'falar', source: 'falei', rule: 'v', reasons: ['preterite']},
+            {term: 'falar', source: 'falou', rule: 'v', reasons: ['preterite']},
+            {term: 'ficar', source: 'fiquei', rule: 'v', reasons: ['preterite']},
+            {term: 'comer', source: 'comeu', rule: 'v', reasons: ['preterite']},
+            {term: 'partir', source: 'partiram', rule: 'v', reasons: ['preterite']},
+            {term: 'fazer', source: 'fizeram', rule: 'v', reasons: ['preterite']},
+            {term: 'falar', source: 'faláramos', rule: 'v', reasons: ['pluperfect']},
+            {term: 'comer', source: 'comêramos', rule: 'v', reasons: ['pluperfect']},
+        ],
+    },
+    {
+        category: 'future and conditional',
+        valid: true,
+        tests: [
+            {term: 'falar', source: 'falarei', rule: 'v', reasons: ['future']},
+            {term: 'comer', source: 'comerão', rule: 'v', reasons: ['future']},
+            {term: 'partir', source: 'partiremos', rule: 'v', reasons: ['future']},
+            {term: 'falar', source: 'falaríamos', rule: 'v', reasons: ['conditional']},
+            {term: 'comer', source: 'comeria', rule: 'v', reasons: ['conditional']},
+            {term: 'fazer', source: 'faria', rule: 'v', reasons: ['conditional']},
+        ],
+    },
+    {
+        category: 'subjunctive',
+        valid: true,
+        tests: [
+            {term: 'falar', source: 'fale', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'falar', source: 'falemos', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'ficar', source: 'fique', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'comer', source: 'comam', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'ser', source: 'seja', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'falar', source: 'falasse', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'comer', source: 'comêssemos', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'partir', source: 'partissem', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'falar', source: 'falarmos', rule: 'v', reasons: ['future subjunctive']},
+            {term: 'comer', source: 'comerem', rule: 'v', reasons: ['future subjunctive']},
+        ],
+    },
+    {
+        category: 'participles and gerunds',
+        valid: true,
+        tests: [
+            {term: 'falar', source: 'falado', rule: 'v', reasons: ['past participle']},
+            {term: 'falar', source: 'faladas', rule: 'v', reasons: ['past participle', 'feminine adjective', 'plural']},
+            {term: 'comer', source: 'comido', rule: 'v', reasons: ['past participle']},
+            {term: 'falar', source: 'falando', rule: 'v', reasons: ['gerund']},
+            {term: 'comer', source: 'comendo', rule: 'v', reasons: ['gerund']},
+            {term: 'partir', source: 'partindo', rule: 'v', reasons: ['gerund']},
+        ],
+    },
+    {
+        category: 'enclitic pronouns',
+        valid: true,
+        tests: [
+            {term: 'chamar', source: 'chama-se', rule: 'v', reasons: ['present indicative', 'enclitic']},
+            {term: 'lavar', source: 'lavar-se', rule: 'v', reasons: ['enclitic']},
+            {term: 'falar', source: 'fale-me', rule: 'v', reasons: ['present subjunctive', 'enclitic']},
+            {term: 'comprar', source: 'comprá-lo', rule: 'v', reasons: ['enclitic']},
+            {term: 'fazer', source: 'fazê-la', rule: 'v', reasons: ['enclitic']},
+            {term: 'abrir', source: 'abri-los', rule: 'v', reasons: ['enclitic']},
+        ],
+    },
+    {
+        category: 'invalid deinflections',
+        valid: false,
+        tests: [
+            {term: 'falar', source: 'falado', rule: 'adj', reasons: ['past participle']},
+            {term: 'gato', source: 'gatos', rule: 'v', reasons: ['plural']},
+        ],
+    },
+];
+
+const languageTransformer = new LanguageTransformer();
+languageTransformer.addDescriptor(portugueseTransforms);
+testLanguageTransformer(languageTransformer, tests);
+testLanguageTransformerInflections(languageTransformer, tests);
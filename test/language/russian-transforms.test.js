@@ -0,0 +1,163 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
+import {yoToE} from '../../ext/js/language/ru/russian-text-preprocessors.js';
+import {russianTransforms} from '../../ext/js/language/ru/russian-transforms.js';
+import {testLanguageTransformer, testLanguageTransformerInflections} from '../fixtures/language-transformer-test.js';
+
+const tests = [
+    {
+        category: 'nouns',
+        valid: true,
+        tests: [
+            {term: 'стол', source: 'стола', rule: 'n', reasons: ['genitive']},
+            {term: 'стол', source: 'столом', rule: 'n', reasons: ['instrumental']},
+            {term: 'брат', source: 'брата', rule: 'n', reasons: ['accusative']},
+            {term: 'книга', source: 'книгу', rule: 'n', reasons: ['accusative']},
+            {term: 'книга', source: 'книгой', rule: 'n', reasons: ['instrumental']},
+            {term: 'неделя', source: 'недели', rule: 'n', reasons: ['genitive']},
+            {term: 'ночь', source: 'ночью', rule: 'n', reasons: ['instrumental']},
+            {term: 'окно', source: 'окне', rule: 'n', reasons: ['prepositional']},
+            {term: 'армия', source: 'армии', rule: 'n', reasons: ['prepositional']},
+            {term: 'окно', source: 'окна', rule: 'n', reasons: ['plural']},
+            {term: 'ученик', source: 'ученики', rule: 'n', reasons: ['plural']},
+            {term: 'стол', source: 'столов', rule: 'n', reasons: ['plural', 'genitive']},
+            {term: 'музей', source: 'музеев', rule: 'n', reasons: ['plural', 'genitive']},
+            {term: 'книга', source: 'книгами', rule: 'n', reasons: ['plural', 'instrumental']},
+            {term: 'неделя', source: 'неделях', rule: 'n', reasons: ['plural', 'prepositional']},
+            {term: 'здание', source: 'зданий', rule: 'n', reasons: ['plural', 'genitive']},
+        ],
+    },
+    {
+        category: 'adjectives',
+        valid: true,
+        tests: [
+            {term: 'новый', source: 'новая', rule: 'adj', reasons: ['feminine']},
+            {term: 'новый', source: 'новое', rule: 'adj', reasons: ['neuter']},
+            {term: 'новый', source: 'новые', rule: 'adj', reasons: ['plural']},
+            {term: 'новый', source: 'нового', rule: 'adj', reasons: ['genitive']},
+            {term: 'новый', source: 'новой', rule: 'adj', reasons: ['feminine', 'genitive']},
+            {term: 'новый', source: 'новыми', rule: 'adj', reasons: ['plural', 'instrumental']},
+            {term: 'синий', source: 'синюю', rule: 'adj', reasons: ['feminine', 'accusative']},
+            {term: 'русский', source: 'русского', rule: 'adj', reasons: ['genitive']},
+            {term: 'молодой', source: 'молодым', rule: 'adj', reasons: ['instrumental']},
+            {term: 'красивый', source: 'красива', rule: 'adj', reasons: ['short form']},
+            {term: 'красивый', source: 'красивее', rule: 'adj', reasons: ['comparative']},
+            {term: 'новый', source: 'новейшая', rule: 'adj', reasons: ['superlative', 'feminine']},
+        ],
+    },
+    {
+        category: 'non-past',
+        valid: true,
+        tests: [
+            {term: 'читать', source: 'читаю', rule: 'v', reasons: ['non-past']},
+            {term: 'читать', source: 'читаешь', rule: 'v', reasons: ['non-past']},
+            {term: 'читать', source: 'читают', rule: 'v', reasons: ['non-past']},
+            {term: 'гулять', source: 'гуляем', rule: 'v', reasons: ['non-past']},
+            {term: 'рисовать', source: 'рисует', rule: 'v', reasons: ['non-past']},
+            {term: 'отдохнуть', source: 'отдохнёшь', rule: 'v', reasons: ['non-past']},
+            {term: 'говорить', source: 'говоришь', rule: 'v', reasons: ['non-past']},
+            {term: 'говорить', source: 'говорят', rule: 'v', reasons: ['non-past']},
+            {term: 'смотреть', source: 'смотрите', rule: 'v', reasons: ['non-past']},
+            {term: 'любить', source: 'люблю', rule: 'v', reasons: ['non-past']},
+            {term: 'ходить', source: 'хожу', rule: 'v', reasons: ['non-past']},
+            {term: 'платить', source: 'плачу', rule: 'v', reasons: ['non-past']},
+            {term: 'держать', source: 'держат', rule: 'v', reasons: ['non-past']},
+        ],
+    },
+    {
+        category: 'reflexive verbs',
+        valid: true,
+        tests: [
+            {term: 'заниматься', source: 'занимаюсь', rule: 'v', reasons: ['non-past']},
+            {term: 'заниматься', source: 'занимается', rule: 'v', reasons: ['non-past']},
+            {term: 'учиться', source: 'учусь', rule: 'v', reasons: ['non-past']},
+            {term: 'учиться', source: 'учится', rule: 'v', reasons: ['non-past']},
+            {term: 'учиться', source: 'учился', rule: 'v', reasons: ['past']},
+            {term: 'учиться', source: 'училась', rule: 'v', reasons: ['past']},
+            {term: 'учиться', source: 'учись', rule: 'v', reasons: ['imperative']},
+            {term: 'заниматься', source: 'занимаясь', rule: 'v', reasons: ['adverbial participle']},
+        ],
+    },
+    {
+        category: 'past and imperative',
+        valid: true,
+        tests: [
+            {term: 'читать', source: 'читал', rule: 'v', reasons: ['past']},
+            {term: 'читать', source: 'читала', rule: 'v', reasons: ['past']},
+            {term: 'говорить', source: 'говорили', rule: 'v', reasons: ['past']},
+            {term: 'читать', source: 'читай', rule: 'v', reasons: ['imperative']},
+            {term: 'читать', source: 'читайте', rule: 'v', reasons: ['imperative']},
+            {term: 'рисовать', source: 'рисуй', rule: 'v', reasons: ['imperative']},
+            {term: 'говорить', source: 'говорите', rule: 'v', reasons: ['imperative']},
+            {term: 'готовить', source: 'готовь', rule: 'v', reasons: ['imperative']},
+        ],
+    },
+    {
+        category: 'participles',
+        valid: true,
+        tests: [
+            {term: 'читать', source: 'читающий', rule: 'v', reasons: ['present active participle']},
+            {term: 'читать', source: 'читающая', rule: 'v', reasons: ['present active participle', 'feminine']},
+            {term: 'говорить', source: 'говорящего', rule: 'v', reasons: ['present active participle', 'genitive']},
+            {term: 'читать', source: 'читавший', rule: 'v', reasons: ['past active participle']},
+            {term: 'читать', source: 'читаемый', rule: 'v', reasons: ['present passive participle']},
+            {term: 'написать', source: 'написанный', rule: 'v', reasons: ['past passive participle']},
+            {term: 'написать', source: 'написанного', rule: 'v', reasons: ['past passive participle', 'genitive']},
+            {term: 'открыть', source: 'открытые', rule: 'v', reasons: ['past passive participle', 'plural']},
+            {term: 'читать', source: 'читая', rule: 'v', reasons: ['adverbial participle']},
+            {term: 'говорить', source: 'говоря', rule: 'v', reasons: ['adverbial participle']},
+            {term: 'прочитать', source: 'прочитав', rule: 'v', reasons: ['adverbial participle']},
+        ],
+    },
+    {
+        category: 'aspect pairs',
+        valid: true,
+        tests: [
+            {term: 'рассказать', source: 'рассказывать', rule: 'v', reasons: ['imperfective']},
+            {term: 'рассказать', source: 'рассказывает', rule: 'v', reasons: ['imperfective', 'non-past']},
+            {term: 'закрыть', source: 'закрывать', rule: 'v', reasons: ['imperfective']},
+            {term: 'встать', source: 'вставать', rule: 'v', reasons: ['imperfective']},
+            {term: 'устроить', source: 'устраивать', rule: 'v', reasons: ['imperfective']},
+            {term: 'устроиться', source: 'устраивался', rule: 'v', reasons: ['imperfective', 'past']},
+        ],
+    },
+    {
+        category: 'invalid deinflections',
+        valid: false,
+        tests: [
+            {term: 'читать', source: 'читал', rule: 'adj', reasons: ['past']},
+            {term: 'стол', source: 'столы', rule: 'adj', reasons: ['plural']},
+            {term: 'читать', source: 'читающий', rule: 'v', reasons: ['present active participle', 'feminine']},
+        ],
+    },
+];
+
+// Preprocessing
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+function removeYo(str) {
+    return yoToE.process(str, true);
+}
+
+const languageTransformer = new LanguageTransformer();
+languageTransformer.addDescriptor(russianTransforms);
+testLanguageTransformer(languageTransformer, tests, removeYo);
+testLanguageTransformerInflections(languageTransformer, tests, removeYo);
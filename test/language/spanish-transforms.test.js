@@ -17,7 +17,7 @@
 
 import {spanishTransforms} from '../../ext/js/language/es/spanish-transforms.js';
 import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
-import {testLanguageTransformer} from '../fixtures/language-transformer-test.js';
+import {testLanguageTransformer, testLanguageTransformerInflections} from '../fixtures/language-transformer-test.js';
 
 const tests = [
     {
@@ -241,3 +241,4 @@ const tests = [
 const languageTransformer = new LanguageTransformer();
 languageTransformer.addDescriptor(spanishTransforms);
 testLanguageTransformer(languageTransformer, tests);
+testLanguageTransformerInflections(languageTransformer, tests);
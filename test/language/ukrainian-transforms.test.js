@@ -0,0 +1,132 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
+import {ukrainianTransforms} from '../../ext/js/language/uk/ukrainian-transforms.js';
+import {testLanguageTransformer, testLanguageTransformerInflections} from '../fixtures/language-transformer-test.js';
+
+const tests = [
+    {
+        category: 'nouns',
+        valid: true,
+        tests: [
+            {term: 'брат', source: 'брата', rule: 'n', reasons: ['genitive']},
+            {term: 'брат', source: 'братові', rule: 'n', reasons: ['dative']},
+            {term: 'брат', source: 'братом', rule: 'n', reasons: ['instrumental']},
+            {term: 'книга', source: 'книзі', rule: 'n', reasons: ['dative']},
+            {term: 'книга', source: 'книгою', rule: 'n', reasons: ['instrumental']},
+            {term: 'земля', source: 'землею', rule: 'n', reasons: ['instrumental']},
+            {term: 'сіль', source: 'сіллю', rule: 'n', reasons: ['instrumental']},
+            {term: 'місто', source: 'місті', rule: 'n', reasons: ['locative']},
+            {term: 'мама', source: 'мамо', rule: 'n', reasons: ['vocative']},
+            {term: 'місто', source: 'міста', rule: 'n', reasons: ['plural']},
+            {term: 'брат', source: 'братів', rule: 'n', reasons: ['plural', 'genitive']},
+            {term: 'книга', source: 'книгами', rule: 'n', reasons: ['plural', 'instrumental']},
+            {term: 'земля', source: 'землях', rule: 'n', reasons: ['plural', 'locative']},
+            {term: 'музей', source: 'музеїв', rule: 'n', reasons: ['plural', 'genitive']},
+        ],
+    },
+    {
+        category: 'adjectives',
+        valid: true,
+        tests: [
+            {term: 'новий', source: 'нова', rule: 'adj', reasons: ['feminine']},
+            {term: 'новий', source: 'нове', rule: 'adj', reasons: ['neuter']},
+            {term: 'новий', source: 'нові', rule: 'adj', reasons: ['plural']},
+            {term: 'новий', source: 'нового', rule: 'adj', reasons: ['genitive']},
+            {term: 'новий', source: 'нової', rule: 'adj', reasons: ['feminine', 'genitive']},
+            {term: 'синій', source: 'синьої', rule: 'adj', reasons: ['feminine', 'genitive']},
+            {term: 'новий', source: 'новими', rule: 'adj', reasons: ['plural', 'instrumental']},
+            {term: 'новий', source: 'новіший', rule: 'adj', reasons: ['comparative']},
+            {term: 'новий', source: 'найновіший', rule: 'adj', reasons: ['comparative', 'superlative']},
+        ],
+    },
+    {
+        category: 'present and future',
+        valid: true,
+        tests: [
+            {term: 'читати', source: 'читаю', rule: 'v', reasons: ['present']},
+            {term: 'читати', source: 'читаєш', rule: 'v', reasons: ['present']},
+            {term: 'читати', source: 'читають', rule: 'v', reasons: ['present']},
+            {term: 'малювати', source: 'малюю', rule: 'v', reasons: ['present']},
+            {term: 'говорити', source: 'говориш', rule: 'v', reasons: ['present']},
+            {term: 'говорити', source: 'говорять', rule: 'v', reasons: ['present']},
+            {term: 'ходити', source: 'ходжу', rule: 'v', reasons: ['present']},
+            {term: 'любити', source: 'люблю', rule: 'v', reasons: ['present']},
+            {term: 'читати', source: 'читатиму', rule: 'v', reasons: ['future']},
+            {term: 'говорити', source: 'говоритимемо', rule: 'v', reasons: ['future']},
+        ],
+    },
+    {
+        category: 'reflexive verbs',
+        valid: true,
+        tests: [
+            {term: 'вчитися', source: 'вчуся', rule: 'v', reasons: ['present']},
+            {term: 'вчитися', source: 'вчиться', rule: 'v', reasons: ['present']},
+            {term: 'вчитися', source: 'вчився', rule: 'v', reasons: ['past']},
+            {term: 'вчитися', source: 'вчилась', rule: 'v', reasons: ['past']},
+            {term: 'займатися', source: 'займаюся', rule: 'v', reasons: ['present']},
+            {term: 'займатися', source: 'займаюсь', rule: 'v', reasons: ['present']},
+        ],
+    },
+    {
+        category: 'past and imperative',
+        valid: true,
+        tests: [
+            {term: 'читати', source: 'читав', rule: 'v', reasons: ['past']},
+            {term: 'читати', source: 'читала', rule: 'v', reasons: ['past']},
+            {term: 'говорити', source: 'говорили', rule: 'v', reasons: ['past']},
+            {term: 'читати', source: 'читай', rule: 'v', reasons: ['imperative']},
+            {term: 'читати', source: 'читайте', rule: 'v', reasons: ['imperative']},
+            {term: 'говорити', source: 'говоріть', rule: 'v', reasons: ['imperative']},
+        ],
+    },
+    {
+        category: 'participles',
+        valid: true,
+        tests: [
+            {term: 'прочитати', source: 'прочитаний', rule: 'v', reasons: ['passive participle']},
+            {term: 'прочитати', source: 'прочитаної', rule: 'v', reasons: ['passive participle', 'feminine', 'genitive']},
+            {term: 'відкрити', source: 'відкритий', rule: 'v', reasons: ['passive participle']},
+            {term: 'читати', source: 'читаючи', rule: 'v', reasons: ['adverbial participle']},
+            {term: 'говорити', source: 'говорячи', rule: 'v', reasons: ['adverbial participle']},
+            {term: 'прочитати', source: 'прочитавши', rule: 'v', reasons: ['adverbial participle']},
+        ],
+    },
+    {
+        category: 'aspect pairs',
+        valid: true,
+        tests: [
+            {term: 'переписати', source: 'переписувати', rule: 'v', reasons: ['imperfective']},
+            {term: 'переписати', source: 'переписує', rule: 'v', reasons: ['imperfective', 'present']},
+            {term: 'встати', source: 'вставати', rule: 'v', reasons: ['imperfective']},
+        ],
+    },
+    {
+        category: 'invalid deinflections',
+        valid: false,
+        tests: [
+            {term: 'читати', source: 'читав', rule: 'n', reasons: ['past']},
+            {term: 'новий', source: 'нова', rule: 'n', reasons: ['feminine']},
+        ],
+    },
+];
+
+const languageTransformer = new LanguageTransformer();
+languageTransformer.addDescriptor(ukrainianTransforms);
+testLanguageTransformer(languageTransformer, tests);
+testLanguageTransformerInflections(languageTransformer, tests);
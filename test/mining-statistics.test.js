@@ -0,0 +1,174 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+import {beforeEach, describe, expect, test, vi} from 'vitest';
+import {MiningLog} from '../ext/js/background/mining-log.js';
+import {createMiningLogCsv, getDateKey, getMiningStatistics, getSiteName} from '../ext/js/data/mining-statistics.js';
+
+/** @type {Map<string, unknown>} */
+const storage = new Map();
+
+vi.stubGlobal('chrome', {
+    storage: {
+        local: {
+            /**
+             * @param {string[]} keys
+             * @returns {Promise<{[key: string]: unknown}>}
+             */
+            get: async (keys) => Object.fromEntries(keys.filter((key) => storage.has(key)).map((key) => [key, structuredClone(storage.get(key))])),
+            /**
+             * @param {{[key: string]: unknown}} items
+             */
+            set: async (items) => {
+                for (const [key, value] of Object.entries(items)) {
+                    storage.set(key, structuredClone(value));
+                }
+            },
+        },
+    },
+});
+
+/**
+ * @param {number} month
+ * @param {number} day
+ * @param {number} hours
+ * @returns {number}
+ */
+function getTimestamp(month, day, hours) {
+    return new Date(2024, month - 1, day, hours).getTime();
+}
+
+/**
+ * @param {number} timestamp
+ * @param {Partial<import('mining-log').Entry>} [details]
+ * @returns {import('mining-log').Entry}
+ */
+function createEntry(timestamp, details = {}) {
+    return {
+        type: 'term',
+        term: '読む',
+        reading: 'よむ',
+        dictionary: 'JMdict',
+        url: 'https://example.com/page',
+        timestamp,
+        profile: 'Default',
+        language: 'ja',
+        ...details,
+    };
+}
+
+describe('Mining statistics', () => {
+    test('Counts by day, site and dictionary', () => {
+        const entries = [
+            createEntry(getTimestamp(3, 8, 9)),
+            createEntry(getTimestamp(3, 9, 23), {dictionary: 'Jitendex'}),
+            createEntry(getTimestamp(3, 10, 1), {url: 'https://news.example.org/article?id=1'}),
+            createEntry(getTimestamp(3, 10, 22), {url: 'file:///home/user/book.html', dictionary: 'Jitendex'}),
+            createEntry(getTimestamp(3, 10, 23)),
+        ];
+        const statistics = getMiningStatistics(entries, getTimestamp(3, 10, 23), 4);
+        expect(statistics.totalCount).toStrictEqual(5);
+        expect(statistics.todayCount).toStrictEqual(3);
+        expect(statistics.recentDays).toStrictEqual([
+            {date: '2024-03-07', count: 0},
+            {date: '2024-03-08', count: 1},
+            {date: '2024-03-09', count: 1},
+            {date: '2024-03-10', count: 3},
+        ]);
+        expect(statistics.sites).toStrictEqual([
+            {name: 'example.com', count: 3},
+            {name: 'file', count: 1},
+            {name: 'news.example.org', count: 1},
+        ]);
+        expect(statistics.dictionaries).toStrictEqual([
+            {name: 'JMdict', count: 3},
+            {name: 'Jitendex', count: 2},
+        ]);
+    });
+
+    test('Streaks', () => {
+        const entries = [
+            createEntry(getTimestamp(2, 27, 12)),
+            createEntry(getTimestamp(2, 28, 12)),
+            createEntry(getTimestamp(2, 29, 12)),
+            createEntry(getTimestamp(3, 1, 12)),
+            createEntry(getTimestamp(3, 5, 12)),
+            createEntry(getTimestamp(3, 6, 12)),
+        ];
+        // A streak continues until the end of the day after the last note
+        expect(getMiningStatistics(entries, getTimestamp(3, 6, 18), 1)).toMatchObject({currentStreak: 2, longestStreak: 4});
+        expect(getMiningStatistics(entries, getTimestamp(3, 7, 18), 1)).toMatchObject({currentStreak: 2, longestStreak: 4});
+        expect(getMiningStatistics(entries, getTimestamp(3, 8, 18), 1)).toMatchObject({currentStreak: 0, longestStreak: 4});
+        expect(getMiningStatistics([], getTimestamp(3, 8, 18), 1)).toMatchObject({totalCount: 0, currentStreak: 0, longestStreak: 0});
+    });
+
+    test('Site names', () => {
+        expect(getSiteName('https://www.example.com:8080/path')).toStrictEqual('www.example.com');
+        expect(getSiteName('http://example.com')).toStrictEqual('example.com');
+        expect(getSiteName('chrome-extension://abcdef/search.html')).toStrictEqual('chrome-extension');
+        expect(getSiteName('not a url')).toStrictEqual('not a url');
+    });
+
+    test('Date keys', () => {
+        expect(getDateKey(new Date(2024, 0, 5, 0, 30))).toStrictEqual('2024-01-05');
+        expect(getDateKey(new Date(2024, 11, 31, 23, 59))).toStrictEqual('2024-12-31');
+    });
+
+    test('CSV', () => {
+        const timestamp = Date.UTC(2024, 2, 10, 12, 30);
+        const csv = createMiningLogCsv([
+            createEntry(timestamp),
+            createEntry(timestamp, {type: 'kanji', term: '読', reading: 'ドク, よ.む', dictionary: 'KANJIDIC "English"', url: ''}),
+            createEntry(timestamp, {term: '=HYPERLINK("https://example.com")', reading: '-1+1', dictionary: '@SUM(A1)', url: '+1'}),
+        ]);
+        expect(csv).toStrictEqual(
+            'date,type,term,reading,dictionary,url,profile,language\r\n' +
+            '2024-03-10T12:30:00.000Z,term,読む,よむ,JMdict,https://example.com/page,Default,ja\r\n' +
+            '2024-03-10T12:30:00.000Z,kanji,読,"ドク, よ.む","KANJIDIC ""English""",,Default,ja\r\n' +
+            '2024-03-10T12:30:00.000Z,term,"\'=HYPERLINK(""https://example.com"")",\'-1+1,\'@SUM(A1),\'+1,Default,ja\r\n',
+        );
+    });
+});
+
+describe('MiningLog', () => {
+    beforeEach(() => {
+        storage.clear();
+    });
+
+    test('Entries are saved', async () => {
+        const miningLog = new MiningLog();
+        await miningLog.prepare();
+        expect(miningLog.getEntries()).toStrictEqual([]);
+        await miningLog.addEntry(createEntry(1));
+        await miningLog.addEntry(createEntry(2, {term: '書く'}));
+
+        const miningLog2 = new MiningLog();
+        await miningLog2.prepare();
+        expect(miningLog2.getEntries()).toStrictEqual([createEntry(1), createEntry(2, {term: '書く'})]);
+
+        await miningLog2.clear();
+        const miningLog3 = new MiningLog();
+        await miningLog3.prepare();
+        expect(miningLog3.getEntries()).toStrictEqual([]);
+    });
+
+    test('Invalid data is ignored', async () => {
+        storage.set('miningLog', [1, 2, 3]);
+        const miningLog = new MiningLog();
+        await miningLog.prepare();
+        expect(miningLog.getEntries()).toStrictEqual([]);
+    });
+});
@@ -297,6 +297,7 @@ function createProfileOptionsUpdatedTestData1() {
             popupActionBarLocation: 'top',
             frequencyDisplayMode: 'split-tags-grouped',
             termDisplayMode: 'ruby',
+            genderColorCoding: 'article',
             sortFrequencyDictionary: null,
             sortFrequencyDictionaryOrder: 'descending',
             stickySearchHeader: false,
@@ -436,6 +437,7 @@ function createProfileOptionsUpdatedTestData1() {
         },
         translation: {
             searchResolution: 'letter',
+            compoundSplitting: false,
             textReplacements: {
                 searchOriginal: true,
                 groups: [],
@@ -451,10 +453,12 @@ function createProfileOptionsUpdatedTestData1() {
                 definitionsCollapsible: 'not-collapsible',
                 partsOfSpeechFilter: true,
                 useDeinflections: true,
+                genderTags: {masculine: 'm', feminine: 'f', neuter: 'n'},
             },
         ],
         parsing: {
             enableScanningParser: true,
+            enableLanguageParser: true,
             enableMecabParser: false,
             selectedParser: null,
             termSpacing: true,
@@ -487,6 +491,7 @@ function createProfileOptionsUpdatedTestData1() {
             fieldTemplates: null,
             suspendNewCards: false,
             noteGuiMode: 'browse',
+            noteTarget: 'ankiConnect',
             apiKey: '',
             downloadTimeout: 0,
         },
@@ -555,6 +560,13 @@ function createProfileOptionsUpdatedTestData1() {
         accessibility: {
             forceGoogleDocsHtmlRendering: false,
         },
+        knownWordHighlighting: {
+            enable: false,
+            ankiDeck: '',
+            ankiField: '',
+            highlightUnknown: true,
+            excludedSites: [],
+        },
     };
 }
 
@@ -644,10 +656,11 @@ function createOptionsUpdatedTestData1() {
             },
         ],
         profileCurrent: 0,
-        version: 50,
+        version: 57,
         global: {
             database: {
                 prefixWildcardsSupported: false,
+                glossaryIndexSupported: false,
             },
         },
     };
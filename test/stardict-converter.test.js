@@ -0,0 +1,210 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {beforeEach, describe, test, vi} from 'vitest';
+import {getSchemas} from '../dev/dictionary-validate.js';
+import {createJsonSchema} from '../dev/schema-validate.js';
+import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+import {DictionaryImporter} from '../ext/js/dictionary/dictionary-importer.js';
+import {StarDictConverter, getStarDictFileBaseName, isStarDictArchive} from '../ext/js/dictionary/stardict-converter.js';
+import {DictionaryImporterMediaLoader} from './mocks/dictionary-importer-media-loader.js';
+import {createArchive, gzip} from './utilities/archive.js';
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+const textEncoder = new TextEncoder();
+
+/**
+ * @param {(string|Uint8Array)[]} parts
+ * @returns {Uint8Array}
+ */
+function concat(parts) {
+    const arrays = parts.map((part) => (typeof part === 'string' ? textEncoder.encode(part) : part));
+    const result = new Uint8Array(arrays.reduce((size, array) => size + array.length, 0));
+    let position = 0;
+    for (const array of arrays) {
+        result.set(array, position);
+        position += array.length;
+    }
+    return result;
+}
+
+/**
+ * @param {number} value
+ * @returns {Uint8Array}
+ */
+function uint32(value) {
+    const result = new Uint8Array(4);
+    new DataView(result.buffer).setUint32(0, value);
+    return result;
+}
+
+/**
+ * @param {{[key: string]: string}} info
+ * @param {[word: string, data: Uint8Array][]} entries
+ * @param {[word: string, index: number][]} synonyms
+ * @returns {{ifo: Uint8Array, idx: Uint8Array, dict: Uint8Array, syn: Uint8Array}}
+ */
+function createStarDictFiles(info, entries, synonyms) {
+    /** @type {Uint8Array[]} */
+    const idxParts = [];
+    let offset = 0;
+    for (const [word, data] of entries) {
+        idxParts.push(concat([word, new Uint8Array([0]), uint32(offset), uint32(data.length)]));
+        offset += data.length;
+    }
+    const ifoLines = ['StarDict\'s dict ifo file', 'version=3.0.0', `wordcount=${entries.length}`];
+    for (const [key, value] of Object.entries(info)) {
+        ifoLines.push(`${key}=${value}`);
+    }
+    return {
+        ifo: textEncoder.encode(`${ifoLines.join('\n')}\n`),
+        idx: concat(idxParts),
+        dict: concat(entries.map(([, data]) => data)),
+        syn: concat(synonyms.map(([word, index]) => concat([word, new Uint8Array([0]), uint32(index)]))),
+    };
+}
+
+/** @type {import('dictionary-importer').ImportDetails} */
+const importDetails = {prefixWildcardsSupported: false};
+
+describe('StarDictConverter', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+    });
+
+    test('StarDict file names are recognized', ({expect}) => {
+        expect.soft(getStarDictFileBaseName('dict/test.ifo')).toBe('dict/test');
+        expect.soft(getStarDictFileBaseName('test.dict.dz')).toBe('test');
+        expect.soft(getStarDictFileBaseName('test.idx.gz')).toBe('test');
+        expect.soft(getStarDictFileBaseName('test.zip')).toBe(null);
+        expect.soft(isStarDictArchive(['test.ifo', 'test.idx', 'test.dict'])).toBe(true);
+        expect.soft(isStarDictArchive(['index.json', 'test.ifo'])).toBe(false);
+        expect.soft(isStarDictArchive(['index.json', 'term_bank_1.json'])).toBe(false);
+    });
+
+    test('Typed fields are converted to glossaries', ({expect}) => {
+        const {ifo, idx, dict} = createStarDictFiles({bookname: 'Test', date: '2024.01.01', author: 'Author', description: 'Line 1<br>Line 2'}, [
+            ['犬', concat(['yいぬ\0', 'mdog\ncanine\0', 'g<b>pet</b> <span foreground="red">animal</span>\nline 2\0'])],
+            ['word', concat(['t\'wɜːd\0', 'x<k>word</k><tr>wɜːd</tr><def><abr>n.</abr> a <kref>term</kref></def>\0'])],
+            ['image', concat(['rimg:image.png\nimg:missing.png\0'])],
+        ], []);
+        const context = {resourceFileNames: new Set(['image.png']), usedResourceFileNames: new Set()};
+        const {index, termBank} = new StarDictConverter().convert(ifo, idx, dict, null, context);
+
+        const schemas = getSchemas();
+        expect.soft(() => createJsonSchema(null, schemas.index).validate(index)).not.toThrow();
+        expect.soft(() => createJsonSchema(null, schemas.termBankV3).validate(termBank)).not.toThrow();
+        expect.soft(index).toStrictEqual({title: 'Test', format: 3, revision: '2024.01.01', sequenced: true, author: 'Author', description: 'Line 1\nLine 2'});
+        expect.soft(termBank).toStrictEqual([
+            ['犬', 'いぬ', '', '', 0, [
+                'dog',
+                'canine',
+                {
+                    type: 'structured-content',
+                    content: [
+                        {tag: 'span', style: {fontWeight: 'bold'}, content: 'pet'},
+                        ' ',
+                        {tag: 'span', style: {color: 'red'}, content: 'animal'},
+                        {tag: 'br'},
+                        'line 2',
+                    ],
+                },
+            ], 0, ''],
+            ['word', '', '', '', 0, [
+                '[\'wɜːd]',
+                {
+                    type: 'structured-content',
+                    content: [
+                        {tag: 'div', style: {fontWeight: 'bold'}, content: 'word'},
+                        {tag: 'span', content: ['[', 'wɜːd', ']']},
+                        {
+                            tag: 'div',
+                            content: [
+                                {tag: 'span', style: {fontStyle: 'italic'}, content: 'n.'},
+                                ' a ',
+                                {tag: 'a', href: '?query=term&wildcards=off', content: 'term'},
+                            ],
+                        },
+                    ],
+                },
+            ], 1, ''],
+            ['image', '', '', '', 0, [
+                {type: 'structured-content', content: {tag: 'img', path: 'res/image.png'}},
+            ], 2, ''],
+        ]);
+        expect.soft([...context.usedResourceFileNames]).toStrictEqual(['image.png']);
+    });
+
+    test('Invalid files are rejected', ({expect}) => {
+        const converter = new StarDictConverter();
+        const context = {resourceFileNames: new Set(), usedResourceFileNames: new Set()};
+        const {idx, dict} = createStarDictFiles({bookname: 'Test'}, [['a', textEncoder.encode('b')]], []);
+        expect.soft(() => converter.convert(textEncoder.encode('bookname=Test\n'), idx, dict, null, context)).toThrow('Unsupported StarDict .ifo file');
+        expect.soft(() => converter.convert(textEncoder.encode('StarDict\'s dict ifo file\nversion=3.0.0\n'), idx, dict, null, context)).toThrow('StarDict .ifo file has no bookname');
+        const {ifo} = createStarDictFiles({bookname: 'Test', sametypesequence: 'm'}, [], []);
+        expect.soft(() => converter.convert(ifo, idx.subarray(0, -1), dict, null, context)).toThrow('Invalid StarDict .idx file');
+        expect.soft(() => converter.convert(ifo, idx, new Uint8Array(0), null, context)).toThrow('StarDict entry "a" is outside of the .dict file');
+    });
+
+    test('StarDict archives are imported with their synonyms', async ({expect}) => {
+        const {ifo, idx, dict, syn} = createStarDictFiles({bookname: 'StarDict Test', sametypesequence: 'h', website: 'https://example.com/'}, [
+            ['colour', textEncoder.encode('<p>A <i>hue</i>.</p><img src="pic.png">')],
+            ['test', textEncoder.encode('<ul><li>one</li><li>two</li></ul><a href="bword://colour">see</a>')],
+        ], [['color', 0], ['exam', 1]]);
+        const archive = await createArchive([
+            ['test/test.ifo', ifo],
+            ['test/test.idx', idx],
+            ['test/test.dict.dz', await gzip(dict)],
+            ['test/test.syn', syn],
+            ['test/res/pic.png', new Uint8Array([0x89, 0x50, 0x4e, 0x47])],
+            ['test/res/unused.png', new Uint8Array([0x89, 0x50, 0x4e, 0x47])],
+        ]);
+
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        const dictionaryImporter = new DictionaryImporter(new DictionaryImporterMediaLoader());
+        const {result, errors} = await dictionaryImporter.importDictionary(dictionaryDatabase, archive, importDetails);
+        expect.soft(errors).toStrictEqual([]);
+        expect.soft(result?.title).toBe('StarDict Test');
+        expect.soft(result?.url).toBe('https://example.com/');
+        expect.soft(result?.counts.terms.total).toBe(4);
+        expect.soft(result?.counts.media.total).toBe(1);
+
+        const dictionaries = new Map([['StarDict Test', {index: 0, priority: 0}]]);
+        const entries = await dictionaryDatabase.findTermsBulk(['colour', 'color', 'exam'], dictionaries, 'exact');
+        expect.soft(entries.map(({term, sequence}) => [term, sequence])).toStrictEqual([['colour', 0], ['color', 0], ['exam', 1]]);
+        expect.soft(entries[1].definitions).toStrictEqual(entries[0].definitions);
+        expect.soft(entries[0].definitions).toStrictEqual([{
+            type: 'structured-content',
+            content: [
+                {tag: 'div', content: ['A ', {tag: 'span', style: {fontStyle: 'italic'}, content: 'hue'}, '.']},
+                {tag: 'img', path: 'res/pic.png', width: 100, height: 100},
+            ],
+        }]);
+        expect.soft(entries[2].definitions).toStrictEqual([{
+            type: 'structured-content',
+            content: [
+                {tag: 'ul', content: [{tag: 'li', content: 'one'}, {tag: 'li', content: 'two'}]},
+                {tag: 'a', href: '?query=colour&wildcards=off', content: 'see'},
+            ],
+        }]);
+
+        await dictionaryDatabase.close();
+    });
+});
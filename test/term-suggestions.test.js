@@ -0,0 +1,92 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {BlobWriter, TextReader, ZipWriter} from '@zip.js/zip.js';
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {beforeEach, describe, test, vi} from 'vitest';
+import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+import {DictionaryImporter} from '../ext/js/dictionary/dictionary-importer.js';
+import {getAllLanguageTermSuggestionPreprocessors, getAllLanguageTextProcessors} from '../ext/js/language/languages.js';
+import {getEditDistance} from '../ext/js/language/text-utilities.js';
+import {Translator} from '../ext/js/language/translator.js';
+import {DictionaryImporterMediaLoader} from './mocks/dictionary-importer-media-loader.js';
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+/** @type {import('dictionary-importer').ImportDetails} */
+const importDetails = {prefixWildcardsSupported: false};
+
+/**
+ * @param {string} title
+ * @param {string[]} terms
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function createArchive(title, terms) {
+    /** @type {import('dictionary-data').TermV3Array} */
+    const termBank = terms.map((term, i) => [term, '', '', '', 0, [`${term} definition`], i, '']);
+    const zipWriter = new ZipWriter(new BlobWriter());
+    await zipWriter.add('index.json', new TextReader(JSON.stringify({title, format: 3, revision: 'test'})));
+    await zipWriter.add('term_bank_1.json', new TextReader(JSON.stringify(termBank)));
+    const blob = await zipWriter.close();
+    return await blob.arrayBuffer();
+}
+
+describe('Term suggestions', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+    });
+
+    test('Edit distances are calculated', ({expect}) => {
+        expect.soft(getEditDistance('Rhytmus', 'Rhythmus', 2)).toBe(1);
+        expect.soft(getEditDistance('Rythmus', 'Rhythmus', 2)).toBe(1);
+        expect.soft(getEditDistance('Gesetz', 'Gestez', 2)).toBe(1);
+        expect.soft(getEditDistance('Straße', 'Strase', 2)).toBe(1);
+        expect.soft(getEditDistance('Haus', 'Haus', 2)).toBe(0);
+        expect.soft(getEditDistance('Haus', 'Maus', 0)).toBe(1);
+        expect.soft(getEditDistance('Haus', 'Bibliothek', 2)).toBe(3);
+        expect.soft(getEditDistance('読みかた', '読み方', 2)).toBe(2);
+    });
+
+    test('Umlaut variants are only used for suggestions', ({expect}) => {
+        const textProcessors = getAllLanguageTextProcessors().find(({iso}) => iso === 'de');
+        const termSuggestionPreprocessors = getAllLanguageTermSuggestionPreprocessors().find(({iso}) => iso === 'de');
+        expect.soft(textProcessors?.textPreprocessors?.map(({id}) => id)).not.toContain('umlautPreprocessor');
+        expect.soft(termSuggestionPreprocessors?.textPreprocessors.map(({id}) => id)).toStrictEqual(['umlautPreprocessor']);
+    });
+
+    test('Similarly spelled headwords of enabled dictionaries are suggested', async ({expect}) => {
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        const dictionaryImporter = new DictionaryImporter(new DictionaryImporterMediaLoader());
+        await dictionaryImporter.importDictionary(dictionaryDatabase, await createArchive('German', ['Rhythmus', 'Geschäft', 'Geschichte', 'Gesicht', 'Straße', 'Haus']), importDetails);
+        await dictionaryImporter.importDictionary(dictionaryDatabase, await createArchive('Other', ['Rhythmen']), importDetails);
+
+        const translator = new Translator(dictionaryDatabase);
+        translator.prepare();
+
+        expect.soft(await translator.findTermSuggestions('Rhytmus', 'de', ['German'])).toStrictEqual(['Rhythmus']);
+        expect.soft(await translator.findTermSuggestions('Rhytmen', 'de', ['German'])).toStrictEqual([]);
+        expect.soft(await translator.findTermSuggestions('Rhytmen', 'de', ['German', 'Other'])).toStrictEqual(['Rhythmen']);
+        expect.soft(await translator.findTermSuggestions('Geschaeftt', 'de', ['German'])).toStrictEqual(['Geschäft']);
+        expect.soft(await translator.findTermSuggestions('Strasse', 'de', ['German'])).toStrictEqual([]);
+        expect.soft(await translator.findTermSuggestions('Strassee', 'de', ['German'])).toStrictEqual(['Straße']);
+        expect.soft(await translator.findTermSuggestions('Hau', 'de', ['German'])).toStrictEqual([]);
+        expect.soft(await translator.findTermSuggestions('Flugzeug', 'de', ['German'])).toStrictEqual([]);
+
+        await dictionaryDatabase.close();
+    });
+});
@@ -0,0 +1,142 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {fileURLToPath} from 'node:url';
+import path from 'path';
+import {describe} from 'vitest';
+import {createTranslatorTest} from './fixtures/translator-test.js';
+import {createFindTermsOptions} from './utilities/translator.js';
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+const dictionaryName = 'German Test Dictionary';
+const test = await createTranslatorTest(void 0, path.join(dirname, 'data/dictionaries/valid-dictionary2'), dictionaryName);
+
+/** @type {import('test/translator').OptionsPresetObject} */
+const optionsPresets = {
+    default: {
+        type: 'terms',
+        language: 'de',
+        enabledDictionaryMap: [[dictionaryName, {index: 0, alias: dictionaryName, priority: 0, allowSecondarySearches: false, partsOfSpeechFilter: true, useDeinflections: true}]],
+    },
+};
+
+/**
+ * @param {import('dictionary').TermDictionaryEntry[]} dictionaryEntries
+ * @returns {string[][]}
+ */
+function getHeadwordTerms(dictionaryEntries) {
+    return dictionaryEntries.map(({headwords}) => headwords.map(({term}) => term));
+}
+
+describe('Translator', () => {
+    describe('Separable verbs', () => {
+        const testCases = [
+            {
+                name: 'Particle at the end of the clause',
+                sentence: {text: 'Ich räumte den Tisch auf.', offset: 4},
+                expected: [['räumen'], ['aufräumen']],
+            },
+            {
+                name: 'Particle after a clause boundary',
+                sentence: {text: 'Ich räumte den Tisch, und die Sonne ging auf.', offset: 4},
+                expected: [['räumen']],
+            },
+            {
+                name: 'Particle in the next sentence',
+                sentence: {text: 'Ich räumte den Tisch. Dann ging die Sonne auf.', offset: 4},
+                expected: [['räumen']],
+            },
+            {
+                name: 'Last word of the clause is not a particle',
+                sentence: {text: 'Ich räumte den Tisch.', offset: 4},
+                expected: [['räumen']],
+            },
+        ];
+        describe.each(testCases)('$name', ({sentence, expected}) => {
+            test('Test', async ({translator, expect}) => {
+                const options = createFindTermsOptions(dictionaryName, optionsPresets, ['default', {type: 'terms', sentence}]);
+                const {dictionaryEntries, originalTextLength} = await translator.findTerms('split', sentence.text.substring(sentence.offset), options);
+                expect.soft(getHeadwordTerms(dictionaryEntries)).toStrictEqual(expected);
+                expect.soft(originalTextLength).toBe('räumte'.length);
+            });
+        });
+
+        test('Inflection rules of the reconstructed verb', async ({translator, expect}) => {
+            const sentence = {text: 'Ich räumte den Tisch auf.', offset: 4};
+            const options = createFindTermsOptions(dictionaryName, optionsPresets, ['default', {type: 'terms', sentence}]);
+            const {dictionaryEntries} = await translator.findTerms('split', 'räumte den Tisch auf.', options);
+            const dictionaryEntry = dictionaryEntries.find(({headwords}) => headwords[0].term === 'aufräumen');
+            expect.soft(dictionaryEntry?.inflectionRuleChainCandidates.map(({inflectionRules}) => inflectionRules.map(({name}) => name))).toContainEqual(['preterite', 'separated prefix']);
+        });
+    });
+
+    describe('Compound splitting', () => {
+        const testCases = [
+            {
+                name: 'Two components',
+                text: 'Haustür',
+                compoundSplitting: true,
+                expected: {terms: [['Haus'], ['Tür']], parts: [{text: 'Haus', linkingElement: ''}, {text: 'tür', linkingElement: ''}], originalTextLength: 7},
+            },
+            {
+                name: 'Linking element -s-',
+                text: 'Arbeitsplatz',
+                compoundSplitting: true,
+                expected: {terms: [['Arbeit'], ['Platz']], parts: [{text: 'Arbeit', linkingElement: 's'}, {text: 'platz', linkingElement: ''}], originalTextLength: 12},
+            },
+            {
+                name: 'Linking element -es-',
+                text: 'Tageszeitung',
+                compoundSplitting: true,
+                expected: {terms: [['Tag'], ['Zeitung']], parts: [{text: 'Tag', linkingElement: 'es'}, {text: 'zeitung', linkingElement: ''}], originalTextLength: 12},
+            },
+            {
+                name: 'Linking element -n-',
+                text: 'Sonnenschein',
+                compoundSplitting: true,
+                expected: {terms: [['Sonne'], ['Schein']], parts: [{text: 'Sonne', linkingElement: 'n'}, {text: 'schein', linkingElement: ''}], originalTextLength: 12},
+            },
+            {
+                name: 'Linking element -en-',
+                text: 'Frauenarzt',
+                compoundSplitting: true,
+                expected: {terms: [['Frau'], ['Arzt']], parts: [{text: 'Frau', linkingElement: 'en'}, {text: 'arzt', linkingElement: ''}], originalTextLength: 10},
+            },
+            {
+                name: 'Word in the dictionary is not split',
+                text: 'Handschuh',
+                compoundSplitting: true,
+                expected: {terms: [['Handschuh'], ['Hand']], parts: null, originalTextLength: 9},
+            },
+            {
+                name: 'Splitting disabled',
+                text: 'Haustür',
+                compoundSplitting: false,
+                expected: {terms: [['Haus']], parts: null, originalTextLength: 4},
+            },
+        ];
+        describe.each(testCases)('$name', ({text, compoundSplitting, expected}) => {
+            test('Test', async ({translator, expect}) => {
+                const options = createFindTermsOptions(dictionaryName, optionsPresets, ['default', {type: 'terms', compoundSplitting}]);
+                const {dictionaryEntries, originalTextLength} = await translator.findTerms('split', text, options);
+                expect.soft(getHeadwordTerms(dictionaryEntries)).toStrictEqual(expected.terms);
+                expect.soft(dictionaryEntries.map(({compound}) => compound?.parts ?? null)).toStrictEqual(dictionaryEntries.map(() => expected.parts));
+                expect.soft(originalTextLength).toBe(expected.originalTextLength);
+            });
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {beforeEach, describe, test, vi} from 'vitest';
+import {getSchemas} from '../dev/dictionary-validate.js';
+import {createJsonSchema} from '../dev/schema-validate.js';
+import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+import {USER_DICTIONARY_TITLE, UserDictionary, createUserDictionaryArchiveFiles} from '../ext/js/dictionary/user-dictionary.js';
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+/** @type {import('user-dictionary').EntryDetails} */
+const entryDetails1 = {
+    term: ' 打つ ',
+    reading: 'うつ',
+    glossary: ['to hit', '', ' to strike '],
+    tags: ['v5', 'v5 vt', ''],
+    sentence: 'ボールを打つ。',
+};
+
+/** @type {import('user-dictionary').EntryDetails} */
+const entryDetails2 = {
+    term: 'テスト',
+    reading: '',
+    glossary: ['test'],
+    tags: [],
+    sentence: '',
+};
+
+describe('UserDictionary', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+    });
+
+    test('Entries can be added, updated and deleted', async ({expect}) => {
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        const userDictionary = new UserDictionary(dictionaryDatabase);
+
+        expect.soft(await userDictionary.getEntries()).toStrictEqual([]);
+
+        const {id: id1, created: created1} = await userDictionary.addEntry(entryDetails1);
+        const {id: id2, created: created2} = await userDictionary.addEntry(entryDetails2);
+        expect.soft(created1).toBe(true);
+        expect.soft(created2).toBe(false);
+
+        expect.soft(await userDictionary.getEntries()).toStrictEqual([
+            {id: id1, term: '打つ', reading: 'うつ', glossary: ['to hit', 'to strike'], tags: ['v5', 'vt'], sentence: 'ボールを打つ。'},
+            {id: id2, term: 'テスト', reading: '', glossary: ['test'], tags: [], sentence: ''},
+        ]);
+
+        let dictionaries = await dictionaryDatabase.getDictionaryInfo();
+        expect.soft(dictionaries.map(({title}) => title)).toStrictEqual([USER_DICTIONARY_TITLE]);
+        expect.soft(dictionaries[0].counts.terms.total).toBe(2);
+
+        const results = await dictionaryDatabase.findTermsExactBulk([{term: '打つ', reading: 'うつ'}], new Set([USER_DICTIONARY_TITLE]));
+        expect.soft(results.length).toBe(1);
+        expect.soft(results[0].definitionTags).toStrictEqual(['v5', 'vt']);
+
+        await userDictionary.updateEntry(id2, {...entryDetails2, reading: 'てすと', glossary: ['exam']});
+        expect.soft((await userDictionary.getEntries())[1]).toStrictEqual({id: id2, term: 'テスト', reading: 'てすと', glossary: ['exam'], tags: [], sentence: ''});
+
+        await userDictionary.deleteEntry(id1);
+        expect.soft((await userDictionary.getEntries()).map(({id}) => id)).toStrictEqual([id2]);
+        dictionaries = await dictionaryDatabase.getDictionaryInfo();
+        expect.soft(dictionaries[0].counts.terms.total).toBe(1);
+
+        await expect.soft(userDictionary.deleteEntry(id1)).rejects.toThrow(`User dictionary entry ${id1} does not exist`);
+        await expect.soft(userDictionary.updateEntry(id1, entryDetails1)).rejects.toThrow(`User dictionary entry ${id1} does not exist`);
+
+        await dictionaryDatabase.close();
+    });
+
+    test('Invalid entries are rejected', async ({expect}) => {
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        const userDictionary = new UserDictionary(dictionaryDatabase);
+
+        await expect.soft(userDictionary.addEntry({...entryDetails2, term: ' '})).rejects.toThrow('The term of an entry cannot be empty');
+        await expect.soft(userDictionary.addEntry({...entryDetails2, glossary: ['', ' ']})).rejects.toThrow('The glossary of an entry cannot be empty');
+        expect.soft(await dictionaryDatabase.getDictionaryInfo()).toStrictEqual([]);
+
+        await dictionaryDatabase.close();
+    });
+
+    test('Archive files are valid', async ({expect}) => {
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        const userDictionary = new UserDictionary(dictionaryDatabase);
+        await userDictionary.addEntry(entryDetails1);
+        await userDictionary.addEntry(entryDetails2);
+
+        const {index, termBank} = createUserDictionaryArchiveFiles(await userDictionary.getEntries(), '2024-01-01T00:00:00.000Z');
+        const schemas = getSchemas();
+        expect.soft(() => createJsonSchema(null, schemas.index).validate(index)).not.toThrow();
+        expect.soft(() => createJsonSchema(null, schemas.termBankV3).validate(termBank)).not.toThrow();
+        expect.soft(termBank.map(([term, reading, definitionTags]) => [term, reading, definitionTags])).toStrictEqual([
+            ['打つ', 'うつ', 'v5 vt'],
+            ['テスト', '', ''],
+        ]);
+
+        await dictionaryDatabase.close();
+    });
+});
@@ -0,0 +1,41 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {BlobWriter, TextReader, Uint8ArrayReader, ZipWriter} from '@zip.js/zip.js';
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+export async function gzip(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * @param {[fileName: string, data: Uint8Array|string][]} files
+ * @param {import('@zip.js/zip.js').ZipWriterAddDataOptions} [options] The options of every file, such as its `lastModDate`.
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function createArchive(files, options) {
+    const zipWriter = new ZipWriter(new BlobWriter());
+    for (const [fileName, data] of files) {
+        await zipWriter.add(fileName, typeof data === 'string' ? new TextReader(data) : new Uint8ArrayReader(data), options);
+    }
+    const blob = await zipWriter.close();
+    return await blob.arrayBuffer();
+}
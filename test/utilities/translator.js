@@ -95,8 +95,8 @@ export function createFindTermsOptions(dictionaryName, optionsPresets, optionsAr
     const enabledDictionaryMap = new Map();
     const presetEnabledDictionaryMap = preset.enabledDictionaryMap;
     if (Array.isArray(presetEnabledDictionaryMap)) {
-        for (const [key, value] of presetEnabledDictionaryMap) {
-            enabledDictionaryMap.set(key === placeholder ? dictionaryName : key, value);
+        for (const [key, {genderTags, ...value}] of presetEnabledDictionaryMap) {
+            enabledDictionaryMap.set(key === placeholder ? dictionaryName : key, {...value, genderTags: new Map(genderTags)});
         }
     }
 
@@ -126,6 +126,9 @@ export function createFindTermsOptions(dictionaryName, optionsPresets, optionsAr
         removeNonJapaneseCharacters,
         excludeDictionaryDefinitions,
         searchResolution,
+        compoundSplitting,
+        searchGlossary,
+        sentence,
         language,
     } = preset;
 
@@ -140,6 +143,9 @@ export function createFindTermsOptions(dictionaryName, optionsPresets, optionsAr
         enabledDictionaryMap,
         excludeDictionaryDefinitions: Array.isArray(excludeDictionaryDefinitions) ? new Set(excludeDictionaryDefinitions) : null,
         searchResolution: typeof searchResolution !== 'undefined' ? searchResolution : 'letter',
+        compoundSplitting: typeof compoundSplitting !== 'undefined' ? compoundSplitting : false,
+        searchGlossary: typeof searchGlossary !== 'undefined' ? searchGlossary : false,
+        sentence: typeof sentence !== 'undefined' ? sentence : null,
         language: typeof language !== 'undefined' ? language : 'ja',
     };
 }
@@ -0,0 +1,258 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {TextWriter, Uint8ArrayReader, ZipReader} from '@zip.js/zip.js';
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {beforeEach, describe, test, vi} from 'vitest';
+import {getSchemas} from '../dev/dictionary-validate.js';
+import {createJsonSchema} from '../dev/schema-validate.js';
+import {parseJson} from '../ext/js/core/json.js';
+import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+import {DictionaryImporter} from '../ext/js/dictionary/dictionary-importer.js';
+import {WiktextractConverter, getWiktextractFileBaseName, isWiktextractArchive} from '../ext/js/dictionary/wiktextract-converter.js';
+import {Translator} from '../ext/js/language/translator.js';
+import {DictionaryImporterMediaLoader} from './mocks/dictionary-importer-media-loader.js';
+import {createArchive} from './utilities/archive.js';
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+const entries = [
+    {
+        word: 'Haus',
+        lang: 'German',
+        lang_code: 'de',
+        pos: 'noun',
+        senses: [
+            {glosses: ['house'], tags: ['neuter'], examples: [{text: 'Das Haus ist groß.', english: 'The house is big.'}, {text: 'Zu Hause'}]},
+            {glosses: ['house', 'family, dynasty'], tags: ['figuratively']},
+        ],
+        sounds: [{ipa: '/haʊ̯s/'}, {ipa: '[haʊ̯s]', tags: ['Standard']}, {audio: 'De-Haus.ogg'}],
+        forms: [
+            {form: 'Häuser', tags: ['nominative', 'plural']},
+            {form: 'Hauses', tags: ['genitive', 'singular']},
+            {form: 'Häuser', tags: ['accusative', 'plural']},
+            {form: 'strong', tags: ['table-tags']},
+            {form: 'des Hauses', tags: ['genitive', 'singular']},
+            {form: 'Haus', tags: ['dative', 'singular']},
+        ],
+    },
+    {
+        word: 'Atlas',
+        lang: 'German',
+        lang_code: 'de',
+        pos: 'noun',
+        senses: [{glosses: ['atlas']}],
+    },
+    {
+        word: 'Atlanten',
+        lang: 'German',
+        lang_code: 'de',
+        pos: 'noun',
+        senses: [{glosses: ['nominative/accusative plural of Atlas'], tags: ['accusative', 'form-of', 'nominative', 'plural'], form_of: [{word: 'Atlas'}]}],
+    },
+];
+
+const jsonlText = `${entries.map((entry) => JSON.stringify(entry)).join('\n')}\n\n`;
+
+/** @type {import('dictionary-importer').ImportDetails} */
+const importDetails = {prefixWildcardsSupported: false};
+
+/**
+ * @param {ArrayBuffer} archive
+ * @returns {Promise<import('dictionary-importer').ArchiveFileMap>}
+ */
+async function readArchive(archive) {
+    const zipReader = new ZipReader(new Uint8ArrayReader(new Uint8Array(archive)));
+    /** @type {import('dictionary-importer').ArchiveFileMap} */
+    const fileMap = new Map();
+    for (const entry of await zipReader.getEntries()) {
+        fileMap.set(entry.filename, entry);
+    }
+    return fileMap;
+}
+
+/**
+ * @param {import('dictionary-importer').ArchiveFileMap} fileMap
+ * @param {string} fileName
+ * @returns {Promise<unknown>}
+ * @throws {Error}
+ */
+async function readJsonFile(fileMap, fileName) {
+    const entry = fileMap.get(fileName);
+    if (typeof entry === 'undefined' || typeof entry.getData === 'undefined') { throw new Error(`Missing file ${fileName}`); }
+    return parseJson(await entry.getData(new TextWriter()));
+}
+
+/**
+ * @param {string} text
+ * @param {Date} [lastModDate]
+ * @returns {Promise<import('dictionary-importer').ArchiveFileMap>}
+ */
+async function createWiktextractArchive(text, lastModDate) {
+    return await readArchive(await createArchive([['kaikki.org-dictionary-German.jsonl', text]], {lastModDate}));
+}
+
+/**
+ * @param {string} text
+ * @returns {Promise<unknown>}
+ */
+async function convert(text) {
+    return await new WiktextractConverter().convertArchive(await createWiktextractArchive(text));
+}
+
+describe('WiktextractConverter', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+    });
+
+    test('Wiktextract file names are recognized', ({expect}) => {
+        expect.soft(getWiktextractFileBaseName('kaikki.org-dictionary-German.jsonl')).toBe('kaikki.org-dictionary-German');
+        expect.soft(getWiktextractFileBaseName('German.jsonl.gz')).toBe('German');
+        expect.soft(getWiktextractFileBaseName('German.json')).toBe(null);
+        expect.soft(isWiktextractArchive(['German.jsonl'])).toBe(true);
+        expect.soft(isWiktextractArchive(['index.json', 'German.jsonl'])).toBe(false);
+    });
+
+    test('Entries are converted to terms, forms and IPA transcriptions', async ({expect}) => {
+        const converter = new WiktextractConverter();
+        const fileMap = await readArchive(await converter.convertArchive(await createWiktextractArchive(jsonlText, new Date(2024, 4, 1, 12))));
+        expect.soft([...fileMap.keys()].sort()).toStrictEqual(['index.json', 'tag_bank_1.json', 'term_bank_1.json', 'term_meta_bank_1.json']);
+        const index = await readJsonFile(fileMap, 'index.json');
+        const termBank = await readJsonFile(fileMap, 'term_bank_1.json');
+        const termMetaBank = await readJsonFile(fileMap, 'term_meta_bank_1.json');
+        const tagBank = await readJsonFile(fileMap, 'tag_bank_1.json');
+
+        const schemas = getSchemas();
+        expect.soft(() => createJsonSchema(null, schemas.index).validate(index)).not.toThrow();
+        expect.soft(() => createJsonSchema(null, schemas.termBankV3).validate(termBank)).not.toThrow();
+        expect.soft(() => createJsonSchema(null, schemas.termMetaBankV3).validate(termMetaBank)).not.toThrow();
+        expect.soft(() => createJsonSchema(null, schemas.tagBankV3).validate(tagBank)).not.toThrow();
+        expect.soft(index).toMatchObject({title: 'Wiktextract German', revision: '2024-05-01'});
+
+        expect.soft(termBank).toStrictEqual([
+            ['Haus', '', 'noun n', 'n', 0, [
+                {
+                    type: 'structured-content',
+                    content: [
+                        'house',
+                        {
+                            tag: 'ul',
+                            content: [
+                                {tag: 'li', content: ['Das Haus ist groß.', ' ― ', {tag: 'span', style: {fontStyle: 'italic'}, content: 'The house is big.'}]},
+                                {tag: 'li', content: 'Zu Hause'},
+                            ],
+                        },
+                    ],
+                },
+                {
+                    type: 'structured-content',
+                    content: [{tag: 'span', style: {fontStyle: 'italic'}, content: '(figuratively)'}, ' ', 'house: family, dynasty'],
+                },
+            ], 1, ''],
+            ['Atlas', '', 'noun', 'n', 0, ['atlas'], 2, ''],
+        ]);
+        expect.soft(termMetaBank).toStrictEqual([
+            ['Haus', 'ipa', {reading: 'Haus', transcriptions: [{ipa: '/haʊ̯s/'}, {ipa: '[haʊ̯s]', tags: ['Standard']}]}],
+            ['Häuser', 'form', {lemma: 'Haus', inflectionRules: ['nominative plural']}],
+            ['Häuser', 'form', {lemma: 'Haus', inflectionRules: ['accusative plural']}],
+            ['Hauses', 'form', {lemma: 'Haus', inflectionRules: ['genitive singular']}],
+            ['Atlanten', 'form', {lemma: 'Atlas', inflectionRules: ['accusative nominative plural']}],
+        ]);
+        expect.soft(tagBank).toStrictEqual([
+            ['noun', 'partOfSpeech', 0, '', 0],
+            ['n', '', 0, 'neuter', 0],
+        ]);
+    });
+
+    test('Invalid files are rejected', async ({expect}) => {
+        await expect.soft(convert('{"word": "a"}\n{')).rejects.toThrow('Wiktextract file has invalid JSON on line 2');
+        await expect.soft(convert('[]\n{"word": "a"}\n')).rejects.toThrow('Wiktextract file contains no entries');
+    });
+
+    test('Inflected forms are resolved to their lemma', async ({expect}) => {
+        const archive = await createArchive([['kaikki.org-dictionary-German.jsonl', jsonlText]]);
+
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        const dictionaryImporter = new DictionaryImporter(new DictionaryImporterMediaLoader());
+        const {result, errors} = await dictionaryImporter.importDictionary(dictionaryDatabase, archive, importDetails);
+        expect.soft(errors).toStrictEqual([]);
+        expect.soft(result?.counts.terms.total).toBe(2);
+        expect.soft(result?.counts.termMeta.ipa).toBe(1);
+        expect.soft(result?.counts.termMeta.form).toBe(4);
+
+        const translator = new Translator(dictionaryDatabase);
+        translator.prepare();
+        /** @type {import('translation').FindTermsOptions} */
+        const options = {
+            matchType: 'exact',
+            deinflect: true,
+            mainDictionary: 'Wiktextract German',
+            sortFrequencyDictionary: null,
+            sortFrequencyDictionaryOrder: 'descending',
+            removeNonJapaneseCharacters: false,
+            textReplacements: [null],
+            enabledDictionaryMap: new Map([['Wiktextract German', {
+                index: 0,
+                alias: 'Wiktextract German',
+                priority: 0,
+                allowSecondarySearches: false,
+                partsOfSpeechFilter: true,
+                useDeinflections: true,
+                genderTags: new Map([['m', 'masculine'], ['f', 'feminine'], ['n', 'neuter']]),
+            }]]),
+            excludeDictionaryDefinitions: null,
+            searchResolution: 'letter',
+            compoundSplitting: false,
+            searchGlossary: false,
+            sentence: null,
+            language: 'de',
+        };
+        const {dictionaryEntries} = await translator.findTerms('simple', 'Atlanten', options);
+        expect.soft(dictionaryEntries.map(({headwords}) => headwords.map(({term}) => term))).toStrictEqual([['Atlas']]);
+        expect.soft(dictionaryEntries[0]?.inflectionRuleChainCandidates).toStrictEqual([
+            {source: 'dictionary', inflectionRules: [{name: 'accusative nominative plural'}]},
+        ]);
+
+        await dictionaryDatabase.close();
+    });
+
+    test('A newer dump replaces the installed dictionary', async ({expect}) => {
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        const dictionaryImporter = new DictionaryImporter(new DictionaryImporterMediaLoader());
+        const createDump = async (/** @type {string} */ text, /** @type {Date} */ lastModDate) => {
+            return await createArchive([['kaikki.org-dictionary-German.jsonl', text]], {lastModDate});
+        };
+
+        const {result: result1} = await dictionaryImporter.importDictionary(dictionaryDatabase, await createDump(jsonlText, new Date(2024, 4, 1, 12)), importDetails);
+        expect.soft(result1?.revision).toBe('2024-05-01');
+
+        const {result: result2, errors: errors2} = await dictionaryImporter.importDictionary(dictionaryDatabase, await createDump(jsonlText, new Date(2024, 4, 1, 12)), importDetails);
+        expect.soft(result2).toBe(null);
+        expect.soft(errors2.map(({message}) => message)).toStrictEqual(['Dictionary Wiktextract German is already imported, skipped it.']);
+
+        const newerJsonlText = JSON.stringify(entries[1]);
+        const {result: result3, errors: errors3} = await dictionaryImporter.importDictionary(dictionaryDatabase, await createDump(newerJsonlText, new Date(2024, 5, 1, 12)), importDetails);
+        expect.soft(errors3).toStrictEqual([]);
+        expect.soft(result3?.revision).toBe('2024-06-01');
+        expect.soft(result3?.counts.terms.total).toBe(1);
+        expect.soft((await dictionaryDatabase.getDictionaryInfo()).map(({title, revision}) => [title, revision])).toStrictEqual([['Wiktextract German', '2024-06-01']]);
+
+        await dictionaryDatabase.close();
+    });
+});
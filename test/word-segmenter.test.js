@@ -0,0 +1,77 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {segmentWords} from '../ext/js/language/word-segmenter.js';
+
+/**
+ * @param {string} text
+ * @param {string[]} words
+ * @returns {number[][]}
+ */
+function getWordLengths(text, words) {
+    const wordLengths = [];
+    for (let i = 0; i < text.length; ++i) {
+        wordLengths.push(words.filter((word) => text.startsWith(word, i)).map((word) => word.length));
+    }
+    return wordLengths;
+}
+
+describe('segmentWords', () => {
+    const data = [
+        {
+            name: 'Maximal matching is preferred over the longest first word',
+            text: 'มากว่า',
+            words: ['มา', 'มาก', 'กว่า'],
+            expected: [{text: 'มา', isWord: true}, {text: 'กว่า', isWord: true}],
+        },
+        {
+            name: 'Ties are resolved in favor of the longest first word',
+            text: 'ตากลม',
+            words: ['ตา', 'ตาก', 'กลม', 'ลม'],
+            expected: [{text: 'ตาก', isWord: true}, {text: 'ลม', isWord: true}],
+        },
+        {
+            name: 'The fewest segments are used',
+            text: 'กินข้าว',
+            words: ['กิน', 'ข้า', 'ข้าว', 'กินข้าว'],
+            expected: [{text: 'กินข้าว', isWord: true}],
+        },
+        {
+            name: 'Unmatched characters are joined into a single segment',
+            text: 'abc กินข้าว!',
+            words: ['กิน', 'ข้าว'],
+            expected: [{text: 'abc ', isWord: false}, {text: 'กิน', isWord: true}, {text: 'ข้าว', isWord: true}, {text: '!', isWord: false}],
+        },
+        {
+            name: 'Words which extend past the end of the text are ignored',
+            text: 'ກິນເຂົ້າ',
+            words: ['ກິນ', 'ເຂົ້າ', 'ເຂົ້າໜຽວ'],
+            expected: [{text: 'ກິນ', isWord: true}, {text: 'ເຂົ້າ', isWord: true}],
+        },
+        {
+            name: 'Empty text',
+            text: '',
+            words: [],
+            expected: [],
+        },
+    ];
+
+    test.each(data)('$name', ({text, words, expected}) => {
+        expect(segmentWords(text, getWordLengths(text, words))).toStrictEqual(expected);
+    });
+});
@@ -0,0 +1,68 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as Anki from './anki';
+import type {EventNames, EventArgument as BaseEventArgument} from './core';
+
+/**
+ * A note which was saved to the local collection.
+ */
+export type Entry = {
+    id: number;
+    /** The globally unique ID of the note, which lets Anki recognize the note when the collection is exported again. */
+    guid: string;
+    note: Anki.Note;
+    /** The media files which are used by the fields of the note. */
+    mediaFileNames: string[];
+    suspendNewCards: boolean;
+    /** The time at which the note was saved. */
+    timestamp: number;
+};
+
+export type MediaFile = {
+    fileName: string;
+    /** The base64-encoded content of the file. */
+    content: string;
+};
+
+export type Info = {
+    noteCount: number;
+    deckNames: string[];
+};
+
+/**
+ * The notes of the collection, along with the media files which they use.
+ */
+export type Content = {
+    entries: Entry[];
+    media: MediaFile[];
+};
+
+export type StorageData = {
+    nextId: number;
+    entries: Entry[];
+    /** The names of all stored media files, including the ones which are not used by a note yet. */
+    mediaFileNames: string[];
+};
+
+export type Events = {
+    updated: {
+        count: number;
+    };
+};
+
+export type EventArgument<TName extends EventNames<Events>> = BaseEventArgument<Events, TName>;
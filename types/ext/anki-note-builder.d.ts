@@ -139,5 +139,6 @@ export type MinimalApi = {
         scanLength: Api.ApiParam<'parseText', 'scanLength'>,
         useInternalParser: Api.ApiParam<'parseText', 'useInternalParser'>,
         useMecabParser: Api.ApiParam<'parseText', 'useMecabParser'>,
+        useLanguageParser: Api.ApiParam<'parseText', 'useLanguageParser'>,
     ): Promise<Api.ApiReturn<'parseText'>>;
 };
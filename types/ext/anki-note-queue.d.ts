@@ -0,0 +1,77 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as Anki from './anki';
+import type * as MiningLog from './mining-log';
+import type * as Settings from './settings';
+import type {EventNames, EventArgument as BaseEventArgument} from './core';
+
+/**
+ * A note which is waiting to be added to Anki.
+ */
+export type Entry = {
+    id: number;
+    note: Anki.Note;
+    /** The media files which are used by the fields of the note and which still have to be stored in Anki. */
+    media: MediaFile[];
+    duplicateBehavior: Settings.AnkiDuplicateBehavior;
+    suspendNewCards: boolean;
+    /** The time at which the note was added to the queue. */
+    timestamp: number;
+    /** The error of the last attempt to add the note to Anki, or `null` if there was no error. */
+    error: string | null;
+    /** The mining log entry which is recorded once the note is added, without the time at which it is added. */
+    miningLogEntry: MiningLogEntry | null;
+};
+
+export type MiningLogEntry = Omit<MiningLog.Entry, 'timestamp'>;
+
+/**
+ * The information about a queued note which is shown to the user, without the content of its media files.
+ */
+export type EntrySummary = Omit<Entry, 'media'> & {
+    mediaFileNames: string[];
+};
+
+export type MediaFile = {
+    fileName: string;
+    /** The base64-encoded content of the file. */
+    content: string;
+};
+
+export type PendingMediaFile = MediaFile & {
+    /** The time at which the file was stored. */
+    timestamp: number;
+};
+
+export type StorageData = {
+    nextId: number;
+    entries: Entry[];
+    /** The media files which have been stored for notes that are not in the queue yet. */
+    pendingMedia?: PendingMediaFile[];
+};
+
+export type Events = {
+    updated: {
+        count: number;
+    };
+    noteAdded: {
+        entry: Entry;
+    };
+};
+
+export type EventArgument<TName extends EventNames<Events>> = BaseEventArgument<Events, TName>;
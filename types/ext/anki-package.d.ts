@@ -0,0 +1,43 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as Anki from './anki';
+
+export type Note = {
+    /** The ID of the note, which is also the time at which the note was created. */
+    id: number;
+    guid: string;
+    note: Anki.Note;
+    /** Whether the card of the note is suspended. */
+    suspended: boolean;
+};
+
+export type MediaFile = {
+    fileName: string;
+    content: Uint8Array;
+};
+
+export type NoteType = {
+    id: number;
+    name: string;
+    fieldNames: string[];
+};
+
+export type Deck = {
+    id: number;
+    name: string;
+};
@@ -18,6 +18,7 @@
 import type * as Dictionary from './dictionary';
 import type * as DictionaryData from './dictionary-data';
 import type * as DictionaryDataUtil from './dictionary-data-util';
+import type {GrammaticalGender} from './language';
 
 export type RenderMode = 'ankiNote';
 
@@ -304,6 +305,9 @@ export type TermHeadword = {
     readonly furiganaSegments: FuriganaSegment[];
     readonly termFrequency: TermFrequencyType;
     wordClasses: string[];
+    gender: GrammaticalGender | undefined;
+    article: string | undefined;
+    plural: string | undefined;
 };
 
 export type FuriganaSegment = {
@@ -317,4 +321,22 @@ export type Cloze = {
     body: string;
     bodyKana: string;
     suffix: string;
+    /**
+     * The parts of the sentence which belong to the term, in order.
+     * Terms whose words are separated in the sentence, such as German separable verbs, have multiple spans.
+     */
+    spans: ClozeSpan[];
+    /**
+     * The sentence with each span marked using Anki's cloze syntax, such as `{{c1::...}}`.
+     */
+    sentenceAnki: string;
+};
+
+export type ClozeSpan = {
+    /** The offset of the span in the sentence. */
+    offset: number;
+    /** The length of the span. */
+    length: number;
+    /** The text of the span. */
+    text: string;
 };
@@ -17,6 +17,8 @@
 
 import type * as Anki from './anki';
 import type * as AnkiNoteBuilder from './anki-note-builder';
+import type * as AnkiLocalCollection from './anki-local-collection';
+import type * as AnkiNoteQueue from './anki-note-queue';
 import type * as Audio from './audio';
 import type * as AudioDownloader from './audio-downloader';
 import type * as Backend from './backend';
@@ -26,12 +28,16 @@ import type * as DictionaryDatabase from './dictionary-database';
 import type * as DictionaryImporter from './dictionary-importer';
 import type * as Environment from './environment';
 import type * as Extension from './extension';
+import type * as KnownWords from './known-words';
 import type * as Language from './language';
+import type * as LanguageTransformer from './language-transformer';
 import type * as Log from './log';
+import type * as MiningLog from './mining-log';
 import type * as Settings from './settings';
 import type * as SettingsModifications from './settings-modifications';
 import type * as Translation from './translation';
 import type * as Translator from './translator';
+import type * as UserDictionary from './user-dictionary';
 import type {ApiMessageNoFrameIdAny as ApplicationApiMessageNoFrameIdAny} from './application';
 import type {
     ApiMap as BaseApiMap,
@@ -48,11 +54,13 @@ import type {
 export type FindTermsDetails = {
     matchType?: Translation.FindTermsMatchType;
     deinflect?: boolean;
+    searchGlossary?: boolean;
+    sentence?: Translation.FindTermsSentence;
 };
 
 export type ParseTextResultItem = {
     id: string;
-    source: 'scanning-parser' | 'mecab';
+    source: 'scanning-parser' | 'language-parser' | 'mecab';
     dictionary: null | string;
     content: ParseTextLine[];
 };
@@ -60,6 +68,14 @@ export type ParseTextResultItem = {
 export type ParseTextSegment = {
     text: string;
     reading: string;
+    /** The dictionary form of the word, for parsers which look up each word on its own. */
+    lemma?: ParseTextLemma;
+};
+
+export type ParseTextLemma = {
+    term: string;
+    reading: string;
+    inflectionRules: Dictionary.InflectionRuleChain;
 };
 
 export type ParseTextLine = ParseTextSegment[];
@@ -145,6 +161,7 @@ type ApiSurface = {
             scanLength: number;
             useInternalParser: boolean;
             useMecabParser: boolean;
+            useLanguageParser: boolean;
         };
         return: ParseTextResultItem[];
     };
@@ -214,6 +231,88 @@ type ApiSurface = {
         };
         return: number;
     };
+    queueAnkiNote: {
+        params: {
+            note: Anki.Note;
+            duplicateBehavior: Settings.AnkiDuplicateBehavior;
+            suspendNewCards: boolean;
+            miningLogEntry: MiningLog.EntryDetails;
+            optionsContext: Settings.OptionsContext;
+        };
+        return: number;
+    };
+    getAnkiNoteQueue: {
+        params: void;
+        return: AnkiNoteQueue.EntrySummary[];
+    };
+    updateQueuedAnkiNote: {
+        params: {
+            id: number;
+            fields: Anki.NoteFields;
+        };
+        return: void;
+    };
+    removeQueuedAnkiNote: {
+        params: {
+            id: number;
+        };
+        return: void;
+    };
+    flushAnkiNoteQueue: {
+        params: void;
+        return: number;
+    };
+    addLocalAnkiNotes: {
+        params: {
+            notes: Anki.Note[];
+            suspendNewCards: boolean;
+        };
+        return: number[];
+    };
+    canAddLocalAnkiNotes: {
+        params: {
+            notes: Anki.Note[];
+        };
+        return: boolean[];
+    };
+    getLocalAnkiCollectionInfo: {
+        params: void;
+        return: AnkiLocalCollection.Info;
+    };
+    exportLocalAnkiCollection: {
+        params: void;
+        return: AnkiLocalCollection.Content;
+    };
+    clearLocalAnkiCollection: {
+        params: void;
+        return: void;
+    };
+    getKnownWords: {
+        params: {
+            texts: string[];
+            optionsContext: Settings.OptionsContext;
+        };
+        return: KnownWords.Word[][];
+    };
+    clearKnownWordLookupHistory: {
+        params: void;
+        return: void;
+    };
+    addMiningLogEntry: {
+        params: {
+            entry: MiningLog.EntryDetails;
+            optionsContext: Settings.OptionsContext;
+        };
+        return: void;
+    };
+    getMiningLog: {
+        params: void;
+        return: MiningLog.Entry[];
+    };
+    clearMiningLog: {
+        params: void;
+        return: void;
+    };
     getTermAudioInfoList: {
         params: {
             source: Audio.AudioSourceInfo;
@@ -286,6 +385,29 @@ type ApiSurface = {
         params: void;
         return: void;
     };
+    getUserDictionaryEntries: {
+        params: void;
+        return: UserDictionary.Entry[];
+    };
+    addUserDictionaryEntry: {
+        params: {
+            details: UserDictionary.EntryDetails;
+        };
+        return: number;
+    };
+    updateUserDictionaryEntry: {
+        params: {
+            id: number;
+            details: UserDictionary.EntryDetails;
+        };
+        return: void;
+    };
+    deleteUserDictionaryEntry: {
+        params: {
+            id: number;
+        };
+        return: void;
+    };
     getMedia: {
         params: {
             targets: GetMediaDetailsTarget[];
@@ -358,6 +480,14 @@ type ApiSurface = {
         };
         return: boolean;
     };
+    getInflectionTable: {
+        params: {
+            language: string;
+            term: string;
+            wordClasses: string[];
+        };
+        return: LanguageTransformer.InflectionTable;
+    };
     getTermFrequencies: {
         params: {
             termReadingList: GetTermFrequenciesDetailsTermReadingListItem[];
@@ -365,6 +495,13 @@ type ApiSurface = {
         };
         return: Translator.TermFrequencySimple[];
     };
+    getTermSuggestions: {
+        params: {
+            text: string;
+            optionsContext: Settings.OptionsContext;
+        };
+        return: string[];
+    };
     findAnkiNotes: {
         params: {
             query: string;
@@ -72,6 +72,14 @@ export type ApiSurface = {
         };
         return: void;
     };
+    applicationAnkiNoteQueueUpdated: {
+        params: void;
+        return: void;
+    };
+    applicationLocalAnkiCollectionUpdated: {
+        params: void;
+        return: void;
+    };
     applicationZoomChanged: {
         params: {
             oldZoomFactor: number;
@@ -156,6 +164,8 @@ export type Events = {
         type: DatabaseUpdateType;
         cause: DatabaseUpdateCause;
     };
+    ankiNoteQueueUpdated: Record<string, never>;
+    localAnkiCollectionUpdated: Record<string, never>;
     zoomChanged: {
         oldZoomFactor: number;
         newZoomFactor: number;
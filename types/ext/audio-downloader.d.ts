@@ -25,7 +25,7 @@ export type GetInfoHandler = (
     languageSummary: Language.LanguageSummary,
 ) => Promise<Info[]>;
 
-export type Info = Info1 | Info2;
+export type Info = Info1 | Info2 | Info3;
 
 export type Info1 = {
     type: 'url';
@@ -40,6 +40,15 @@ export type Info2 = {
     name?: undefined;
 };
 
+export type Info3 = {
+    type: 'dictionary';
+    /** The title of the dictionary which contains the audio file. */
+    dictionary: string;
+    /** The path of the audio file in the media of the dictionary. */
+    path: string;
+    name?: string;
+};
+
 export type AudioBinaryBase64 = {
     data: string;
     contentType: string | null;
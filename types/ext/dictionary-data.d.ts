@@ -145,7 +145,7 @@ export type GenericFrequencyData = string | number | {
 
 export type TermMetaArray = TermMeta[];
 
-export type TermMeta = TermMetaFrequency | TermMetaPitch | TermMetaPhonetic;
+export type TermMeta = TermMetaFrequency | TermMetaPitch | TermMetaPhonetic | TermMetaFormOf | TermMetaAudio;
 
 export type TermMetaFrequencyDataWithReading = {
     reading: string;
@@ -188,6 +188,34 @@ export type TermMetaPhoneticData = {
     }[];
 };
 
+export type TermMetaFormOf = [
+    expression: string,
+    mode: 'form',
+    data: TermMetaFormOfData,
+];
+
+export type TermMetaFormOfData = {
+    /** The uninflected term. */
+    lemma: string;
+    /** The chain of inflection rules which produced the inflected term. */
+    inflectionRules: string[];
+};
+
+export type TermMetaAudio = [
+    expression: string,
+    mode: 'audio',
+    data: TermMetaAudioData,
+];
+
+export type TermMetaAudioData = {
+    reading: string;
+    files: {
+        /** The path of the audio file inside the dictionary archive. */
+        path: string;
+        name?: string;
+    }[];
+};
+
 export type KanjiMetaArray = KanjiMeta[];
 
 export type KanjiMeta = KanjiMetaFrequency;
@@ -45,6 +45,8 @@ export type DatabaseTermEntry = {
     reading: string;
     expressionReverse?: string;
     readingReverse?: string;
+    /** The lowercase words of the glossary, used for searching inside glossaries. */
+    glossaryWords?: string[];
     definitionTags: string | null;
     /** Legacy alias for the `definitionTags` field. */
     tags?: string;
@@ -104,7 +106,7 @@ export type Tag = {
     dictionary: string;
 };
 
-export type DatabaseTermMeta = DatabaseTermMetaFrequency | DatabaseTermMetaPitch | DatabaseTermMetaPhoneticData;
+export type DatabaseTermMeta = DatabaseTermMetaFrequency | DatabaseTermMetaPitch | DatabaseTermMetaPhoneticData | DatabaseTermMetaFormOf | DatabaseTermMetaAudio;
 
 export type DatabaseTermMetaFrequency = {
     expression: string;
@@ -127,12 +129,26 @@ export type DatabaseTermMetaPhoneticData = {
     dictionary: string;
 };
 
+export type DatabaseTermMetaFormOf = {
+    expression: string;
+    mode: 'form';
+    data: DictionaryData.TermMetaFormOfData;
+    dictionary: string;
+};
+
+export type DatabaseTermMetaAudio = {
+    expression: string;
+    mode: 'audio';
+    data: DictionaryData.TermMetaAudioData;
+    dictionary: string;
+};
+
 export type TermMetaFrequencyDataWithReading = {
     reading: string;
     frequency: DictionaryData.GenericFrequencyData;
 };
 
-export type TermMeta = TermMetaFrequency | TermMetaPitch | TermMetaPhoneticData;
+export type TermMeta = TermMetaFrequency | TermMetaPitch | TermMetaPhoneticData | TermMetaFormOf | TermMetaAudio;
 
 export type TermMetaType = TermMeta['mode'];
 
@@ -160,6 +176,22 @@ export type TermMetaPhoneticData = {
     dictionary: string;
 };
 
+export type TermMetaFormOf = {
+    mode: 'form';
+    index: number;
+    term: string;
+    data: DictionaryData.TermMetaFormOfData;
+    dictionary: string;
+};
+
+export type TermMetaAudio = {
+    mode: 'audio';
+    index: number;
+    term: string;
+    data: DictionaryData.TermMetaAudioData;
+    dictionary: string;
+};
+
 export type DatabaseKanjiMeta = DatabaseKanjiMetaFrequency;
 
 export type DatabaseKanjiMetaFrequency = {
@@ -200,6 +232,9 @@ export type ObjectStoreName = (
     'media'
 );
 
+/** The object stores which contain the data of dictionaries, indexed by the dictionary title. */
+export type DictionaryDataObjectStoreName = Exclude<ObjectStoreName, 'dictionaries'>;
+
 export type ObjectStoreData<T extends ObjectStoreName> = (
     T extends 'dictionaries' ? DictionaryImporter.Summary :
     T extends 'terms' ? DatabaseTermEntry :
@@ -220,6 +255,8 @@ export type DeleteDictionaryProgressData = {
 
 export type DeleteDictionaryProgressCallback = (data: DeleteDictionaryProgressData) => void;
 
+export type ReplaceDictionaryProgressCallback = (processed: number) => void;
+
 export type MatchType = Dictionary.TermSourceMatchType;
 
 export type MatchSource = Dictionary.TermSourceMatchSource;
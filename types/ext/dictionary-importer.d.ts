@@ -40,6 +40,7 @@ export type ImportResult = {
 
 export type ImportDetails = {
     prefixWildcardsSupported: boolean;
+    glossaryIndexSupported?: boolean;
 };
 
 export type Summary = {
@@ -49,6 +50,8 @@ export type Summary = {
     version: number;
     importDate: number;
     prefixWildcardsSupported: boolean;
+    /** Whether the glossaries of the terms were indexed for searching. Not present for dictionaries imported before this was supported. */
+    glossaryIndexSupported?: boolean;
     counts: SummaryCounts;
     styles: string;
     isUpdatable?: boolean;
@@ -65,6 +68,7 @@ export type Summary = {
 
 export type SummaryDetails = {
     prefixWildcardsSupported: boolean;
+    glossaryIndexSupported: boolean;
     counts: SummaryCounts;
     styles: string;
 };
@@ -89,7 +93,8 @@ export type SummaryMetaCount = {
 
 export type ImportRequirement = (
     ImageImportRequirement |
-    StructuredContentImageImportRequirement
+    StructuredContentImageImportRequirement |
+    AudioImportRequirement
 );
 
 export type ImageImportRequirement = {
@@ -106,6 +111,13 @@ export type StructuredContentImageImportRequirement = {
     entry: DictionaryDatabase.DatabaseTermEntry;
 };
 
+export type AudioImportRequirement = {
+    type: 'audio';
+    path: string;
+    /** The term meta or the term whose structured content references the audio file. */
+    entry: DictionaryDatabase.DatabaseTermMetaAudio | DictionaryDatabase.DatabaseTermEntry;
+};
+
 export type ImportRequirementContext = {
     fileMap: ArchiveFileMap;
     media: Map<string, DictionaryDatabase.MediaDataArrayBufferContent>;
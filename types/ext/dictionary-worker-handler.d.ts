@@ -22,7 +22,9 @@ export type OnProgressCallback = (...args: unknown[]) => void;
 
 export type Message = (
     ImportDictionaryMessage |
+    UpdateDictionaryMessage |
     DeleteDictionaryMessage |
+    ExportDictionaryMessage |
     GetDictionaryCountsMessage |
     GetImageDetailsResponseMessage
 );
@@ -37,6 +39,17 @@ export type ImportDictionaryMessageParams = {
     archiveContent: ArrayBuffer;
 };
 
+export type UpdateDictionaryMessage = {
+    action: 'updateDictionary';
+    params: UpdateDictionaryMessageParams;
+};
+
+export type UpdateDictionaryMessageParams = {
+    dictionaryTitle: string;
+    details: DictionaryImporter.ImportDetails;
+    archiveContent: ArrayBuffer;
+};
+
 export type DeleteDictionaryMessage = {
     action: 'deleteDictionary';
     params: DeleteDictionaryMessageParams;
@@ -46,6 +59,15 @@ export type DeleteDictionaryMessageParams = {
     dictionaryTitle: string;
 };
 
+export type ExportDictionaryMessage = {
+    action: 'exportDictionary';
+    params: ExportDictionaryMessageParams;
+};
+
+export type ExportDictionaryMessageParams = {
+    dictionaryTitle: string;
+};
+
 export type GetDictionaryCountsMessage = {
     action: 'getDictionaryCounts';
     params: GetDictionaryCountsMessageParams;
@@ -17,6 +17,7 @@
 
 import type * as Core from './core';
 import type * as DictionaryDatabase from './dictionary-database';
+import type * as DictionaryExporter from './dictionary-exporter';
 import type * as DictionaryImporter from './dictionary-importer';
 
 export type InvokeDetails<TResponseRaw = unknown, TResponse = unknown> = {
@@ -71,3 +72,5 @@ export type MessageCompleteResult = {
 export type ImportProgressCallback = (details: DictionaryImporter.ProgressData) => void;
 
 export type DeleteProgressCallback = (details: DictionaryDatabase.DeleteDictionaryProgressData) => void;
+
+export type ExportProgressCallback = (details: DictionaryExporter.ProgressData) => void;
@@ -17,6 +17,7 @@
  */
 
 import type * as DictionaryData from './dictionary-data';
+import type {GrammaticalGender} from './language';
 
 // Common
 
@@ -267,6 +268,41 @@ export type TermDictionaryEntry = {
      * Frequencies for the entry.
      */
     frequencies: TermFrequency[];
+    /**
+     * Information about the compound word that this entry is a component of.
+     * This is only present when the entry was found by splitting a compound word.
+     */
+    compound?: TermCompound;
+};
+
+/**
+ * A compound word which was split into dictionary-attested components.
+ */
+export type TermCompound = {
+    /**
+     * The full text of the compound word.
+     */
+    text: string;
+    /**
+     * The components of the compound word, in order.
+     */
+    parts: TermCompoundPart[];
+    /**
+     * The index of the part which the dictionary entry corresponds to.
+     */
+    partIndex: number;
+};
+
+export type TermCompoundPart = {
+    /**
+     * The text of the component as it appears in the compound word, excluding any linking element.
+     */
+    text: string;
+    /**
+     * The linking element which follows the component, such as the "s" in "Verfassungsgericht".
+     * This is an empty string if there is no linking element.
+     */
+    linkingElement: string;
 };
 
 export type InflectionRuleChainCandidate = {
@@ -313,6 +349,18 @@ export type TermHeadword = {
      * List of word classes (part of speech) for the headword.
      */
     wordClasses: string[];
+    /**
+     * The grammatical gender of the headword, if it is a noun of a language with grammatical gender.
+     */
+    gender?: GrammaticalGender;
+    /**
+     * The definite article corresponding to the grammatical gender of the headword.
+     */
+    article?: string;
+    /**
+     * The plural form of the headword, if provided by a dictionary.
+     */
+    plural?: string;
 };
 
 /**
@@ -512,7 +560,7 @@ export type TermSourceMatchType = 'exact' | 'prefix' | 'suffix';
 /**
  * Enum representing what database field was used to match the source term.
  */
-export type TermSourceMatchSource = 'term' | 'reading' | 'sequence';
+export type TermSourceMatchSource = 'term' | 'reading' | 'sequence' | 'glossary';
 
 /**
  * Source information represents how the original text was transformed to get to the final term.
@@ -65,6 +65,8 @@ export type AudioSourceShort = {
     type: Settings.AudioSourceType;
     url: string;
     voice: string;
+    /** The names of the dictionaries which are searched for audio files by the `dictionary` source. */
+    dictionaries: string[];
 };
 
 export type AudioMediaOptions = {
@@ -63,6 +63,8 @@ export type HistoryParams = {
     query?: string;
     /** Whether or not wildcards can be used for the search query. */
     wildcards?: 'on' | 'off';
+    /** Whether or not terms are found by searching for the query inside their definitions. */
+    reverse?: 'true' | 'false';
     /** The start position of the `query` string as an index into the `full` query string. */
     offset?: string;
     /** The full search text. If absent, `query` is the full search text. */
@@ -131,6 +133,7 @@ export type QueryParserOptions = {
     readingMode: Settings.ParsingReadingMode;
     useInternalParser: boolean;
     useMecabParser: boolean;
+    useLanguageParser: boolean;
     language: string;
     scanning: TextScannerTypes.Options;
 };
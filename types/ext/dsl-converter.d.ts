@@ -0,0 +1,60 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as DictionaryData from './dictionary-data';
+
+/** The `#NAME`-style header directives of a `.dsl` file, keyed by their name in uppercase. */
+export type Headers = Map<string, string>;
+
+/** An article of a `.dsl` file, where consecutive headword lines share the same body. */
+export type Article = {
+    headwords: string[];
+    lines: string[];
+};
+
+export type ParseResult = {
+    headers: Headers;
+    articles: Article[];
+};
+
+/** A part of the markup of a body line, which is either text or a tag with its content. */
+export type MarkupNode = string | MarkupElement;
+
+export type MarkupElement = {
+    /** The name of the tag, such as `b`, `c` or `ref`. */
+    name: string;
+    /** The text after the name of the opening tag, such as the color of a `[c red]` tag. */
+    attribute: string;
+    children: MarkupNode[];
+};
+
+export type ConvertContext = {
+    /** The abbreviations of the `_abrv.dsl` file, mapped to their expansions. */
+    abbreviations: Map<string, string>;
+    /** The names of the image files of the archive, keyed by their lowercase name, since DSL file names are case-insensitive. */
+    resourceFiles: Map<string, string>;
+    /** The names of the image files which are referenced by the articles. */
+    usedResourceFileNames: Set<string>;
+};
+
+export type ConvertResult = {
+    index: DictionaryData.Index;
+    termBank: DictionaryData.TermV3Array;
+    tagBank: DictionaryData.TagArray;
+    /** The names of the image files which are referenced by the articles. */
+    usedResourceFileNames: Set<string>;
+};
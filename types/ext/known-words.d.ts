@@ -0,0 +1,56 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The status of a word.
+ * - `'known'`: The word is in Anki.
+ * - `'lookedUp'`: The word is not in Anki, but it was looked up before.
+ * - `'unknown'`: The word is neither in Anki, nor was it looked up before.
+ */
+export type Status = 'known' | 'lookedUp' | 'unknown';
+
+/**
+ * A word of a text, along with the term which it is an inflected form of.
+ */
+export type TextWord = {
+    /** The index of the first character of the word in the text. */
+    start: number;
+    /** The number of characters of the word in the text. */
+    length: number;
+    /** The dictionary form of the word. */
+    term: string;
+};
+
+export type Word = TextWord & {
+    status: Status;
+};
+
+export type AnkiCacheEntry = {
+    known: boolean;
+    /** The time at which Anki was searched for the word. */
+    timestamp: number;
+};
+
+/**
+ * The information about an element of a page whose text is highlighted.
+ */
+export type ElementData = {
+    /** The text nodes which are direct children of the element and which contain more than whitespace. */
+    textNodes: Text[];
+    /** Whether or not the element has been visible, after which its text is highlighted. */
+    visible: boolean;
+};
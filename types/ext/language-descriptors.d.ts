@@ -15,7 +15,7 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
-import type {TextProcessor, ReadingNormalizer, BidirectionalConversionPreprocessor} from './language';
+import type {TextProcessor, ReadingNormalizer, BidirectionalConversionPreprocessor, DefiniteArticles} from './language';
 import type {LanguageTransformDescriptor} from './language-transformer';
 import type {SafeAny} from './core';
 
@@ -40,7 +40,37 @@ type LanguageDescriptor<
     readingNormalizer?: ReadingNormalizer;
     textPreprocessors?: TTextPreprocessorDescriptor;
     textPostprocessors?: TTextPostprocessorDescriptor;
+    /**
+     * Text preprocessors which are only used to find similarly spelled terms when a lookup has no results,
+     * such as converting German umlauts to "e" digraphs.
+     * They aren't used for normal lookups, since every preprocessor multiplies the number of variants of the scanned text.
+     */
+    termSuggestionPreprocessors?: TextProcessorDescriptor;
     languageTransforms?: LanguageTransformDescriptor;
+    /**
+     * Linking elements which may appear between the components of a compound word,
+     * such as the German "s" in "Verfassungsgericht".
+     * If a value is provided, the translator can split compound words of this language
+     * into dictionary-attested components.
+     */
+    compoundLinkingElements?: string[];
+    /**
+     * Particles which can be detached from a verb and placed at the end of the clause,
+     * such as the German "an" in "Er ruft seine Mutter an" for "anrufen".
+     * If a value is provided, the translator can reconstruct the full verb using the scanned sentence.
+     */
+    separableParticles?: string[];
+    /**
+     * The definite articles of each grammatical gender, such as the German "der", "die" and "das".
+     * If a value is provided, the gender of noun headwords is displayed alongside the matching article.
+     */
+    definiteArticles?: DefiniteArticles;
+    /**
+     * Whether the language is written without spaces between words, such as Thai.
+     * If `true`, scanned text is split into dictionary words using maximal matching,
+     * so that lookups and the search page's parser stop at word boundaries.
+     */
+    requiresWordSegmentation?: boolean;
 };
 
 type TextProcessorDescriptor = {
@@ -27,6 +27,8 @@ export type Rule = {
     type: 'suffix' | 'prefix' | 'wholeWord' | 'other';
     isInflected: RegExp;
     deinflect: (inflectedWord: string) => string;
+    isDeinflected?: RegExp;
+    inflect?: (deinflectedWord: string) => string;
     conditionsIn: number;
     conditionsOut: number;
 };
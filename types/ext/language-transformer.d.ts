@@ -60,10 +60,21 @@ export type TransformI18n = {
 
 export type DeinflectFunction = (inflectedWord: string) => string;
 
+export type InflectFunction = (deinflectedWord: string) => string;
+
 export type Rule<TCondition = string> = {
     type: 'suffix' | 'prefix' | 'wholeWord' | 'other';
     isInflected: RegExp;
     deinflect: DeinflectFunction;
+    /**
+     * Tests whether a word can be inflected by this rule.
+     * Rules without this property and `inflect` are only used for deinflection.
+     */
+    isDeinflected?: RegExp;
+    /**
+     * The inverse of `deinflect`, used to generate inflected forms of a word.
+     */
+    inflect?: InflectFunction;
     conditionsIn: TCondition[];
     conditionsOut: TCondition[];
 };
@@ -73,6 +84,21 @@ export type SuffixRule<TCondition = string> = {
     isInflected: RegExp;
     deinflected: string;
     deinflect: DeinflectFunction;
+    isDeinflected: RegExp;
+    inflect: InflectFunction;
     conditionsIn: TCondition[];
     conditionsOut: TCondition[];
 };
+
+/**
+ * The forms of a word which are generated by one transform.
+ */
+export type InflectionTableRow = {
+    /** The id of the transform. */
+    transform: string;
+    name: string;
+    description?: string;
+    forms: string[];
+};
+
+export type InflectionTable = InflectionTableRow[];
@@ -45,6 +45,11 @@ export type LanguageAndProcessors = {
     textPostprocessors?: TextProcessorWithId<unknown>[];
 };
 
+export type LanguageAndTermSuggestionPreprocessors = {
+    iso: string;
+    textPreprocessors: TextProcessorWithId<unknown>[];
+};
+
 export type LanguageAndReadingNormalizer = {
     iso: string;
     readingNormalizer: ReadingNormalizer;
@@ -55,14 +60,59 @@ export type LanguageAndTransforms = {
     languageTransforms: LanguageTransformDescriptor;
 };
 
+export type LanguageAndCompoundLinkingElements = {
+    iso: string;
+    compoundLinkingElements: string[];
+};
+
+export type LanguageAndSeparableParticles = {
+    iso: string;
+    separableParticles: string[];
+};
+
+export type GrammaticalGender = 'masculine' | 'feminine' | 'neuter';
+
+export type DefiniteArticles = {
+    [gender in GrammaticalGender]?: string;
+};
+
+export type LanguageAndDefiniteArticles = {
+    iso: string;
+    definiteArticles: DefiniteArticles;
+};
+
+export type WordSegment = {
+    text: string;
+    /** Whether the segment is a known word, rather than a run of unmatched characters. */
+    isWord: boolean;
+};
+
+export type WordSegmentationStep = {
+    /** The number of unmatched characters from this position to the end of the text. */
+    unmatchedCount: number;
+    /** The number of segments from this position to the end of the text. */
+    segmentCount: number;
+    /** The length of the segment which starts at this position. */
+    length: number;
+    isWord: boolean;
+};
+
 export type TextProcessorWithId<T = unknown> = {
     id: string;
     textProcessor: TextProcessor<T>;
 };
 
+export type TextWord = {
+    text: string;
+    /** The position of the word in the text. */
+    offset: number;
+};
+
 export type LanguageSummary = {
     name: string;
     iso: string;
     iso639_3: string;
     exampleText: string;
+    /** Whether verbs can have a particle further along in the sentence, which is looked up together with the verb. */
+    hasSeparableParticles: boolean;
 };
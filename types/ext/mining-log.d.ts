@@ -0,0 +1,71 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The information about an added note which is sent by the page that added it.
+ */
+export type EntryDetails = {
+    type: 'term' | 'kanji';
+    /** The term of the note, or the character for kanji notes. */
+    term: string;
+    /** The reading of the term, or an empty string for kanji notes. */
+    reading: string;
+    /** The name of the dictionary of the first definition. */
+    dictionary: string;
+    /** The URL of the page which the term was looked up on. */
+    url: string;
+};
+
+/**
+ * A note which was added to Anki.
+ */
+export type Entry = EntryDetails & {
+    /** The time at which the note was added. */
+    timestamp: number;
+    /** The name of the profile which was used. */
+    profile: string;
+    language: string;
+};
+
+export type StorageData = {
+    entries: Entry[];
+};
+
+export type Count = {
+    name: string;
+    count: number;
+};
+
+export type DayCount = {
+    /** The local date, in the format `YYYY-MM-DD`. */
+    date: string;
+    count: number;
+};
+
+export type Statistics = {
+    totalCount: number;
+    todayCount: number;
+    /** The number of consecutive days with added notes, ending today, or yesterday if no notes were added today. */
+    currentStreak: number;
+    longestStreak: number;
+    /** The number of notes which were added on each of the most recent days, starting with the oldest day. */
+    recentDays: DayCount[];
+    /** The number of notes for each site, sorted by the count. */
+    sites: Count[];
+    /** The number of notes for each dictionary, sorted by the count. */
+    dictionaries: Count[];
+};
@@ -19,6 +19,7 @@ import type * as Dictionary from './dictionary';
 import type * as DictionaryDatabase from './dictionary-database';
 import type * as DictionaryImporter from './dictionary-importer';
 import type * as Environment from './environment';
+import type * as LanguageTransformer from './language-transformer';
 import type * as Translation from './translation';
 import type * as Translator from './translator';
 import type {
@@ -49,6 +50,39 @@ type ApiSurface = {
         };
         return: DictionaryDatabase.Media<string>[];
     };
+    databaseGetDictionaryTermsOffscreen: {
+        params: {
+            dictionaryName: string;
+        };
+        return: DictionaryDatabase.DatabaseTermEntryWithId[];
+    };
+    databaseGetDictionaryTermOffscreen: {
+        params: {
+            id: number;
+        };
+        return: DictionaryDatabase.DatabaseTermEntryWithId | null;
+    };
+    databasePutDictionaryTermOffscreen: {
+        params: {
+            summary: DictionaryImporter.Summary;
+            term: DictionaryDatabase.DatabaseTermEntry | DictionaryDatabase.DatabaseTermEntryWithId;
+        };
+        return: number;
+    };
+    databaseDeleteDictionaryTermOffscreen: {
+        params: {
+            summary: DictionaryImporter.Summary;
+            id: number;
+        };
+        return: void;
+    };
+    databaseFindTermMetaBulkOffscreen: {
+        params: {
+            termList: string[];
+            dictionaries: string[];
+        };
+        return: DictionaryDatabase.TermMeta[];
+    };
     translatorPrepareOffscreen: {
         params: void;
         return: void;
@@ -75,6 +109,22 @@ type ApiSurface = {
         };
         return: Translator.TermFrequencySimple[];
     };
+    findTermSuggestionsOffscreen: {
+        params: {
+            text: string;
+            language: string;
+            dictionaries: string[];
+        };
+        return: string[];
+    };
+    getInflectionTableOffscreen: {
+        params: {
+            language: string;
+            term: string;
+            wordClasses: string[];
+        };
+        return: LanguageTransformer.InflectionTable;
+    };
     clearDatabaseCachesOffscreen: {
         params: void;
         return: void;
@@ -42,6 +42,10 @@ export type Events = {
     importDictionaryFromUrl: {
         url: string;
     };
+    updateDictionaryFromUrl: {
+        url: string;
+        dictionaryTitle: string;
+    };
     dictionaryEnabled: Record<string, never>;
     scanInputsChanged: {
         source: ScanInputsController | ScanInputsSimpleController;
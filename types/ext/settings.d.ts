@@ -64,6 +64,7 @@ export type GlobalOptions = {
 
 export type GlobalDatabaseOptions = {
     prefixWildcardsSupported: boolean;
+    glossaryIndexSupported: boolean;
 };
 
 export type Profile = {
@@ -97,6 +98,7 @@ export type ProfileOptions = {
     inputs: InputsOptions;
     clipboard: ClipboardOptions;
     accessibility: AccessibilityOptions;
+    knownWordHighlighting: KnownWordHighlightingOptions;
 };
 
 export type GeneralOptions = {
@@ -143,6 +145,7 @@ export type GeneralOptions = {
     popupActionBarLocation: PopupActionBarLocation;
     frequencyDisplayMode: FrequencyDisplayMode;
     termDisplayMode: TermDisplayMode;
+    genderColorCoding: GenderColorCoding;
     sortFrequencyDictionary: string | null;
     sortFrequencyDictionaryOrder: SortFrequencyDictionaryOrder;
     stickySearchHeader: boolean;
@@ -244,6 +247,7 @@ export type TranslationOptions = {
     collapseEmphaticSequences: TranslationCollapseEmphaticSequences;
     textReplacements: TranslationTextReplacementOptions;
     searchResolution: SearchResolution;
+    compoundSplitting: boolean;
 };
 
 export type SearchResolution = 'letter' | 'word';
@@ -270,11 +274,22 @@ export type DictionaryOptions = {
     definitionsCollapsible: DictionaryDefinitionsCollapsible;
     partsOfSpeechFilter: boolean;
     useDeinflections: boolean;
+    genderTags: DictionaryGenderTags;
     styles?: string;
 };
 
+/**
+ * Space-separated names of the dictionary tags which mark each grammatical gender.
+ */
+export type DictionaryGenderTags = {
+    masculine: string;
+    feminine: string;
+    neuter: string;
+};
+
 export type ParsingOptions = {
     enableScanningParser: boolean;
+    enableLanguageParser: boolean;
     enableMecabParser: boolean;
     selectedParser: string | null;
     termSpacing: boolean;
@@ -296,6 +311,7 @@ export type AnkiOptions = {
     suspendNewCards: boolean;
     displayTags: AnkiDisplayTags;
     noteGuiMode: AnkiNoteGuiMode;
+    noteTarget: AnkiNoteTarget;
     apiKey: string;
     downloadTimeout: number;
 };
@@ -353,6 +369,17 @@ export type AccessibilityOptions = {
     forceGoogleDocsHtmlRendering: boolean;
 };
 
+export type KnownWordHighlightingOptions = {
+    enable: boolean;
+    /** The deck which contains the known words, or an empty string to search all decks. */
+    ankiDeck: string;
+    /** The field which contains the known words, or an empty string to use the first field of the term card format. */
+    ankiField: string;
+    highlightUnknown: boolean;
+    /** The host names of the sites on which words aren't highlighted. */
+    excludedSites: string[];
+};
+
 export type PreventMiddleMouseOptions = {
     onWebPages: boolean;
     onPopupPages: boolean;
@@ -384,13 +411,15 @@ export type FrequencyDisplayMode = 'tags' | 'tags-grouped' | 'split-tags' | 'spl
 
 export type TermDisplayMode = 'ruby' | 'ruby-and-reading' | 'term-and-reading' | 'term-only';
 
+export type GenderColorCoding = 'none' | 'article' | 'headword';
+
 export type SortFrequencyDictionaryOrder = 'ascending' | 'descending';
 
 export type PopupWindowType = 'normal' | 'popup';
 
 export type PopupWindowState = 'normal' | 'maximized' | 'fullscreen';
 
-export type AudioSourceType = 'jpod101' | 'language-pod-101' | 'jisho' | 'lingua-libre' | 'wiktionary' | 'text-to-speech' | 'text-to-speech-reading' | 'custom' | 'custom-json';
+export type AudioSourceType = 'jpod101' | 'language-pod-101' | 'jisho' | 'lingua-libre' | 'wiktionary' | 'text-to-speech' | 'text-to-speech-reading' | 'custom' | 'custom-json' | 'dictionary';
 
 export type TranslationConvertType = 'false' | 'true' | 'variant';
 
@@ -410,6 +439,8 @@ export type AnkiDisplayTags = 'never' | 'always' | 'non-standard';
 
 export type AnkiNoteGuiMode = 'browse' | 'edit';
 
+export type AnkiNoteTarget = 'ankiConnect' | 'localCollection';
+
 export type SentenceTerminationCharacterMode = 'custom' | 'custom-no-newlines' | 'newlines' | 'none';
 
 export type InputsHotkeyModifier = 'alt' | 'ctrl' | 'shift' | 'meta';
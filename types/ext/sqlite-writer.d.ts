@@ -0,0 +1,61 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A column value. Numbers which are integers are stored as integers, other numbers as reals.
+ */
+export type Value = null | number | string | Uint8Array;
+
+export type Table = {
+    name: string;
+    /** The `CREATE TABLE` statement of the table. */
+    sql: string;
+    /** The index of the `INTEGER PRIMARY KEY` column, which is used as the row ID. */
+    rowIdColumn: number | null;
+    rows: Value[][];
+    indices: Index[];
+};
+
+export type Index = {
+    name: string;
+    /** The `CREATE INDEX` statement of the index. */
+    sql: string;
+    /** The indices of the indexed columns. */
+    columns: number[];
+};
+
+export type TableRow = {
+    rowId: number;
+    values: Value[];
+};
+
+export type IndexLevel = {
+    pageNumbers: number[];
+    /** The keys which separate the pages, one less than the number of pages. */
+    dividers: Uint8Array[];
+};
+
+export type TableChild = {
+    pageNumber: number;
+    /** The largest row ID of the page. */
+    rowId: number;
+};
+
+export type TableLeafCell = {
+    cell: Uint8Array;
+    rowId: number;
+};
@@ -0,0 +1,60 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as DictionaryData from './dictionary-data';
+import type {ChildNode} from 'parse5/dist/tree-adapters/default';
+
+export type Parse5ChildNode = ChildNode;
+
+/** The key-value pairs of an `.ifo` file. */
+export type Info = Map<string, string>;
+
+/** An entry of an `.idx` file, which locates the data of a word in the `.dict` file. */
+export type IndexEntry = {
+    word: string;
+    offset: number;
+    size: number;
+};
+
+/** An entry of a `.syn` file, which maps a synonym to an entry of the `.idx` file. */
+export type SynonymEntry = {
+    word: string;
+    index: number;
+};
+
+/**
+ * A field of the data of a word, identified by its type character.
+ * Lowercase types contain text, uppercase types contain binary data.
+ */
+export type Field = {
+    type: string;
+    data: Uint8Array;
+};
+
+export type MarkupFormat = 'html' | 'pango' | 'xdxf';
+
+export type ConvertContext = {
+    /** The files of the `res` directory, keyed by their path relative to that directory. */
+    resourceFileNames: Set<string>;
+    /** The resource files which are referenced by images. */
+    usedResourceFileNames: Set<string>;
+};
+
+export type ConvertResult = {
+    index: DictionaryData.Index;
+    termBank: DictionaryData.TermV3Array;
+};
@@ -235,6 +235,23 @@ export type LinkElement = {
     lang?: string;
 };
 
-export type Element = LineBreak | UnstyledElement | TableElement | StyledElement | ImageElement | LinkElement;
+export type AudioElement = {
+    tag: 'audio';
+    /**
+     * This element doesn't support children.
+     */
+    content?: undefined;
+    data?: Data;
+    /**
+     * Path to the audio file in the archive.
+     */
+    path: string;
+    /**
+     * Hover text for the audio.
+     */
+    title?: string;
+};
+
+export type Element = LineBreak | UnstyledElement | TableElement | StyledElement | ImageElement | AudioElement | LinkElement;
 
 export type Content = string | Element | Content[];
@@ -64,6 +64,22 @@ export type DatabaseDeinflection = {
     databaseEntries: DictionaryDatabase.TermEntry[];
 };
 
+export type CompoundSplit = {
+    parts: Dictionary.TermCompoundPart[];
+    deinflections: DatabaseDeinflection[][];
+};
+
+export type CompoundSplitCandidate = {
+    position: number;
+    parts: Dictionary.TermCompoundPart[];
+    deinflections: DatabaseDeinflection[][];
+};
+
+export type StructuredContentGrammaticalInfo = {
+    gender: string | null;
+    plural: string | null;
+};
+
 export type DictionaryEntryGroup = {
     ids: Set<number>;
     dictionaryEntries: TermDictionaryEntry[];
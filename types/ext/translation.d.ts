@@ -18,6 +18,7 @@
 
 import type * as Dictionary from './dictionary';
 import type {SearchResolution} from 'settings';
+import type {GrammaticalGender} from 'language';
 
 // Kanji
 
@@ -101,6 +102,21 @@ export type FindTermsOptions = {
      * Whether every substring should be searched for, or only whole words.
      */
     searchResolution: SearchResolution;
+    /**
+     * Whether or not compound words should be split into their components
+     * when no dictionary entry matches the whole word.
+     */
+    compoundSplitting: boolean;
+    /**
+     * Whether terms should be found by searching for the words of the text inside their glossaries,
+     * instead of by matching the text against the terms themselves.
+     */
+    searchGlossary: boolean;
+    /**
+     * The sentence which the text was scanned from, if available.
+     * This is used to reconstruct separable verbs whose particle is further along in the sentence.
+     */
+    sentence: FindTermsSentence | null;
     /**
      * ISO-639 code of the language.
      */
@@ -136,6 +152,20 @@ export type FindTermsTextReplacement = {
  */
 export type FindTermsTextReplacements = (FindTermsTextReplacement[] | null)[];
 
+/**
+ * A sentence containing the text being looked up.
+ */
+export type FindTermsSentence = {
+    /**
+     * The full text of the sentence.
+     */
+    text: string;
+    /**
+     * The offset from the start of `text` to the text being looked up.
+     */
+    offset: number;
+};
+
 /**
  * Details about a dictionary.
  */
@@ -164,6 +194,10 @@ export type FindTermDictionary = {
      * Whether to use the deinflections from this dictionary.
      */
     useDeinflections: boolean;
+    /**
+     * A mapping of this dictionary's tag names to the grammatical gender they mark.
+     */
+    genderTags: Map<string, GrammaticalGender>;
 };
 
 export type TermEnabledDictionaryMap = Map<string, FindTermDictionary>;
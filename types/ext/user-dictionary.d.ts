@@ -0,0 +1,43 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as DictionaryData from './dictionary-data';
+
+export type EntryDetails = {
+    term: string;
+    /** The reading of the term, or an empty string if the reading is the same as the term. */
+    reading: string;
+    glossary: string[];
+    tags: string[];
+    /** An example sentence for the term, or an empty string. */
+    sentence: string;
+};
+
+export type Entry = EntryDetails & {
+    id: number;
+};
+
+export type AddEntryResult = {
+    id: number;
+    /** Whether the user dictionary was created by adding the entry. */
+    created: boolean;
+};
+
+export type ArchiveFiles = {
+    index: DictionaryData.Index;
+    termBank: DictionaryData.TermV3Array;
+};
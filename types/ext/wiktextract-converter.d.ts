@@ -0,0 +1,75 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as DictionaryData from './dictionary-data';
+
+/**
+ * An entry of a Wiktextract `.jsonl` file, which contains one word of one part of speech.
+ * Only the properties which are used by the converter are listed.
+ */
+export type Entry = {
+    word?: string;
+    lang?: string;
+    lang_code?: string;
+    pos?: string;
+    tags?: string[];
+    senses?: Sense[];
+    sounds?: Sound[];
+    forms?: Form[];
+};
+
+export type Sense = {
+    /** The glosses of the sense, where the glosses of subsenses start with the glosses of their parent sense. */
+    glosses?: string[];
+    tags?: string[];
+    examples?: Example[];
+    /** The lemmas which the word is an inflected form of. */
+    form_of?: Link[];
+};
+
+export type Example = {
+    text?: string;
+    english?: string;
+    translation?: string;
+};
+
+export type Sound = {
+    ipa?: string;
+    tags?: string[];
+};
+
+export type Form = {
+    form?: string;
+    tags?: string[];
+};
+
+export type Link = {
+    word?: string;
+};
+
+export type ConvertState = {
+    /** The name of the language of the first entry. */
+    language: string | null;
+    /** The number of terms which have been written to the archive. */
+    termCount: number;
+    /** The lemmas of the inflected forms, mapped to the grammatical descriptions of the forms. */
+    forms: Map<string, Map<string, Set<string>>>;
+    /** The IPA transcriptions of the words, mapped to their tags. */
+    transcriptions: Map<string, Map<string, string[]>>;
+    /** The tags which are used by the entries, keyed by their name. */
+    tags: Map<string, {category: string, notes: string}>;
+};
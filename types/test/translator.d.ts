@@ -15,12 +15,13 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
-import type {FindTermsMatchType, FindTermsSortOrder, FindKanjiDictionary, FindTermDictionary} from '../ext/translation';
+import type {FindTermsMatchType, FindTermsSortOrder, FindKanjiDictionary, FindTermDictionary, FindTermsSentence} from '../ext/translation';
 import type {SearchResolution} from '../ext/settings';
 import type {FindTermsMode} from 'translator';
 import type {DictionaryEntry} from 'dictionary';
 import type {NoteData} from 'anki-templates';
 import type {NoteFields} from 'anki';
+import type {GrammaticalGender} from '../ext/language';
 
 export type OptionsPresetObject = {
     [key: string]: OptionsPreset;
@@ -45,12 +46,19 @@ export type FindTermsOptionsPreset = {
     sortFrequencyDictionaryOrder?: FindTermsSortOrder;
     removeNonJapaneseCharacters?: boolean;
     textReplacements?: (FindTermsTextReplacement[] | null)[];
-    enabledDictionaryMap?: [key: string, value: FindTermDictionary][];
+    enabledDictionaryMap?: [key: string, value: FindTermDictionaryPreset][];
     excludeDictionaryDefinitions?: string[] | null;
     searchResolution?: SearchResolution;
+    compoundSplitting?: boolean;
+    searchGlossary?: boolean;
+    sentence?: FindTermsSentence | null;
     language?: string;
 };
 
+export type FindTermDictionaryPreset = Omit<FindTermDictionary, 'genderTags'> & {
+    genderTags?: [tag: string, gender: GrammaticalGender][];
+};
+
 export type OptionsType = OptionsPreset['type'];
 
 export type OptionsPresetGeneric<T extends OptionsType> = {